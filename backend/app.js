@@ -50,7 +50,11 @@ app.use(helmet({
 }));
 
 app.use(morgan('dev'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for webhook signature checks
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 const authLimiter = rateLimit({
@@ -77,6 +81,7 @@ const connectDB = async () => {
         socketTimeoutMS: 45000,
       });
       console.log('✅ MongoDB connected successfully');
+      await require('./services/planCatalog').ensureDefaultPlans();
     } catch (err) {
       console.error('❌ MongoDB connection error:', err.message);
     }
@@ -98,6 +103,11 @@ const loadRoutes = () => {
     const plansRoutes = require('./routes/plans');
     const bankRoutes = require('./routes/bank');
     const superadminRoutes = require('./routes/superadminRoutes');
+    const jobRoutes = require('./routes/jobs');
+    const paymentRoutes = require('./routes/payments');
+    const invoiceRoutes = require('./routes/invoices');
+    const usageRoutes = require('./routes/usage');
+    const entitlementRoutes = require('./routes/entitlements');
     
     // Use routes
     app.use('/api/auth', authRoutes);
@@ -105,6 +115,11 @@ const loadRoutes = () => {
     app.use('/api/plans', plansRoutes);
     app.use('/api/bank', bankRoutes);
     app.use('/api/superadmin', superadminRoutes);
+    app.use('/api/jobs', jobRoutes);
+    app.use('/api/payments', paymentRoutes);
+    app.use('/api/invoices', invoiceRoutes);
+    app.use('/api/usage', usageRoutes);
+    app.use('/api/entitlements', entitlementRoutes);
     
     console.log('✅ All routes loaded successfully');
     
@@ -156,7 +171,9 @@ app.get('/api/test-route', (req, res) => {
       schools: '/api/schools',
       plans: '/api/plans',
       bank: '/api/bank',
-      superadmin: '/api/superadmin'
+      superadmin: '/api/superadmin',
+      jobs: '/api/jobs',
+      payments: '/api/payments'
     }
   });
 });
@@ -176,7 +193,8 @@ app.get('/', (req, res) => {
       '/api/schools',
       '/api/plans',
       '/api/bank',
-      '/api/superadmin'
+      '/api/superadmin',
+      '/api/payments'
     ]
   });
 });
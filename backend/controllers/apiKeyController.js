@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const School = require('../models/School');
+const AuditLog = require('../models/auditLogs');
+const { hashApiKey } = require('../middleware/schoolApiAuth');
+
+// POST /api/superadmin/schools/:schoolId/api-key — issues a new key and
+// invalidates the old one. The key is only ever returned here.
+exports.issueApiKey = async (req, res) => {
+  try {
+    const school = await School.findById(req.params.schoolId).select('code').lean();
+    if (!school) return res.status(404).json({ message: 'School not found' });
+
+    const apiKey = `sk_${school.code.toLowerCase()}_${crypto.randomBytes(24).toString('hex')}`;
+    const prefix = apiKey.slice(0, apiKey.indexOf('_', 3) + 7);
+    const issuedAt = new Date();
+    await School.updateOne(
+      { _id: school._id },
+      { $set: { apiKeyHash: hashApiKey(apiKey), apiKeyPrefix: prefix, apiKeyIssuedAt: issuedAt } }
+    );
+
+    await new AuditLog({ userId: req.user.id, action: 'issue_school_api_key', details: { schoolId: school._id, prefix } }).save();
+    res.status(201).json({
+      message: 'API key issued. Copy it now; it will not be shown again.',
+      data: { apiKey, prefix, issuedAt }
+    });
+  } catch (err) {
+    console.error('API key issue error:', err);
+    res.status(500).json({ message: 'Failed to issue API key' });
+  }
+};
+
+// DELETE /api/superadmin/schools/:schoolId/api-key
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const result = await School.updateOne(
+      { _id: req.params.schoolId },
+      { $unset: { apiKeyHash: 1 }, $set: { apiKeyPrefix: null, apiKeyIssuedAt: null } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ message: 'School not found' });
+
+    await new AuditLog({ userId: req.user.id, action: 'revoke_school_api_key', details: { schoolId: req.params.schoolId } }).save();
+    res.json({ message: 'API key revoked' });
+  } catch (err) {
+    console.error('API key revoke error:', err);
+    res.status(500).json({ message: 'Failed to revoke API key' });
+  }
+};
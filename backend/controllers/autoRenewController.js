@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const Subscription = require('../models/subscription');
+const PaymentMandate = require('../models/paymentMandate');
+const RenewalAttempt = require('../models/renewalAttempt');
+const AuditLog = require('../models/auditLogs');
+const subscriptionService = require('../services/subscriptionService');
+const { retrySchedule } = require('../services/autoRenewService');
+
+// GET /api/superadmin/schools/:schoolId/auto-renew — settings, mandate and attempt history
+exports.getAutoRenew = async (req, res) => {
+  try {
+    const schoolId = req.params.schoolId;
+    const [subscription, mandate, attempts] = await Promise.all([
+      subscriptionService.getCurrentSubscription(schoolId).select('planType status expiresAt gracePeriodEnds autoRenew dunning').lean(),
+      PaymentMandate.findOne({ schoolId, status: 'active' }).select('-token').lean(),
+      RenewalAttempt.find({ schoolId }).sort({ attemptedAt: -1 }).limit(100).lean()
+    ]);
+    res.json({ message: 'Fetched', data: { subscription, mandate, attempts, retryDays: retrySchedule() } });
+  } catch (err) {
+    console.error('Auto-renew fetch error:', err);
+    res.status(500).json({ message: 'Failed to load auto-renew details' });
+  }
+};
+
+// PATCH /api/superadmin/schools/:schoolId/auto-renew { autoRenew }
+exports.setAutoRenew = async (req, res) => {
+  try {
+    const schoolId = req.params.schoolId;
+    const sub = await subscriptionService.getCurrentSubscription(schoolId);
+    if (!sub) return res.status(400).json({ message: 'School has no active subscription' });
+    if (req.body.autoRenew && sub.planType === 'trial') {
+      return res.status(400).json({ message: 'Trials cannot auto-renew' });
+    }
+    if (req.body.autoRenew && !await PaymentMandate.exists({ schoolId, status: 'active' })) {
+      return res.status(400).json({ message: 'Save a payment mandate before turning on auto-renew' });
+    }
+
+    sub.autoRenew = req.body.autoRenew;
+    // Turning it back on after retries ran out starts a fresh cycle
+    if (sub.autoRenew) sub.dunning = { attempts: 0, nextAttemptAt: null, lastError: null, exhaustedAt: null };
+    await sub.save();
+
+    await new AuditLog({ userId: req.user.id, action: 'set_auto_renew', details: { schoolId, subscriptionId: sub._id, autoRenew: sub.autoRenew } }).save();
+    res.json({ message: `Auto-renew ${sub.autoRenew ? 'enabled' : 'disabled'}`, data: { autoRenew: sub.autoRenew } });
+  } catch (err) {
+    console.error('Auto-renew update error:', err);
+    res.status(500).json({ message: 'Failed to update auto-renew' });
+  }
+};
+
+// PUT /api/superadmin/schools/:schoolId/mandate — replaces any live mandate
+exports.saveMandate = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let mandate;
+    await session.withTransaction(async () => {
+      const school = await School.exists({ _id: req.params.schoolId }).session(session);
+      if (!school) throw { status: 404, message: 'School not found' };
+
+      await PaymentMandate.updateMany(
+        { schoolId: req.params.schoolId, status: 'active' },
+        { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.user.id } },
+        { session }
+      );
+      [mandate] = await PaymentMandate.create([{
+        schoolId: req.params.schoolId,
+        provider: req.body.provider,
+        paymentMethod: req.body.paymentMethod,
+        customerId: req.body.customerId || null,
+        token: req.body.token,
+        maxAmount: req.body.maxAmount ?? null,
+        createdBy: req.user.id
+      }], { session });
+
+      await new AuditLog({ userId: req.user.id, action: 'save_payment_mandate', details: { schoolId: req.params.schoolId, mandateId: mandate._id, provider: mandate.provider } }).save({ session });
+    });
+    const { token, ...safe } = mandate.toObject();
+    res.json({ message: 'Mandate saved', data: safe });
+  } catch (err) {
+    console.error('Mandate save error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to save mandate' });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// DELETE /api/superadmin/schools/:schoolId/mandate — also switches auto-renew off
+exports.revokeMandate = async (req, res) => {
+  try {
+    const schoolId = req.params.schoolId;
+    const result = await PaymentMandate.updateMany(
+      { schoolId, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.user.id } }
+    );
+    if (!result.modifiedCount) return res.status(404).json({ message: 'No active mandate' });
+
+    await Subscription.updateMany({ schoolId, autoRenew: true }, { $set: { autoRenew: false } });
+    await new AuditLog({ userId: req.user.id, action: 'revoke_payment_mandate', details: { schoolId } }).save();
+    res.json({ message: 'Mandate revoked; auto-renew turned off' });
+  } catch (err) {
+    console.error('Mandate revoke error:', err);
+    res.status(500).json({ message: 'Failed to revoke mandate' });
+  }
+};
+
+// GET /api/superadmin/renewal-attempts?status=failed&page=1&limit=25
+exports.listAttempts = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [attempts, total] = await Promise.all([
+      RenewalAttempt.find(filter)
+        .sort({ attemptedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('schoolId', 'name code')
+        .lean(),
+      RenewalAttempt.countDocuments(filter)
+    ]);
+    res.json({ message: 'Fetched', data: attempts, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    console.error('Renewal attempts error:', err);
+    res.status(500).json({ message: 'Failed to load renewal attempts' });
+  }
+};
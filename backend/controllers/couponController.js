@@ -0,0 +1,82 @@
+const Coupon = require('../models/coupon');
+const CouponRedemption = require('../models/couponRedemption');
+const AuditLog = require('../models/auditLogs');
+const couponService = require('../services/couponService');
+
+const EDITABLE = ['description', 'discountType', 'discountValue', 'maxDiscount', 'expiresAt', 'maxRedemptions', 'perSchoolLimit', 'applicablePlanTypes', 'active'];
+const pickEditable = (body) => Object.fromEntries(EDITABLE.filter(k => body[k] !== undefined).map(k => [k, body[k]]));
+
+// GET /api/superadmin/coupons?active=true
+exports.listCoupons = async (req, res) => {
+  try {
+    const filter = req.query.active === undefined ? {} : { active: req.query.active === 'true' };
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ message: 'Fetched', data: coupons });
+  } catch (err) {
+    console.error('Coupon list error:', err);
+    res.status(500).json({ message: 'Failed to load coupons' });
+  }
+};
+
+// POST /api/superadmin/coupons
+exports.createCoupon = async (req, res) => {
+  try {
+    const code = String(req.body.code).trim().toUpperCase();
+    if (await Coupon.exists({ code })) return res.status(409).json({ message: 'Coupon code already exists' });
+
+    const coupon = await new Coupon({ ...pickEditable(req.body), code, createdBy: req.user.id }).save();
+    await new AuditLog({ userId: req.user.id, action: 'create_coupon', details: { couponId: coupon._id, code } }).save();
+    res.status(201).json({ message: 'Coupon created', data: coupon });
+  } catch (err) {
+    console.error('Coupon create error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ message: err.message || 'Failed to create coupon' });
+  }
+};
+
+// PATCH /api/superadmin/coupons/:id — the code itself never changes
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    const changes = pickEditable(req.body);
+    coupon.set(changes);
+    await coupon.save();
+    await new AuditLog({ userId: req.user.id, action: 'update_coupon', details: { couponId: coupon._id, code: coupon.code, changes } }).save();
+    res.json({ message: 'Coupon updated', data: coupon });
+  } catch (err) {
+    console.error('Coupon update error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ message: err.message || 'Failed to update coupon' });
+  }
+};
+
+// GET /api/superadmin/coupons/:id/redemptions
+exports.getRedemptions = async (req, res) => {
+  try {
+    const redemptions = await CouponRedemption.find({ couponId: req.params.id })
+      .populate('schoolId', 'name code')
+      .sort({ redeemedAt: -1 })
+      .lean();
+    res.json({ message: 'Fetched', data: redemptions });
+  } catch (err) {
+    console.error('Coupon redemptions error:', err);
+    res.status(500).json({ message: 'Failed to load redemptions' });
+  }
+};
+
+// POST /api/superadmin/coupons/validate  { code, planType, schoolId?, amount? }
+// Preview for checkout forms; does not redeem anything
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, planType, schoolId } = req.body;
+    const amount = Number(req.body.amount);
+    const { coupon, discountAmount } = await couponService.quoteCoupon(code, { schoolId, planType, amount });
+    res.json({
+      message: 'Coupon applied',
+      data: { code: coupon.code, discountType: coupon.discountType, discountValue: coupon.discountValue, discountAmount, finalAmount: amount - discountAmount }
+    });
+  } catch (err) {
+    if (!err.status) console.error('Coupon validate error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to validate coupon' });
+  }
+};
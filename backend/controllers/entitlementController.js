@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const entitlementService = require('../services/entitlementService');
+const planCatalog = require('../services/planCatalog');
+
+// GET /api/entitlements — called by the school app with its X-School-Key
+exports.getOwnEntitlements = async (req, res) => {
+  try {
+    const entitlements = await entitlementService.getEntitlements(req.school._id);
+    res.json({ message: 'Fetched', data: entitlements });
+  } catch (err) {
+    console.error('Entitlements error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load entitlements' });
+  }
+};
+
+// GET /api/superadmin/schools/:schoolId/entitlements — what the school app sees, plus override details
+exports.getSchoolEntitlements = async (req, res) => {
+  try {
+    const [entitlements, overrides, knownFeatures] = await Promise.all([
+      entitlementService.getEntitlements(req.params.schoolId),
+      entitlementService.listOverrides(req.params.schoolId),
+      planCatalog.knownFeatures()
+    ]);
+    res.json({ message: 'Fetched', data: { entitlements, overrides, knownFeatures } });
+  } catch (err) {
+    console.error('School entitlements error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load entitlements' });
+  }
+};
+
+// PUT /api/superadmin/schools/:schoolId/features/:feature  { effect, expiresAt, reason }
+exports.setFeatureOverride = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let override;
+    await session.withTransaction(async () => {
+      override = await entitlementService.setOverride(req.params.schoolId, req.params.feature, {
+        effect: req.body.effect,
+        expiresAt: new Date(req.body.expiresAt),
+        reason: req.body.reason.trim(),
+        by: req.user.id,
+        session
+      });
+    });
+    res.json({
+      message: `${override.feature} ${override.effect === 'grant' ? 'granted' : 'revoked'} until ${override.expiresAt.toISOString().slice(0, 10)}`,
+      data: override
+    });
+  } catch (err) {
+    console.error('Feature override error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to save override' });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// DELETE /api/superadmin/schools/:schoolId/features/:feature  { reason }
+exports.removeFeatureOverride = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await entitlementService.removeOverride(req.params.schoolId, req.params.feature, {
+        reason: req.body.reason.trim(),
+        by: req.user.id,
+        session
+      });
+    });
+    res.json({ message: 'Override removed' });
+  } catch (err) {
+    console.error('Remove feature override error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to remove override' });
+  } finally {
+    await session.endSession();
+  }
+};
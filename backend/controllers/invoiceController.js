@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const CreditNote = require('../models/creditNote');
+const { renderInvoicePdf, renderCreditNotePdf } = require('../utils/invoicePdf');
+
+const SORT_FIELDS = { number: 'sequence', customer: 'buyer.name', issuedAt: 'issuedAt', total: 'totalAmount' };
+
+// GET /api/invoices?status=&schoolId=&financialYear=&from=&to=&search=&page=&limit=&sortBy=&sortDir=
+exports.listInvoices = async (req, res) => {
+  try {
+    const { status, schoolId, financialYear, from, to, search } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (schoolId) filter.schoolId = schoolId;
+    if (financialYear) filter.financialYear = financialYear;
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(new Date(to).setHours(23, 59, 59, 999));
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ invoiceNumber: pattern }, { 'buyer.name': pattern }, { 'buyer.code': pattern }];
+    }
+
+    const sortField = SORT_FIELDS[req.query.sortBy] || 'issuedAt';
+    const sortDir = req.query.sortDir === 'asc' ? 1 : -1;
+    // Same-day invoices keep their numbering order
+    const sort = sortField === 'sequence'
+      ? { financialYear: sortDir, sequence: sortDir }
+      : { [sortField]: sortDir, _id: sortDir };
+
+    const [invoices, total, financialYears] = await Promise.all([
+      Invoice.find(filter, '-seller -lineItems').sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+      Invoice.countDocuments(filter),
+      Invoice.distinct('financialYear')
+    ]);
+
+    res.json({
+      message: 'Fetched',
+      data: invoices,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      financialYears: financialYears.sort().reverse()
+    });
+  } catch (err) {
+    console.error('Invoice list error:', err);
+    res.status(500).json({ message: 'Failed to load invoices' });
+  }
+};
+
+// GET /api/invoices/:id
+exports.getInvoice = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid invoice id' });
+    const invoice = await Invoice.findById(req.params.id).lean();
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+    const creditNotes = await CreditNote.find({ invoiceId: invoice._id }, '-seller -buyer').sort({ issuedAt: 1 }).lean();
+    res.json({ message: 'Fetched', data: { ...invoice, creditNotes } });
+  } catch (err) {
+    console.error('Invoice fetch error:', err);
+    res.status(500).json({ message: 'Failed to load invoice' });
+  }
+};
+
+// GET /api/invoices/:id/pdf
+exports.downloadInvoicePdf = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid invoice id' });
+    const invoice = await Invoice.findById(req.params.id).lean();
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+
+    const fileName = `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    renderInvoicePdf(invoice, res);
+  } catch (err) {
+    console.error('Invoice PDF error:', err);
+    if (!res.headersSent) res.status(500).json({ message: 'Failed to generate invoice PDF' });
+  }
+};
+
+// GET /api/invoices/credit-notes?schoolId=&financialYear=&page=&limit=
+exports.listCreditNotes = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+    const filter = {};
+    if (req.query.schoolId) filter.schoolId = req.query.schoolId;
+    if (req.query.financialYear) filter.financialYear = req.query.financialYear;
+
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(filter, '-seller').sort({ issuedAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      CreditNote.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Fetched',
+      data: creditNotes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error('Credit note list error:', err);
+    res.status(500).json({ message: 'Failed to load credit notes' });
+  }
+};
+
+// GET /api/invoices/credit-notes/:id/pdf
+exports.downloadCreditNotePdf = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid credit note id' });
+    const creditNote = await CreditNote.findById(req.params.id).lean();
+    if (!creditNote) return res.status(404).json({ message: 'Credit note not found' });
+
+    const fileName = `${creditNote.creditNoteNumber.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    renderCreditNotePdf(creditNote, res);
+  } catch (err) {
+    console.error('Credit note PDF error:', err);
+    if (!res.headersSent) res.status(500).json({ message: 'Failed to generate credit note PDF' });
+  }
+};
@@ -0,0 +1,76 @@
+const paymentService = require('../services/paymentService');
+
+// POST /api/payments/:provider/order  { schoolId, planType, couponCode? }
+exports.createOrder = async (req, res) => {
+  try {
+    const { school, subscription, order } = await paymentService.startCheckout(req.body.schoolId, {
+      provider: req.params.provider,
+      planType: req.body.planType,
+      couponCode: req.body.couponCode,
+      by: req.user.id
+    });
+
+    if (!order) {
+      // Fully covered by proration credit or coupon — nothing to collect
+      return res.status(201).json({ message: 'Subscription activated without payment', data: { subscriptionId: subscription._id } });
+    }
+
+    res.status(201).json({
+      message: 'Order created',
+      data: {
+        subscriptionId: subscription._id,
+        provider: req.params.provider,
+        orderId: order.orderId,
+        amount: order.amount, // ₹
+        currency: order.currency,
+        checkout: order.checkout,
+        school: { name: school.name, email: school.email, mobileNo: school.mobileNo }
+      }
+    });
+  } catch (err) {
+    console.error('Payment order error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to create order' });
+  }
+};
+
+// POST /api/payments/:provider/webhook — called by the gateway, no user auth
+exports.handleWebhook = async (req, res) => {
+  const { provider } = req.params;
+  try {
+    const { outcome } = await paymentService.handleCallback(provider, {
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body
+    });
+    res.json({ message: 'Webhook processed', outcome });
+  } catch (err) {
+    if (err.status) {
+      console.warn(`${provider} webhook rejected: ${err.message}`);
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(`${provider} webhook error:`, err);
+    // Non-2xx makes the gateway retry later
+    res.status(500).json({ message: 'Webhook processing failed' });
+  }
+};
+
+// GET /api/payments/orders/:subscriptionId/status
+exports.getOrderStatus = async (req, res) => {
+  try {
+    const result = await paymentService.refreshStatus(req.params.subscriptionId);
+    res.json({
+      message: result.outcome === 'activated' ? 'Payment confirmed and subscription activated' : 'Payment status fetched',
+      data: {
+        subscriptionId: result.subscription?._id,
+        provider: result.provider,
+        orderId: result.orderId,
+        paymentStatus: result.status,
+        subscriptionStatus: result.subscription?.status,
+        outcome: result.outcome
+      }
+    });
+  } catch (err) {
+    console.error('Payment status error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to fetch payment status' });
+  }
+};
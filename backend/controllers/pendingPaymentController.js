@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscription');
+const paymentApprovalService = require('../services/paymentApprovalService');
+
+// GET /api/superadmin/pending-payments?method=bank_transfer
+exports.getPendingPayments = async (req, res) => {
+  try {
+    const filter = { status: 'pending', paymentMethod: req.query.method || 'bank_transfer' };
+
+    const pending = await Subscription.find(filter)
+      .populate('schoolId', 'name code email mobileNo')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      message: 'Fetched',
+      data: pending.map(sub => ({
+        id: sub._id,
+        school: sub.schoolId ? {
+          id: sub.schoolId._id,
+          name: sub.schoolId.name,
+          code: sub.schoolId.code,
+          email: sub.schoolId.email,
+          mobileNo: sub.schoolId.mobileNo
+        } : null,
+        planType: sub.planType,
+        amount: sub.finalAmount,
+        originalAmount: sub.originalAmount,
+        discountAmount: sub.discountAmount,
+        method: sub.paymentMethod,
+        transactionId: sub.transactionId,
+        paymentProof: sub.paymentProof,
+        provider: sub.paymentProvider,
+        orderId: sub.gatewayOrderId || sub.razorpayOrderId,
+        createdAt: sub.createdAt
+      }))
+    });
+  } catch (err) {
+    console.error('Pending payments error:', err);
+    res.status(500).json({ message: 'Failed to load pending payments' });
+  }
+};
+
+// POST /api/superadmin/pending-payments/:id/approve
+exports.approvePayment = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let sub;
+    await session.withTransaction(async () => {
+      sub = await paymentApprovalService.approvePendingPayment(req.params.id, {
+        by: req.user.id,
+        transactionId: req.body.transactionId,
+        note: req.body.note,
+        session
+      });
+    });
+    res.json({ message: 'Payment approved, subscription activated', data: sub });
+  } catch (err) {
+    console.error('Approve payment error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to approve payment' });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// POST /api/superadmin/pending-payments/:id/reject  { reason }
+exports.rejectPayment = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let sub;
+    await session.withTransaction(async () => {
+      sub = await paymentApprovalService.rejectPendingPayment(req.params.id, {
+        by: req.user.id,
+        reason: req.body.reason.trim(),
+        session
+      });
+    });
+    const emailSent = await paymentApprovalService.notifyRejection(sub);
+    res.json({ message: 'Payment rejected', data: sub, emailSent });
+  } catch (err) {
+    console.error('Reject payment error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to reject payment' });
+  } finally {
+    await session.endSession();
+  }
+};
@@ -1,9 +1,11 @@
 const Plan = require('../models/Plan');
+const planCatalog = require('../services/planCatalog');
 
 // Export as named functions
+// GET /api/plans?includeInactive=true
 exports.getPlans = async (req, res) => {
   try {
-    const plans = await Plan.find({ active: true });
+    const plans = await planCatalog.listPlans({ includeInactive: req.query.includeInactive === 'true' });
     res.json(plans);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch plans' });
@@ -12,23 +14,26 @@ exports.getPlans = async (req, res) => {
 
 exports.createPlan = async (req, res) => {
   try {
+    const exists = await Plan.exists({ code: String(req.body.code).toLowerCase() });
+    if (exists) return res.status(409).json({ error: 'Plan code already exists' });
+
     const plan = new Plan(req.body);
     await plan.save();
     res.status(201).json(plan);
   } catch (error) {
-    res.status(400).json({ error: 'Failed to create plan' });
+    res.status(400).json({ error: error.message || 'Failed to create plan' });
   }
 };
 
 exports.updatePlan = async (req, res) => {
   try {
     const { id } = req.params;
-    const plan = await Plan.findByIdAndUpdate(id, req.body, { new: true });
+    // Subscriptions reference plans by code, so it can never change
+    const { code, ...changes } = req.body;
+    const plan = await Plan.findByIdAndUpdate(id, changes, { new: true, runValidators: true });
     if (!plan) return res.status(404).json({ error: 'Plan not found' });
     res.json(plan);
   } catch (error) {
     res.status(500).json({ error: 'Failed to update plan' });
   }
 };
-
-// Alt: module.exports = { getPlans, createPlan, updatePlan }; // If destructuring fails
\ No newline at end of file
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const BankStatementImport = require('../models/bankStatementImport');
+const reconciliationService = require('../services/reconciliationService');
+
+// POST /api/superadmin/reconciliation  { csv, fileName }
+exports.importStatement = async (req, res) => {
+  try {
+    const statement = await reconciliationService.importStatement({
+      csvText: req.body.csv,
+      fileName: req.body.fileName,
+      by: req.user.id
+    });
+    res.status(201).json({ message: 'Statement imported', data: statement });
+  } catch (err) {
+    console.error('Statement import error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to import statement' });
+  }
+};
+
+// GET /api/superadmin/reconciliation
+exports.listImports = async (req, res) => {
+  try {
+    const imports = await BankStatementImport.find({}, '-lines.candidates')
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json({ message: 'Fetched', data: imports });
+  } catch (err) {
+    console.error('Statement list error:', err);
+    res.status(500).json({ message: 'Failed to load statement imports' });
+  }
+};
+
+// GET /api/superadmin/reconciliation/:id — lines with candidate details
+exports.getImport = async (req, res) => {
+  try {
+    const statement = await BankStatementImport.findById(req.params.id).populate({
+      path: 'lines.candidates.subscriptionId',
+      select: 'schoolId planType finalAmount transactionId status createdAt',
+      populate: { path: 'schoolId', select: 'name code' }
+    });
+    if (!statement) return res.status(404).json({ message: 'Statement import not found' });
+    res.json({ message: 'Fetched', data: statement });
+  } catch (err) {
+    console.error('Statement fetch error:', err);
+    res.status(500).json({ message: 'Failed to load statement import' });
+  }
+};
+
+// POST /api/superadmin/reconciliation/:id/lines/:lineId/confirm  { subscriptionId? }
+exports.confirmLine = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await reconciliationService.confirmLine(req.params.id, req.params.lineId, {
+        subscriptionId: req.body.subscriptionId,
+        by: req.user.id,
+        session
+      });
+    });
+    res.json({ message: 'Payment matched, subscription activated', data: result });
+  } catch (err) {
+    console.error('Confirm match error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to confirm match' });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// POST /api/superadmin/reconciliation/:id/confirm-confident
+// Each line gets its own transaction so one failure does not block the rest
+exports.confirmConfident = async (req, res) => {
+  try {
+    const statement = await BankStatementImport.findById(req.params.id);
+    if (!statement) return res.status(404).json({ message: 'Statement import not found' });
+
+    const results = [];
+    for (const line of statement.lines.filter(l => l.status === 'confident')) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(() =>
+          reconciliationService.confirmLine(statement._id, line._id, { by: req.user.id, session })
+        );
+        results.push({ lineId: line._id, row: line.row, confirmed: true });
+      } catch (err) {
+        results.push({ lineId: line._id, row: line.row, confirmed: false, message: err.message });
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    res.json({
+      message: `${results.filter(r => r.confirmed).length} of ${results.length} matches confirmed`,
+      data: results
+    });
+  } catch (err) {
+    console.error('Bulk confirm error:', err);
+    res.status(500).json({ message: 'Failed to confirm matches' });
+  }
+};
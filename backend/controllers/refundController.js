@@ -0,0 +1,77 @@
+const refundService = require('../services/refundService');
+
+// POST /api/superadmin/subscriptions/:subscriptionId/refund
+// { amount?, reason, reference?, manual?, cancel? } — amount defaults to everything not yet refunded
+exports.refundSubscription = async (req, res) => {
+  try {
+    const { creditNote, subscription } = await refundService.refundSubscription(req.params.subscriptionId, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      reference: req.body.reference,
+      manual: req.body.manual,
+      cancel: req.body.cancel !== false,
+      by: req.user.id
+    });
+    res.status(201).json({
+      message: creditNote.refund.status === 'pending' ? 'Refund initiated; credit note issued' : 'Refund recorded; credit note issued',
+      data: {
+        creditNote,
+        subscription: {
+          _id: subscription._id,
+          status: subscription.status,
+          expiresAt: subscription.expiresAt,
+          refundedAmount: subscription.refundedAmount
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Refund error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Refund failed' });
+  }
+};
+
+// GET /api/superadmin/refund-reservations — refunds still waiting on a credit note
+exports.listRefundReservations = async (req, res) => {
+  try {
+    const reservations = await refundService.listReservations();
+    res.json({ message: 'Fetched', data: reservations });
+  } catch (err) {
+    console.error('Refund reservations error:', err);
+    res.status(500).json({ message: 'Failed to load refund reservations' });
+  }
+};
+
+// DELETE /api/superadmin/invoices/:invoiceId/refund-reservations/:reservationId  { reason }
+// Only after checking with the gateway that the refund did not go through
+exports.releaseRefundReservation = async (req, res) => {
+  try {
+    const reservation = await refundService.releaseReservation(req.params.invoiceId, req.params.reservationId, {
+      reason: req.body.reason,
+      by: req.user.id
+    });
+    res.json({ message: `₹${reservation.amount} released on the invoice`, data: reservation });
+  } catch (err) {
+    console.error('Release refund reservation error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to release refund reservation' });
+  }
+};
+
+// POST /api/superadmin/subscriptions/:subscriptionId/late-capture  { outcome: 'retry' | 'refunded', reference?, reason }
+// For a payment taken after its checkout was canceled whose refund did not go through
+exports.resolveLateCapture = async (req, res) => {
+  try {
+    const lateCapture = await refundService.resolveLateCapture(req.params.subscriptionId, {
+      outcome: req.body.outcome,
+      reference: req.body.reference,
+      reason: req.body.reason,
+      by: req.user.id
+    });
+    res.json({
+      message: req.body.outcome === 'retry' ? 'Refund will be retried on the next reconcile run' : 'Refund recorded',
+      data: lateCapture
+    });
+  } catch (err) {
+    console.error('Resolve late capture error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to resolve late payment' });
+  }
+};
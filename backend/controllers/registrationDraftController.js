@@ -0,0 +1,56 @@
+const registrationDraftService = require('../services/registrationDraftService');
+
+// GET /api/superadmin/registration-drafts — the caller's own drafts
+exports.listDrafts = async (req, res) => {
+  try {
+    const drafts = await registrationDraftService.listDrafts(req.user.id);
+    res.json({ message: 'Fetched', data: drafts, ttlDays: registrationDraftService.TTL_DAYS });
+  } catch (err) {
+    console.error('Registration drafts error:', err);
+    res.status(500).json({ message: 'Failed to load drafts' });
+  }
+};
+
+// GET /api/superadmin/registration-drafts/:id
+exports.getDraft = async (req, res) => {
+  try {
+    const draft = await registrationDraftService.getDraft(req.params.id, req.user.id);
+    res.json({ message: 'Fetched', data: draft });
+  } catch (err) {
+    console.error('Registration draft fetch error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load draft' });
+  }
+};
+
+// POST /api/superadmin/registration-drafts  { step, data, pendingSchoolId? }
+exports.createDraft = async (req, res) => {
+  try {
+    const draft = await registrationDraftService.createDraft(req.body, { by: req.user.id });
+    res.status(201).json({ message: 'Draft saved', data: draft });
+  } catch (err) {
+    console.error('Registration draft save error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to save draft' });
+  }
+};
+
+// PUT /api/superadmin/registration-drafts/:id  { step?, data?, pendingSchoolId? }
+exports.updateDraft = async (req, res) => {
+  try {
+    const draft = await registrationDraftService.updateDraft(req.params.id, req.body, { by: req.user.id });
+    res.json({ message: 'Draft saved', data: draft });
+  } catch (err) {
+    console.error('Registration draft save error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to save draft' });
+  }
+};
+
+// DELETE /api/superadmin/registration-drafts/:id
+exports.deleteDraft = async (req, res) => {
+  try {
+    await registrationDraftService.deleteDraft(req.params.id, req.user.id);
+    res.json({ message: 'Draft deleted' });
+  } catch (err) {
+    console.error('Registration draft delete error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to delete draft' });
+  }
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const schoolAdminService = require('../services/schoolAdminService');
+
+// Runs fn in a transaction and returns what it returned
+const inTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// GET /api/schools/:id/admins — admin accounts plus the plan's allowance
+exports.listAdmins = async (req, res) => {
+  try {
+    const data = await schoolAdminService.listAdmins(req.params.id);
+    res.json({ message: 'Fetched', data });
+  } catch (err) {
+    console.error('List school admins error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load admins' });
+  }
+};
+
+// POST /api/schools/:id/admins  { name, username, email, phoneNumber }
+exports.addAdmin = async (req, res) => {
+  try {
+    const { school, admin } = await inTransaction(session =>
+      schoolAdminService.addAdmin(req.params.id, req.body, { by: req.user.id, session })
+    );
+    const emailSent = await schoolAdminService.sendSetPasswordLink({ school, admin });
+    res.status(201).json({
+      message: emailSent ? 'Admin added; set-password link sent' : 'Admin added, but the set-password email failed; resend it',
+      data: { _id: admin._id },
+      emailSent
+    });
+  } catch (err) {
+    console.error('Add school admin error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to add admin' });
+  }
+};
+
+// POST /api/schools/:id/admins/:adminId/resend-link
+exports.resendSetPasswordLink = async (req, res) => {
+  try {
+    const { school, admin } = await inTransaction(session =>
+      schoolAdminService.issueSetPasswordLink(req.params.id, req.params.adminId, { by: req.user.id, session })
+    );
+    const emailSent = await schoolAdminService.sendSetPasswordLink({ school, admin });
+    res.status(emailSent ? 200 : 502).json({
+      message: emailSent ? `Set-password link sent to ${admin.email}` : 'Failed to send the set-password email',
+      emailSent
+    });
+  } catch (err) {
+    console.error('Resend admin link error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to resend link' });
+  }
+};
+
+// PATCH /api/schools/:id/admins/:adminId  { email?, phoneNumber? }
+exports.updateAdminContact = async (req, res) => {
+  try {
+    const admin = await inTransaction(session =>
+      schoolAdminService.updateAdminContact(req.params.id, req.params.adminId, req.body, { by: req.user.id, session })
+    );
+    res.json({ message: 'Admin updated', data: { _id: admin._id, email: admin.email, phoneNumber: admin.phoneNumber } });
+  } catch (err) {
+    console.error('Update school admin error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to update admin' });
+  }
+};
+
+// POST /api/schools/:id/admins/:adminId/deactivate|reactivate  { reason }
+const setStatus = (active) => async (req, res) => {
+  try {
+    const admin = await inTransaction(session =>
+      schoolAdminService.setAdminStatus(req.params.id, req.params.adminId, active, {
+        reason: req.body.reason.trim(),
+        by: req.user.id,
+        session
+      })
+    );
+    res.json({ message: active ? 'Admin reactivated' : 'Admin deactivated', data: { _id: admin._id, status: admin.status } });
+  } catch (err) {
+    console.error('School admin status error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to change admin status' });
+  }
+};
+
+exports.deactivateAdmin = setStatus(false);
+exports.reactivateAdmin = setStatus(true);
@@ -1,15 +1,173 @@
 const axios = require('axios');
+const mongoose = require('mongoose');
 const School = require('../models/School');
+const AuditLog = require('../models/auditLogs');
+const schoolStatusService = require('../services/schoolStatusService');
+const schoolListService = require('../services/schoolListService');
+const schoolOnboardingService = require('../services/schoolOnboardingService');
 const { sendEmail } = require('../utils/email'); // For notifying new admins
+const { ADDRESS_KEYS, normalizeAddress, validateCoordinates } = require('../utils/schoolValidation');
 
+// Settings captured at registration that can be changed later (School paths).
+// The address is validated and replaced as a whole, like at registration.
+const EDITABLE_PATHS = [
+  'communication.smsSenderName',
+  'communication.emailFrom',
+  'communication.emailName',
+  'communication.emailPass',
+  'schoolTiming.openingTime',
+  'schoolTiming.closingTime',
+  'schoolTiming.lunchBreak',
+  'weeklyHolidayDay',
+  'radius',
+  'preferredChannel',
+  'contactPerson.name',
+  'contactPerson.designation',
+  'website',
+  'latitude',
+  'longitude'
+];
+// Recorded as changed in the audit log, never with their values
+const SECRET_PATHS = ['communication.emailPass'];
+
+const valueAt = (obj, path) => path.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+
+// GET /api/schools?page=&limit=&search=&planType=&status=&type=trial|paid&expiringWithin=
+//   &city=&state=&createdFrom=&createdTo=&suspended=&sortBy=&sortDir=
 exports.getAllSchools = async (req, res) => {
-  const schools = await School.find().populate('subscriptionId');
-  res.json(schools);
+  try {
+    const { schools, pagination } = await schoolListService.listSchools(req.query);
+    res.json({ message: 'Fetched', data: schools, pagination });
+  } catch (err) {
+    console.error('School list error:', err);
+    res.status(500).json({ message: 'Failed to load schools' });
+  }
+};
+
+// What a status change sends back; never the whole document (mail credentials)
+const statusSummary = (school) => ({
+  _id: school._id,
+  name: school.name,
+  state: schoolStatusService.stateOf(school),
+  suspensionReason: school.suspensionReason,
+  deletedAt: school.deletedAt,
+  purgeAfter: school.purgeAfter
+});
+
+// Runs one school status change inside a transaction
+const changeStatus = (successMessage, change) => async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await change(req.params.id, { reason: req.body.reason, by: req.user.id, session });
+    });
+    res.json({ message: successMessage, data: result instanceof School ? statusSummary(result) : result });
+  } catch (err) {
+    console.error(`${successMessage} error:`, err);
+    res.status(err.status || 500).json({ message: err.message || 'School update failed' });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// POST /api/schools/:id/suspend  { reason }
+exports.suspendSchool = changeStatus('School suspended', schoolStatusService.suspendSchool);
+// POST /api/schools/:id/reactivate  { reason }
+exports.reactivateSchool = changeStatus('School reactivated', schoolStatusService.reactivateSchool);
+// DELETE /api/schools/:id  { reason } — soft delete; restorable until purgeAfter
+exports.deleteSchool = changeStatus('School moved to trash', schoolStatusService.softDeleteSchool);
+// POST /api/schools/:id/restore  { reason }
+exports.restoreSchool = changeStatus('School restored', schoolStatusService.restoreSchool);
+// DELETE /api/schools/:id/purge  { reason } — only once the retention window has passed
+exports.purgeSchool = changeStatus('School purged', schoolStatusService.purgeSchool);
+
+// GET /api/schools/trash
+exports.listTrash = async (req, res) => {
+  try {
+    const schools = await schoolStatusService.listTrash();
+    res.json({ message: 'Trash retrieved', data: schools, retentionDays: schoolStatusService.RETENTION_DAYS });
+  } catch (err) {
+    console.error('List trash error:', err);
+    res.status(500).json({ message: 'Failed to load deleted schools' });
+  }
 };
 
-exports.deleteSchool = async (req, res) => {
-  const { id } = req.params;
-  await School.findByIdAndDelete(id);
-  // Optional: Call admin API to soft-delete
-  res.json({ message: 'School deleted' });
-};
\ No newline at end of file
+// POST /api/schools/:id/onboarding/:step/retry — welcome_email, whatsapp or notification
+exports.retryOnboardingStep = async (req, res) => {
+  try {
+    const onboarding = await schoolOnboardingService.retryStep(req.params.id, req.params.step, { by: req.user.id });
+    const step = onboarding.steps.find(s => s.name === req.params.step);
+    res.status(step.status === 'done' ? 200 : 502).json({
+      message: step.status === 'done' ? 'Step completed' : `Step failed again: ${step.lastError}`,
+      data: onboarding
+    });
+  } catch (err) {
+    console.error('Retry onboarding step error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to retry step' });
+  }
+};
+
+// PATCH /api/schools/:id — edit profile settings; the old and new values go to the audit log
+exports.updateSchool = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const incoming = {};
+    for (const path of EDITABLE_PATHS) {
+      const value = valueAt(req.body, path);
+      if (value !== undefined) incoming[path] = value;
+    }
+    if (req.body.address !== undefined) {
+      const address = normalizeAddress(req.body.address);
+      for (const key of ADDRESS_KEYS) incoming[`address.${key}`] = address[key];
+    }
+    if (!Object.keys(incoming).length) throw { status: 400, message: 'Nothing to update' };
+
+    let school;
+    let changes;
+    await session.withTransaction(async () => {
+      // Fresh on every attempt: a retried transaction must not keep the last one's diff
+      changes = {};
+      school = await School.findById(req.params.id).session(session);
+      if (!school) throw { status: 404, message: 'School not found' };
+      if (school.deletedAt) throw { status: 409, message: 'School is deleted; restore it first' };
+      if ('latitude' in incoming || 'longitude' in incoming) {
+        // One coordinate alone is checked against the other one already stored
+        const latitude = 'latitude' in incoming ? incoming.latitude : school.latitude;
+        const longitude = 'longitude' in incoming ? incoming.longitude : school.longitude;
+        if (latitude == null || longitude == null) {
+          throw { status: 400, message: 'Latitude and longitude must be set together' };
+        }
+        validateCoordinates(latitude, longitude);
+      }
+
+      for (const [path, value] of Object.entries(incoming)) {
+        const previous = school.get(path);
+        if (String(previous ?? '') === String(value ?? '')) continue;
+        changes[path] = SECRET_PATHS.includes(path) ? { from: '[hidden]', to: '[hidden]' } : { from: previous ?? null, to: value };
+        school.set(path, value);
+      }
+      if (!Object.keys(changes).length) return;
+
+      await school.save({ session });
+      await new AuditLog({
+        userId: req.user.id,
+        action: 'update_school',
+        details: { schoolId: school._id, changes }
+      }).save({ session });
+    });
+
+    const { smtpConfig, ...safe } = school.toObject();
+    delete safe.communication?.emailPass;
+    res.json({
+      message: Object.keys(changes).length ? 'School updated' : 'No changes',
+      data: { school: safe, changed: Object.keys(changes) }
+    });
+  } catch (err) {
+    console.error('Update school error:', err);
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message || 'Failed to update school' });
+  } finally {
+    await session.endSession();
+  }
+};
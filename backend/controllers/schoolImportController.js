@@ -0,0 +1,93 @@
+const SchoolImport = require('../models/schoolImport');
+const schoolImportService = require('../services/schoolImportService');
+
+// GET /api/superadmin/school-imports/template
+exports.downloadTemplate = (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="school-import-template.csv"');
+  res.send(schoolImportService.templateCsv());
+};
+
+// POST /api/superadmin/school-imports  { content, fileName } — CSV text or .xlsx as base64
+exports.previewImport = async (req, res) => {
+  try {
+    const schoolImport = await schoolImportService.previewImport({
+      content: req.body.content,
+      fileName: req.body.fileName,
+      by: req.user.id
+    });
+    res.status(201).json({ message: 'File checked', data: schoolImport });
+  } catch (err) {
+    console.error('School import preview error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to read the file' });
+  }
+};
+
+// GET /api/superadmin/school-imports
+exports.listImports = async (req, res) => {
+  try {
+    const imports = await SchoolImport.find({}, '-rows.input')
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json({ message: 'Fetched', data: imports });
+  } catch (err) {
+    console.error('School import list error:', err);
+    res.status(500).json({ message: 'Failed to load imports' });
+  }
+};
+
+// GET /api/superadmin/school-imports/:id
+exports.getImport = async (req, res) => {
+  try {
+    const schoolImport = await SchoolImport.findById(req.params.id);
+    if (!schoolImport) return res.status(404).json({ message: 'Import not found' });
+    res.json({ message: 'Fetched', data: schoolImport });
+  } catch (err) {
+    console.error('School import fetch error:', err);
+    res.status(500).json({ message: 'Failed to load import' });
+  }
+};
+
+// POST /api/superadmin/school-imports/:id/confirm  { rowIds? }
+// Schools are created in the background; the job picks up anything this run does not finish
+exports.confirmImport = async (req, res) => {
+  try {
+    const schoolImport = await schoolImportService.confirmImport(req.params.id, {
+      rowIds: req.body.rowIds,
+      by: req.user.id
+    });
+    res.status(202).json({ message: `${schoolImport.summary.queued} schools queued for creation`, data: schoolImport });
+    schoolImportService.runImports().catch(err => console.error('School import run failed:', err));
+  } catch (err) {
+    console.error('School import confirm error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to confirm import' });
+  }
+};
+
+// POST /api/superadmin/school-imports/:id/retry-emails
+exports.retryWelcomes = async (req, res) => {
+  try {
+    const result = await schoolImportService.retryWelcomes(req.params.id);
+    res.json({ message: `${result.requeued} welcome emails queued again`, data: result });
+    if (result.requeued) {
+      schoolImportService.runImports().catch(err => console.error('School import run failed:', err));
+    }
+  } catch (err) {
+    console.error('School import retry error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to queue emails' });
+  }
+};
+
+// GET /api/superadmin/school-imports/:id/report — CSV, one line per sheet row
+exports.downloadReport = async (req, res) => {
+  try {
+    const schoolImport = await SchoolImport.findById(req.params.id);
+    if (!schoolImport) return res.status(404).json({ message: 'Import not found' });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="school-import-${schoolImport._id}.csv"`);
+    res.send(schoolImportService.reportCsv(schoolImport));
+  } catch (err) {
+    console.error('School import report error:', err);
+    res.status(500).json({ message: 'Failed to build report' });
+  }
+};
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const schoolRequestService = require('../services/schoolRequestService');
+
+// POST /api/auth/school-requests — public, OTP-verified
+exports.submitRequest = async (req, res) => {
+  try {
+    const request = await schoolRequestService.submitRequest(req.body);
+    res.status(201).json({
+      message: 'Thank you! Our team will contact you shortly.',
+      data: { id: request._id, status: request.status }
+    });
+  } catch (err) {
+    console.error('School request error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to send request' });
+  }
+};
+
+// GET /api/superadmin/school-requests?status=pending
+exports.listRequests = async (req, res) => {
+  try {
+    const requests = await schoolRequestService.listRequests({ status: req.query.status });
+    res.json({ message: 'Fetched', data: requests });
+  } catch (err) {
+    console.error('School requests error:', err);
+    res.status(500).json({ message: 'Failed to load requests' });
+  }
+};
+
+// GET /api/superadmin/school-requests/:id — also used to prefill registration
+exports.getRequest = async (req, res) => {
+  try {
+    const request = await schoolRequestService.getRequest(req.params.id);
+    res.json({ message: 'Fetched', data: request });
+  } catch (err) {
+    console.error('School request fetch error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load request' });
+  }
+};
+
+// POST /api/superadmin/school-requests/:id/approve
+exports.approveRequest = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let request;
+    await session.withTransaction(async () => {
+      request = await schoolRequestService.approveRequest(req.params.id, { by: req.user.id, session });
+    });
+    res.json({ message: 'Request approved', data: request });
+  } catch (err) {
+    console.error('Approve school request error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to approve request' });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// POST /api/superadmin/school-requests/:id/reject  { reason }
+exports.rejectRequest = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let request;
+    await session.withTransaction(async () => {
+      request = await schoolRequestService.rejectRequest(req.params.id, {
+        by: req.user.id,
+        reason: req.body.reason.trim(),
+        session
+      });
+    });
+    const emailSent = await schoolRequestService.notifyRejection(request);
+    res.json({ message: 'Request rejected', data: request, emailSent });
+  } catch (err) {
+    console.error('Reject school request error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to reject request' });
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const subscriptionService = require('../services/subscriptionService');
+const trialService = require('../services/trialService');
+
+// Runs a subscription write for one school inside a transaction.
+// /activate-trial predates the per-school routes and sends schoolId in the body.
+const withSchoolTransaction = async (req, res, successMessage, work) => {
+  const session = await mongoose.startSession();
+  try {
+    let subscription;
+    await session.withTransaction(async () => {
+      const school = await School.findById(req.params.schoolId || req.body.schoolId).session(session);
+      if (!school) throw { status: 404, message: 'School not found' };
+      subscription = await work(school, session);
+    });
+    res.json({ message: successMessage, data: subscription });
+  } catch (err) {
+    console.error(`${successMessage} error:`, err);
+    res.status(err.status || 500).json({ message: err.message || 'Subscription update failed' });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// POST /api/superadmin/schools/:schoolId/subscription/renew
+exports.renewSubscription = (req, res) =>
+  withSchoolTransaction(req, res, 'Subscription renewed', (school, session) =>
+    subscriptionService.renewSubscription(school._id, {
+      planType: req.body.planType,
+      paymentMethod: req.body.paymentMethod,
+      transactionId: req.body.transactionId,
+      couponCode: req.body.couponCode,
+      by: req.user.id,
+      session
+    })
+  );
+
+// POST /api/superadmin/schools/:schoolId/subscription/upgrade
+exports.upgradeSubscription = (req, res) =>
+  withSchoolTransaction(req, res, 'Subscription upgraded', (school, session) =>
+    subscriptionService.changePlan(school._id, {
+      planType: req.body.planType,
+      direction: 'upgrade',
+      paymentMethod: req.body.paymentMethod,
+      transactionId: req.body.transactionId,
+      couponCode: req.body.couponCode,
+      by: req.user.id,
+      session
+    })
+  );
+
+// POST /api/superadmin/schools/:schoolId/subscription/downgrade  { effective?: 'now' | 'term_end' }
+exports.downgradeSubscription = (req, res) => req.body.effective === 'term_end'
+  ? withSchoolTransaction(req, res, 'Downgrade scheduled', (school, session) =>
+    subscriptionService.scheduleSubscription(school._id, {
+      planType: req.body.planType,
+      startOn: 'term_end',
+      direction: 'downgrade',
+      paymentMethod: req.body.paymentMethod,
+      transactionId: req.body.transactionId,
+      couponCode: req.body.couponCode,
+      by: req.user.id,
+      session
+    })
+  )
+  : withSchoolTransaction(req, res, 'Subscription downgraded', (school, session) =>
+    subscriptionService.changePlan(school._id, {
+      planType: req.body.planType,
+      direction: 'downgrade',
+      paymentMethod: req.body.paymentMethod,
+      transactionId: req.body.transactionId,
+      couponCode: req.body.couponCode,
+      by: req.user.id,
+      session
+    })
+  );
+
+// POST /api/superadmin/schools/:schoolId/boosts
+exports.addBoost = (req, res) =>
+  withSchoolTransaction(req, res, 'Boost added', (school, session) =>
+    subscriptionService.addBoost(school._id, {
+      planType: req.body.planType,
+      paymentMethod: req.body.paymentMethod,
+      transactionId: req.body.transactionId,
+      couponCode: req.body.couponCode,
+      by: req.user.id,
+      session
+    })
+  );
+
+// POST /api/superadmin/schools/:schoolId/subscription/schedule
+// { planType, startsAt? | startOn?: 'academic_year' | 'term_end', ... }
+exports.scheduleSubscription = (req, res) =>
+  withSchoolTransaction(req, res, 'Subscription scheduled', (school, session) =>
+    subscriptionService.scheduleSubscription(school._id, {
+      planType: req.body.planType,
+      startsAt: req.body.startsAt,
+      startOn: req.body.startOn,
+      paymentMethod: req.body.paymentMethod,
+      transactionId: req.body.transactionId,
+      couponCode: req.body.couponCode,
+      by: req.user.id,
+      session
+    })
+  );
+
+// DELETE /api/superadmin/schools/:schoolId/subscription/scheduled/:subscriptionId
+// data.refundDue is still owed to the school; refund it through /subscriptions/:id/refund
+exports.cancelScheduledSubscription = (req, res) =>
+  withSchoolTransaction(req, res, 'Scheduled plan canceled', (school, session) =>
+    subscriptionService.cancelScheduledSubscription(school._id, req.params.subscriptionId, {
+      by: req.user.id,
+      reason: req.body?.reason,
+      session
+    })
+  );
+
+// POST /api/superadmin/activate-trial  { schoolId, reason? }
+exports.activateTrial = (req, res) =>
+  withSchoolTransaction(req, res, 'Trial activated', (school, session) =>
+    trialService.activateTrial(school._id, { by: req.user.id, reason: req.body.reason, session })
+  );
+
+// POST /api/superadmin/schools/:schoolId/trial/extend  { days, reason }
+exports.extendTrial = (req, res) =>
+  withSchoolTransaction(req, res, 'Trial extended', (school, session) =>
+    trialService.extendTrial(school._id, { days: req.body.days, reason: req.body.reason, by: req.user.id, session })
+  );
+
+// GET /api/superadmin/schools/:schoolId/trial
+exports.getTrial = async (req, res) => {
+  try {
+    res.json({ message: 'Trial retrieved', data: await trialService.getTrial(req.params.schoolId) });
+  } catch (err) {
+    console.error('Get trial error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load trial' });
+  }
+};
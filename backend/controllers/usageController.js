@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const usageService = require('../services/usageService');
+
+// POST /api/usage/reserve { channel, count } — called by the school app before sending
+exports.reserveQuota = async (req, res) => {
+  try {
+    const quota = await usageService.reserveQuota(req.school._id, {
+      channel: req.body.channel,
+      count: Number(req.body.count)
+    });
+    res.json({ message: 'Quota reserved', data: quota });
+  } catch (err) {
+    if (err.status === 429) {
+      const { status, message, ...quota } = err;
+      return res.status(429).json({ message, data: { granted: 0, ...quota } });
+    }
+    console.error('Quota reserve error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to reserve quota' });
+  }
+};
+
+// GET /api/usage — remaining quota per channel for the calling school
+exports.getQuota = async (req, res) => {
+  try {
+    const quota = await usageService.getQuota(req.school._id);
+    res.json({ message: 'Fetched', data: quota });
+  } catch (err) {
+    console.error('Quota fetch error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load quota' });
+  }
+};
+
+// GET /api/superadmin/usage?period=2025-10&minPercent=80
+exports.listUsage = async (req, res) => {
+  try {
+    const period = req.query.period || usageService.usagePeriod();
+    const rows = await usageService.listPeriodUsage({ period, minPercent: Number(req.query.minPercent) || 0 });
+    res.json({ message: 'Fetched', data: rows, period });
+  } catch (err) {
+    console.error('Usage list error:', err);
+    res.status(500).json({ message: 'Failed to load usage' });
+  }
+};
+
+// GET /api/superadmin/schools/:schoolId/usage?months=12
+exports.getSchoolUsage = async (req, res) => {
+  try {
+    const schoolId = new mongoose.Types.ObjectId(req.params.schoolId);
+    const history = await usageService.getHistory(schoolId, { months: Math.min(Number(req.query.months) || 12, 36) });
+    const current = await usageService.getQuota(schoolId).catch(err => {
+      if (err.status === 402) return null; // no live plan: history only
+      throw err;
+    });
+    res.json({ message: 'Fetched', data: { current, history } });
+  } catch (err) {
+    console.error('School usage error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load usage' });
+  }
+};
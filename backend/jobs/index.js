@@ -0,0 +1,17 @@
+// Scheduled jobs, by name. Run through /api/jobs/:name (Vercel cron)
+// or `npm run job -- <name>` from a server crontab.
+const { runLifecycle } = require('../services/subscriptionLifecycleService');
+const { runAutoRenew } = require('../services/autoRenewService');
+const { purgeExpired } = require('../services/schoolStatusService');
+const { runImports } = require('../services/schoolImportService');
+const { reconcileRefunds } = require('../services/refundService');
+
+module.exports = {
+  'subscription-lifecycle': () => runLifecycle(),
+  'auto-renew': () => runAutoRenew(),
+  'school-purge': () => purgeExpired(),
+  // Bulk onboarding: create confirmed rows, then the next batch of welcome emails
+  'school-import': () => runImports(),
+  // Credit notes for refunds the gateway took but the request failed to record
+  'refund-reconcile': () => reconcileRefunds()
+};
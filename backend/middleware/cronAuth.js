@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Vercel cron sends `Authorization: Bearer <CRON_SECRET>`; manual triggers must do the same
+module.exports = (req, res, next) => {
+  const secret = process.env.CRON_SECRET?.trim();
+  if (!secret) {
+    return res.status(503).json({ error: 'CRON_SECRET not configured' });
+  }
+
+  const token = (req.headers.authorization || '').replace('Bearer ', '').trim();
+  // Digests are always the same length, so any token (even multibyte) compares safely
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const valid = crypto.timingSafeEqual(digest(token), digest(secret));
+
+  if (!valid) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+  next();
+};
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const School = require('../models/School');
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// School apps call us with `X-School-Key: <key>` issued from the superadmin panel
+const schoolApiAuth = async (req, res, next) => {
+  const key = (req.header('X-School-Key') || '').trim();
+  if (!key) return res.status(401).json({ error: 'No school key' });
+
+  try {
+    const school = await School.findOne({ apiKeyHash: hashApiKey(key) }).select('_id name code status').lean();
+    if (!school) return res.status(401).json({ error: 'Invalid school key' });
+    if (!school.status) return res.status(403).json({ error: 'School is inactive' });
+
+    req.school = school;
+    next();
+  } catch (err) {
+    console.error('School key check error:', err);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+module.exports = schoolApiAuth;
+module.exports.hashApiKey = hashApiKey;
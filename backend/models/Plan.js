@@ -1,11 +1,35 @@
 const mongoose = require('mongoose');
 
+// The plan catalog. Subscriptions store `code` as their planType and copy
+// limits/features/priority from here when they are created.
+// Boost packs (tier 'boost') live here too: their limits are a one-off
+// allowance for the boost's whole window, drawn down once the main plan's
+// monthly messages are used and never reset (services/usageService.js).
 const planSchema = new mongoose.Schema({
-  name: { type: String, required: true }, // 'basic', 'pro'
-  amount: { type: Number, required: true }, // ₹999
-  interval: { type: String, default: 'monthly' },
+  code: { type: String, required: true, unique: true, lowercase: true, trim: true }, // 'both_basic_yearly'
+  name: { type: String, required: true }, // 'Basic Yearly'
+  tier: { type: String, enum: ['trial', 'basic', 'premium', 'boost'], required: true },
+  channel: { type: String, enum: ['sms', 'whatsapp', 'both'], default: 'both' },
+  interval: { type: String, enum: ['trial', 'monthly', 'yearly', 'one_time'], default: 'monthly' },
+  durationDays: { type: Number, required: true, min: 1 },
+  maxTrialDays: { type: Number, min: 1 }, // trial tier only: cap on trial days including extensions
+  amount: { type: Number, required: true, min: 0 }, // ₹ price charged
+  originalAmount: { type: Number, min: 0 }, // ₹ list price before savings
+  smsMonthlyLimit: { type: Number, default: 0, min: 0 },
+  whatsappMonthlyLimit: { type: Number, default: 0, min: 0 },
+  maxAdmins: { type: Number, min: 1, default: null }, // admin accounts a school may have; null = unlimited
+  features: { type: [String], default: [] }, // entitlement keys: 'attendance', 'exam', ...
+  highlights: { type: [String], default: [] }, // marketing bullets for pricing pages
+  priority: { type: Number, enum: [1, 2, 3], required: function () { return this.tier !== 'boost'; } }, // 1 = Trial, 2 = Basic, 3 = Premium; unused for boosts
+  recommended: { type: Boolean, default: false },
   razorpayPlanId: String, // From Razorpay dashboard
-  active: { type: Boolean, default: true }
+  active: { type: Boolean, default: true } // false = kept for existing subscriptions, not sold
+}, { timestamps: true });
+
+planSchema.virtual('savings').get(function() {
+  return Math.max(0, (this.originalAmount || this.amount) - this.amount);
 });
 
-module.exports = mongoose.model('Plan', planSchema);
\ No newline at end of file
+planSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Plan', planSchema);
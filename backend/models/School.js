@@ -42,6 +42,12 @@ const schoolSchema = new mongoose.Schema({
       pass: { type: String }
     }
   },
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Valid GSTIN required']
+  },
   contactPerson: { 
     name: String,
     designation: String
@@ -72,7 +78,17 @@ const schoolSchema = new mongoose.Schema({
   status: { 
     type: Boolean,
     default: true
-  },
+  }, // false = locked for school apps (suspended or deleted)
+  // Suspension (services/schoolStatusService.js)
+  suspendedAt: { type: Date, default: null },
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  suspensionReason: { type: String, default: null },
+  // Soft delete: restorable until purgeAfter, then purged with its records
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  deletionReason: { type: String, default: null },
+  purgeAfter: { type: Date, default: null },
+  suspendedBeforeDelete: { type: Boolean, default: false }, // restore brings the lock back
   logo: { 
     type: String,
     default: ''
@@ -89,10 +105,22 @@ const schoolSchema = new mongoose.Schema({
     openingTime: { type: String, default: '09:00' }, // 8 AM
     closingTime: { type: String, default: '4:00' }, // 2 PM
     lunchBreak: { type: String, default: '12:00-12:30' }
-  }
-});
+  },
+
+  // Server-to-server key for the school's app (see middleware/schoolApiAuth.js).
+  // Only the SHA-256 hash is stored; the key itself is shown once when issued.
+  apiKeyHash: { type: String, select: false },
+  apiKeyPrefix: { type: String, default: null }, // first characters, to tell keys apart
+  apiKeyIssuedAt: { type: Date, default: null },
+
+  // Bumped whenever admin accounts are added, reactivated or deactivated, so
+  // concurrent changes conflict on the school instead of passing the same count
+  adminSeatsVersion: { type: Number, default: 0 }
+}, { timestamps: true });
 
 schoolSchema.index({ createdBy: 1 });
+schoolSchema.index({ deletedAt: 1, purgeAfter: 1 });
 schoolSchema.index({ mobileNo: 1 }, { unique: true });
+schoolSchema.index({ apiKeyHash: 1 }, { unique: true, partialFilterExpression: { apiKeyHash: { $type: 'string' } } });
 
 module.exports = mongoose.model('School', schoolSchema);
\ No newline at end of file
@@ -1,7 +1,7 @@
 const mongoose = require('mongoose');
 
 const auditLogSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null = system job or webhook
   action: { type: String, required: true },
   details: { type: mongoose.Schema.Types.Mixed },
   createdAt: { type: Date, default: Date.now }
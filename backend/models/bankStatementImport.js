@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One uploaded bank statement and how each credit line was matched
+// against pending bank_transfer subscriptions.
+const lineSchema = new mongoose.Schema({
+  row: Number, // 1-based row in the CSV (header excluded)
+  date: Date,
+  amount: Number, // ₹
+  narration: String,
+  utr: String,
+  status: {
+    type: String,
+    enum: ['confident', 'ambiguous', 'unmatched', 'confirmed'],
+    required: true
+  },
+  candidates: [{
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+    score: Number,
+    reasons: [String] // 'amount', 'utr', 'school_code'
+  }],
+  note: String,
+  matchedSubscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', default: null },
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  confirmedAt: Date
+});
+
+const bankStatementImportSchema = new mongoose.Schema({
+  fileName: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, required: true },
+  lines: [lineSchema],
+  skippedRows: [{ row: Number, reason: String }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+bankStatementImportSchema.virtual('summary').get(function() {
+  const count = (status) => this.lines.filter(l => l.status === status).length;
+  return {
+    total: this.lines.length,
+    confident: count('confident'),
+    ambiguous: count('ambiguous'),
+    unmatched: count('unmatched'),
+    confirmed: count('confirmed'),
+    skipped: this.skippedRows.length
+  };
+});
+
+bankStatementImportSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('BankStatementImport', bankStatementImportSchema);
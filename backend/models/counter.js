@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. 'invoice:2025-26'. Incremented atomically with $inc.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
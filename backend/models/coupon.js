@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // 'DIWALI25'
+  description: String,
+  discountType: { type: String, enum: ['percent', 'flat'], required: true },
+  discountValue: { type: Number, required: true, min: 0 }, // % or ₹
+  maxDiscount: { type: Number, min: 0, default: null }, // ₹ cap for percent coupons
+  expiresAt: { type: Date, default: null }, // null = never
+  maxRedemptions: { type: Number, min: 1, default: null }, // null = unlimited
+  perSchoolLimit: { type: Number, min: 1, default: 1 },
+  redemptionCount: { type: Number, default: 0 },
+  applicablePlanTypes: { type: [String], default: [] }, // Plan codes; empty = every paid plan
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, default: null }
+}, { timestamps: true });
+
+couponSchema.path('discountValue').validate(function(value) {
+  return this.discountType !== 'percent' || value <= 100;
+}, 'Percentage discount cannot exceed 100');
+
+module.exports = mongoose.model('Coupon', couponSchema);
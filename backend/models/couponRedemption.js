@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One row per coupon use; the per-school limit is counted from here
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true },
+  planType: String,
+  discountAmount: { type: Number, required: true },
+  redeemedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  redeemedAt: { type: Date, default: Date.now }
+});
+
+couponRedemptionSchema.index({ couponId: 1, schoolId: 1 });
+couponRedemptionSchema.index({ subscriptionId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// GST credit note issued when a paid subscription is refunded. Reverses part
+// or all of one invoice; parties and tax split are copied from that invoice.
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: { type: String, required: true, unique: true }, // 'EDG/CN/2025-26/00007'
+  financialYear: { type: String, required: true },
+  sequence: { type: Number, required: true },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+  invoiceNumber: { type: String, required: true },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true },
+  issuedAt: { type: Date, default: Date.now },
+  seller: { type: mongoose.Schema.Types.Mixed },
+  buyer: { type: mongoose.Schema.Types.Mixed },
+  placeOfSupply: String,
+  supplyType: { type: String, enum: ['intra_state', 'inter_state'], required: true },
+  reason: { type: String, required: true },
+  // All amounts in ₹ incl. GST, rounded to paise
+  taxableAmount: { type: Number, required: true },
+  gstRate: { type: Number, required: true },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  totalTax: { type: Number, required: true },
+  totalAmount: { type: Number, required: true },
+  // How the money went back
+  refund: {
+    method: { type: String, enum: ['gateway', 'manual'], required: true },
+    provider: { type: String, default: null }, // services/payments key for gateway refunds
+    gatewayRefundId: { type: String, default: null },
+    status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+    reference: { type: String, default: null }, // UTR of a manual bank refund
+    processedAt: { type: Date, default: null }
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+creditNoteSchema.index({ invoiceId: 1 });
+creditNoteSchema.index({ schoolId: 1, issuedAt: -1 });
+creditNoteSchema.index({ 'refund.gatewayRefundId': 1 }, { sparse: true });
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
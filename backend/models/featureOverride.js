@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A superadmin's grant or revocation of one feature for one school, on top
+// of what its plan gives. At most one per school and feature; the TTL index
+// removes it once expiresAt passes.
+const featureOverrideSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  feature: { type: String, required: true, lowercase: true, trim: true }, // entitlement key: 'exam', 'udise', ...
+  effect: { type: String, enum: ['grant', 'revoke'], required: true },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  reason: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+featureOverrideSchema.index({ schoolId: 1, feature: 1 }, { unique: true });
+
+module.exports = mongoose.model('FeatureOverride', featureOverrideSchema);
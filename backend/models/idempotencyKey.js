@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A client-supplied key for a request that must not run twice. While the
+// request runs the key is `processing`; once it commits, the response is
+// kept so a retry with the same key gets it back instead of a duplicate.
+const idempotencyKeySchema = new mongoose.Schema({
+  scope: { type: String, required: true }, // which operation, e.g. 'register_school'
+  key: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  requestHash: { type: String, required: true }, // a reused key must carry the same body
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  resourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  response: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, createdBy: 1, key: 1 }, { unique: true });
+// Keys are honoured for a day
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
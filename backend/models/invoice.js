@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  country: String,
+  postalCode: String
+}, { _id: false });
+
+// Seller and buyer are snapshots: later edits to the school must not change
+// an invoice that has already been issued.
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  address: addressSchema,
+  state: String,
+  stateCode: String, // GST state code, e.g. '29' for Karnataka
+  email: String,
+  code: String // school code (buyer only)
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, required: true, unique: true }, // 'EDG/2025-26/00042'
+  financialYear: { type: String, required: true }, // '2025-26'
+  sequence: { type: Number, required: true },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true, unique: true },
+  issuedAt: { type: Date, default: Date.now },
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: String,
+  supplyType: { type: String, enum: ['intra_state', 'inter_state'], required: true },
+  lineItems: [{
+    description: String,
+    sacCode: String,
+    periodStart: Date,
+    periodEnd: Date,
+    quantity: { type: Number, default: 1 },
+    rate: Number, // ₹ list price incl. GST
+    discount: { type: Number, default: 0 },
+    amount: Number // ₹ charged incl. GST
+  }],
+  // All amounts in ₹, rounded to paise
+  taxableAmount: { type: Number, required: true },
+  gstRate: { type: Number, required: true }, // 18
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  totalTax: { type: Number, required: true },
+  totalAmount: { type: Number, required: true },
+  couponCode: String,
+  paymentMethod: String,
+  transactionId: String,
+  refundedAmount: { type: Number, default: 0 }, // sum of credit notes against this invoice
+  // Refunds under way but not yet on a credit note. Reserved before the
+  // gateway is called so two refunds cannot both pass the refundable check.
+  refundPendingAmount: { type: Number, default: 0 },
+  refundReservations: [{
+    amount: { type: Number, required: true },
+    provider: { type: String, default: null },
+    // 'reserved' until the gateway answers, 'refunded' once it took the refund
+    stage: { type: String, enum: ['reserved', 'refunded'], default: 'reserved' },
+    refund: { type: mongoose.Schema.Types.Mixed, default: null }, // credit note refund block, set at 'refunded'
+    reason: String,
+    cancel: { type: Boolean, default: true },
+    by: { type: mongoose.Schema.Types.ObjectId, default: null },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  status: { type: String, enum: ['paid', 'partially_refunded', 'refunded', 'cancelled'], default: 'paid' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+invoiceSchema.index({ schoolId: 1, issuedAt: -1 });
+invoiceSchema.index({ financialYear: 1, sequence: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One row per gateway webhook delivery we have processed (idempotency guard)
+const paymentEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true }, // webhook endpoint it arrived on: 'razorpay', 'phonepe', ...
+  eventId: { type: String, required: true }, // gateway event id, e.g. x-razorpay-event-id
+  event: { type: String, required: true }, // 'payment.captured', 'PAYMENT_SUCCESS'
+  orderId: { type: String },
+  paymentId: { type: String },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', default: null },
+  outcome: { type: String }, // 'activated', 'already_active', 'ignored', ...
+  payload: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
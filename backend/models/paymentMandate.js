@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A school's standing authorisation to be charged for renewals (card token,
+// UPI autopay or e-mandate). Only the gateway's references are kept here.
+const paymentMandateSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  provider: { type: String, required: true }, // key in services/payments
+  paymentMethod: {
+    type: String,
+    enum: ['razorpay', 'phonepe', 'card', 'upi'],
+    required: true
+  }, // recorded on the renewed subscription
+  customerId: { type: String, default: null }, // gateway customer, e.g. cust_...
+  token: { type: String, required: true }, // gateway token / mandate id
+  maxAmount: { type: Number, default: null }, // ₹ ceiling agreed with the bank; null = none
+  status: { type: String, enum: ['active', 'revoked'], default: 'active' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, default: null }
+}, { timestamps: true });
+
+// At most one live mandate per school
+paymentMandateSchema.index({ schoolId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model('PaymentMandate', paymentMandateSchema);
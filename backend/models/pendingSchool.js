@@ -12,7 +12,18 @@ const pendingSchoolSchema = new mongoose.Schema({
     country: String,
     postalCode: String
   },
+  // Filled in by the public request form
+  contactName: String,
+  designation: String,
+  requestType: { type: String, enum: ['demo', 'onboarding'], default: 'onboarding' },
+  studentCount: Number,
+  message: String,
+  mobileVerifiedAt: Date,
   status: { type: String, enum: ['pending', 'approved', 'rejected', 'completed'], default: 'pending' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: Date,
+  rejectionReason: String,
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', default: null }, // set on completion
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
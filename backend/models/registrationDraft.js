@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A school registration the superadmin has not finished. `data` holds the
+// wizard's form values without secrets; the document is removed by its TTL
+// index once expiresAt passes, or when the school is registered.
+const registrationDraftSchema = new mongoose.Schema({
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  step: { type: Number, min: 1, max: 3, default: 1 }, // wizard step to resume at
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  pendingSchoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'PendingSchool', default: null },
+  expiresAt: { type: Date, required: true, expires: 0 }
+}, { timestamps: true, minimize: false });
+
+registrationDraftSchema.index({ createdBy: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('RegistrationDraft', registrationDraftSchema);
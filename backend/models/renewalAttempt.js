@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One auto-renew charge attempt (services/autoRenewService.js)
+const renewalAttemptSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true }, // term being renewed
+  renewalSubscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', default: null }, // pending term charged for
+  mandateId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentMandate', default: null },
+  provider: { type: String, default: null },
+  attempt: { type: Number, required: true }, // 1-based, per term
+  planType: { type: String },
+  amount: { type: Number, default: 0 },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], required: true },
+  orderId: { type: String, default: null },
+  paymentId: { type: String, default: null },
+  failureReason: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: null }, // null = no further retries
+  emailSent: { type: Boolean, default: false },
+  attemptedAt: { type: Date, default: Date.now }
+});
+
+renewalAttemptSchema.index({ schoolId: 1, attemptedAt: -1 });
+renewalAttemptSchema.index({ subscriptionId: 1, attempt: 1 });
+renewalAttemptSchema.index({ renewalSubscriptionId: 1 });
+
+module.exports = mongoose.model('RenewalAttempt', renewalAttemptSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One uploaded spreadsheet of schools: the per-row preview, then the result
+// of creating the confirmed rows in the background.
+const rowSchema = new mongoose.Schema({
+  row: Number, // 1-based row in the sheet (header excluded)
+  input: { type: mongoose.Schema.Types.Mixed }, // registerSchool-shaped body built from the row
+  code: String, // generated at preview; regenerated if taken by creation time
+  issues: [String], // validation errors shown in the preview
+  status: {
+    type: String,
+    enum: ['valid', 'invalid', 'queued', 'skipped', 'created', 'failed'],
+    required: true
+  },
+  message: String, // why creation failed
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', default: null },
+  adminUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Welcome emails go out a few at a time after creation
+  emailStatus: { type: String, enum: ['pending', 'sending', 'sent', 'failed', null], default: null },
+  emailClaimedAt: Date, // when a run took it; a 'sending' row left this long ago is taken again
+  emailError: String,
+  emailedAt: Date
+});
+
+const schoolImportSchema = new mongoose.Schema({
+  fileName: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, required: true },
+  status: {
+    type: String,
+    enum: ['preview', 'queued', 'processing', 'completed', 'discarded'],
+    default: 'preview'
+  },
+  rows: [rowSchema],
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  confirmedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+schoolImportSchema.index({ status: 1, createdAt: 1 });
+schoolImportSchema.index({ 'rows.emailStatus': 1 });
+
+schoolImportSchema.virtual('summary').get(function() {
+  const count = (status) => this.rows.filter(r => r.status === status).length;
+  return {
+    total: this.rows.length,
+    valid: count('valid'),
+    invalid: count('invalid'),
+    queued: count('queued'),
+    skipped: count('skipped'),
+    created: count('created'),
+    failed: count('failed'),
+    emailsPending: this.rows.filter(r => ['pending', 'sending'].includes(r.emailStatus)).length,
+    emailsSent: this.rows.filter(r => r.emailStatus === 'sent').length,
+    emailsFailed: this.rows.filter(r => r.emailStatus === 'failed').length
+  };
+});
+
+schoolImportSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('SchoolImport', schoolImportSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Follow-up steps after a school is registered. They run outside the
+// registration transaction, so a failed email or WhatsApp call never undoes
+// the school; each step can be retried on its own from the detail page.
+const stepSchema = new mongoose.Schema({
+  name: { type: String, enum: ['welcome_email', 'whatsapp', 'notification'], required: true },
+  status: { type: String, enum: ['pending', 'running', 'done', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  lastAttemptAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+const schoolOnboardingSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true, unique: true },
+  adminUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  steps: [stepSchema]
+}, { timestamps: true });
+
+module.exports = mongoose.model('SchoolOnboarding', schoolOnboardingSchema);
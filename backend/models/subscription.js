@@ -1,5 +1,6 @@
 
 const mongoose = require('mongoose');
+require('./Plan');
 
 const subscriptionSchema = new mongoose.Schema({
   schoolId: { 
@@ -7,24 +8,20 @@ const subscriptionSchema = new mongoose.Schema({
     ref: 'School', 
     required: true 
   },
-  planType: { 
-  type: String, 
-  enum: [
-    'trial',
-    'sms_basic_monthly',
-    'sms_basic_yearly', 
-    'whatsapp_basic_monthly',
-    'whatsapp_basic_yearly',
-    'both_basic_monthly',
-    'both_basic_yearly',
-    'both_premium_monthly',
-    'both_premium_yearly'
-  ],
-  required: true 
-},
+  // Plan.code from the plan catalog, e.g. 'trial', 'both_basic_yearly'
+  planType: {
+    type: String,
+    required: true,
+    validate: {
+      validator: async function (code) {
+        return !!(await mongoose.model('Plan').exists({ code }));
+      },
+      message: props => `Unknown plan type: ${props.value}`
+    }
+  },
   status: { 
     type: String, 
-    enum: ['active', 'expired', 'canceled', 'pending', 'grace_period'], 
+    enum: ['active', 'expired', 'canceled', 'pending', 'grace_period', 'scheduled'], // scheduled = paid, starts at startsAt
     default: 'active' 
   },
   startsAt: { 
@@ -40,12 +37,22 @@ const subscriptionSchema = new mongoose.Schema({
   gracePeriodEnds: { 
     type: Date 
   },
-  razorpayOrderId: { type: String, default: null },
+  // Online checkout (services/payments): which gateway took the order and its id there
+  paymentProvider: { type: String, default: null }, // 'razorpay', 'phonepe', 'upi', 'card'
+  gatewayOrderId: { type: String, default: null },
+  razorpayOrderId: { type: String, default: null }, // before gatewayOrderId; still matched on webhooks
 
   autoRenew: {
     type: Boolean,
     default: false
   },
+  // Auto-renew charge attempts for this term (services/autoRenewService.js)
+  dunning: {
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    exhaustedAt: { type: Date, default: null } // retries used up; moved to grace period
+  },
 
   paymentMethod: { 
     type: String, 
@@ -62,6 +69,14 @@ const subscriptionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  couponCode: { type: String, default: null }, // share of discountAmount from a coupon is in CouponRedemption
+  // Boost pack stacked on the main plan: adds its messageLimits while active,
+  // never replaces the main plan and expires without a grace period
+  isTemporaryBoost: { type: Boolean, default: false },
+  // Manual payment review (bank transfers)
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  reviewedAt: { type: Date, default: null },
+  rejectionReason: { type: String, default: null },
   testMode: { type: Boolean, default: false },
   createdAt: { 
     type: Date, 
@@ -90,6 +105,17 @@ const subscriptionSchema = new mongoose.Schema({
     type: Number, 
     required: true 
   },
+  refundedAmount: { type: Number, default: 0 }, // ₹ returned through credit notes
+  // A gateway payment captured after this checkout was canceled; it is
+  // refunded in full (services/refundService.js refundLateCapture)
+  lateCapture: {
+    paymentId: { type: String, default: null },
+    amount: { type: Number, default: null },
+    capturedAt: { type: Date, default: null },
+    refundStatus: { type: String, enum: ['due', 'refunding', 'refunded', 'failed', null], default: null },
+    refundId: { type: String, default: null },
+    lastError: { type: String, default: null }
+  },
   // Track usage for fair usage policy
   messageLimits: {
     smsMonthly: { type: Number, default: 0 },  // e.g., 1000 for basic
@@ -108,19 +134,21 @@ const subscriptionSchema = new mongoose.Schema({
     default:1 
     },
 
+  // Every status change, oldest first (see transitionTo)
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    reason: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId, default: null } // null = system job
+  }],
+
+  // Copied from the plan when the subscription is created
   features: {
     type: [String],
-    default: function () {
-      const base = ['login', 'attendance', 'fees', 'notifications'];
-      if (this.planType === 'trial') return base;
-      if (this.planType.includes('basic')) return base;
-      if (this.planType.includes('premium')) {
-        return [...base, 'exam', 'udise', 'results', 'reports', 'analytics'];
-      }
-      return base;
-    }
+    default: []
   }
-});
+}, { optimisticConcurrency: true });
 
 // Virtual for days remaining
 subscriptionSchema.virtual('daysRemaining').get(function() {
@@ -143,8 +171,22 @@ subscriptionSchema.methods.isActive = function() {
          (this.status === 'grace_period' && now <= this.gracePeriodEnds);
 };
 
+// Change status and record the transition; caller saves the document
+subscriptionSchema.methods.transitionTo = function(status, { reason, by = null, at = new Date() } = {}) {
+  if (this.status === status) return this;
+  this.statusHistory.push({ from: this.status, to: status, at, reason, by });
+  this.status = status;
+  this.updatedAt = at;
+  return this;
+};
+
 subscriptionSchema.index({ schoolId: 1, status: 1 });
+subscriptionSchema.index({ schoolId: 1, isTemporaryBoost: 1, status: 1, expiresAt: 1 });
+subscriptionSchema.index({ status: 1, gracePeriodEnds: 1 });
 subscriptionSchema.index({ expiresAt: 1 });
+subscriptionSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+subscriptionSchema.index({ gatewayOrderId: 1 }, { sparse: true });
 subscriptionSchema.index({ status: 1, expiresAt: 1 });
+subscriptionSchema.index({ status: 1, startsAt: 1 });
 
 module.exports = mongoose.model('Subscription', subscriptionSchema);
\ No newline at end of file
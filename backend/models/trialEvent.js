@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A school's trial history: the one trial it was granted and every extension
+// after that. The unique index below is what stops a school collecting a
+// second fresh trial once its first has expired.
+const trialEventSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true },
+  type: { type: String, enum: ['granted', 'extended'], required: true },
+  days: { type: Number, required: true, min: 1 }, // days added by this event
+  totalDays: { type: Number, required: true }, // trial days granted so far, this event included
+  expiresAt: { type: Date, required: true }, // trial end after this event
+  reason: { type: String, default: null },
+  source: { type: String, enum: ['superadmin', 'registration'], default: 'superadmin' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+trialEventSchema.index({ schoolId: 1, createdAt: 1 });
+// One fresh trial per school, ever
+trialEventSchema.index({ schoolId: 1 }, { unique: true, partialFilterExpression: { type: 'granted' } });
+
+module.exports = mongoose.model('TrialEvent', trialEventSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One row per school per calendar month (IST). The live counters sit on the
+// subscription; this is the history kept after they roll over.
+const channelUsage = {
+  used: { type: Number, default: 0 },
+  limit: { type: Number, default: 0 }, // limit of the plan that last reserved
+  rejected: { type: Number, default: 0 } // messages refused for lack of quota
+};
+
+const usagePeriodSchema = new mongoose.Schema({
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  period: { type: String, required: true }, // '2025-10'
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', default: null },
+  planType: { type: String, default: null },
+  sms: channelUsage,
+  whatsapp: channelUsage
+}, { timestamps: true });
+
+usagePeriodSchema.index({ schoolId: 1, period: -1 }, { unique: true });
+usagePeriodSchema.index({ period: 1 });
+
+module.exports = mongoose.model('UsagePeriod', usagePeriodSchema);
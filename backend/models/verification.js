@@ -11,7 +11,7 @@ const verificationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'expired', 'failed'],
+    enum: ['pending', 'verified', 'approved', 'expired', 'failed'],
     default: 'pending'
   },
   createdAt: {
@@ -6,6 +6,7 @@ const { body } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware.js');
 const isSuperAdmin = require('../middleware/isSuperAdmin.js');
 const { resetPassword } = require('../controllers/auth/resetPassword.js');
+const { submitRequest } = require('../controllers/schoolRequestController');
 const VerificationSchema = require('../models/verification'); // Keep if used below
 const twilio = require('twilio');
 const rateLimit = require('express-rate-limit'); // Add for OTP spam protection
@@ -19,6 +20,13 @@ const otpLimiter = rateLimit({
   message: { error: 'Too many OTP requests, try again later' }
 });
 
+// Public school signup requests (per IP, 5/hour)
+const schoolRequestLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: { message: 'Too many requests, try again later' }
+});
+
 router.post('/login', login);
 router.post('/reset-password', resetPassword);
 
@@ -46,6 +54,27 @@ router.post(
   registerSchool
 );
 
+router.post(
+  '/school-requests',
+  schoolRequestLimiter,
+  validateRequest([
+    body('name').isString().trim().notEmpty().withMessage('School name is required'),
+    body('contactName').isString().trim().notEmpty().withMessage('Contact name is required'),
+    body('designation').optional().isString().isLength({ max: 100 }),
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('mobileNo').matches(/^\+?[1-9]\d{9,14}$/).withMessage('Valid mobile number is required'),
+    body('requestType').optional().isIn(['demo', 'onboarding']),
+    body('studentCount').optional({ values: 'falsy' }).isInt({ min: 1, max: 100000 }).withMessage('Student count must be a number'),
+    body('message').optional().isString().isLength({ max: 2000 }),
+    body('address.city').isString().trim().notEmpty().withMessage('City is required'),
+    body('address.state').isString().trim().notEmpty().withMessage('State is required'),
+    body('address.street').optional().isString(),
+    body('address.country').optional().isString(),
+    body('address.postalCode').optional().isString()
+  ]),
+  submitRequest
+);
+
 // Twilio init (move to app.js ideally, but keep here for now)
 let twilioClient;
 try {
@@ -0,0 +1,12 @@
+const express = require('express');
+const schoolApiAuth = require('../middleware/schoolApiAuth');
+const { getOwnEntitlements } = require('../controllers/entitlementController');
+
+const router = express.Router();
+
+// Called by school apps, not the superadmin panel
+router.use(schoolApiAuth);
+
+router.get('/', getOwnEntitlements);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const isSuperAdmin = require('../middleware/isSuperAdmin');
+const {
+  listInvoices,
+  getInvoice,
+  downloadInvoicePdf,
+  listCreditNotes,
+  downloadCreditNotePdf
+} = require('../controllers/invoiceController');
+
+const router = express.Router();
+
+router.use(authMiddleware, isSuperAdmin);
+
+router.get('/', listInvoices);
+// Before /:id so 'credit-notes' is not taken for an invoice id
+router.get('/credit-notes', listCreditNotes);
+router.get('/credit-notes/:id/pdf', downloadCreditNotePdf);
+router.get('/:id', getInvoice);
+router.get('/:id/pdf', downloadInvoicePdf);
+
+module.exports = router;
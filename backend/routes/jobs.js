@@ -0,0 +1,23 @@
+const express = require('express');
+const cronAuth = require('../middleware/cronAuth');
+const jobs = require('../jobs');
+
+const router = express.Router();
+
+router.use(cronAuth);
+
+// GET for Vercel cron, POST for manual runs
+router.all('/:job', async (req, res) => {
+  const job = jobs[req.params.job];
+  if (!job) return res.status(404).json({ message: `Unknown job: ${req.params.job}` });
+
+  try {
+    const result = await job();
+    res.json({ message: 'Job completed', job: req.params.job, data: result });
+  } catch (err) {
+    console.error(`Job ${req.params.job} failed:`, err);
+    res.status(500).json({ message: 'Job failed', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const isSuperAdmin = require('../middleware/isSuperAdmin');
+const validateRequest = require('../middleware/validateRequest');
+const { providers } = require('../services/payments');
+const { createOrder, handleWebhook, getOrderStatus } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+router.get(
+  '/orders/:subscriptionId/status',
+  authMiddleware,
+  isSuperAdmin,
+  validateRequest([param('subscriptionId').isMongoId().withMessage('Valid subscription id is required')]),
+  getOrderStatus
+);
+
+// :provider is any key in services/payments — /razorpay/order, /phonepe/order, ...
+router.post(
+  '/:provider/order',
+  authMiddleware,
+  isSuperAdmin,
+  validateRequest([
+    param('provider').isIn(providers).withMessage(`provider must be one of: ${providers.join(', ')}`),
+    body('schoolId').isMongoId().withMessage('Valid school id is required'),
+    body('planType').notEmpty().withMessage('planType is required'),
+    body('couponCode').optional({ values: 'null' }).isString().trim()
+  ]),
+  createOrder
+);
+
+// Signature-checked by the provider's adapter; needs req.rawBody (see app.js)
+router.post('/:provider/webhook', handleWebhook);
+
+module.exports = router;
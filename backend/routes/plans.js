@@ -2,6 +2,8 @@ const express = require('express');
 const { getPlans, createPlan, updatePlan } = require('../controllers/planController');
 const auth = require('../middleware/auth');
 const superadmin = require('../middleware/superadmin');
+const validateRequest = require('../middleware/validateRequest');
+const { body } = require('express-validator');
 
 const router = express.Router();
 
@@ -14,7 +16,22 @@ router.get('/', async (req, res) => {
   getPlans(req, res);
 });
 
-router.post('/', async (req, res) => {
+const planRules = [
+  body('code').notEmpty().matches(/^[a-z0-9_]+$/i).withMessage('Code must be letters, digits or _'),
+  body('name').notEmpty().withMessage('Name is required'),
+  body('tier').isIn(['trial', 'basic', 'premium', 'boost']).withMessage('Tier must be trial, basic, premium or boost'),
+  body('durationDays').isInt({ min: 1 }).withMessage('Duration must be at least 1 day'),
+  body('maxTrialDays').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Trial cap must be at least 1 day'),
+  body('amount').isFloat({ min: 0 }).withMessage('Valid amount is required'),
+  body('originalAmount').optional().isFloat({ min: 0 }),
+  body('smsMonthlyLimit').optional().isInt({ min: 0 }),
+  body('whatsappMonthlyLimit').optional().isInt({ min: 0 }),
+  body('maxAdmins').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Admin accounts must be at least 1 (empty = unlimited)'),
+  body('features').optional().isArray(),
+  body('priority').if(body('tier').not().equals('boost')).isIn([1, 2, 3]).withMessage('Priority must be 1, 2 or 3')
+];
+
+router.post('/', validateRequest(planRules), async (req, res) => {
   if (typeof createPlan !== 'function') return res.status(500).json({ error: 'Handler missing' });
   createPlan(req, res);
 });
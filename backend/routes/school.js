@@ -1,11 +1,132 @@
 const express = require('express');
-const { createSchool, getAllSchools, deleteSchool } = require('../controllers/schoolController');
+const {
+  createSchool,
+  getAllSchools,
+  updateSchool,
+  suspendSchool,
+  reactivateSchool,
+  deleteSchool,
+  restoreSchool,
+  purgeSchool,
+  listTrash,
+  retryOnboardingStep
+} = require('../controllers/schoolController');
+const {
+  listAdmins,
+  addAdmin,
+  resendSetPasswordLink,
+  updateAdminContact,
+  deactivateAdmin,
+  reactivateAdmin
+} = require('../controllers/schoolAdminController');
+const { getSchoolById } = require('../controllers/auth/register/schoolRegistration');
+const validateRequest = require('../middleware/validateRequest');
+const { body, param, query } = require('express-validator');
+const { SORT_FIELDS, PLAN_STATUSES } = require('../services/schoolListService');
+const { STEPS: ONBOARDING_STEPS } = require('../services/schoolOnboardingService');
 const auth = require('../middleware/auth');
 const superadmin = require('../middleware/superadmin');
 const router = express.Router();
 
 router.use(auth, superadmin);
-router.get('/', getAllSchools);
-router.delete('/:id', deleteSchool);
+router.get(
+  '/',
+  validateRequest([
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be at least 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be 1–100'),
+    query(['search', 'planType', 'city', 'state']).optional().isString(),
+    query('status').optional().isIn(PLAN_STATUSES).withMessage('Invalid status'),
+    query('type').optional().isIn(['trial', 'paid']).withMessage("type must be 'trial' or 'paid'"),
+    query('expiringWithin').optional().isInt({ min: 0, max: 366 }).withMessage('expiringWithin must be 0–366 days'),
+    query('createdFrom').optional().isISO8601().withMessage('createdFrom must be a date'),
+    query('createdTo').optional().isISO8601().withMessage('createdTo must be a date'),
+    query('suspended').optional().isIn(['true', 'false']),
+    query('sortBy').optional().isIn(SORT_FIELDS).withMessage('Invalid sort column'),
+    query('sortDir').optional().isIn(['asc', 'desc'])
+  ]),
+  getAllSchools
+);
+// Before /:id so 'trash' is not taken for a school id
+router.get('/trash', listTrash);
+router.get('/:id', validateRequest([param('id').isMongoId().withMessage('Valid school id is required')]), getSchoolById);
+router.patch(
+  '/:id',
+  validateRequest([
+    param('id').isMongoId().withMessage('Valid school id is required'),
+    body('address').optional().isObject().withMessage('address must be an object'),
+    body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+    body('radius').optional().isInt({ min: 10, max: 5000 }).withMessage('radius must be 10–5000 metres').toInt(),
+    body('preferredChannel').optional().isIn(['sms', 'whatsapp', 'both']).withMessage('Invalid channel'),
+    body('weeklyHolidayDay').optional()
+      .isIn(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']).withMessage('Invalid holiday'),
+    body('schoolTiming.openingTime').optional().matches(/^\d{1,2}:\d{2}$/).withMessage('Opening time must be HH:MM'),
+    body('schoolTiming.closingTime').optional().matches(/^\d{1,2}:\d{2}$/).withMessage('Closing time must be HH:MM'),
+    body('schoolTiming.lunchBreak').optional().isString().trim(),
+    body('communication.smsSenderName').optional().isString().trim().isLength({ min: 1, max: 11 }).withMessage('SMS sender name is 1–11 characters'),
+    body('communication.emailFrom').optional().isEmail().withMessage('Valid sender email is required'),
+    body('communication.emailName').optional().isString().trim(),
+    body('communication.emailPass').optional().isString(),
+    body('contactPerson.name').optional({ values: 'null' }).isString().trim(),
+    body('contactPerson.designation').optional({ values: 'null' }).isString().trim(),
+    body('website').optional({ values: 'falsy' }).isString().trim()
+  ]),
+  updateSchool
+);
+
+// Suspend / delete / restore / purge: each needs a reason and is audited
+const statusChange = validateRequest([
+  param('id').isMongoId().withMessage('Valid school id is required'),
+  body('reason').isString().trim().notEmpty().withMessage('A reason is required')
+]);
+router.post('/:id/suspend', statusChange, suspendSchool);
+router.post('/:id/reactivate', statusChange, reactivateSchool);
+router.delete('/:id', statusChange, deleteSchool);
+router.post('/:id/restore', statusChange, restoreSchool);
+router.delete('/:id/purge', statusChange, purgeSchool);
+router.post(
+  '/:id/onboarding/:step/retry',
+  validateRequest([
+    param('id').isMongoId().withMessage('Valid school id is required'),
+    param('step').isIn(ONBOARDING_STEPS).withMessage(`Step must be one of: ${ONBOARDING_STEPS.join(', ')}`)
+  ]),
+  retryOnboardingStep
+);
+
+// Admin accounts: at most the plan's maxAdmins active at once
+const schoolId = param('id').isMongoId().withMessage('Valid school id is required');
+const adminId = param('adminId').isMongoId().withMessage('Valid admin id is required');
+const phoneNumber = () => body('phoneNumber').isString().trim()
+  .matches(/^\+?[1-9]\d{9,14}$/).withMessage('Valid phone number is required (e.g., +919876543210)');
+router.get('/:id/admins', validateRequest([schoolId]), listAdmins);
+router.post(
+  '/:id/admins',
+  validateRequest([
+    schoolId,
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('username').isString().trim().matches(/^[a-z0-9._-]{3,}$/i).withMessage('Username must be 3+ letters, digits, . _ or -'),
+    body('email').isEmail().withMessage('Valid email is required'),
+    phoneNumber()
+  ]),
+  addAdmin
+);
+router.patch(
+  '/:id/admins/:adminId',
+  validateRequest([
+    schoolId,
+    adminId,
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    phoneNumber().optional()
+  ]),
+  updateAdminContact
+);
+router.post('/:id/admins/:adminId/resend-link', validateRequest([schoolId, adminId]), resendSetPasswordLink);
+const adminStatusChange = validateRequest([
+  schoolId,
+  adminId,
+  body('reason').isString().trim().notEmpty().withMessage('A reason is required')
+]);
+router.post('/:id/admins/:adminId/deactivate', adminStatusChange, deactivateAdmin);
+router.post('/:id/admins/:adminId/reactivate', adminStatusChange, reactivateAdmin);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const Subscription = require('../models/subscription');
 const School = require('../models/School');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validateRequest');
+const { body, param, query } = require('express-validator');
+const {
+  renewSubscription,
+  upgradeSubscription,
+  downgradeSubscription,
+  addBoost,
+  scheduleSubscription,
+  cancelScheduledSubscription,
+  activateTrial,
+  extendTrial,
+  getTrial
+} = require('../controllers/subscriptionController');
+const {
+  getPendingPayments,
+  approvePayment,
+  rejectPayment
+} = require('../controllers/pendingPaymentController');
+const reconciliation = require('../controllers/reconciliationController');
+const schoolImports = require('../controllers/schoolImportController');
+const schoolRequests = require('../controllers/schoolRequestController');
+const registrationDrafts = require('../controllers/registrationDraftController');
+const coupons = require('../controllers/couponController');
+const usage = require('../controllers/usageController');
+const { issueApiKey, revokeApiKey } = require('../controllers/apiKeyController');
+const entitlements = require('../controllers/entitlementController');
+const autoRenew = require('../controllers/autoRenewController');
+const { refundSubscription, listRefundReservations, releaseRefundReservation, resolveLateCapture } = require('../controllers/refundController');
+const { providers } = require('../services/payments');
+const { revenueLookup, revenueField } = require('../services/schoolListService');
+const { round2 } = require('../utils/gst');
 
 // Superadmin only
 router.use(authMiddleware);
@@ -15,7 +45,8 @@ router.use((req, res, next) => {
 router.get('/dashboard', async (req, res) => {
   try {
     // First, check if there are any schools at all
-    const schoolCount = await School.countDocuments({ status: true });
+    // Suspended schools stay listed; deleted ones live in the trash
+    const schoolCount = await School.countDocuments({ deletedAt: null });
     
     // If no schools, return empty response immediately
     if (schoolCount === 0) {
@@ -30,7 +61,7 @@ router.get('/dashboard', async (req, res) => {
 
     // Only run aggregation if we have schools
     const schools = await School.aggregate([
-      { $match: { status: true } },
+      { $match: { deletedAt: null } },
       
       // Get admin user
       {
@@ -52,8 +83,11 @@ router.get('/dashboard', async (req, res) => {
           from: 'subscriptions',
           let: { schoolId: '$_id' },
           pipeline: [
-            { $match: { $expr: { $eq: ['$schoolId', '$$schoolId'] } } },
-            { $sort: { priority: -1, expiresAt: -1 } },
+            // Plans that have not started yet are not current
+            { $match: { $expr: { $eq: ['$schoolId', '$$schoolId'] }, isTemporaryBoost: { $ne: true }, status: { $ne: 'scheduled' } } },
+            // Live plans first, so a closed-out plan never shadows its replacement
+            { $addFields: { isLive: { $in: ['$status', ['active', 'grace_period']] } } },
+            { $sort: { isLive: -1, priority: -1, expiresAt: -1 } },
             { $limit: 1 },
             {
               $addFields: {
@@ -73,19 +107,74 @@ router.get('/dashboard', async (req, res) => {
           as: 'currentSub'
         }
       },
+
+      // Plan queued to start later, shown beside the current one
+      {
+        $lookup: {
+          from: 'subscriptions',
+          let: { schoolId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$schoolId', '$$schoolId'] }, status: 'scheduled' } },
+            { $sort: { startsAt: 1 } },
+            { $limit: 1 },
+            { $project: { planType: 1, startsAt: 1, expiresAt: 1 } }
+          ],
+          as: 'scheduled'
+        }
+      },
+
+      // Running boost packs, shown beside the main plan
+      {
+        $lookup: {
+          from: 'subscriptions',
+          let: { schoolId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$schoolId', '$$schoolId'] },
+                isTemporaryBoost: true,
+                status: 'active',
+                expiresAt: { $gt: new Date() }
+              }
+            },
+            { $sort: { expiresAt: 1 } },
+            { $project: { planType: 1, expiresAt: 1, messageLimits: 1 } }
+          ],
+          as: 'boosts'
+        }
+      },
       
+      // Everything the school has paid
+      revenueLookup,
+
+      // Plan name from the catalog
+      {
+        $lookup: {
+          from: 'plans',
+          localField: 'currentSub.planType',
+          foreignField: 'code',
+          as: 'currentPlan'
+        }
+      },
+
       {
         $project: {
           _id: 1,
           schoolName: '$name',
           adminName: { $ifNull: [{ $arrayElemAt: ['$adminUser.name', 0] }, 'Unknown'] },
           planType: { $ifNull: [{ $arrayElemAt: ['$currentSub.planType', 0] }, 'none'] },
+          planName: { $ifNull: [{ $arrayElemAt: ['$currentPlan.name', 0] }, 'No Plan'] },
           status: { $ifNull: [{ $arrayElemAt: ['$currentSub.status', 0] }, 'inactive'] },
           expiresAt: { $arrayElemAt: ['$currentSub.expiresAt', 0] },
           daysRemaining: { $arrayElemAt: ['$currentSub.daysRemaining', 0] },
           isTrial: { $eq: [{ $ifNull: [{ $arrayElemAt: ['$currentSub.planType', 0] }, ''] }, 'trial'] },
-          revenue: { $ifNull: [{ $arrayElemAt: ['$currentSub.finalAmount', 0] }, 0] },
-          createdAt: 1
+          // Invoiced less credit notes, boosts and past plans included
+          revenue: revenueField,
+          boosts: 1,
+          scheduled: { $arrayElemAt: ['$scheduled', 0] },
+          suspended: { $eq: ['$status', false] },
+          // Schools from before timestamps only have it in their id
+          createdAt: { $ifNull: ['$createdAt', { $toDate: '$_id' }] }
         }
       },
       
@@ -101,7 +190,7 @@ router.get('/dashboard', async (req, res) => {
       !s.isTrial && s.status === 'active' && s.daysRemaining > 0
     ).length;
     
-    const totalRevenue = schools.reduce((sum, s) => sum + s.revenue, 0);
+    const totalRevenue = round2(schools.reduce((sum, s) => sum + s.revenue, 0));
 
     res.json({
       schools,
@@ -126,32 +215,314 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
-router.post('/activate-trial', async (req, res) => {
-  try {
-    const { schoolId } = req.body;
-    const school = await School.findById(schoolId);
-    if (!school) return res.status(404).json({ message: 'School not found' });
-
-    let sub = await Subscription.findOne({ schoolId, status: { $in: ['active', 'pending'] } });
-    if (sub) return res.status(400).json({ message: 'Already has subscription' });
-
-    sub = new Subscription({
-      schoolId,
-      planType: 'trial',
-      status: 'active',
-      expiresAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
-      durationDays: 14,
-      finalAmount: 0,
-      messageLimits: { smsMonthly: 5, whatsappMonthly: 5 },
-      usageStats: { lastResetDate: new Date() },
-      testMode: process.env.TEST_MODE === 'true'
-    });
+// ──────────────────────────────────────────────
+// Trials (one per school; extensions capped by the trial plan)
+// ──────────────────────────────────────────────
+router.post(
+  '/activate-trial',
+  validateRequest([
+    body('schoolId').isMongoId().withMessage('Valid school id is required'),
+    body('reason').optional({ values: 'null' }).isString().trim()
+  ]),
+  activateTrial
+);
+router.get('/schools/:schoolId/trial', validateRequest([param('schoolId').isMongoId()]), getTrial);
+router.post(
+  '/schools/:schoolId/trial/extend',
+  validateRequest([
+    param('schoolId').isMongoId().withMessage('Valid school id is required'),
+    body('days').isInt({ min: 1 }).withMessage('days must be at least 1').toInt(),
+    body('reason').isString().trim().notEmpty().withMessage('A reason is required to extend a trial')
+  ]),
+  extendTrial
+);
 
-    await sub.save();
-    res.json({ message: 'Trial activated' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+// ──────────────────────────────────────────────
+// Plan changes for a school
+// ──────────────────────────────────────────────
+const planChangeRules = (planRequired) => [
+  param('schoolId').isMongoId().withMessage('Valid school id is required'),
+  planRequired
+    ? body('planType').notEmpty().withMessage('planType is required')
+    : body('planType').optional().isString(),
+  body('paymentMethod').optional({ values: 'null' })
+    .isIn(['razorpay', 'bank_transfer', 'phonepe', 'card', 'upi']).withMessage('Invalid payment method'),
+  body('transactionId').optional({ values: 'null' }).isString(),
+  body('couponCode').optional({ values: 'null' }).isString().trim()
+];
+
+router.post('/schools/:schoolId/subscription/renew', validateRequest(planChangeRules(false)), renewSubscription);
+router.post('/schools/:schoolId/subscription/upgrade', validateRequest(planChangeRules(true)), upgradeSubscription);
+router.post(
+  '/schools/:schoolId/subscription/downgrade',
+  validateRequest([
+    ...planChangeRules(true),
+    body('effective').optional().isIn(['now', 'term_end']).withMessage("effective must be 'now' or 'term_end'")
+  ]),
+  downgradeSubscription
+);
+router.post('/schools/:schoolId/boosts', validateRequest(planChangeRules(true)), addBoost);
+router.post(
+  '/schools/:schoolId/subscription/schedule',
+  validateRequest([
+    ...planChangeRules(true),
+    body('startOn').optional().isIn(['academic_year', 'term_end']).withMessage("startOn must be 'academic_year' or 'term_end'"),
+    body('startsAt')
+      .if(body('startOn').not().exists())
+      .isISO8601().withMessage('startsAt (ISO date) or startOn is required')
+  ]),
+  scheduleSubscription
+);
+router.delete(
+  '/schools/:schoolId/subscription/scheduled/:subscriptionId',
+  validateRequest([param('schoolId').isMongoId(), param('subscriptionId').isMongoId()]),
+  cancelScheduledSubscription
+);
+
+// ──────────────────────────────────────────────
+// Manual payment review (bank transfers)
+// ──────────────────────────────────────────────
+router.get('/pending-payments', getPendingPayments);
+router.post(
+  '/pending-payments/:id/approve',
+  validateRequest([
+    param('id').isMongoId().withMessage('Valid payment id is required'),
+    body('transactionId').optional({ values: 'null' }).isString(),
+    body('note').optional({ values: 'null' }).isString()
+  ]),
+  approvePayment
+);
+router.post(
+  '/pending-payments/:id/reject',
+  validateRequest([
+    param('id').isMongoId().withMessage('Valid payment id is required'),
+    body('reason').isString().trim().notEmpty().withMessage('A rejection reason is required')
+  ]),
+  rejectPayment
+);
+
+// ──────────────────────────────────────────────
+// Bank statement reconciliation
+// ──────────────────────────────────────────────
+router.get('/reconciliation', reconciliation.listImports);
+router.post(
+  '/reconciliation',
+  validateRequest([
+    body('csv').isString().notEmpty().withMessage('Statement CSV is required'),
+    body('fileName').optional().isString()
+  ]),
+  reconciliation.importStatement
+);
+router.get('/reconciliation/:id', validateRequest([param('id').isMongoId()]), reconciliation.getImport);
+router.post(
+  '/reconciliation/:id/lines/:lineId/confirm',
+  validateRequest([
+    param('id').isMongoId(),
+    param('lineId').isMongoId(),
+    body('subscriptionId').optional({ values: 'null' }).isMongoId()
+  ]),
+  reconciliation.confirmLine
+);
+router.post('/reconciliation/:id/confirm-confident', validateRequest([param('id').isMongoId()]), reconciliation.confirmConfident);
+
+// ──────────────────────────────────────────────
+// Bulk school onboarding (CSV / .xlsx)
+// ──────────────────────────────────────────────
+router.get('/school-imports/template', schoolImports.downloadTemplate);
+router.get('/school-imports', schoolImports.listImports);
+router.post(
+  '/school-imports',
+  validateRequest([
+    body('content').isString().notEmpty().withMessage('File content is required'),
+    body('fileName').optional().isString()
+  ]),
+  schoolImports.previewImport
+);
+router.get('/school-imports/:id', validateRequest([param('id').isMongoId()]), schoolImports.getImport);
+router.post(
+  '/school-imports/:id/confirm',
+  validateRequest([
+    param('id').isMongoId(),
+    body('rowIds').optional().isArray().withMessage('rowIds must be a list'),
+    body('rowIds.*').isMongoId()
+  ]),
+  schoolImports.confirmImport
+);
+router.post('/school-imports/:id/retry-emails', validateRequest([param('id').isMongoId()]), schoolImports.retryWelcomes);
+router.get('/school-imports/:id/report', validateRequest([param('id').isMongoId()]), schoolImports.downloadReport);
+
+// ──────────────────────────────────────────────
+// Public signup requests (PendingSchool) review
+// ──────────────────────────────────────────────
+router.get(
+  '/school-requests',
+  validateRequest([query('status').optional().isIn(['pending', 'approved', 'rejected', 'completed'])]),
+  schoolRequests.listRequests
+);
+router.get('/school-requests/:id', validateRequest([param('id').isMongoId()]), schoolRequests.getRequest);
+router.post('/school-requests/:id/approve', validateRequest([param('id').isMongoId()]), schoolRequests.approveRequest);
+router.post(
+  '/school-requests/:id/reject',
+  validateRequest([
+    param('id').isMongoId(),
+    body('reason').isString().trim().notEmpty().withMessage('A rejection reason is required')
+  ]),
+  schoolRequests.rejectRequest
+);
+
+// ──────────────────────────────────────────────
+// Registration wizard drafts (per superadmin)
+// ──────────────────────────────────────────────
+const draftRules = (creating) => [
+  creating ? body('step').isInt({ min: 1, max: 3 }) : body('step').optional().isInt({ min: 1, max: 3 }),
+  creating ? body('data').isObject() : body('data').optional().isObject(),
+  body('pendingSchoolId').optional({ values: 'null' }).isMongoId()
+];
+router.get('/registration-drafts', registrationDrafts.listDrafts);
+router.post('/registration-drafts', validateRequest(draftRules(true)), registrationDrafts.createDraft);
+router.get('/registration-drafts/:id', validateRequest([param('id').isMongoId()]), registrationDrafts.getDraft);
+router.put(
+  '/registration-drafts/:id',
+  validateRequest([param('id').isMongoId(), ...draftRules(false)]),
+  registrationDrafts.updateDraft
+);
+router.delete('/registration-drafts/:id', validateRequest([param('id').isMongoId()]), registrationDrafts.deleteDraft);
+
+// ──────────────────────────────────────────────
+// Coupons
+// ──────────────────────────────────────────────
+const couponRules = (creating) => [
+  creating
+    ? body('code').trim().matches(/^[A-Z0-9_-]{3,20}$/i).withMessage('Code must be 3-20 letters, digits, - or _')
+    : param('id').isMongoId(),
+  (creating ? body('discountType') : body('discountType').optional()).isIn(['percent', 'flat']).withMessage('discountType must be percent or flat'),
+  (creating ? body('discountValue') : body('discountValue').optional()).isFloat({ min: 0 }).withMessage('Valid discount value is required'),
+  body('maxDiscount').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be a date'),
+  body('maxRedemptions').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('perSchoolLimit').optional().isInt({ min: 1 }),
+  body('applicablePlanTypes').optional().isArray(),
+  body('active').optional().isBoolean()
+];
+
+router.get('/coupons', coupons.listCoupons);
+router.post('/coupons', validateRequest(couponRules(true)), coupons.createCoupon);
+router.post(
+  '/coupons/validate',
+  validateRequest([
+    body('code').notEmpty().withMessage('Coupon code is required'),
+    body('planType').notEmpty().withMessage('planType is required'),
+    body('schoolId').optional({ values: 'null' }).isMongoId(),
+    body('amount').isFloat({ min: 0 }).withMessage('amount is required')
+  ]),
+  coupons.validateCoupon
+);
+router.patch('/coupons/:id', validateRequest(couponRules(false)), coupons.updateCoupon);
+router.get('/coupons/:id/redemptions', validateRequest([param('id').isMongoId()]), coupons.getRedemptions);
+
+// ──────────────────────────────────────────────
+// Message usage & school API keys
+// ──────────────────────────────────────────────
+router.get(
+  '/usage',
+  validateRequest([
+    query('period').optional().matches(/^\d{4}-\d{2}$/).withMessage('period must be YYYY-MM'),
+    query('minPercent').optional().isInt({ min: 0, max: 100 })
+  ]),
+  usage.listUsage
+);
+router.get('/schools/:schoolId/usage', validateRequest([param('schoolId').isMongoId()]), usage.getSchoolUsage);
+router.post('/schools/:schoolId/api-key', validateRequest([param('schoolId').isMongoId()]), issueApiKey);
+router.delete('/schools/:schoolId/api-key', validateRequest([param('schoolId').isMongoId()]), revokeApiKey);
+
+// ──────────────────────────────────────────────
+// Feature entitlements: plan features plus per-school grants/revocations
+// ──────────────────────────────────────────────
+const featureParams = [
+  param('schoolId').isMongoId(),
+  param('feature').trim().toLowerCase().matches(/^[a-z0-9_]+$/).withMessage('Invalid feature key')
+];
+router.get('/schools/:schoolId/entitlements', validateRequest([param('schoolId').isMongoId()]), entitlements.getSchoolEntitlements);
+router.put(
+  '/schools/:schoolId/features/:feature',
+  validateRequest([
+    ...featureParams,
+    body('effect').isIn(['grant', 'revoke']).withMessage("effect must be 'grant' or 'revoke'"),
+    body('expiresAt').isISO8601().withMessage('expiresAt must be a date'),
+    body('reason').isString().trim().notEmpty().withMessage('A reason is required')
+  ]),
+  entitlements.setFeatureOverride
+);
+router.delete(
+  '/schools/:schoolId/features/:feature',
+  validateRequest([
+    ...featureParams,
+    body('reason').isString().trim().notEmpty().withMessage('A reason is required')
+  ]),
+  entitlements.removeFeatureOverride
+);
+
+// ──────────────────────────────────────────────
+// Auto-renew: saved mandates & dunning history
+// ──────────────────────────────────────────────
+router.get('/renewal-attempts', validateRequest([query('status').optional().isIn(['pending', 'succeeded', 'failed'])]), autoRenew.listAttempts);
+router.get('/schools/:schoolId/auto-renew', validateRequest([param('schoolId').isMongoId()]), autoRenew.getAutoRenew);
+router.patch(
+  '/schools/:schoolId/auto-renew',
+  validateRequest([
+    param('schoolId').isMongoId(),
+    body('autoRenew').isBoolean().withMessage('autoRenew must be true or false').toBoolean()
+  ]),
+  autoRenew.setAutoRenew
+);
+router.put(
+  '/schools/:schoolId/mandate',
+  validateRequest([
+    param('schoolId').isMongoId(),
+    body('provider').isIn(providers).withMessage(`provider must be one of: ${providers.join(', ')}`),
+    body('paymentMethod').isIn(['razorpay', 'phonepe', 'card', 'upi']).withMessage('Invalid payment method'),
+    body('token').trim().notEmpty().withMessage('Gateway token is required'),
+    body('customerId').optional({ values: 'null' }).isString().trim(),
+    body('maxAmount').optional({ values: 'null' }).isFloat({ min: 1 })
+  ]),
+  autoRenew.saveMandate
+);
+router.delete('/schools/:schoolId/mandate', validateRequest([param('schoolId').isMongoId()]), autoRenew.revokeMandate);
+
+// ──────────────────────────────────────────────
+// Refunds (each one issues a credit note)
+// ──────────────────────────────────────────────
+router.post(
+  '/subscriptions/:subscriptionId/refund',
+  validateRequest([
+    param('subscriptionId').isMongoId().withMessage('Valid subscription id is required'),
+    body('amount').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('amount must be positive').toFloat(),
+    body('reason').isString().trim().notEmpty().withMessage('A refund reason is required'),
+    body('reference').optional({ values: 'null' }).isString().trim(),
+    body('manual').optional().isBoolean().toBoolean(),
+    body('cancel').optional().isBoolean().toBoolean()
+  ]),
+  refundSubscription
+);
+router.get('/refund-reservations', listRefundReservations);
+router.delete(
+  '/invoices/:invoiceId/refund-reservations/:reservationId',
+  validateRequest([
+    param('invoiceId').isMongoId(),
+    param('reservationId').isMongoId(),
+    body('reason').isString().trim().notEmpty().withMessage('A reason is required')
+  ]),
+  releaseRefundReservation
+);
+router.post(
+  '/subscriptions/:subscriptionId/late-capture',
+  validateRequest([
+    param('subscriptionId').isMongoId().withMessage('Valid subscription id is required'),
+    body('outcome').isIn(['retry', 'refunded']).withMessage("outcome must be 'retry' or 'refunded'"),
+    body('reference').optional({ values: 'null' }).isString().trim(),
+    body('reason').isString().trim().notEmpty().withMessage('A reason is required')
+  ]),
+  resolveLateCapture
+);
 
 module.exports = router;
\ No newline at end of file
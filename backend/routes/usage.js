@@ -0,0 +1,23 @@
+const express = require('express');
+const { body } = require('express-validator');
+const schoolApiAuth = require('../middleware/schoolApiAuth');
+const validateRequest = require('../middleware/validateRequest');
+const { CHANNELS } = require('../services/usageService');
+const { reserveQuota, getQuota } = require('../controllers/usageController');
+
+const router = express.Router();
+
+// Called by school apps, not the superadmin panel
+router.use(schoolApiAuth);
+
+router.get('/', getQuota);
+router.post(
+  '/reserve',
+  validateRequest([
+    body('channel').isIn(CHANNELS).withMessage(`channel must be one of: ${CHANNELS.join(', ')}`),
+    body('count').isInt({ min: 1, max: 10000 }).withMessage('count must be a whole number from 1 to 10000')
+  ]),
+  reserveQuota
+);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// Usage: node scripts/runJob.js <job-name>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const jobs = require('../jobs');
+
+const name = process.argv[2];
+
+(async () => {
+  if (!jobs[name]) {
+    console.error(`Unknown job "${name}". Available: ${Object.keys(jobs).join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+    const result = await jobs[name]();
+    console.log(`✅ ${name} finished:`, JSON.stringify(result));
+    process.exitCode = 0;
+  } catch (err) {
+    console.error(`❌ ${name} failed:`, err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscription');
+const School = require('../models/School');
+const User = require('../models/User');
+const PaymentMandate = require('../models/paymentMandate');
+const RenewalAttempt = require('../models/renewalAttempt');
+const planCatalog = require('./planCatalog');
+const subscriptionService = require('./subscriptionService');
+const { getGateway } = require('./payments');
+const { GRACE_PERIOD_DAYS } = require('./subscriptionLifecycleService');
+const { syncSchoolSmsPack } = require('../utils/subscriptionUtils');
+const { sendEmail } = require('../utils/email');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after the first attempt on which the charge is tried, e.g. '0,3,7'
+const retrySchedule = () => {
+  const days = String(process.env.AUTO_RENEW_RETRY_DAYS || '0,3,7')
+    .split(',')
+    .map(d => parseInt(d, 10))
+    .filter(d => d >= 0);
+  return days.length ? [...new Set(days)].sort((a, b) => a - b) : [0];
+};
+
+// How early the first attempt is made. By default the last retry lands on
+// the expiry day, so a school that pays on any retry never loses a day.
+const leadDays = (schedule) => {
+  const days = parseInt(process.env.AUTO_RENEW_LEAD_DAYS, 10);
+  return Number.isNaN(days) ? schedule[schedule.length - 1] : days;
+};
+
+// Attempts are due from the start of their (UTC) day, so a daily cron that
+// fires a few seconds early still picks them up
+const dayStart = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric' });
+
+const contactsFor = async (schoolId) => {
+  const [school, admin] = await Promise.all([
+    School.findById(schoolId).select('name email mobileNo').lean(),
+    // Schools can have several admins; write to the first one still active
+    User.findOne({ schoolId, role: 'admin', status: true }).sort({ createdAt: 1 }).select('email phoneNumber').lean()
+  ]);
+  return {
+    school,
+    email: admin?.email || school?.email,
+    contact: admin?.phoneNumber || school?.mobileNo,
+    recipients: [...new Set([admin?.email, school?.email].filter(Boolean))]
+  };
+};
+
+// Reminders get firmer with every failure
+const failureEmail = ({ schoolName, planName, attempt, reason, nextAttemptAt, gracePeriodEnds }) => {
+  const why = reason ? ` (${reason})` : '';
+  if (!nextAttemptAt) {
+    return {
+      subject: `Final notice: ${planName} for ${schoolName} could not be renewed`,
+      text: `All ${attempt} attempts to renew ${planName} for ${schoolName} have failed${why}.\n\n` +
+        `Your subscription ends with its grace period on ${formatDate(gracePeriodEnds)}. ` +
+        `Please pay by bank transfer or update your payment method before then to avoid interruption.`
+    };
+  }
+  if (attempt === 1) {
+    return {
+      subject: `We couldn't renew ${planName} for ${schoolName}`,
+      text: `We tried to charge your saved payment method for ${planName} but it did not go through${why}.\n\n` +
+        `We will try again on ${formatDate(nextAttemptAt)}. If your card or mandate has changed, please let us know.`
+    };
+  }
+  return {
+    subject: `Action needed: renewal payment for ${schoolName} failed again`,
+    text: `Attempt ${attempt} to renew ${planName} failed${why}.\n\n` +
+      `The next attempt is on ${formatDate(nextAttemptAt)}. If that also fails, your subscription moves to its grace period.`
+  };
+};
+
+const notify = async (recipients, { subject, text }) => {
+  if (!recipients.length) return false;
+  try {
+    await sendEmail(recipients.join(','), subject, text);
+    return true;
+  } catch (err) {
+    console.error('Auto-renew email failed:', err.message);
+    return false;
+  }
+};
+
+const activateRenewal = async (renewalId, transactionId) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const renewal = await Subscription.findById(renewalId).session(session);
+      await subscriptionService.activateSubscription(renewal, { reason: 'Auto-renewed', transactionId, session });
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// A charge from an earlier run that was left waiting on the gateway. The
+// gateway is asked before anything changes: a capture activates the renewal,
+// a definite failure cancels it, and anything else keeps waiting so the
+// school is never charged twice. Returns the attempt's status, or null when
+// there is no open attempt.
+const settleOpenAttempt = async (sub, now) => {
+  const open = await RenewalAttempt.findOne({ subscriptionId: sub._id, status: 'pending' }).sort({ attempt: -1 });
+  if (!open) return null;
+
+  let renewal = open.renewalSubscriptionId && await Subscription.findById(open.renewalSubscriptionId);
+  let gatewayStatus = null;
+  if (renewal?.status === 'pending' && renewal.gatewayOrderId) {
+    try {
+      const status = await getGateway(renewal.paymentProvider || open.provider).fetchStatus({ orderId: renewal.gatewayOrderId });
+      gatewayStatus = status.status;
+      const paidInFull = status.amount != null && Math.round(status.amount * 100) === Math.round(renewal.finalAmount * 100);
+      if (status.status === 'captured' && paidInFull) {
+        await activateRenewal(renewal._id, status.paymentId);
+        open.paymentId = status.paymentId;
+        renewal = await Subscription.findById(renewal._id);
+      } else if (status.status === 'captured') {
+        console.error(`Auto-renew: gateway reports ₹${status.amount} for renewal ${renewal._id} (₹${renewal.finalAmount})`);
+      }
+    } catch (err) {
+      console.error(`Auto-renew: status check for renewal ${renewal._id} failed:`, err.message || err);
+    }
+  }
+
+  if (renewal?.status === 'active') {
+    open.status = 'succeeded';
+    await open.save();
+    return 'succeeded';
+  }
+  // Not confirmed either way, or captured without activation: left for the
+  // webhook or manual approval
+  if (renewal?.status === 'pending' && gatewayStatus !== 'failed') return 'pending';
+
+  if (renewal?.status === 'pending') {
+    renewal.transitionTo('canceled', { reason: 'Auto-renew charge failed at the gateway', at: now });
+    await renewal.save();
+  }
+  open.status = 'failed';
+  open.failureReason = open.failureReason || 'Gateway reported the charge as failed';
+  await open.save();
+  return 'failed';
+};
+
+// Create the next term as pending, charge the mandate, activate on capture
+const chargeRenewal = async (sub, attemptNo, { now, contacts }) => {
+  const attempt = new RenewalAttempt({
+    schoolId: sub.schoolId,
+    subscriptionId: sub._id,
+    attempt: attemptNo,
+    planType: sub.planType,
+    status: 'failed',
+    attemptedAt: now
+  });
+
+  let renewal = null;
+  let captured = false;
+  try {
+    const mandate = await PaymentMandate.findOne({ schoolId: sub.schoolId, status: 'active' });
+    if (!mandate) throw { message: 'No saved payment mandate' };
+    attempt.mandateId = mandate._id;
+    attempt.provider = mandate.provider;
+
+    renewal = await subscriptionService.createPendingSubscription(sub.schoolId, {
+      planType: sub.planType,
+      paymentMethod: mandate.paymentMethod
+    });
+    attempt.renewalSubscriptionId = renewal._id;
+    attempt.amount = renewal.finalAmount;
+    if (mandate.maxAmount != null && renewal.finalAmount > mandate.maxAmount) {
+      throw { message: `₹${renewal.finalAmount} is above the mandate limit of ₹${mandate.maxAmount}` };
+    }
+
+    const charge = renewal.finalAmount > 0
+      ? await getGateway(mandate.provider).chargeMandate({
+        mandate,
+        amount: renewal.finalAmount,
+        receipt: renewal._id.toString(),
+        notes: { schoolId: sub.schoolId.toString(), planType: sub.planType, renewalOf: sub._id.toString(), attempt: String(attemptNo) },
+        customer: { email: contacts.email, contact: contacts.contact }
+      })
+      : { status: 'captured', orderId: null, paymentId: null };
+    attempt.orderId = charge.orderId || null;
+    attempt.paymentId = charge.paymentId || null;
+
+    if (charge.status === 'captured') {
+      captured = true;
+      await activateRenewal(renewal._id, charge.paymentId);
+      attempt.status = 'succeeded';
+    } else if (charge.status === 'pending') {
+      // Confirmed later by the gateway webhook, matched on the order id
+      renewal.paymentProvider = mandate.provider;
+      renewal.gatewayOrderId = charge.orderId;
+      await renewal.save();
+      attempt.status = 'pending';
+    } else {
+      throw { message: charge.failureReason || 'Charge declined' };
+    }
+  } catch (err) {
+    attempt.failureReason = err.message || String(err);
+    if (captured) {
+      // Money taken but activation failed: leave it pending for manual approval
+      attempt.status = 'pending';
+      attempt.failureReason = `Captured but not activated: ${attempt.failureReason}`;
+    } else if (renewal?.status === 'pending') {
+      renewal.transitionTo('canceled', { reason: `Auto-renew charge failed: ${attempt.failureReason}`, at: now });
+      await renewal.save();
+    }
+  }
+  return attempt;
+};
+
+// Retries used up. A term that is still paid for stays active and the
+// lifecycle job moves it to grace_period at expiry; one already past its
+// expiry moves now.
+const exhaust = async (sub, now) => {
+  sub.dunning.exhaustedAt = now;
+  sub.dunning.nextAttemptAt = null;
+  if (sub.status === 'active' && sub.expiresAt <= now) {
+    sub.gracePeriodEnds = new Date(Math.max(sub.expiresAt.getTime(), now.getTime()) + GRACE_PERIOD_DAYS * DAY_MS);
+    sub.transitionTo('grace_period', { reason: `Auto-renew failed after ${sub.dunning.attempts} attempt(s)`, at: now });
+  }
+  await sub.save();
+  await syncSchoolSmsPack(sub.schoolId, { now });
+};
+
+const renewOne = async (sub, { now, schedule }) => {
+  const open = await settleOpenAttempt(sub, now);
+  if (open === 'succeeded') return 'renewed';
+  if (open === 'pending') {
+    // Charging again could take the money twice; ask the gateway tomorrow
+    sub.dunning.nextAttemptAt = new Date(dayStart(now).getTime() + DAY_MS);
+    await sub.save();
+    return 'pending';
+  }
+
+  const attemptNo = (sub.dunning?.attempts || 0) + 1;
+  if (attemptNo > schedule.length) {
+    // The last attempt was left waiting on the gateway and then failed
+    await exhaust(sub, now);
+    return 'exhausted';
+  }
+
+  const contacts = await contactsFor(sub.schoolId);
+  const attempt = await chargeRenewal(sub, attemptNo, { now, contacts });
+  const plan = await planCatalog.getPlan(sub.planType);
+  const planName = plan?.name || sub.planType;
+
+  if (attempt.status === 'succeeded') {
+    attempt.emailSent = await notify(contacts.recipients, {
+      subject: `${planName} renewed for ${contacts.school?.name}`,
+      text: `Your saved payment method was charged ₹${attempt.amount} and ${planName} has been renewed.`
+    });
+    await attempt.save();
+    return 'renewed';
+  }
+
+  // Activation did not happen, so the term being renewed is unchanged
+  const current = await Subscription.findById(sub._id);
+  current.dunning.attempts = attemptNo;
+  current.dunning.lastError = attempt.failureReason;
+  if (attemptNo < schedule.length) {
+    current.dunning.nextAttemptAt = new Date(dayStart(now).getTime() + (schedule[attemptNo] - schedule[attemptNo - 1]) * DAY_MS);
+  } else if (attempt.status === 'pending') {
+    current.dunning.nextAttemptAt = new Date(dayStart(now).getTime() + DAY_MS); // one more day to confirm
+  } else {
+    await exhaust(current, now);
+  }
+  attempt.nextAttemptAt = current.dunning.exhaustedAt ? null : current.dunning.nextAttemptAt;
+  if (!current.dunning.exhaustedAt) await current.save();
+
+  if (attempt.status === 'failed') {
+    attempt.emailSent = await notify(contacts.recipients, failureEmail({
+      schoolName: contacts.school?.name || 'your school',
+      planName,
+      attempt: attemptNo,
+      reason: attempt.failureReason,
+      nextAttemptAt: attempt.nextAttemptAt,
+      gracePeriodEnds: current.gracePeriodEnds || new Date(current.expiresAt.getTime() + GRACE_PERIOD_DAYS * DAY_MS)
+    }));
+  }
+  await attempt.save();
+  return current.dunning.exhaustedAt ? 'exhausted' : attempt.status;
+};
+
+/**
+ * Charge saved mandates for subscriptions with autoRenew on. The first
+ * attempt is made ahead of expiresAt, failures are retried on the
+ * AUTO_RENEW_RETRY_DAYS schedule with a reminder email each time, and a
+ * subscription that runs out of retries moves to grace_period at expiry.
+ */
+exports.runAutoRenew = async ({ now = new Date() } = {}) => {
+  const schedule = retrySchedule();
+  const summary = { renewed: 0, pending: 0, failed: 0, exhausted: 0, skipped: 0, errors: [] };
+  const horizon = new Date(dayStart(now).getTime() + (leadDays(schedule) + 1) * DAY_MS);
+
+  const due = await Subscription.find({
+    autoRenew: true,
+    isTemporaryBoost: { $ne: true },
+    planType: { $ne: 'trial' },
+    status: { $in: ['active', 'grace_period'] },
+    'dunning.exhaustedAt': null,
+    $or: [
+      { 'dunning.nextAttemptAt': { $lte: now } },
+      { 'dunning.attempts': { $in: [0, null] }, expiresAt: { $lt: horizon } }
+    ]
+  });
+
+  // A plan already queued to follow this term takes the place of a renewal
+  const queued = new Set((await Subscription.distinct('schoolId', {
+    status: 'scheduled',
+    isTemporaryBoost: { $ne: true }
+  })).map(String));
+
+  for (const sub of due) {
+    if (queued.has(String(sub.schoolId))) {
+      summary.skipped++;
+      continue;
+    }
+    try {
+      summary[await renewOne(sub, { now, schedule })]++;
+    } catch (err) {
+      console.error(`Auto-renew: ${sub._id} failed:`, err.message || err);
+      summary.errors.push({ subscriptionId: sub._id, error: err.message || String(err) });
+    }
+  }
+
+  console.log('Auto-renew run:', JSON.stringify(summary));
+  return summary;
+};
+
+// Gateway webhook confirmed a charge made by an earlier run
+exports.markRenewalCaptured = (renewal, { paymentId, session = null }) =>
+  RenewalAttempt.updateOne(
+    { renewalSubscriptionId: renewal._id, status: 'pending' },
+    { $set: { status: 'succeeded', paymentId } },
+    { session }
+  );
+
+exports.retrySchedule = retrySchedule;
@@ -0,0 +1,74 @@
+const Coupon = require('../models/coupon');
+const CouponRedemption = require('../models/couponRedemption');
+
+// ₹ off `amount` for this coupon, never more than the amount itself
+const discountFor = (coupon, amount) => {
+  let discount = coupon.discountType === 'percent'
+    ? Math.round(amount * coupon.discountValue / 100)
+    : coupon.discountValue;
+  if (coupon.discountType === 'percent' && coupon.maxDiscount != null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return Math.max(0, Math.min(discount, amount));
+};
+
+/**
+ * Check a coupon for a school buying a plan and work out the discount on
+ * `amount` (what is still due after any proration credit).
+ * Throws { status, message } when the coupon cannot be used.
+ */
+exports.quoteCoupon = async (code, { schoolId, planType, amount, session = null, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() }).session(session);
+  if (!coupon || !coupon.active) throw { status: 400, message: 'Invalid coupon code' };
+  if (coupon.expiresAt && coupon.expiresAt <= now) throw { status: 400, message: 'Coupon has expired' };
+  if (coupon.applicablePlanTypes.length && !coupon.applicablePlanTypes.includes(planType)) {
+    throw { status: 400, message: `Coupon is not valid for ${planType}` };
+  }
+  if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw { status: 400, message: 'Coupon has been fully redeemed' };
+  }
+  if (schoolId) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, schoolId }).session(session);
+    if (used >= coupon.perSchoolLimit) throw { status: 400, message: 'School has already used this coupon' };
+  }
+
+  return { coupon, discountAmount: discountFor(coupon, amount) };
+};
+
+/**
+ * Record the use of a quoted coupon against a subscription. The count is
+ * bumped with a guarded update so concurrent checkouts cannot overshoot
+ * maxRedemptions.
+ */
+exports.redeemCoupon = async (coupon, { schoolId, subscription, discountAmount, by = null, session = null }) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true, session }
+  );
+  if (!updated) throw { status: 409, message: 'Coupon has been fully redeemed' };
+
+  await new CouponRedemption({
+    couponId: coupon._id,
+    code: coupon.code,
+    schoolId,
+    subscriptionId: subscription._id,
+    planType: subscription.planType,
+    discountAmount,
+    redeemedBy: by
+  }).save({ session });
+};
+
+// Give the redemption back when a subscription that used it is never paid
+exports.releaseRedemption = async (subscription, { session = null } = {}) => {
+  if (!subscription.couponCode) return;
+  const redemption = await CouponRedemption.findOneAndDelete({ subscriptionId: subscription._id }, { session });
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.couponId }, { $inc: { redemptionCount: -1 } }, { session });
+  }
+};
+
+exports.discountFor = discountFor;
@@ -0,0 +1,129 @@
+const School = require('../models/School');
+const FeatureOverride = require('../models/featureOverride');
+const AuditLog = require('../models/auditLogs');
+const planCatalog = require('./planCatalog');
+const usageService = require('./usageService');
+const schoolAdminService = require('./schoolAdminService');
+const { getActiveBoosts } = require('./subscriptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const audit = (by, action, details, session) =>
+  new AuditLog({ userId: by, action, details }).save({ session });
+
+// Overrides whose expiry has not passed; the TTL index removes the rest late
+const liveOverrides = (schoolId, now, session = null) =>
+  FeatureOverride.find({ schoolId, expiresAt: { $gt: now } }).sort({ feature: 1 }).session(session).lean();
+
+/**
+ * What a school may use right now: features from its plan and running
+ * boosts, then superadmin grants added and revocations removed. Limits are
+ * this month's message quota and the admin account allowance. A school
+ * without a usable plan gets only what is granted to it.
+ */
+exports.getEntitlements = async (schoolId, { now = new Date() } = {}) => {
+  const school = await School.findById(schoolId).select('name code status').lean();
+  if (!school) throw { status: 404, message: 'School not found' };
+
+  const subscription = await usageService.findUsableSubscription(schoolId, now);
+  const [plan, boosts, overrides, quota, adminAccounts] = await Promise.all([
+    subscription ? planCatalog.getPlan(subscription.planType) : null,
+    getActiveBoosts(schoolId, { now }),
+    liveOverrides(schoolId, now),
+    subscription ? usageService.getQuota(schoolId, { now }) : null,
+    schoolAdminService.getAllowance(schoolId)
+  ]);
+
+  // feature → where it comes from
+  const sources = {};
+  for (const feature of subscription?.features || []) sources[feature] = 'plan';
+  for (const boost of boosts) {
+    for (const feature of boost.features || []) sources[feature] = sources[feature] || 'boost';
+  }
+  const revoked = [];
+  for (const override of overrides) {
+    if (override.effect === 'grant') {
+      sources[override.feature] = sources[override.feature] || 'override';
+    } else if (sources[override.feature]) {
+      delete sources[override.feature];
+      revoked.push(override.feature);
+    }
+  }
+
+  const endsAt = subscription?.status === 'grace_period' ? subscription.gracePeriodEnds : subscription?.expiresAt;
+  return {
+    school: { id: school._id, name: school.name, code: school.code },
+    plan: subscription ? {
+      planType: subscription.planType,
+      name: plan?.name || subscription.planType,
+      tier: plan?.tier || null,
+      status: subscription.status,
+      startsAt: subscription.startsAt,
+      expiresAt: subscription.expiresAt,
+      gracePeriodEnds: subscription.gracePeriodEnds || null,
+      daysRemaining: Math.max(0, Math.ceil((endsAt - now) / DAY_MS))
+    } : null,
+    features: Object.keys(sources).sort(),
+    sources,
+    revoked: revoked.sort(),
+    overrides: overrides.map(o => ({ feature: o.feature, effect: o.effect, expiresAt: o.expiresAt })),
+    limits: {
+      messages: quota ? quota.channels : [],
+      boosts: quota ? quota.boosts : [],
+      adminAccounts: { limit: adminAccounts.limit, active: adminAccounts.active, remaining: adminAccounts.remaining }
+    },
+    generatedAt: now
+  };
+};
+
+// Overrides with who set them and why, for the superadmin panel
+exports.listOverrides = (schoolId, { now = new Date() } = {}) =>
+  FeatureOverride.find({ schoolId, expiresAt: { $gt: now } })
+    .populate('createdBy', 'name email')
+    .sort({ feature: 1 })
+    .lean();
+
+/**
+ * Grant or revoke one feature for a school until `expiresAt`. Replaces any
+ * override the school already has for that feature. Only features some
+ * plan gives can be overridden, so a typo cannot create a new one.
+ */
+exports.setOverride = async (schoolId, feature, { effect, expiresAt, reason, by, now = new Date(), session = null }) => {
+  if (!await School.exists({ _id: schoolId }).session(session)) throw { status: 404, message: 'School not found' };
+  const known = await planCatalog.knownFeatures();
+  if (!known.includes(feature)) {
+    throw { status: 400, message: `Unknown feature: ${feature}. Known features: ${known.join(', ')}` };
+  }
+  if (!(expiresAt > now)) throw { status: 400, message: 'Expiry must be in the future' };
+
+  const previous = await FeatureOverride.findOne({ schoolId, feature }).session(session).lean();
+  const override = await FeatureOverride.findOneAndUpdate(
+    { schoolId, feature },
+    { $set: { effect, expiresAt, reason, createdBy: by } },
+    { upsert: true, new: true, runValidators: true, session }
+  );
+
+  await audit(by, effect === 'grant' ? 'grant_school_feature' : 'revoke_school_feature', {
+    schoolId,
+    feature,
+    expiresAt,
+    reason,
+    replaced: previous && previous.expiresAt > now ? { effect: previous.effect, expiresAt: previous.expiresAt } : null
+  }, session);
+  return override;
+};
+
+// End an override early; the school is back to what its plan gives
+exports.removeOverride = async (schoolId, feature, { reason, by, session = null }) => {
+  const override = await FeatureOverride.findOneAndDelete({ schoolId, feature }, { session });
+  if (!override) throw { status: 404, message: 'No override for this feature' };
+
+  await audit(by, 'remove_school_feature_override', {
+    schoolId,
+    feature,
+    effect: override.effect,
+    expiresAt: override.expiresAt,
+    reason
+  }, session);
+  return override;
+};
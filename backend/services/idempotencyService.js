@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+
+// A `processing` key older than this was left by a request that died
+const STALE_MS = 5 * 60 * 1000;
+
+const hashOf = (body) => crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+
+/**
+ * Reserve `key` for this request. Returns { record } when the caller should
+ * go ahead, or { replay } with the stored key when the same request already
+ * completed. Throws 409 while another request holds the key and 422 when the
+ * key was used for a different body.
+ */
+exports.claim = async ({ scope, key, by, body }) => {
+  const requestHash = hashOf(body);
+  try {
+    return { record: await IdempotencyKey.create({ scope, key, createdBy: by, requestHash }) };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ scope, key, createdBy: by });
+  if (!existing) throw { status: 409, message: 'Request is being processed; try again' };
+  if (existing.requestHash !== requestHash) {
+    throw { status: 422, message: 'This idempotency key was already used for a different request' };
+  }
+  if (existing.status === 'completed') return { replay: existing };
+
+  // Take over a key whose request never finished
+  if (existing.updatedAt < new Date(Date.now() - STALE_MS)) {
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+      { $set: { updatedAt: new Date() } },
+      { new: true, timestamps: false }
+    );
+    if (record) return { record };
+  }
+  throw { status: 409, message: 'This request is already being processed' };
+};
+
+// Inside the caller's transaction, so the key completes with the work itself
+exports.complete = (record, { resourceId, response, session = null }) =>
+  IdempotencyKey.updateOne(
+    { _id: record._id },
+    { $set: { status: 'completed', resourceId, response } },
+    { session }
+  );
+
+// The request failed; the same key may be used again
+exports.release = (record) => IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
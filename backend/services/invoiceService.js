@@ -0,0 +1,141 @@
+const Invoice = require('../models/invoice');
+const CreditNote = require('../models/creditNote');
+const Counter = require('../models/counter');
+const School = require('../models/School');
+const planCatalog = require('./planCatalog');
+const gst = require('../utils/gst');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'EDG';
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '997331'; // Licensing services for the right to use software
+
+const nextSequence = async (series, financialYear, session) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${series}:${financialYear}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const nextInvoiceNumber = async (financialYear, session) => {
+  const sequence = await nextSequence('invoice', financialYear, session);
+  return { sequence, invoiceNumber: `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}` };
+};
+
+// Credit notes are numbered in their own series
+const nextCreditNoteNumber = async (financialYear, session) => {
+  const sequence = await nextSequence('credit_note', financialYear, session);
+  return { sequence, creditNoteNumber: `${INVOICE_PREFIX}/CN/${financialYear}/${String(sequence).padStart(5, '0')}` };
+};
+
+/**
+ * Issue the tax invoice for a paid subscription. Runs inside the caller's
+ * transaction so the number is only consumed when the payment commits.
+ * Idempotent per subscription; free subscriptions get no invoice.
+ */
+exports.createInvoiceForSubscription = async (sub, { session = null } = {}) => {
+  if (!sub.finalAmount || sub.finalAmount <= 0) return null;
+
+  const existing = await Invoice.findOne({ subscriptionId: sub._id }).session(session);
+  if (existing) return existing;
+
+  const school = await School.findById(sub.schoolId).session(session).lean();
+  if (!school) throw { status: 404, message: 'School not found for invoice' };
+  const plan = await planCatalog.getPlan(sub.planType, { session });
+
+  const seller = gst.seller();
+  const buyerStateCode = gst.stateCodeFor({ gstin: school.gstin, state: school.address?.state });
+  const tax = gst.splitTax(sub.finalAmount, { sellerStateCode: seller.stateCode, buyerStateCode });
+
+  const issuedAt = new Date();
+  const financialYear = gst.financialYear(issuedAt);
+  const { sequence, invoiceNumber } = await nextInvoiceNumber(financialYear, session);
+
+  const invoice = new Invoice({
+    invoiceNumber,
+    financialYear,
+    sequence,
+    schoolId: school._id,
+    subscriptionId: sub._id,
+    issuedAt,
+    seller,
+    buyer: {
+      name: school.name,
+      code: school.code,
+      email: school.email,
+      gstin: school.gstin || null,
+      address: school.address,
+      state: school.address?.state,
+      stateCode: buyerStateCode
+    },
+    placeOfSupply: school.address?.state || seller.state,
+    lineItems: [{
+      description: `${plan?.name || sub.planType} ${sub.isTemporaryBoost ? 'message boost' : 'subscription'}`,
+      sacCode: SAC_CODE,
+      periodStart: sub.startsAt,
+      periodEnd: sub.expiresAt,
+      quantity: 1,
+      rate: sub.originalAmount,
+      discount: sub.discountAmount || 0,
+      amount: sub.finalAmount
+    }],
+    ...tax,
+    totalAmount: sub.finalAmount,
+    couponCode: sub.couponCode,
+    paymentMethod: sub.paymentMethod,
+    transactionId: sub.transactionId
+  });
+  await invoice.save({ session });
+  return invoice;
+};
+
+/**
+ * Issue a credit note reversing `amount` of an invoice, and record it on the
+ * invoice. GST is split the same way the invoice was. Runs inside the
+ * caller's transaction.
+ */
+exports.createCreditNote = async (invoice, { amount, reason, refund, by = null, session = null }) => {
+  const refundable = gst.round2(invoice.totalAmount - (invoice.refundedAmount || 0));
+  if (amount <= 0 || amount > refundable) {
+    throw { status: 400, message: `Refund must be between ₹0.01 and ₹${refundable}` };
+  }
+
+  // Same party snapshots as the invoice, so the same supply type
+  const tax = gst.splitTax(amount, {
+    sellerStateCode: invoice.seller?.stateCode,
+    buyerStateCode: invoice.buyer?.stateCode,
+    rate: invoice.gstRate
+  });
+
+  const issuedAt = new Date();
+  const financialYear = gst.financialYear(issuedAt);
+  const { sequence, creditNoteNumber } = await nextCreditNoteNumber(financialYear, session);
+
+  const creditNote = new CreditNote({
+    creditNoteNumber,
+    financialYear,
+    sequence,
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    schoolId: invoice.schoolId,
+    subscriptionId: invoice.subscriptionId,
+    issuedAt,
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    placeOfSupply: invoice.placeOfSupply,
+    reason,
+    ...tax,
+    totalAmount: amount,
+    refund,
+    createdBy: by
+  });
+  await creditNote.save({ session });
+
+  const refundedAmount = gst.round2((invoice.refundedAmount || 0) + amount);
+  await Invoice.updateOne(
+    { _id: invoice._id },
+    { $set: { refundedAmount, status: refundedAmount >= invoice.totalAmount ? 'refunded' : 'partially_refunded' } },
+    { session }
+  );
+  return creditNote;
+};
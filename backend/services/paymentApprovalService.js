@@ -0,0 +1,97 @@
+const Subscription = require('../models/subscription');
+const School = require('../models/School');
+const AuditLog = require('../models/auditLogs');
+const subscriptionService = require('./subscriptionService');
+const couponService = require('./couponService');
+const { sendEmail } = require('../utils/email');
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const loadPending = async (subscriptionId, session) => {
+  const sub = await Subscription.findById(subscriptionId).session(session);
+  if (!sub) throw { status: 404, message: 'Payment not found' };
+  if (sub.status !== 'pending') throw { status: 409, message: `Payment already ${sub.status}` };
+  return sub;
+};
+
+/**
+ * Approve a manually verified payment and activate its subscription.
+ * Used by the pending-payments screen and by bank reconciliation.
+ */
+exports.approvePendingPayment = async (subscriptionId, { by, transactionId, note, session = null }) => {
+  const sub = await loadPending(subscriptionId, session);
+
+  sub.reviewedBy = by;
+  sub.reviewedAt = new Date();
+  await subscriptionService.activateSubscription(sub, {
+    by,
+    reason: note || 'Payment approved by superadmin',
+    transactionId,
+    session
+  });
+
+  await new AuditLog({
+    userId: by,
+    action: 'approve_payment',
+    details: {
+      schoolId: sub.schoolId,
+      subscriptionId: sub._id,
+      paymentMethod: sub.paymentMethod,
+      transactionId: sub.transactionId,
+      amount: sub.finalAmount,
+      note: note || null
+    }
+  }).save({ session });
+
+  return sub;
+};
+
+exports.rejectPendingPayment = async (subscriptionId, { by, reason, session = null }) => {
+  const sub = await loadPending(subscriptionId, session);
+
+  sub.reviewedBy = by;
+  sub.reviewedAt = new Date();
+  sub.rejectionReason = reason;
+  sub.transitionTo('canceled', { reason: `Payment rejected: ${reason}`, by });
+  await sub.save({ session });
+  await couponService.releaseRedemption(sub, { session });
+
+  await new AuditLog({
+    userId: by,
+    action: 'reject_payment',
+    details: {
+      schoolId: sub.schoolId,
+      subscriptionId: sub._id,
+      paymentMethod: sub.paymentMethod,
+      transactionId: sub.transactionId,
+      amount: sub.finalAmount,
+      reason
+    }
+  }).save({ session });
+
+  return sub;
+};
+
+// Best effort — a mail failure must not undo the rejection
+exports.notifyRejection = async (sub) => {
+  try {
+    const school = await School.findById(sub.schoolId, 'name email');
+    if (!school?.email) return false;
+
+    const html = `
+      <p>Dear ${escapeHtml(school.name)},</p>
+      <p>We could not verify your payment of <strong>₹${sub.finalAmount}</strong>
+         ${sub.transactionId ? `(reference <strong>${escapeHtml(sub.transactionId)}</strong>)` : ''} for the
+         <strong>${escapeHtml(sub.planType)}</strong> plan.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(sub.rejectionReason)}</p>
+      <p>Please check the transfer details and submit the payment again, or reply to this email if you think this is a mistake.</p>
+      <p>Best regards,<br>EDGlobe Team</p>
+    `;
+    await sendEmail(school.email, 'Payment could not be verified', `Reason: ${sub.rejectionReason}`, html);
+    return true;
+  } catch (err) {
+    console.error('Rejection email failed:', err.message);
+    return false;
+  }
+};
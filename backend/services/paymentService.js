@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const Subscription = require('../models/subscription');
+const PaymentEvent = require('../models/paymentEvent');
+const subscriptionService = require('./subscriptionService');
+const couponService = require('./couponService');
+const autoRenewService = require('./autoRenewService');
+const refundService = require('./refundService');
+const { getGateway } = require('./payments');
+
+// Orders taken before gatewayOrderId existed only carry razorpayOrderId
+const findByOrderId = (orderId, session = null) =>
+  Subscription.findOne({ $or: [{ gatewayOrderId: orderId }, { razorpayOrderId: orderId }] }).session(session);
+
+const orderIdOf = (sub) => sub.gatewayOrderId || sub.razorpayOrderId;
+
+// Activate the pending subscription behind a captured order. Returns the
+// outcome recorded on the PaymentEvent; only 'activated' changed anything.
+const settleCapture = async ({ provider, orderId, paymentId, amount, session }) => {
+  const sub = await findByOrderId(orderId, session);
+  if (!sub) return { outcome: 'unknown_order', sub: null };
+  // Orders are only settled by the gateway that issued them; orders from
+  // before paymentProvider was recorded are Razorpay's
+  if ((sub.paymentProvider || 'razorpay') !== provider) {
+    console.error(`${provider}: order ${orderId} belongs to ${sub.paymentProvider || 'razorpay'} (subscription ${sub._id})`);
+    return { outcome: 'provider_mismatch', sub };
+  }
+  // Paid after the checkout was given up on: the money goes back in full
+  if (sub.status === 'canceled' && !sub.statusHistory.some(h => h.to === 'active') && !sub.lateCapture?.paymentId) {
+    sub.lateCapture = { paymentId, amount, capturedAt: new Date(), refundStatus: 'due' };
+    await sub.save({ session });
+    console.error(`${provider}: order ${orderId} was paid after subscription ${sub._id} was canceled; refunding`);
+    return { outcome: 'late_capture', sub };
+  }
+  if (sub.status !== 'pending') return { outcome: `already_${sub.status}`, sub };
+  // No amount reported counts as a mismatch: nothing proves what was paid
+  if (amount == null || Math.round(sub.finalAmount * 100) !== Math.round(amount * 100)) {
+    console.error(`${provider}: paid ₹${amount} does not match subscription ${sub._id} (₹${sub.finalAmount})`);
+    return { outcome: 'amount_mismatch', sub };
+  }
+
+  await subscriptionService.activateSubscription(sub, {
+    reason: `${provider} payment captured`,
+    transactionId: paymentId,
+    session
+  });
+  await autoRenewService.markRenewalCaptured(sub, { paymentId, session });
+  return { outcome: 'activated', sub };
+};
+
+// Refund a late capture once it is committed. A refund that fails here is
+// retried by the refund-reconcile job, so the callback is still acknowledged.
+const refundLate = async (orderId) => {
+  const sub = await findByOrderId(orderId);
+  try {
+    await refundService.refundLateCapture(sub._id);
+  } catch (err) {
+    console.error(`Late capture refund of subscription ${sub._id} failed:`, err.message || err);
+  }
+};
+
+/**
+ * Create a pending subscription and an order for it with the given provider.
+ * Purchases covered entirely by credit or a coupon are activated at once and
+ * return no order.
+ */
+exports.startCheckout = async (schoolId, { provider, planType, couponCode, by = null }) => {
+  const gateway = getGateway(provider);
+  const school = await School.findById(schoolId);
+  if (!school) throw { status: 404, message: 'School not found' };
+
+  const sub = await subscriptionService.createPendingSubscription(school._id, {
+    planType,
+    couponCode,
+    paymentMethod: gateway.paymentMethod,
+    by
+  });
+
+  if (sub.finalAmount <= 0) {
+    await subscriptionService.activateSubscription(sub, { by, reason: 'Covered by credit' });
+    return { school, subscription: sub, order: null };
+  }
+
+  let order;
+  try {
+    order = await gateway.createOrder({
+      amount: sub.finalAmount,
+      receipt: sub._id.toString(),
+      notes: { schoolId: school._id.toString(), schoolCode: school.code, planType: sub.planType },
+      customer: { name: school.name, email: school.email, contact: school.mobileNo }
+    });
+  } catch (orderErr) {
+    sub.transitionTo('canceled', { reason: 'Order creation failed', by });
+    await sub.save();
+    await couponService.releaseRedemption(sub);
+    throw orderErr;
+  }
+
+  sub.paymentProvider = provider;
+  sub.gatewayOrderId = order.orderId;
+  await sub.save();
+
+  return { school, subscription: sub, order };
+};
+
+/**
+ * Verify and apply one gateway callback. Each event is handled once:
+ * redeliveries are acknowledged with outcome 'duplicate'.
+ */
+exports.handleCallback = async (provider, request) => {
+  const gateway = getGateway(provider);
+  const callback = await gateway.verifyCallback(request);
+
+  const session = await mongoose.startSession();
+  try {
+    let outcome = 'ignored';
+    await session.withTransaction(async () => {
+      const seen = await PaymentEvent.exists({ provider, eventId: callback.eventId }).session(session);
+      if (seen) {
+        outcome = 'duplicate';
+        return;
+      }
+
+      let sub = null;
+      if (callback.status === 'captured' && callback.orderId) {
+        ({ outcome, sub } = await settleCapture({ provider, ...callback, session }));
+      } else if (callback.status === 'refunded' && callback.refundId) {
+        const { modifiedCount } = await refundService.markRefundProcessed(callback.refundId, { provider, session });
+        outcome = modifiedCount ? 'refund_processed' : 'unknown_refund';
+      } else if (callback.status === 'failed') {
+        // The payer can retry on the same order; nothing to undo
+        outcome = 'payment_failed';
+      }
+
+      await new PaymentEvent({
+        provider,
+        eventId: callback.eventId,
+        event: callback.event,
+        orderId: callback.orderId,
+        paymentId: callback.paymentId,
+        subscriptionId: sub?._id || null,
+        outcome,
+        payload: request.body
+      }).save({ session });
+    });
+
+    console.log(`${provider} webhook ${callback.event} (${callback.eventId}): ${outcome}`);
+    if (outcome === 'late_capture') await refundLate(callback.orderId);
+    return { outcome, callback };
+  } catch (err) {
+    // Duplicate key = a parallel delivery of the same event won the race
+    if (err.code === 11000) return { outcome: 'duplicate', callback };
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Ask the gateway about a pending order and activate it if it was paid.
+ * Covers callbacks that never arrived.
+ */
+exports.refreshStatus = async (subscriptionId) => {
+  const sub = await Subscription.findById(subscriptionId);
+  if (!sub) throw { status: 404, message: 'Subscription not found' };
+  const orderId = orderIdOf(sub);
+  if (!orderId) throw { status: 400, message: 'Subscription has no gateway order' };
+
+  const provider = sub.paymentProvider || 'razorpay';
+  const status = await getGateway(provider).fetchStatus({ orderId });
+  if (status.status !== 'captured' || !['pending', 'canceled'].includes(sub.status)) {
+    return { provider, orderId, status: status.status, outcome: 'unchanged', subscription: sub };
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await settleCapture({ provider, orderId, paymentId: status.paymentId, amount: status.amount, session });
+    });
+    if (result.outcome === 'late_capture') await refundLate(orderId);
+    return { provider, orderId, status: status.status, outcome: result.outcome, subscription: result.sub };
+  } finally {
+    await session.endSession();
+  }
+};
+
+exports.orderIdOf = orderIdOf;
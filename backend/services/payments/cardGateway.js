@@ -0,0 +1,27 @@
+const razorpay = require('./razorpayGateway');
+
+// Cards are taken through a card-capable processor (CARD_PROCESSOR, default
+// razorpay) with checkout limited to cards. Its webhooks arrive on the
+// processor's own endpoint and still match the order id.
+const processors = { razorpay };
+
+const processor = () => {
+  const name = process.env.CARD_PROCESSOR || 'razorpay';
+  if (!processors[name]) throw { status: 503, message: `Card processor ${name} is not available` };
+  return processors[name];
+};
+
+module.exports = {
+  name: 'card',
+  paymentMethod: 'card',
+
+  async createOrder(order) {
+    const created = await processor().createOrder(order);
+    return { ...created, checkout: { ...created.checkout, processor: processor().name, method: 'card' } };
+  },
+
+  verifyCallback: (request) => processor().verifyCallback(request),
+  fetchStatus: (query) => processor().fetchStatus(query),
+  refund: (refund) => processor().refund(refund),
+  chargeMandate: (charge) => processor().chargeMandate(charge)
+};
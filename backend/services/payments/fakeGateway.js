@@ -0,0 +1,89 @@
+// In-memory gateway for tests and local runs (PAYMENT_GATEWAY=fake).
+// Orders stay pending until settled; mandate charges are captured unless an
+// outcome was queued first:
+//   fake.willRespond('failed', 'Insufficient funds')
+//   fake.settle(orderId, 'captured') // as if the payer had paid
+// Callbacks are trusted as sent: { event, orderId, paymentId, amount, status }.
+const orders = new Map();
+const charges = [];
+const refunds = [];
+const queued = [];
+let counter = 0;
+
+const nextId = (prefix) => `fake_${prefix}_${++counter}`;
+
+module.exports = {
+  name: 'fake',
+  paymentMethod: 'card',
+  orders,
+  charges,
+  refunds,
+
+  async createOrder({ amount, receipt, notes = {} }) {
+    const orderId = nextId('order');
+    orders.set(orderId, { orderId, amount, receipt, notes, status: 'pending', paymentId: null });
+    return { orderId, amount, currency: 'INR', checkout: { orderId } };
+  },
+
+  async verifyCallback({ body = {} }) {
+    const status = body.status || 'captured';
+    return {
+      eventId: body.eventId || `${status}:${body.paymentId || body.orderId}`,
+      event: body.event || `payment.${status}`,
+      status,
+      orderId: body.orderId || null,
+      paymentId: body.paymentId || null,
+      refundId: body.refundId || null,
+      amount: body.amount ?? orders.get(body.orderId)?.amount ?? null
+    };
+  },
+
+  async fetchStatus({ orderId }) {
+    const order = orders.get(orderId);
+    if (!order) return { status: 'failed', paymentId: null, amount: null };
+    return { status: order.status, paymentId: order.paymentId, amount: order.amount };
+  },
+
+  async refund({ paymentId, orderId, amount }) {
+    const refund = { refundId: nextId('refund'), paymentId, orderId, amount, status: 'processed', at: new Date() };
+    refunds.push(refund);
+    return { refundId: refund.refundId, status: refund.status };
+  },
+
+  async chargeMandate({ mandate, amount, receipt, notes = {} }) {
+    const { status, failureReason = null } = queued.shift() || { status: 'captured' };
+    const charge = {
+      orderId: nextId('order'),
+      paymentId: status === 'failed' ? null : nextId('pay'),
+      status,
+      failureReason,
+      amount,
+      receipt,
+      notes,
+      mandateId: mandate?._id || null,
+      at: new Date()
+    };
+    charges.push(charge);
+    return { status, orderId: charge.orderId, paymentId: charge.paymentId, failureReason };
+  },
+
+  settle(orderId, status = 'captured') {
+    const order = orders.get(orderId);
+    if (!order) return null;
+    order.status = status;
+    order.paymentId = status === 'captured' ? nextId('pay') : null;
+    return order;
+  },
+
+  willRespond(status, failureReason) {
+    queued.push({ status, failureReason });
+  },
+
+  reset() {
+    orders.clear();
+    charges.length = 0;
+    refunds.length = 0;
+    queued.length = 0;
+    counter = 0;
+  }
+};
@@ -0,0 +1,41 @@
+const razorpay = require('./razorpayGateway');
+const phonepe = require('./phonepeGateway');
+const upi = require('./upiGateway');
+const card = require('./cardGateway');
+const fake = require('./fakeGateway');
+
+// Payment gateways by provider name. Services ask for a gateway here rather
+// than calling a provider SDK, so adding a provider means one adapter plus a
+// line below. Every adapter implements (amounts in ₹):
+//
+//   name, paymentMethod                  value recorded on Subscription.paymentMethod
+//   createOrder({ amount, receipt, notes, customer })
+//     → { orderId, amount, currency, checkout }   checkout = what the client needs to pay
+//   verifyCallback({ headers, rawBody, body })
+//     → { eventId, event, status, orderId, paymentId, refundId, amount }
+//       status: 'captured' | 'failed' | 'pending' | 'refunded' | 'ignored'; throws 400 on a bad signature
+//   fetchStatus({ orderId }) → { status: 'captured' | 'pending' | 'failed', paymentId, amount }
+//   refund({ paymentId, orderId, amount, notes }) → { refundId, status: 'processed' | 'pending' | 'failed' | 'manual' }
+//   chargeMandate({ mandate, amount, receipt, notes, customer })
+//     → { status: 'captured' | 'pending' | 'failed', orderId, paymentId, failureReason }
+//
+// PAYMENT_GATEWAY=fake routes every call to the in-memory fake; useGateway()
+// replaces one provider. The fake trusts its callbacks unsigned, so it is
+// only reachable by name when asked for or in an explicit test/dev run; an
+// unset NODE_ENV (plain `npm start`) does not count.
+const gateways = { razorpay, phonepe, upi, card };
+if (process.env.PAYMENT_GATEWAY === 'fake' || ['test', 'development'].includes(process.env.NODE_ENV)) {
+  gateways.fake = fake;
+}
+const overrides = new Map();
+
+exports.getGateway = (provider) => {
+  if (process.env.PAYMENT_GATEWAY === 'fake') return fake;
+  const gateway = overrides.get(provider) || gateways[provider];
+  if (!gateway) throw { status: 400, message: `Unsupported payment provider: ${provider}` };
+  return gateway;
+};
+
+exports.useGateway = (provider, gateway) => overrides.set(provider, gateway);
+exports.restoreGateways = () => overrides.clear();
+exports.providers = Object.keys(gateways);
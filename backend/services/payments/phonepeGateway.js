@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const PhonePeService = require('../phonepeService');
+
+// PhonePe transaction ids: alphanumeric, at most 38 characters
+const transactionId = (prefix, ref) =>
+  `${prefix}${ref}${crypto.randomBytes(4).toString('hex')}`.slice(0, 38);
+
+const STATE_STATUS = { COMPLETED: 'captured', FAILED: 'failed', PENDING: 'pending' };
+const CODE_STATUS = {
+  PAYMENT_SUCCESS: 'captured',
+  PAYMENT_ERROR: 'failed',
+  PAYMENT_DECLINED: 'failed',
+  TIMED_OUT: 'failed',
+  PAYMENT_PENDING: 'pending'
+};
+
+// PhonePe PG (hosted pay page) behind the gateway interface (see ./index.js)
+module.exports = {
+  name: 'phonepe',
+  paymentMethod: 'phonepe',
+
+  async createOrder({ amount, receipt, notes = {}, customer = {} }) {
+    const merchantTransactionId = transactionId('T', receipt);
+    const payment = await PhonePeService.createPayment({
+      merchantTransactionId,
+      merchantUserId: `S${notes.schoolId || receipt}`,
+      amount,
+      mobileNumber: customer.contact
+    });
+    return {
+      orderId: merchantTransactionId,
+      amount,
+      currency: 'INR',
+      checkout: { redirectUrl: payment?.instrumentResponse?.redirectInfo?.url }
+    };
+  },
+
+  // S2S callback: { response: base64(JSON) } signed in the X-VERIFY header
+  async verifyCallback({ headers, body }) {
+    if (!PhonePeService.verifyCallback(body?.response, headers['x-verify'])) {
+      throw { status: 400, message: 'Invalid signature' };
+    }
+    const decoded = JSON.parse(Buffer.from(body.response, 'base64').toString('utf8'));
+    const data = decoded.data || {};
+    return {
+      eventId: `${decoded.code}:${data.transactionId || data.merchantTransactionId}`,
+      event: decoded.code,
+      status: CODE_STATUS[decoded.code] || 'ignored',
+      orderId: data.merchantTransactionId || null,
+      paymentId: data.transactionId || null,
+      refundId: null,
+      amount: data.amount != null ? data.amount / 100 : null
+    };
+  },
+
+  async fetchStatus({ orderId }) {
+    const result = await PhonePeService.checkStatus(orderId);
+    const data = result.data || {};
+    return {
+      status: STATE_STATUS[data.state] || CODE_STATUS[result.code] || 'pending',
+      paymentId: data.transactionId || null,
+      amount: data.amount != null ? data.amount / 100 : null
+    };
+  },
+
+  // Refunds are keyed on our original transaction id, not PhonePe's
+  async refund({ orderId, amount, notes = {} }) {
+    const merchantTransactionId = transactionId('R', orderId.slice(1, 25));
+    const result = await PhonePeService.refund({
+      merchantTransactionId,
+      originalTransactionId: orderId,
+      merchantUserId: `S${notes.schoolId || orderId}`,
+      amount
+    });
+    const state = result.data?.state;
+    return { refundId: merchantTransactionId, status: state === 'COMPLETED' ? 'processed' : state === 'FAILED' ? 'failed' : 'pending' };
+  },
+
+  // PhonePe autopay needs its separate subscription APIs, which we do not use yet
+  async chargeMandate() {
+    return { status: 'failed', orderId: null, paymentId: null, failureReason: 'PhonePe mandates are not supported' };
+  }
+};
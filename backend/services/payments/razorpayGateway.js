@@ -0,0 +1,78 @@
+const RazorpayService = require('../razorpayService');
+
+// Razorpay webhook events we act on; anything else is recorded and ignored
+const EVENT_STATUS = {
+  'payment.captured': 'captured',
+  'payment.failed': 'failed',
+  'refund.processed': 'refunded'
+};
+
+// Razorpay behind the gateway interface (see ./index.js)
+module.exports = {
+  name: 'razorpay',
+  paymentMethod: 'razorpay',
+
+  async createOrder({ amount, receipt, notes = {} }) {
+    const order = await RazorpayService.createOrder({ amount, receipt, notes });
+    return {
+      orderId: order.id,
+      amount,
+      currency: order.currency,
+      // What Razorpay Checkout needs on the client
+      checkout: { keyId: RazorpayService.keyId, orderId: order.id, amount: order.amount, currency: order.currency }
+    };
+  },
+
+  async verifyCallback({ headers, rawBody, body }) {
+    if (!RazorpayService.verifyWebhookSignature(rawBody, headers['x-razorpay-signature'])) {
+      throw { status: 400, message: 'Invalid signature' };
+    }
+    const { event, payload } = body;
+    const payment = payload?.payment?.entity;
+    const refund = payload?.refund?.entity;
+    return {
+      // Older webhooks have no event id
+      eventId: headers['x-razorpay-event-id'] || `${event}:${refund?.id || payment?.id}`,
+      event,
+      status: EVENT_STATUS[event] || 'ignored',
+      orderId: payment?.order_id || null,
+      paymentId: payment?.id || refund?.payment_id || null,
+      refundId: refund?.id || null,
+      amount: payment ? payment.amount / 100 : null
+    };
+  },
+
+  async fetchStatus({ orderId }) {
+    const { items = [] } = await RazorpayService.fetchOrderPayments(orderId);
+    const captured = items.find(p => p.status === 'captured' || p.status === 'refunded');
+    if (captured) return { status: 'captured', paymentId: captured.id, amount: captured.amount / 100 };
+    // Every try failed so far; the payer may still retry on the same order
+    const failed = items.length && items.every(p => p.status === 'failed');
+    return { status: failed ? 'failed' : 'pending', paymentId: null, amount: null };
+  },
+
+  async refund({ paymentId, amount, notes = {} }) {
+    const refund = await RazorpayService.refundPayment(paymentId, { amount, notes });
+    return { refundId: refund.id, status: refund.status === 'processed' ? 'processed' : refund.status === 'failed' ? 'failed' : 'pending' };
+  },
+
+  // Recurring charges are asynchronous: the result is 'pending' until the
+  // payment.captured webhook activates the renewal by its order id.
+  async chargeMandate({ mandate, amount, receipt, notes = {}, customer = {} }) {
+    const order = await RazorpayService.createOrder({ amount, receipt, notes });
+    try {
+      const payment = await RazorpayService.createRecurringPayment({
+        orderId: order.id,
+        amount,
+        customerId: mandate.customerId,
+        token: mandate.token,
+        email: customer.email,
+        contact: customer.contact,
+        notes
+      });
+      return { status: 'pending', orderId: order.id, paymentId: payment.razorpay_payment_id };
+    } catch (err) {
+      return { status: 'failed', orderId: order.id, paymentId: null, failureReason: err.message };
+    }
+  }
+};
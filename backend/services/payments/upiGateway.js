@@ -0,0 +1,42 @@
+// Direct UPI collection into our own VPA through a upi:// intent link.
+// There is no gateway in between, so nothing calls us back: these payments
+// stay pending until they are matched to a bank credit (reconciliation) or
+// approved by hand with the UTR, like bank transfers.
+module.exports = {
+  name: 'upi',
+  paymentMethod: 'upi',
+
+  async createOrder({ amount, receipt, notes = {} }) {
+    const vpa = process.env.UPI_VPA;
+    if (!vpa) throw { status: 503, message: 'UPI VPA not configured' };
+
+    const orderId = `UPI${receipt}`;
+    // UPI apps expect %20 for spaces and a literal @ in the VPA
+    const params = Object.entries({
+      pa: vpa,
+      pn: process.env.UPI_PAYEE_NAME || 'School Subscription',
+      am: amount.toFixed(2),
+      cu: 'INR',
+      tr: orderId,
+      tn: `Subscription ${notes.planType || receipt}`
+    }).map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&');
+    return { orderId, amount, currency: 'INR', checkout: { upiLink: `upi://pay?${params}`, vpa } };
+  },
+
+  async verifyCallback() {
+    throw { status: 404, message: 'UPI intent payments have no callback' };
+  },
+
+  async fetchStatus() {
+    return { status: 'pending', paymentId: null, amount: null };
+  },
+
+  // Money goes back by bank transfer from our side
+  async refund() {
+    return { refundId: null, status: 'manual' };
+  },
+
+  async chargeMandate() {
+    return { status: 'failed', orderId: null, paymentId: null, failureReason: 'UPI intent cannot be charged without the payer' };
+  }
+};
@@ -0,0 +1,95 @@
+// services/phonepeService.js
+const axios = require('axios');
+const crypto = require('crypto');
+
+// PhonePe signs with X-VERIFY = sha256(<payload><path><salt key>) + '###' + <salt index>.
+// Callbacks are signed the same way without the path.
+const checksum = (payload, saltKey, saltIndex) =>
+  `${crypto.createHash('sha256').update(payload + saltKey).digest('hex')}###${saltIndex}`;
+
+const verifyChecksum = (payload, header, saltKey, saltIndex) => {
+  if (!payload || !header || !saltKey) return false;
+  const expected = checksum(payload, saltKey, saltIndex);
+  const given = String(header);
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+class PhonePeService {
+  constructor() {
+    this.apiUrl = process.env.PHONEPE_BASE_URL || 'https://api.phonepe.com/apis/hermes';
+    this.merchantId = process.env.PHONEPE_MERCHANT_ID;
+    this.saltKey = process.env.PHONEPE_SALT_KEY;
+    this.saltIndex = process.env.PHONEPE_SALT_INDEX || '1';
+    this.callbackUrl = process.env.PHONEPE_CALLBACK_URL; // → /api/payments/phonepe/webhook
+    this.redirectUrl = process.env.PHONEPE_REDIRECT_URL; // where the payer lands afterwards
+  }
+
+  async request(method, path, payload, failureMessage) {
+    if (!this.merchantId || !this.saltKey) {
+      throw { status: 503, message: 'PhonePe merchant keys not configured' };
+    }
+
+    const body = payload && Buffer.from(JSON.stringify(payload)).toString('base64');
+    try {
+      const response = await axios({
+        method,
+        url: `${this.apiUrl}${path}`,
+        data: body ? { request: body } : undefined,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-VERIFY': checksum(`${body || ''}${path}`, this.saltKey, this.saltIndex),
+          'X-MERCHANT-ID': this.merchantId
+        },
+        timeout: 15000
+      });
+      return response.data; // { success, code, message, data }
+    } catch (error) {
+      console.error(`PhonePe ${method.toUpperCase()} ${path} error:`, {
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+      throw { status: 502, message: error.response?.data?.message || failureMessage };
+    }
+  }
+
+  // amount in rupees; PhonePe wants paise. Returns the hosted pay page URL.
+  async createPayment({ merchantTransactionId, merchantUserId, amount, mobileNumber }) {
+    const result = await this.request('post', '/pg/v1/pay', {
+      merchantId: this.merchantId,
+      merchantTransactionId,
+      merchantUserId,
+      amount: Math.round(amount * 100),
+      redirectUrl: this.redirectUrl,
+      redirectMode: 'POST',
+      callbackUrl: this.callbackUrl,
+      mobileNumber,
+      paymentInstrument: { type: 'PAY_PAGE' }
+    }, 'Failed to start PhonePe payment');
+    return result.data; // { merchantTransactionId, instrumentResponse: { redirectInfo: { url } } }
+  }
+
+  checkStatus(merchantTransactionId) {
+    return this.request('get', `/pg/v1/status/${this.merchantId}/${merchantTransactionId}`, null, 'Failed to fetch PhonePe status');
+  }
+
+  refund({ merchantTransactionId, originalTransactionId, merchantUserId, amount }) {
+    return this.request('post', '/pg/v1/refund', {
+      merchantId: this.merchantId,
+      merchantUserId,
+      originalTransactionId,
+      merchantTransactionId,
+      amount: Math.round(amount * 100),
+      callbackUrl: this.callbackUrl
+    }, 'PhonePe refund failed');
+  }
+
+  // Server-to-server callback: { response: <base64 JSON> } with X-VERIFY
+  verifyCallback(response, header) {
+    return verifyChecksum(response, header, this.saltKey, this.saltIndex);
+  }
+}
+
+module.exports = new PhonePeService();
+module.exports.checksum = checksum;
@@ -0,0 +1,97 @@
+const Plan = require('../models/Plan');
+const defaultPlans = require('../utils/subscriptionPlans');
+
+// Look up a plan by code. Inactive plans still resolve so that existing
+// subscriptions on retired plans keep working; callers selling a plan
+// should pass { sellable: true }.
+exports.getPlan = async (code, { session = null, sellable = false } = {}) => {
+  if (!code) return null;
+  const query = { code: String(code).toLowerCase() };
+  if (sellable) query.active = true;
+  return Plan.findOne(query).session(session).lean();
+};
+
+exports.listPlans = ({ includeInactive = false } = {}) =>
+  Plan.find(includeInactive ? {} : { active: true }).sort({ priority: 1, amount: 1 }).lean();
+
+exports.isBoost = (plan) => plan?.tier === 'boost';
+
+// Every entitlement key some plan in the catalog gives, retired plans included
+exports.knownFeatures = async () => (await Plan.distinct('features')).sort();
+
+// Fields a new subscription copies from its plan
+exports.subscriptionFieldsFor = (plan) => ({
+  planType: plan.code,
+  priority: plan.priority,
+  features: [...plan.features],
+  durationDays: plan.durationDays,
+  messageLimits: {
+    smsMonthly: plan.smsMonthlyLimit,
+    whatsappMonthly: plan.whatsappMonthlyLimit
+  }
+});
+
+// Fields a boost copies from its pack. Boosts never carry features or
+// outrank the main plan; only their message limits count.
+exports.boostFieldsFor = (plan) => ({
+  planType: plan.code,
+  isTemporaryBoost: true,
+  priority: 1,
+  features: [],
+  durationDays: plan.durationDays,
+  messageLimits: {
+    smsMonthly: plan.smsMonthlyLimit,
+    whatsappMonthly: plan.whatsappMonthlyLimit
+  }
+});
+
+// Insert any default plan whose code is missing; never overwrites edits
+exports.ensureDefaultPlans = async () => {
+  // Plans from before the catalog only have name/amount/interval. They get a
+  // code and the fields the schema now requires, and are retired from sale,
+  // so they validate and the unique index on code can be built.
+  const legacy = await Plan.find({ $or: [{ code: null }, { code: '' }] }).lean();
+  if (legacy.length) {
+    await Plan.bulkWrite(legacy.map(plan => {
+      const yearly = /year|annual/i.test(plan.interval || '');
+      return {
+        updateOne: {
+          filter: { _id: plan._id },
+          update: {
+            $set: {
+              code: `legacy_${plan._id}`,
+              tier: 'basic',
+              interval: yearly ? 'yearly' : 'monthly',
+              durationDays: yearly ? 365 : 30,
+              priority: 2,
+              active: false
+            }
+          }
+        }
+      };
+    }));
+    console.log(`✅ Retired ${legacy.length} legacy plan(s) without a code`);
+  }
+
+  const result = await Plan.bulkWrite(defaultPlans.map(plan => ({
+    updateOne: {
+      filter: { code: plan.code },
+      update: { $setOnInsert: plan },
+      upsert: true
+    }
+  })));
+  if (result.upsertedCount) {
+    console.log(`✅ Seeded ${result.upsertedCount} default plan(s)`);
+  }
+
+  // Plans seeded before maxAdmins existed get the default allowance once
+  await Plan.bulkWrite(defaultPlans.filter(plan => 'maxAdmins' in plan).map(plan => ({
+    updateOne: {
+      filter: { code: plan.code, maxAdmins: { $exists: false } },
+      update: { $set: { maxAdmins: plan.maxAdmins } }
+    }
+  })));
+
+  // The automatic build at connect may have failed on the legacy plans
+  await Plan.createIndexes();
+};
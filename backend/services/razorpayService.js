@@ -0,0 +1,93 @@
+// services/razorpayService.js
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Razorpay signs the raw request body with the webhook secret (HMAC-SHA256, hex).
+// Kept free of env/IO so recorded webhook payloads can be replayed against it
+// (test/razorpayWebhook.test.js).
+const verifySignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const given = String(signature);
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+class RazorpayService {
+  constructor() {
+    this.apiUrl = 'https://api.razorpay.com/v1';
+    this.keyId = process.env.RAZORPAY_KEY_ID;
+    this.keySecret = process.env.RAZORPAY_KEY_SECRET;
+    this.webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  }
+
+  async request(method, path, data, failureMessage) {
+    if (!this.keyId || !this.keySecret) {
+      throw { status: 503, message: 'Razorpay keys not configured' };
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.apiUrl}${path}`,
+        data,
+        auth: { username: this.keyId, password: this.keySecret },
+        timeout: 15000
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Razorpay ${method.toUpperCase()} ${path} error:`, {
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+      throw { status: 502, message: error.response?.data?.error?.description || failureMessage };
+    }
+  }
+
+  // amount in rupees; Razorpay wants paise
+  createOrder({ amount, receipt, notes = {} }) {
+    return this.request('post', '/orders', {
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      receipt,
+      notes
+    }, 'Failed to create Razorpay order'); // { id: 'order_...', amount, currency, status: 'created', ... }
+  }
+
+  // Charge a saved card/UPI token against an order. Razorpay answers with ids
+  // only; the capture itself arrives later as a payment.captured webhook.
+  createRecurringPayment({ orderId, amount, customerId, token, email, contact, notes = {} }) {
+    return this.request('post', '/payments/create/recurring', {
+      email,
+      contact,
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      order_id: orderId,
+      customer_id: customerId,
+      token,
+      recurring: '1',
+      notes
+    }, 'Recurring charge failed'); // { razorpay_payment_id, razorpay_order_id, razorpay_signature }
+  }
+
+  // { items: [{ id, status: 'created' | 'authorized' | 'captured' | 'refunded' | 'failed', amount, ... }] }
+  fetchOrderPayments(orderId) {
+    return this.request('get', `/orders/${orderId}/payments`, undefined, 'Failed to fetch Razorpay order');
+  }
+
+  // amount in rupees; omit for a full refund
+  refundPayment(paymentId, { amount, notes = {} } = {}) {
+    return this.request('post', `/payments/${paymentId}/refund`, {
+      ...(amount != null ? { amount: Math.round(amount * 100) } : {}),
+      notes
+    }, 'Razorpay refund failed'); // { id: 'rfnd_...', status: 'pending' | 'processed' | 'failed', ... }
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    return verifySignature(rawBody, signature, this.webhookSecret);
+  }
+}
+
+module.exports = new RazorpayService();
+module.exports.verifySignature = verifySignature;
@@ -0,0 +1,166 @@
+const Subscription = require('../models/subscription');
+const BankStatementImport = require('../models/bankStatementImport');
+const paymentApprovalService = require('./paymentApprovalService');
+const { parseCsv } = require('../utils/csv');
+
+// Header aliases seen in Indian bank exports
+const COLUMNS = {
+  date: ['date', 'txn date', 'transaction date', 'value date'],
+  amount: ['amount', 'credit', 'deposit', 'credit amount', 'deposit amt.'],
+  narration: ['narration', 'description', 'particulars', 'remarks'],
+  utr: ['utr', 'utr no', 'utr number', 'reference', 'ref no', 'ref no./cheque no.', 'chq/ref number']
+};
+
+const pick = (row, names) => {
+  const key = names.find(name => row[name] !== undefined && row[name] !== '');
+  return key ? row[key] : '';
+};
+
+// 2025-04-01, 01/04/2025, 01-04-2025 (day first, as banks here export)
+const parseDate = (value) => {
+  const dmy = /^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})$/.exec(value);
+  if (dmy) {
+    const year = dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3]);
+    return new Date(Date.UTC(year, Number(dmy[2]) - 1, Number(dmy[1])));
+  }
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+const parseAmount = (value) => {
+  const amount = Number(String(value).replace(/[₹,\s]/g, '').replace(/cr$/i, ''));
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const normalizeRef = (value) => String(value || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+
+const parseStatement = (csvText) => {
+  const lines = [];
+  const skippedRows = [];
+  parseCsv(csvText).forEach((raw, index) => {
+    const row = index + 1;
+    const amount = parseAmount(pick(raw, COLUMNS.amount));
+    const date = parseDate(pick(raw, COLUMNS.date));
+    if (amount === null || amount <= 0) return skippedRows.push({ row, reason: 'Not a credit' });
+    if (!date) return skippedRows.push({ row, reason: 'Invalid date' });
+    lines.push({
+      row,
+      date,
+      amount,
+      narration: pick(raw, COLUMNS.narration),
+      utr: normalizeRef(pick(raw, COLUMNS.utr)) || null
+    });
+  });
+  return { lines, skippedRows };
+};
+
+// Score one statement line against one pending subscription
+const scoreCandidate = (line, sub) => {
+  const reasons = [];
+  const narration = normalizeRef(line.narration);
+  const code = sub.schoolId?.code;
+
+  if (Math.abs(line.amount - sub.finalAmount) < 1) reasons.push('amount');
+  if (sub.transactionId) {
+    const ref = normalizeRef(sub.transactionId);
+    if (ref && (ref === line.utr || narration.includes(ref))) reasons.push('utr');
+  }
+  if (code && new RegExp(`(^|[^A-Z0-9])${code}([^A-Z0-9]|$)`, 'i').test(line.narration || '')) {
+    reasons.push('school_code');
+  }
+
+  const score = (reasons.includes('utr') ? 3 : 0) + (reasons.includes('school_code') ? 2 : 0) + (reasons.includes('amount') ? 2 : 0);
+  return { subscriptionId: sub._id, score, reasons };
+};
+
+/**
+ * Confident: the best candidate has the right amount plus a UTR or school
+ * code hit, and no other line or candidate competes for it.
+ * Ambiguous: something matched, but not well enough to activate blind.
+ */
+const classify = (lines, pending) => {
+  for (const line of lines) {
+    line.candidates = pending
+      .map(sub => scoreCandidate(line, sub))
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const [best, next] = line.candidates;
+    const strong = best && best.reasons.includes('amount') && best.reasons.length > 1;
+    if (!best) line.status = 'unmatched';
+    else if (strong && (!next || next.score < best.score)) line.status = 'confident';
+    else line.status = 'ambiguous';
+  }
+
+  // A subscription confidently claimed by two lines needs a human
+  const claims = new Map();
+  lines.filter(l => l.status === 'confident').forEach(l => {
+    const id = String(l.candidates[0].subscriptionId);
+    claims.set(id, (claims.get(id) || 0) + 1);
+  });
+  lines.forEach(l => {
+    if (l.status === 'confident' && claims.get(String(l.candidates[0].subscriptionId)) > 1) {
+      l.status = 'ambiguous';
+      l.note = 'Several statement lines match this subscription';
+    }
+  });
+};
+
+exports.importStatement = async ({ csvText, fileName, by }) => {
+  const { lines, skippedRows } = parseStatement(csvText);
+  if (!lines.length) throw { status: 400, message: 'No credit lines found in the statement' };
+
+  // UTRs already used to activate a subscription are not matched again
+  const utrs = lines.map(l => l.utr).filter(Boolean);
+  const used = new Set((await Subscription.find(
+    { transactionId: { $in: utrs }, status: { $ne: 'pending' } },
+    'transactionId'
+  ).lean()).map(s => normalizeRef(s.transactionId)));
+
+  const pending = await Subscription.find({ status: 'pending', paymentMethod: 'bank_transfer' })
+    .populate('schoolId', 'code')
+    .lean();
+
+  const fresh = lines.filter(l => !l.utr || !used.has(l.utr));
+  classify(fresh, pending);
+  lines.filter(l => !fresh.includes(l)).forEach(l => {
+    l.status = 'unmatched';
+    l.candidates = [];
+    l.note = 'UTR already used for an active subscription';
+  });
+
+  const statement = new BankStatementImport({ fileName, uploadedBy: by, lines, skippedRows });
+  await statement.save();
+  return statement;
+};
+
+/**
+ * Confirm a statement line: approves the pending subscription exactly like
+ * the manual pending-payments screen, using the line's UTR as transactionId.
+ */
+exports.confirmLine = async (importId, lineId, { subscriptionId, by, session = null }) => {
+  const statement = await BankStatementImport.findById(importId).session(session);
+  if (!statement) throw { status: 404, message: 'Statement import not found' };
+  const line = statement.lines.id(lineId);
+  if (!line) throw { status: 404, message: 'Statement line not found' };
+  if (line.status === 'confirmed') throw { status: 409, message: 'Line already confirmed' };
+
+  const targetId = subscriptionId || line.candidates[0]?.subscriptionId;
+  if (!targetId) throw { status: 400, message: 'Pick a subscription to match this line to' };
+
+  const sub = await paymentApprovalService.approvePendingPayment(targetId, {
+    by,
+    transactionId: line.utr || undefined,
+    note: `Matched to bank statement line ${line.row}${line.utr ? ` (UTR ${line.utr})` : ''}`,
+    session
+  });
+
+  line.status = 'confirmed';
+  line.matchedSubscriptionId = sub._id;
+  line.confirmedBy = by;
+  line.confirmedAt = new Date();
+  await statement.save({ session });
+  return { line, subscription: sub };
+};
+
+exports.parseStatement = parseStatement;
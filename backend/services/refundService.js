@@ -0,0 +1,395 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscription');
+const Invoice = require('../models/invoice');
+const CreditNote = require('../models/creditNote');
+const AuditLog = require('../models/auditLogs');
+const invoiceService = require('./invoiceService');
+const { getGateway } = require('./payments');
+const { syncSchoolSmsPack } = require('../utils/subscriptionUtils');
+const { round2 } = require('../utils/gst');
+
+// Anything that was paid for; pending and never-paid subscriptions have no invoice
+const REFUNDABLE = ['active', 'grace_period', 'scheduled', 'expired', 'canceled'];
+
+// Gateway that took the money, or null when it came in outside one
+// (bank transfer, or an online payment approved by hand)
+const providerFor = (sub) => {
+  if (sub.paymentMethod === 'bank_transfer') return null;
+  if (sub.paymentProvider) return sub.paymentProvider;
+  return sub.razorpayOrderId ? 'razorpay' : null;
+};
+
+// Refunds older than this with no credit note are picked up by reconcileRefunds
+const STALE_RESERVATION_MS = 15 * 60 * 1000;
+
+// Hold part of the invoice for a refund in progress. One atomic update, so
+// two refunds racing on the same invoice cannot both pass the check.
+const reserve = async (invoice, { amount, provider, reason, cancel, by }) => {
+  const reservationId = new mongoose.Types.ObjectId();
+  const reserved = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      // total − refunded − pending ≥ amount, with half a paisa for float sums
+      $expr: {
+        $gte: [
+          { $subtract: ['$totalAmount', { $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$refundPendingAmount', 0] }] }] },
+          amount - 0.005
+        ]
+      }
+    },
+    {
+      $inc: { refundPendingAmount: amount },
+      $push: { refundReservations: { _id: reservationId, amount, provider, reason, cancel, by } }
+    },
+    { new: true }
+  );
+  if (!reserved) throw { status: 409, message: 'Another refund on this invoice is in progress or it is already refunded' };
+  return reservationId;
+};
+
+// Matches on the reservation, so releasing twice changes nothing
+const release = (invoiceId, reservationId, amount, session = null) =>
+  Invoice.updateOne(
+    { _id: invoiceId, 'refundReservations._id': reservationId },
+    { $inc: { refundPendingAmount: -amount }, $pull: { refundReservations: { _id: reservationId } } },
+    { session }
+  );
+
+// Issue the credit note for a reserved refund and cancel the subscription if asked
+const recordRefund = async ({ invoiceId, subscriptionId, reservationId, amount, reason, refund, cancel, by }) => {
+  const session = await mongoose.startSession();
+  try {
+    let creditNote;
+    let subscription;
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const current = await Invoice.findById(invoiceId).session(session);
+      if (!current.refundReservations.some(r => r._id.equals(reservationId))) {
+        throw { status: 409, message: 'Refund is already recorded' };
+      }
+      creditNote = await invoiceService.createCreditNote(current, { amount, reason, refund, by, session });
+      await release(invoiceId, reservationId, amount, session);
+
+      subscription = await Subscription.findById(subscriptionId).session(session);
+      subscription.refundedAmount = round2((subscription.refundedAmount || 0) + amount);
+      if (cancel && ['active', 'grace_period', 'scheduled'].includes(subscription.status)) {
+        // Term ends today; a term that had not started yet ends where it began
+        subscription.expiresAt = new Date(Math.max(subscription.startsAt.getTime(), Math.min(subscription.expiresAt.getTime(), now.getTime())));
+        subscription.gracePeriodEnds = null;
+        subscription.autoRenew = false;
+        subscription.transitionTo('canceled', { reason: `Refunded: ${reason}`, by, at: now });
+      }
+      await subscription.save({ session });
+      await syncSchoolSmsPack(subscription.schoolId, { session, now });
+
+      await new AuditLog({
+        userId: by,
+        action: 'refund_payment',
+        details: {
+          schoolId: subscription.schoolId,
+          subscriptionId: subscription._id,
+          invoiceNumber: current.invoiceNumber,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          amount,
+          method: refund.method,
+          provider: refund.provider,
+          gatewayRefundId: refund.gatewayRefundId || null,
+          canceled: subscription.status === 'canceled',
+          reason
+        }
+      }).save({ session });
+    });
+    return { creditNote, subscription };
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Refund all or part of a paid subscription and issue the credit note.
+ * Gateway payments are refunded through the gateway that took them; bank
+ * transfers (or `manual: true`) are recorded as refunded outside the system.
+ * Unless `cancel` is false, a running subscription is canceled and its term
+ * ends now. The amount is reserved on the invoice before any money moves.
+ */
+exports.refundSubscription = async (subscriptionId, { amount, reason, reference = null, manual = false, cancel = true, by = null }) => {
+  const sub = await Subscription.findById(subscriptionId);
+  if (!sub) throw { status: 404, message: 'Subscription not found' };
+  if (!REFUNDABLE.includes(sub.status)) throw { status: 409, message: `Cannot refund a ${sub.status} subscription` };
+
+  const invoice = await Invoice.findOne({ subscriptionId: sub._id });
+  if (!invoice) throw { status: 400, message: 'Subscription has no invoice; nothing was paid' };
+  const refundable = round2(invoice.totalAmount - (invoice.refundedAmount || 0) - (invoice.refundPendingAmount || 0));
+  const refundAmount = amount == null ? refundable : round2(Number(amount));
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    if (refundable <= 0 && invoice.refundPendingAmount > 0) throw { status: 409, message: 'A refund on this invoice is still in progress' };
+    throw { status: 400, message: refundable > 0 ? `Refund must be between ₹0.01 and ₹${refundable}` : 'Invoice is already fully refunded' };
+  }
+
+  const provider = manual ? null : providerFor(sub);
+  const orderId = sub.gatewayOrderId || sub.razorpayOrderId;
+  if (provider && !sub.transactionId && !orderId) {
+    throw { status: 400, message: 'No gateway payment on this subscription; record a manual refund instead' };
+  }
+
+  const reservationId = await reserve(invoice, { amount: refundAmount, provider, reason, cancel, by });
+
+  // Money moves first: the gateway cannot take part in our transaction
+  let refund = { method: 'manual', provider, status: 'processed', reference, processedAt: new Date() };
+  if (provider) {
+    let result;
+    try {
+      result = await getGateway(provider).refund({
+        paymentId: sub.transactionId,
+        orderId,
+        amount: refundAmount,
+        notes: { schoolId: String(sub.schoolId), subscriptionId: String(sub._id), invoiceNumber: invoice.invoiceNumber }
+      });
+    } catch (err) {
+      // No answer: the refund may have gone through, so the amount stays held for review
+      console.error(`Refund of subscription ${sub._id} at ${provider} has no outcome:`, err.message || err);
+      throw { status: 502, message: `${provider} did not confirm the refund; it is held for reconciliation` };
+    }
+    if (result.status === 'failed') {
+      await release(invoice._id, reservationId, refundAmount);
+      throw { status: 502, message: `${provider} declined the refund` };
+    }
+    if (result.status !== 'manual') {
+      refund = {
+        method: 'gateway',
+        provider,
+        gatewayRefundId: result.refundId,
+        status: result.status,
+        processedAt: result.status === 'processed' ? new Date() : null
+      };
+    }
+    // From here the refund is owed a credit note even if recording it fails
+    await Invoice.updateOne(
+      { _id: invoice._id, 'refundReservations._id': reservationId },
+      { $set: { 'refundReservations.$.stage': 'refunded', 'refundReservations.$.refund': refund } }
+    );
+  }
+
+  try {
+    return await recordRefund({
+      invoiceId: invoice._id,
+      subscriptionId: sub._id,
+      reservationId,
+      amount: refundAmount,
+      reason,
+      refund,
+      cancel,
+      by
+    });
+  } catch (err) {
+    if (provider) {
+      console.error(`Refund of subscription ${sub._id} went through at ${provider} but was not recorded; reconcileRefunds will record it`);
+    } else {
+      await release(invoice._id, reservationId, refundAmount);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Finish refunds left behind by a failed or interrupted request. Ones the
+ * gateway took get their credit note; manual ones never reached a gateway
+ * and are released. Gateway refunds with no answer are reported for a
+ * superadmin to check with the gateway and release. Late captures still
+ * owed a refund are refunded.
+ */
+exports.reconcileRefunds = async ({ now = new Date() } = {}) => {
+  const summary = { recorded: 0, released: 0, lateCapturesRefunded: 0, needsReview: [], errors: [] };
+  const staleBefore = new Date(now.getTime() - STALE_RESERVATION_MS);
+  const invoices = await Invoice.find({ refundReservations: { $elemMatch: { createdAt: { $lt: staleBefore } } } });
+
+  for (const invoice of invoices) {
+    for (const r of invoice.refundReservations.filter(res => res.createdAt < staleBefore)) {
+      try {
+        if (r.stage === 'refunded') {
+          await recordRefund({
+            invoiceId: invoice._id,
+            subscriptionId: invoice.subscriptionId,
+            reservationId: r._id,
+            amount: r.amount,
+            reason: r.reason,
+            refund: r.refund,
+            cancel: r.cancel,
+            by: r.by
+          });
+          summary.recorded++;
+        } else if (!r.provider) {
+          await release(invoice._id, r._id, r.amount);
+          summary.released++;
+        } else {
+          summary.needsReview.push({ invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, reservationId: r._id, provider: r.provider, amount: r.amount, createdAt: r.createdAt });
+        }
+      } catch (err) {
+        console.error(`Refund reconcile: ${invoice.invoiceNumber} failed:`, err.message || err);
+        summary.errors.push({ invoiceNumber: invoice.invoiceNumber, reservationId: r._id, error: err.message || String(err) });
+      }
+    }
+  }
+
+  // Payments captured after their checkout was canceled
+  const lateCaptures = await Subscription.find({ 'lateCapture.refundStatus': { $in: ['due', 'refunding', 'failed'] } })
+    .select('schoolId lateCapture paymentProvider')
+    .lean();
+  for (const sub of lateCaptures) {
+    const { refundStatus, paymentId, amount, lastError } = sub.lateCapture;
+    if (refundStatus !== 'due') {
+      summary.needsReview.push({ subscriptionId: sub._id, provider: sub.paymentProvider, paymentId, amount, lateCapture: refundStatus, error: lastError });
+      continue;
+    }
+    try {
+      await exports.refundLateCapture(sub._id);
+      summary.lateCapturesRefunded++;
+    } catch (err) {
+      console.error(`Refund reconcile: late capture on ${sub._id} failed:`, err.message || err);
+      summary.errors.push({ subscriptionId: sub._id, error: err.message || String(err) });
+    }
+  }
+
+  console.log('Refund reconcile run:', JSON.stringify(summary));
+  return summary;
+};
+
+/**
+ * Return a payment the gateway captured after its checkout was canceled.
+ * Nothing was invoiced, so there is no credit note: the refund is recorded
+ * on the subscription. A declined refund is left 'failed' and one with no
+ * answer 'refunding', both for a superadmin to check with the gateway.
+ */
+exports.refundLateCapture = async (subscriptionId) => {
+  // Claim it, so a webhook and the reconcile job never refund it twice
+  const sub = await Subscription.findOneAndUpdate(
+    { _id: subscriptionId, 'lateCapture.refundStatus': 'due' },
+    { $set: { 'lateCapture.refundStatus': 'refunding' } },
+    { new: true }
+  );
+  if (!sub) return null;
+
+  const provider = sub.paymentProvider || 'razorpay';
+  const { paymentId, amount } = sub.lateCapture;
+  let result;
+  try {
+    result = await getGateway(provider).refund({
+      paymentId,
+      orderId: sub.gatewayOrderId || sub.razorpayOrderId,
+      amount: amount ?? undefined,
+      notes: { schoolId: String(sub.schoolId), subscriptionId: String(sub._id), reason: 'Paid after checkout was canceled' }
+    });
+  } catch (err) {
+    await Subscription.updateOne({ _id: sub._id }, { $set: { 'lateCapture.lastError': err.message || String(err) } });
+    throw { status: 502, message: `${provider} did not confirm the refund; it is held for review` };
+  }
+
+  // 'manual' gateways (UPI collect) cannot send money back themselves
+  const refunded = ['processed', 'pending'].includes(result.status);
+  const failure = result.status === 'manual' ? `${provider} refunds are made by hand` : `${provider} declined the refund`;
+  await Subscription.updateOne(
+    { _id: sub._id },
+    {
+      $set: {
+        'lateCapture.refundStatus': refunded ? 'refunded' : 'failed',
+        'lateCapture.refundId': result.refundId || null,
+        'lateCapture.lastError': refunded ? null : failure
+      }
+    }
+  );
+  await new AuditLog({
+    userId: null,
+    action: refunded ? 'refund_late_capture' : 'refund_late_capture_failed',
+    details: { schoolId: sub.schoolId, subscriptionId: sub._id, provider, paymentId, amount, refundId: result.refundId || null, status: result.status }
+  }).save();
+  if (!refunded) throw { status: 502, message: failure };
+  return result;
+};
+
+/**
+ * Settle a late-capture refund the gateway declined or never answered:
+ * 'retry' sends it to the gateway again on the next reconcile run,
+ * 'refunded' records that it was paid back by hand.
+ */
+exports.resolveLateCapture = async (subscriptionId, { outcome, reference = null, reason, by }) => {
+  const sub = await Subscription.findOneAndUpdate(
+    { _id: subscriptionId, 'lateCapture.refundStatus': { $in: ['refunding', 'failed'] } },
+    {
+      $set: outcome === 'retry'
+        ? { 'lateCapture.refundStatus': 'due' }
+        : { 'lateCapture.refundStatus': 'refunded', 'lateCapture.refundId': reference, 'lateCapture.lastError': null }
+    },
+    { new: true }
+  );
+  if (!sub) throw { status: 404, message: 'No late payment waiting on review for this subscription' };
+
+  await new AuditLog({
+    userId: by,
+    action: 'resolve_late_capture',
+    details: { schoolId: sub.schoolId, subscriptionId: sub._id, outcome, reference, amount: sub.lateCapture.amount, reason }
+  }).save();
+  return sub.lateCapture;
+};
+
+// Refunds still waiting on a credit note, oldest first
+exports.listReservations = async () => {
+  const invoices = await Invoice.find({ 'refundReservations.0': { $exists: true } })
+    .select('invoiceNumber schoolId subscriptionId refundReservations')
+    .populate('schoolId', 'name code')
+    .lean();
+  return invoices
+    .flatMap(invoice => invoice.refundReservations.map(r => ({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      school: invoice.schoolId,
+      subscriptionId: invoice.subscriptionId,
+      ...r
+    })))
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Drop a refund the gateway never answered for, once a superadmin has
+ * checked it did not go through. If it did, record it afterwards as a
+ * manual refund.
+ */
+exports.releaseReservation = async (invoiceId, reservationId, { reason, by }) => {
+  const invoice = await Invoice.findOne({ _id: invoiceId, 'refundReservations._id': reservationId });
+  if (!invoice) throw { status: 404, message: 'Refund reservation not found' };
+  const reservation = invoice.refundReservations.id(reservationId);
+  if (reservation.stage === 'refunded') {
+    throw { status: 409, message: 'The gateway took this refund; it is recorded by reconciliation, not released' };
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const { modifiedCount } = await release(invoice._id, reservation._id, reservation.amount, session);
+      if (!modifiedCount) throw { status: 404, message: 'Refund reservation not found' };
+      await new AuditLog({
+        userId: by,
+        action: 'release_refund_reservation',
+        details: {
+          schoolId: invoice.schoolId,
+          subscriptionId: invoice.subscriptionId,
+          invoiceNumber: invoice.invoiceNumber,
+          amount: reservation.amount,
+          provider: reservation.provider,
+          reason
+        }
+      }).save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return reservation;
+};
+
+// Gateway confirmed an asynchronous refund (webhook); only the gateway that
+// issued the refund can confirm it
+exports.markRefundProcessed = (gatewayRefundId, { provider, session = null } = {}) =>
+  CreditNote.updateOne(
+    { 'refund.gatewayRefundId': gatewayRefundId, 'refund.provider': provider, 'refund.status': 'pending' },
+    { $set: { 'refund.status': 'processed', 'refund.processedAt': new Date() } },
+    { session }
+  );
@@ -0,0 +1,64 @@
+const RegistrationDraft = require('../models/registrationDraft');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an untouched draft is kept
+const TTL_DAYS = Number(process.env.REGISTRATION_DRAFT_TTL_DAYS) || 14;
+
+// Never written to a draft; the superadmin enters them again on resume
+const SECRET_FIELDS = ['emailPass', 'otp'];
+
+// Form values without secrets, at any depth
+const withoutSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(withoutSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !SECRET_FIELDS.includes(key))
+      .map(([key, v]) => [key, withoutSecrets(v)])
+  );
+};
+
+const expiry = () => new Date(Date.now() + TTL_DAYS * DAY_MS);
+
+// Drafts belong to the superadmin who started them
+const loadDraft = async (draftId, by) => {
+  const draft = await RegistrationDraft.findOne({ _id: draftId, createdBy: by, expiresAt: { $gt: new Date() } });
+  if (!draft) throw { status: 404, message: 'Draft not found or expired' };
+  return draft;
+};
+
+exports.TTL_DAYS = TTL_DAYS;
+
+// The TTL monitor runs about once a minute, so expired ones are filtered out too
+exports.listDrafts = (by) =>
+  RegistrationDraft.find({ createdBy: by, expiresAt: { $gt: new Date() } })
+    .sort({ updatedAt: -1 })
+    .lean();
+
+exports.getDraft = async (draftId, by) => (await loadDraft(draftId, by)).toObject();
+
+exports.createDraft = ({ step, data, pendingSchoolId }, { by }) =>
+  new RegistrationDraft({
+    createdBy: by,
+    step,
+    data: withoutSecrets(data),
+    pendingSchoolId: pendingSchoolId || null,
+    expiresAt: expiry()
+  }).save();
+
+// Every save pushes the expiry out again
+exports.updateDraft = async (draftId, { step, data, pendingSchoolId }, { by }) => {
+  const draft = await loadDraft(draftId, by);
+  if (step !== undefined) draft.step = step;
+  if (data !== undefined) draft.data = withoutSecrets(data);
+  if (pendingSchoolId !== undefined) draft.pendingSchoolId = pendingSchoolId || null;
+  draft.expiresAt = expiry();
+  await draft.save();
+  return draft;
+};
+
+exports.deleteDraft = async (draftId, by) => {
+  const { deletedCount } = await RegistrationDraft.deleteOne({ _id: draftId, createdBy: by });
+  if (!deletedCount) throw { status: 404, message: 'Draft not found' };
+};
@@ -0,0 +1,232 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const User = require('../models/User');
+const School = require('../models/School');
+const AuditLog = require('../models/auditLogs');
+const planCatalog = require('./planCatalog');
+const registration = require('./schoolRegistrationService');
+const { getCurrentSubscription } = require('./subscriptionService');
+const { sendEmail } = require('../utils/email');
+
+// A school with no current plan keeps the admin it was registered with
+const ALLOWANCE_WITHOUT_PLAN = 1;
+
+const ADMIN_FIELDS = 'name username email phoneNumber whatsappNumber status resetTokenExpires createdAt updatedAt';
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const audit = (by, action, details, session) =>
+  new AuditLog({ userId: by, action, details }).save({ session });
+
+const loadSchool = async (schoolId, session) => {
+  const school = await School.findById(schoolId).session(session);
+  if (!school) throw { status: 404, message: 'School not found' };
+  return school;
+};
+
+const loadAdmin = async (schoolId, adminId, session) => {
+  const admin = await User.findOne({ _id: adminId, schoolId, role: 'admin' }).session(session);
+  if (!admin) throw { status: 404, message: 'Admin account not found' };
+  return admin;
+};
+
+// Email and username are unique across every user, not just this school
+const assertUnique = async ({ email, username, exceptId }, session) => {
+  const or = [];
+  if (email) or.push({ email });
+  if (username) or.push({ username });
+  if (!or.length) return;
+  const filter = exceptId ? { $or: or, _id: { $ne: exceptId } } : { $or: or };
+  if (await User.exists(filter).session(session)) {
+    throw { status: 409, message: 'Email or username already exists' };
+  }
+};
+
+/**
+ * How many admin accounts the school may have on its current plan, and how
+ * many active ones it has. `limit` is null when the plan has no cap.
+ * Deactivated admins do not count.
+ */
+exports.getAllowance = async (schoolId, { session = null } = {}) => {
+  const subscription = await getCurrentSubscription(schoolId, session);
+  const plan = subscription ? await planCatalog.getPlan(subscription.planType, { session }) : null;
+  const limit = subscription ? plan?.maxAdmins ?? null : ALLOWANCE_WITHOUT_PLAN;
+  const active = await User.countDocuments({ schoolId, role: 'admin', status: true }).session(session);
+  return {
+    planType: subscription?.planType || null,
+    planName: plan?.name || null,
+    limit,
+    active,
+    remaining: limit == null ? null : Math.max(0, limit - active)
+  };
+};
+
+// Write to the school inside the caller's transaction; a concurrent seat
+// change then hits a write conflict and is retried against the new count
+const lockAdminSeats = (schoolId, session) =>
+  School.updateOne({ _id: schoolId }, { $inc: { adminSeatsVersion: 1 } }, { session });
+
+const assertRoom = async (schoolId, session) => {
+  await lockAdminSeats(schoolId, session);
+  const allowance = await exports.getAllowance(schoolId, { session });
+  if (allowance.limit != null && allowance.active >= allowance.limit) {
+    const accounts = `${allowance.limit} active admin account${allowance.limit === 1 ? '' : 's'}`;
+    throw {
+      status: 409,
+      message: allowance.planName
+        ? `The ${allowance.planName} plan allows ${accounts}; deactivate one or upgrade the plan first`
+        : `A school without a plan may have ${accounts}; assign a plan first`
+    };
+  }
+};
+
+exports.listAdmins = async (schoolId) => {
+  const school = await loadSchool(schoolId, null);
+  const [admins, allowance] = await Promise.all([
+    User.find({ schoolId, role: 'admin' }).select(ADMIN_FIELDS).sort({ createdAt: 1 }).lean(),
+    exports.getAllowance(schoolId)
+  ]);
+  return { school: { _id: school._id, name: school.name, code: school.code }, admins, allowance };
+};
+
+/**
+ * Add another admin to the school. Like the admin created at registration,
+ * they get a set-password link rather than a password; the link is sent
+ * by the caller once the transaction has committed.
+ */
+exports.addAdmin = async (schoolId, input, { by, session = null }) => {
+  const school = await loadSchool(schoolId, session);
+  const email = input.email.trim().toLowerCase();
+  const username = input.username.trim().toLowerCase();
+  const phoneNumber = registration.normalizeMobile(input.phoneNumber.trim());
+
+  await assertRoom(schoolId, session);
+  await assertUnique({ email, username }, session);
+
+  const admin = new User({
+    name: input.name.trim(),
+    username,
+    email,
+    // Never used to log in; the admin sets a password from the reset link
+    password: bcrypt.hashSync(crypto.randomBytes(12).toString('hex'), 10),
+    role: 'admin',
+    schoolId,
+    phoneNumber,
+    whatsappNumber: phoneNumber,
+    status: true
+  });
+  // Sets the token and saves the new admin
+  await registration.issueResetToken(admin, { session });
+
+  await audit(by, 'add_school_admin', { schoolId, adminUserId: admin._id, email, username }, session);
+  return { school, admin };
+};
+
+// Fresh set-password link for an admin who lost theirs or never used it
+exports.issueSetPasswordLink = async (schoolId, adminId, { by, session = null }) => {
+  const school = await loadSchool(schoolId, session);
+  const admin = await loadAdmin(schoolId, adminId, session);
+  if (!admin.status) throw { status: 409, message: 'Reactivate the admin before sending a link' };
+
+  await registration.issueResetToken(admin, { session });
+  await audit(by, 'resend_admin_password_link', { schoolId, adminUserId: admin._id, email: admin.email }, session);
+  return { school, admin };
+};
+
+/**
+ * Deactivate or reactivate an admin. The school always keeps one active
+ * admin, and reactivating counts against the plan's allowance again.
+ * A deactivated admin's outstanding set-password link stops working.
+ */
+exports.setAdminStatus = async (schoolId, adminId, active, { reason, by, session = null }) => {
+  const admin = await loadAdmin(schoolId, adminId, session);
+  if (admin.status === active) {
+    throw { status: 409, message: `Admin is already ${active ? 'active' : 'deactivated'}` };
+  }
+
+  if (active) {
+    await assertRoom(schoolId, session);
+  } else {
+    await lockAdminSeats(schoolId, session);
+    const others = await User.countDocuments({ schoolId, role: 'admin', status: true, _id: { $ne: admin._id } }).session(session);
+    if (!others) throw { status: 409, message: 'A school needs at least one active admin; add another admin first' };
+    admin.resetToken = null;
+    admin.resetTokenExpires = null;
+  }
+
+  admin.status = active;
+  await admin.save({ session });
+  await audit(by, active ? 'reactivate_school_admin' : 'deactivate_school_admin', {
+    schoolId,
+    adminUserId: admin._id,
+    email: admin.email,
+    reason
+  }, session);
+  return admin;
+};
+
+/**
+ * Change an admin's email and/or phone number. The WhatsApp number follows
+ * the phone number when the two were the same. A new email voids any
+ * outstanding set-password link.
+ */
+exports.updateAdminContact = async (schoolId, adminId, input, { by, session = null }) => {
+  const admin = await loadAdmin(schoolId, adminId, session);
+  const before = { email: admin.email, phoneNumber: admin.phoneNumber, whatsappNumber: admin.whatsappNumber };
+
+  if (input.email !== undefined) {
+    const email = input.email.trim().toLowerCase();
+    if (email !== admin.email) {
+      await assertUnique({ email, exceptId: admin._id }, session);
+      admin.email = email;
+      // A link already sent went to the old address
+      admin.resetToken = null;
+      admin.resetTokenExpires = null;
+    }
+  }
+  if (input.phoneNumber !== undefined) {
+    const phoneNumber = registration.normalizeMobile(input.phoneNumber.trim());
+    if (phoneNumber !== admin.phoneNumber) {
+      if (!admin.whatsappNumber || admin.whatsappNumber === admin.phoneNumber) admin.whatsappNumber = phoneNumber;
+      admin.phoneNumber = phoneNumber;
+    }
+  }
+
+  const after = { email: admin.email, phoneNumber: admin.phoneNumber, whatsappNumber: admin.whatsappNumber };
+  const changed = Object.keys(after).filter(key => after[key] !== before[key]);
+  if (!changed.length) throw { status: 400, message: 'Nothing to change' };
+
+  await admin.save({ session });
+  await audit(by, 'update_school_admin', {
+    schoolId,
+    adminUserId: admin._id,
+    changes: Object.fromEntries(changed.map(key => [key, { from: before[key], to: after[key] }]))
+  }, session);
+  return admin;
+};
+
+// Best-effort; the token stands either way and the link can be sent again
+exports.sendSetPasswordLink = async ({ school, admin }) => {
+  try {
+    const resetLink = registration.currentResetLink(admin);
+    const html = `
+      <p>Hi <strong>${escapeHtml(admin.name)}</strong>,</p>
+      <p>You have an admin account for <strong>${escapeHtml(school.name)}</strong> (Code: <strong>${escapeHtml(school.code)}</strong>) on EDGlobe.</p>
+      <p><strong>Username:</strong> ${escapeHtml(admin.username)}</p>
+      <p>
+        <a href="${resetLink}"
+           style="background:#007bff;color:white;padding:12px 24px;text-decoration:none;border-radius:6px;font-weight:bold;">
+          Set Password Now
+        </a>
+      </p>
+      <p><small>Link expires in 1 hour.</small></p>
+      <p>Best regards,<br>EDGlobe Team</p>
+    `;
+    await sendEmail(admin.email, `${school.name} – Set Your Password`, `Set your password: ${resetLink}`, html);
+    return true;
+  } catch (err) {
+    console.error('Admin set-password email failed:', err.message);
+    return false;
+  }
+};
@@ -0,0 +1,120 @@
+const School = require('../models/School');
+const User = require('../models/User');
+const Subscription = require('../models/subscription');
+const Invoice = require('../models/invoice');
+const CreditNote = require('../models/creditNote');
+const UsagePeriod = require('../models/usagePeriod');
+const PaymentEvent = require('../models/paymentEvent');
+const RenewalAttempt = require('../models/renewalAttempt');
+const TrialEvent = require('../models/trialEvent');
+const Notification = require('../models/notification');
+const SchoolOnboarding = require('../models/schoolOnboarding');
+
+const USAGE_MONTHS = 12;
+const RECENT_NOTIFICATIONS = 20;
+
+// One entry per thing that happened to the school, newest first
+const buildTimeline = ({ school, subscriptions, invoices, creditNotes, paymentEvents, renewalAttempts, trialEvents, notifications }) => {
+  const entries = [{ at: school.createdAt, kind: 'school', title: 'School registered' }];
+
+  for (const sub of subscriptions) {
+    const label = sub.isTemporaryBoost ? `Boost ${sub.planType}` : sub.planType;
+    for (const change of sub.statusHistory || []) {
+      entries.push({
+        at: change.at,
+        kind: 'subscription',
+        title: change.from ? `${label}: ${change.from} → ${change.to}` : `${label}: ${change.to}`,
+        detail: change.reason || null,
+        subscriptionId: sub._id
+      });
+    }
+  }
+  for (const inv of invoices) {
+    entries.push({ at: inv.issuedAt, kind: 'invoice', title: `Invoice ${inv.invoiceNumber} issued`, detail: `₹${inv.totalAmount}`, subscriptionId: inv.subscriptionId });
+  }
+  for (const cn of creditNotes) {
+    entries.push({ at: cn.issuedAt, kind: 'credit_note', title: `Credit note ${cn.creditNoteNumber} issued`, detail: `₹${cn.totalAmount} · ${cn.reason}`, subscriptionId: cn.subscriptionId });
+  }
+  for (const ev of paymentEvents) {
+    entries.push({ at: ev.createdAt, kind: 'payment', title: `${ev.provider} ${ev.event}`, detail: ev.outcome || null, subscriptionId: ev.subscriptionId });
+  }
+  for (const attempt of renewalAttempts) {
+    entries.push({
+      at: attempt.attemptedAt,
+      kind: 'payment',
+      title: `Auto-renew attempt ${attempt.attempt} ${attempt.status}`,
+      detail: attempt.failureReason || `₹${attempt.amount}`,
+      subscriptionId: attempt.subscriptionId
+    });
+  }
+  for (const ev of trialEvents) {
+    entries.push({
+      at: ev.createdAt,
+      kind: 'trial',
+      title: ev.type === 'granted' ? `Trial granted (${ev.days} days)` : `Trial extended by ${ev.days} days`,
+      detail: ev.reason,
+      subscriptionId: ev.subscriptionId
+    });
+  }
+  for (const n of notifications) {
+    entries.push({ at: n.createdAt, kind: 'notification', title: n.title, detail: `${n.type} · ${n.status}` });
+  }
+
+  return entries.filter(e => e.at).sort((a, b) => new Date(b.at) - new Date(a.at));
+};
+
+/**
+ * Everything the superadmin needs on one school: profile, admin, every
+ * subscription with its status history, usage, money in and out, recent
+ * notifications, and all of it merged into a timeline.
+ */
+exports.getSchoolDetail = async (schoolId) => {
+  const school = await School.findById(schoolId)
+    .select('-smtpConfig -communication.emailPass')
+    .populate('activeAcademicYear', 'name startDate endDate')
+    .lean();
+  if (!school) throw { status: 404, message: 'School not found' };
+
+  const [admin, subscriptions, usage, invoices, creditNotes, renewalAttempts, trialEvents, notifications, onboarding] = await Promise.all([
+    // The admin the school was registered with; the rest are under /admins
+    User.findOne({ schoolId, role: 'admin' })
+      .select('name email username phoneNumber whatsappNumber status isMobileVerified createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Subscription.find({ schoolId }).select('-paymentProof').sort({ createdAt: 1 }).lean(),
+    UsagePeriod.find({ schoolId }).sort({ period: -1 }).limit(USAGE_MONTHS).lean(),
+    Invoice.find({ schoolId })
+      .select('invoiceNumber subscriptionId issuedAt totalAmount refundedAmount status')
+      .sort({ issuedAt: -1 })
+      .lean(),
+    CreditNote.find({ schoolId })
+      .select('creditNoteNumber invoiceNumber subscriptionId issuedAt totalAmount reason refund')
+      .sort({ issuedAt: -1 })
+      .lean(),
+    RenewalAttempt.find({ schoolId }).sort({ attemptedAt: -1 }).lean(),
+    TrialEvent.find({ schoolId }).sort({ createdAt: 1 }).lean(),
+    Notification.find({ schoolId })
+      .select('type title status createdAt')
+      .sort({ createdAt: -1 })
+      .limit(RECENT_NOTIFICATIONS)
+      .lean(),
+    SchoolOnboarding.findOne({ schoolId }).select('steps createdAt').lean()
+  ]);
+  const paymentEvents = await PaymentEvent.find({ subscriptionId: { $in: subscriptions.map(s => s._id) } })
+    .select('-payload')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    school,
+    admin,
+    activeAcademicYear: school.activeAcademicYear || null,
+    subscriptions,
+    usage,
+    payments: { invoices, creditNotes, paymentEvents, renewalAttempts },
+    trialHistory: trialEvents,
+    notifications,
+    onboarding, // null for schools registered before onboarding steps were tracked
+    timeline: buildTimeline({ school, subscriptions, invoices, creditNotes, paymentEvents, renewalAttempts, trialEvents, notifications })
+  };
+};
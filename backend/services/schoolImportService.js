@@ -0,0 +1,398 @@
+const mongoose = require('mongoose');
+const SchoolImport = require('../models/schoolImport');
+const AuditLog = require('../models/auditLogs');
+const registration = require('./schoolRegistrationService');
+const schoolOnboardingService = require('./schoolOnboardingService');
+const { parseCsv, toRecords, toCsv } = require('../utils/csv');
+const { readFirstSheet } = require('../utils/xlsx');
+
+const MAX_ROWS = 500;
+
+// One job run must finish inside the function's maxDuration (300s in
+// vercel.json): it takes no new work after RUN_BUDGET_MS, so it is never cut
+// off between sending a welcome and recording it. Rows get the first half.
+const RUN_BUDGET_MS = 240 * 1000;
+const ROWS_PER_RUN = Number(process.env.IMPORT_ROWS_PER_RUN) || 100;
+
+// Welcome emails per job run, the pause between two of them, and the time
+// kept back for one welcome (email, WhatsApp, notification) to finish
+const WELCOMES_PER_RUN = Number(process.env.WELCOME_EMAILS_PER_RUN) || 15;
+const WELCOME_INTERVAL_MS = Number(process.env.WELCOME_EMAIL_INTERVAL_MS) || 3000;
+const WELCOME_ALLOWANCE_MS = 30 * 1000;
+
+// An import left 'processing' this long was interrupted; it is picked up again
+const STALE_MS = 15 * 60 * 1000;
+
+// Header aliases, lower-case. The first of each is what the template uses.
+const COLUMNS = {
+  schoolName: ['school_name', 'school name', 'school'],
+  adminName: ['admin_name', 'admin name', 'principal'],
+  username: ['username', 'admin_username', 'admin username'],
+  email: ['email', 'admin_email', 'admin email'],
+  mobileNo: ['mobile', 'mobile_no', 'mobile no', 'phone'],
+  street: ['street', 'address'],
+  city: ['city'],
+  state: ['state'],
+  country: ['country'],
+  postalCode: ['postal_code', 'postal code', 'pincode', 'pin code'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'long'],
+  academicYearName: ['academic_year', 'academic year'],
+  gstin: ['gstin'],
+  smsSenderName: ['sms_sender_name', 'sms sender name'],
+  openingTime: ['opening_time', 'opening time'],
+  closingTime: ['closing_time', 'closing time'],
+  lunchBreak: ['lunch_break', 'lunch break'],
+  plan: ['plan', 'plan_code', 'plan code'],
+  durationDays: ['duration_days', 'duration days']
+};
+
+const EXAMPLE_ROW = {
+  school_name: 'Green Valley Public School',
+  admin_name: 'Asha Verma',
+  username: 'greenvalley.admin',
+  email: 'principal@greenvalley.edu.in',
+  mobile: '+919876543210',
+  street: '12 MG Road',
+  city: 'Lucknow',
+  state: 'Uttar Pradesh',
+  country: 'India',
+  postal_code: '226001',
+  latitude: '26.8467',
+  longitude: '80.9462',
+  academic_year: '2026-2027',
+  plan: 'trial'
+};
+
+const REPORT_COLUMNS = ['row', 'school_name', 'code', 'username', 'email', 'status', 'message', 'school_id', 'email_status', 'email_error'];
+
+const pick = (raw, names) => {
+  const key = names.find(name => raw[name] !== undefined && raw[name] !== '');
+  return key ? raw[key] : '';
+};
+
+// Text that is not a number stays text, so the coordinate check reports it
+const toNumber = (value) => (value === '' ? undefined : Number.isFinite(Number(value)) ? Number(value) : value);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// CSV as text, .xlsx as base64
+const readSheet = ({ content, fileName = '' }) => {
+  if (/\.xlsx$/i.test(fileName)) return toRecords(readFirstSheet(Buffer.from(content, 'base64')));
+  if (/\.xls$/i.test(fileName)) throw { status: 400, message: 'Old .xls files are not supported; save as .xlsx or CSV' };
+  return parseCsv(content);
+};
+
+// One sheet row → the body registerSchool takes
+const toInput = (raw) => {
+  const value = (field) => pick(raw, COLUMNS[field]);
+  const plan = value('plan');
+  return {
+    schoolName: value('schoolName'),
+    adminName: value('adminName'),
+    username: value('username'),
+    email: value('email').toLowerCase(),
+    mobileNo: value('mobileNo').replace(/[\s-]/g, ''),
+    address: {
+      street: value('street'),
+      city: value('city'),
+      state: value('state'),
+      country: value('country'),
+      postalCode: value('postalCode')
+    },
+    latitude: toNumber(value('latitude')),
+    longitude: toNumber(value('longitude')),
+    preferredChannel: 'both',
+    academicYearName: value('academicYearName'),
+    gstin: value('gstin') || undefined,
+    smsSenderName: value('smsSenderName') || undefined,
+    openingTime: value('openingTime') || undefined,
+    closingTime: value('closingTime') || undefined,
+    lunchBreak: value('lunchBreak') || undefined,
+    // Entered by the superadmin, so no OTP, as with fast track
+    fastTrack: true,
+    assignSubscriptionNow: Boolean(plan),
+    subscriptionType: plan || undefined,
+    subscriptionDurationDays: value('durationDays') || null
+  };
+};
+
+// Rows of the same file that would collide with each other
+const batchDuplicates = () => {
+  const seen = { 'school name': new Map(), email: new Map(), username: new Map(), 'mobile number': new Map() };
+  return (row, { schoolName, email, username, mobileNo }) => {
+    const issues = [];
+    const keys = { 'school name': schoolName, email, username, 'mobile number': mobileNo };
+    for (const [label, value] of Object.entries(keys)) {
+      if (!value) continue;
+      const key = String(value).toLowerCase();
+      if (seen[label].has(key)) issues.push(`Same ${label} as row ${seen[label].get(key)}`);
+      else seen[label].set(key, row);
+    }
+    return issues;
+  };
+};
+
+exports.templateCsv = () => toCsv([EXAMPLE_ROW], Object.values(COLUMNS).map(names => names[0]));
+
+/**
+ * Parse an uploaded sheet and check every row the way registerSchool would,
+ * plus duplicates within the file. Nothing is created; the preview is saved
+ * so it can be confirmed.
+ */
+exports.previewImport = async ({ content, fileName, by }) => {
+  const records = readSheet({ content, fileName });
+  if (!records.length) throw { status: 400, message: 'No rows found in the file' };
+  if (records.length > MAX_ROWS) throw { status: 400, message: `At most ${MAX_ROWS} schools per file` };
+
+  const usedCodes = await registration.usedSchoolCodes();
+  const duplicates = batchDuplicates();
+  const rows = [];
+  for (const [index, raw] of records.entries()) {
+    const row = index + 1;
+    const input = toInput(raw);
+    const { data, errors } = await registration.checkRegistration(input);
+    const issues = [...errors.map(e => e.message), ...duplicates(row, { ...input, mobileNo: data.mobileNo })];
+
+    let code = null;
+    if (input.schoolName) {
+      try {
+        code = registration.generateSchoolCode(input.schoolName, usedCodes);
+        usedCodes.add(code);
+      } catch (err) {
+        issues.push(err.message);
+      }
+    }
+    rows.push({ row, input, code, issues, status: issues.length ? 'invalid' : 'valid' });
+  }
+
+  return new SchoolImport({ fileName, uploadedBy: by, rows }).save();
+};
+
+/**
+ * Queue the valid rows of a preview (or only `rowIds` among them) for
+ * creation. Valid rows left out are skipped.
+ */
+exports.confirmImport = async (importId, { rowIds = null, by }) => {
+  const schoolImport = await SchoolImport.findById(importId);
+  if (!schoolImport) throw { status: 404, message: 'Import not found' };
+  if (schoolImport.status !== 'preview') throw { status: 409, message: 'This import has already been confirmed' };
+
+  const chosen = rowIds ? new Set(rowIds.map(String)) : null;
+  let queued = 0;
+  for (const row of schoolImport.rows.filter(r => r.status === 'valid')) {
+    row.status = !chosen || chosen.has(String(row._id)) ? 'queued' : 'skipped';
+    if (row.status === 'queued') queued++;
+  }
+  if (!queued) throw { status: 400, message: 'No valid rows to create' };
+
+  schoolImport.status = 'queued';
+  schoolImport.confirmedBy = by;
+  schoolImport.confirmedAt = new Date();
+  await schoolImport.save();
+
+  await new AuditLog({
+    userId: by,
+    action: 'bulk_import_schools',
+    details: { importId: schoolImport._id, fileName: schoolImport.fileName, queued }
+  }).save();
+  return schoolImport;
+};
+
+const setRow = (importId, rowId, fields, session = null) =>
+  SchoolImport.updateOne(
+    { _id: importId, 'rows._id': rowId },
+    { $set: Object.fromEntries(Object.entries(fields).map(([k, v]) => [`rows.$.${k}`, v])) },
+    { session }
+  );
+
+/**
+ * Create the queued rows of one import, each in its own transaction. Rows are
+ * checked again first: another row or a registration may have taken a name
+ * since the preview. The row is marked in the same transaction as the school,
+ * so an interrupted run resumes without creating anything twice. At most
+ * `limit` rows are created before `deadline`; the import is queued again for
+ * the rest.
+ */
+exports.processImport = async (importId, { limit = ROWS_PER_RUN, deadline = Infinity } = {}) => {
+  const now = new Date();
+  const schoolImport = await SchoolImport.findOneAndUpdate(
+    {
+      _id: importId,
+      $or: [{ status: 'queued' }, { status: 'processing', startedAt: { $lt: new Date(now.getTime() - STALE_MS) } }]
+    },
+    { $set: { status: 'processing', startedAt: now } },
+    { new: true }
+  );
+  if (!schoolImport) return null; // another run has it
+
+  const usedCodes = await registration.usedSchoolCodes();
+  const result = { created: 0, failed: 0, remaining: 0 };
+  const queued = schoolImport.rows.filter(r => r.status === 'queued');
+  for (const row of queued) {
+    if (result.created + result.failed >= limit || Date.now() >= deadline) {
+      result.remaining = queued.length - result.created - result.failed;
+      break;
+    }
+    const session = await mongoose.startSession();
+    try {
+      let code;
+      await session.withTransaction(async () => {
+        const { data, errors } = await registration.checkRegistration(row.input, { session });
+        if (errors.length) throw errors[0];
+        code = row.code && !usedCodes.has(row.code) ? row.code : registration.generateSchoolCode(data.schoolName, usedCodes);
+        const created = await registration.createSchool(data, {
+          by: schoolImport.confirmedBy,
+          code,
+          source: 'bulk_import',
+          session
+        });
+        const { school, admin } = created;
+        // Same follow-up steps as a school registered one at a time
+        await schoolOnboardingService.createOnboarding(created, { by: schoolImport.confirmedBy, session });
+        await setRow(schoolImport._id, row._id, {
+          status: 'created',
+          code,
+          schoolId: school._id,
+          adminUserId: admin._id,
+          emailStatus: 'pending'
+        }, session);
+      });
+      usedCodes.add(code);
+      result.created++;
+    } catch (err) {
+      console.error(`School import ${schoolImport._id}: row ${row.row} failed:`, err.message || err);
+      await setRow(schoolImport._id, row._id, { status: 'failed', message: err.message || String(err) });
+      result.failed++;
+    } finally {
+      await session.endSession();
+    }
+    // Still working on it
+    await SchoolImport.updateOne({ _id: schoolImport._id }, { $set: { startedAt: new Date() } });
+  }
+
+  // Rows left for the next run
+  if (result.remaining) {
+    await SchoolImport.updateOne({ _id: schoolImport._id }, { $set: { status: 'queued' } });
+    return result;
+  }
+  await SchoolImport.updateOne({ _id: schoolImport._id }, { $set: { status: 'completed', completedAt: new Date() } });
+  return result;
+};
+
+// The school's onboarding steps: welcome email with a fresh set-password
+// link, WhatsApp, then the in-app notification. Steps that already succeeded
+// are not repeated, so a retried row never emails the admin twice.
+const sendRowWelcome = async (row, by) => {
+  let onboarding = await schoolOnboardingService.runOnboarding(row.schoolId, { by });
+  if (!onboarding) {
+    // Imported before schools got an onboarding record
+    await schoolOnboardingService.createOnboarding({ school: { _id: row.schoolId }, admin: { _id: row.adminUserId } }, { by });
+    onboarding = await schoolOnboardingService.runOnboarding(row.schoolId, { by });
+  }
+  const failed = onboarding.steps.filter(s => s.status === 'failed');
+  if (failed.length) throw { message: failed.map(s => `${s.name}: ${s.lastError}`).join('; ') };
+};
+
+/**
+ * Send welcome emails for created rows, at most WELCOMES_PER_RUN per call
+ * and WELCOME_INTERVAL_MS apart, so a large import does not flood the
+ * mailer. No welcome is started that might not finish before `deadline`.
+ * The rest wait for the next run.
+ */
+exports.sendPendingWelcomes = async ({ deadline = Infinity } = {}) => {
+  const summary = { sent: 0, failed: 0, remaining: 0 };
+  // A run that died mid-send leaves its rows 'sending'
+  const stale = new Date(Date.now() - STALE_MS);
+  const due = (r) => r.emailStatus === 'pending' || (r.emailStatus === 'sending' && !(r.emailClaimedAt > stale));
+  const imports = await SchoolImport.find({ 'rows.emailStatus': { $in: ['pending', 'sending'] } }).sort({ createdAt: 1 });
+  for (const schoolImport of imports) {
+    for (const row of schoolImport.rows.filter(due)) {
+      const pause = summary.sent + summary.failed > 0 ? WELCOME_INTERVAL_MS : 0;
+      if (summary.sent + summary.failed >= WELCOMES_PER_RUN || Date.now() + pause + WELCOME_ALLOWANCE_MS > deadline) {
+        summary.remaining++;
+        continue;
+      }
+      // Claim it, so two runs never email the same admin
+      const claim = await SchoolImport.updateOne(
+        {
+          _id: schoolImport._id,
+          rows: {
+            $elemMatch: {
+              _id: row._id,
+              $or: [
+                { emailStatus: 'pending' },
+                { emailStatus: 'sending', $or: [{ emailClaimedAt: { $lt: stale } }, { emailClaimedAt: null }] }
+              ]
+            }
+          }
+        },
+        { $set: { 'rows.$.emailStatus': 'sending', 'rows.$.emailClaimedAt': new Date() } }
+      );
+      if (!claim.modifiedCount) continue;
+
+      if (pause) await sleep(pause);
+      try {
+        await sendRowWelcome(row, schoolImport.confirmedBy);
+        await setRow(schoolImport._id, row._id, { emailStatus: 'sent', emailError: null, emailedAt: new Date() });
+        summary.sent++;
+      } catch (err) {
+        console.error(`School import ${schoolImport._id}: welcome for row ${row.row} failed:`, err.message || err);
+        await setRow(schoolImport._id, row._id, { emailStatus: 'failed', emailError: err.message || String(err) });
+        summary.failed++;
+      }
+    }
+  }
+  return summary;
+};
+
+// Failed welcome emails go back in the queue
+exports.retryWelcomes = async (importId) => {
+  const schoolImport = await SchoolImport.findById(importId);
+  if (!schoolImport) throw { status: 404, message: 'Import not found' };
+  const failed = schoolImport.rows.filter(r => r.emailStatus === 'failed');
+  failed.forEach(r => { r.emailStatus = 'pending'; });
+  await schoolImport.save();
+  return { requeued: failed.length };
+};
+
+// Job: create queued imports, then send the next batch of welcome emails
+exports.runImports = async () => {
+  const startedAt = Date.now();
+  const deadline = startedAt + RUN_BUDGET_MS;
+  const stale = new Date(startedAt - STALE_MS);
+  const due = await SchoolImport.find({
+    $or: [{ status: 'queued' }, { status: 'processing', startedAt: { $lt: stale } }]
+  }).select('_id').sort({ createdAt: 1 }).lean();
+
+  const summary = { imports: 0, created: 0, failed: 0 };
+  for (const { _id } of due) {
+    const rowsLeft = ROWS_PER_RUN - summary.created - summary.failed;
+    if (rowsLeft <= 0) break;
+    const result = await exports.processImport(_id, { limit: rowsLeft, deadline: startedAt + RUN_BUDGET_MS / 2 });
+    if (!result) continue;
+    summary.imports++;
+    summary.created += result.created;
+    summary.failed += result.failed;
+    if (result.remaining) break; // out of rows or time for this run
+  }
+  summary.welcomes = await exports.sendPendingWelcomes({ deadline });
+  return summary;
+};
+
+// Result report: one line per sheet row
+exports.reportCsv = (schoolImport) => toCsv(
+  schoolImport.rows.map(r => ({
+    row: r.row,
+    school_name: r.input?.schoolName,
+    code: r.code,
+    username: r.input?.username,
+    email: r.input?.email,
+    status: r.status,
+    message: r.status === 'invalid' ? r.issues.join('; ') : r.message,
+    school_id: r.schoolId,
+    email_status: r.emailStatus,
+    email_error: r.emailError
+  })),
+  REPORT_COLUMNS
+);
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const School = require('../models/School');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Midnight in India at the start of a 'YYYY-MM-DD' day, whatever the server's zone
+const istDayStart = (day) => new Date(Date.parse(`${String(day).slice(0, 10)}T00:00:00Z`) - IST_OFFSET_MS);
+
+// Sortable columns: school fields, or fields derived from the current plan
+const SCHOOL_SORT = {
+  name: 'name',
+  code: 'code',
+  email: 'email',
+  city: 'address.city',
+  state: 'address.state',
+  // Schools from before timestamps have no createdAt; the id carries it
+  createdAt: '_id'
+};
+const PLAN_SORT = {
+  plan: 'planName',
+  status: 'planStatus',
+  expiresAt: 'expiresAt',
+  daysRemaining: 'daysRemaining',
+  revenue: 'revenue'
+};
+
+// Plan statuses a school can be filtered by; 'inactive' means no plan at all
+const PLAN_STATUSES = ['active', 'grace_period', 'expired', 'canceled', 'pending', 'inactive'];
+
+// Smallest ObjectId made at or after a moment, for created-date ranges
+const idAt = (date) => mongoose.Types.ObjectId.createFromTime(Math.floor(date.getTime() / 1000));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What the school has paid over time, boosts included: its invoices less
+// the credit notes against them (kept on Invoice.refundedAmount)
+const revenueLookup = {
+  $lookup: {
+    from: 'invoices',
+    let: { schoolId: '$_id' },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$schoolId', '$$schoolId'] }, status: { $ne: 'cancelled' } } },
+      { $group: { _id: null, net: { $sum: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] } } } }
+    ],
+    as: 'invoiced'
+  }
+};
+const revenueField = { $round: [{ $ifNull: [{ $arrayElemAt: ['$invoiced.net', 0] }, 0] }, 2] };
+
+// Current plan, its catalog name and the admin's name for each school.
+// Same rules as the dashboard: a live plan wins over a closed-out one.
+const lookupStages = (now) => [
+  {
+    $lookup: {
+      from: 'subscriptions',
+      let: { schoolId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$schoolId', '$$schoolId'] }, isTemporaryBoost: { $ne: true }, status: { $ne: 'scheduled' } } },
+        { $addFields: { isLive: { $in: ['$status', ['active', 'grace_period']] } } },
+        { $sort: { isLive: -1, priority: -1, expiresAt: -1 } },
+        { $limit: 1 },
+        { $project: { planType: 1, status: 1, expiresAt: 1 } }
+      ],
+      as: 'currentSub'
+    }
+  },
+  { $addFields: { currentSub: { $arrayElemAt: ['$currentSub', 0] } } },
+  { $lookup: { from: 'plans', localField: 'currentSub.planType', foreignField: 'code', as: 'currentPlan' } },
+  revenueLookup,
+  {
+    $lookup: {
+      from: 'users',
+      let: { schoolId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$schoolId', '$$schoolId'] }, role: 'admin' } },
+        { $limit: 1 },
+        { $project: { name: 1 } }
+      ],
+      as: 'adminUser'
+    }
+  },
+  {
+    $addFields: {
+      planType: { $ifNull: ['$currentSub.planType', 'none'] },
+      planName: { $ifNull: [{ $arrayElemAt: ['$currentPlan.name', 0] }, 'No Plan'] },
+      planStatus: { $ifNull: ['$currentSub.status', 'inactive'] },
+      expiresAt: '$currentSub.expiresAt',
+      daysRemaining: {
+        $cond: [
+          { $ifNull: ['$currentSub.expiresAt', false] },
+          { $max: [0, { $ceil: { $divide: [{ $subtract: ['$currentSub.expiresAt', now] }, DAY_MS] } }] },
+          0
+        ]
+      },
+      isTrial: { $eq: ['$currentSub.planType', 'trial'] },
+      revenue: revenueField
+    }
+  }
+];
+
+const rowProjection = {
+  $project: {
+    _id: 1,
+    schoolName: '$name',
+    code: 1,
+    email: 1,
+    city: '$address.city',
+    state: '$address.state',
+    adminName: { $ifNull: [{ $arrayElemAt: ['$adminUser.name', 0] }, 'Unknown'] },
+    planType: 1,
+    planName: 1,
+    status: '$planStatus',
+    expiresAt: 1,
+    daysRemaining: 1,
+    isTrial: 1,
+    revenue: 1,
+    suspended: { $eq: ['$status', false] },
+    createdAt: { $ifNull: ['$createdAt', { $toDate: '$_id' }] }
+  }
+};
+
+// Filters on the school document itself; applied before any lookup
+const schoolMatch = ({ search, city, state, createdFrom, createdTo, suspended }) => {
+  const match = { deletedAt: null };
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    match.$or = [{ name: pattern }, { code: pattern }, { email: pattern }];
+  }
+  if (city) match['address.city'] = new RegExp(`^${escapeRegex(city.trim())}$`, 'i');
+  if (state) match['address.state'] = new RegExp(`^${escapeRegex(state.trim())}$`, 'i');
+  if (createdFrom || createdTo) {
+    match._id = {};
+    if (createdFrom) match._id.$gte = idAt(istDayStart(createdFrom));
+    if (createdTo) match._id.$lt = idAt(new Date(istDayStart(createdTo).getTime() + DAY_MS));
+  }
+  if (suspended === 'true') match.status = false;
+  if (suspended === 'false') match.status = true;
+  return match;
+};
+
+// Filters on the current plan; need the lookups first
+const planMatch = ({ planType, status, type, expiringWithin }, now) => {
+  const match = {};
+  if (planType) match.planType = planType;
+  if (status) match.planStatus = status;
+  if (type === 'trial') match.isTrial = true;
+  if (type === 'paid') Object.assign(match, { isTrial: false, planType: planType || { $ne: 'none' } });
+  if (expiringWithin != null && expiringWithin !== '') {
+    match.planStatus = status || { $in: ['active', 'grace_period'] };
+    match.expiresAt = { $gte: now, $lte: new Date(now.getTime() + Number(expiringWithin) * DAY_MS) };
+  }
+  return match;
+};
+
+/**
+ * One page of schools with their current plan, filtered and sorted on the
+ * server. School-level filters and sorts run before the per-school lookups;
+ * the lookups only run for the page being returned unless a plan filter or
+ * plan column sort needs them for every school.
+ */
+exports.listSchools = async (query = {}) => {
+  const now = new Date();
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  const sortDir = query.sortDir === 'asc' ? 1 : -1;
+  const sortField = SCHOOL_SORT[query.sortBy] || PLAN_SORT[query.sortBy] || '_id';
+  // _id breaks ties so pages never overlap
+  const sort = { $sort: { [sortField]: sortDir, _id: sortDir } };
+
+  const byPlan = planMatch(query, now);
+  const needsPlanFirst = Object.keys(byPlan).length > 0 || Boolean(PLAN_SORT[query.sortBy]);
+  const paging = [{ $skip: (page - 1) * limit }, { $limit: limit }];
+
+  const pipeline = [{ $match: schoolMatch(query) }];
+  if (needsPlanFirst) {
+    pipeline.push(...lookupStages(now), { $match: byPlan }, sort, {
+      $facet: { rows: [...paging, rowProjection], total: [{ $count: 'count' }] }
+    });
+  } else {
+    pipeline.push(sort, {
+      $facet: { rows: [...paging, ...lookupStages(now), rowProjection], total: [{ $count: 'count' }] }
+    });
+  }
+
+  const [result] = await School.aggregate(pipeline).maxTimeMS(15000);
+  const total = result.total[0]?.count || 0;
+  return {
+    schools: result.rows,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+};
+
+exports.SORT_FIELDS = [...Object.keys(SCHOOL_SORT), ...Object.keys(PLAN_SORT)];
+exports.PLAN_STATUSES = PLAN_STATUSES;
+exports.revenueLookup = revenueLookup;
+exports.revenueField = revenueField;
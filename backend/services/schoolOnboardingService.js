@@ -0,0 +1,110 @@
+const SchoolOnboarding = require('../models/schoolOnboarding');
+const AuditLog = require('../models/auditLogs');
+const registration = require('./schoolRegistrationService');
+
+// In this order: the notification carries the link the email sent
+const STEPS = ['welcome_email', 'whatsapp', 'notification'];
+
+// A `running` step older than this was left by a process that died
+const STALE_MS = 5 * 60 * 1000;
+
+const runners = {
+  // A fresh set-password token each attempt; the one from registration may have expired
+  welcome_email: async (welcome) => {
+    welcome.resetToken = await registration.issueResetToken(welcome.admin);
+    await registration.sendWelcomeEmail(welcome);
+  },
+  whatsapp: (welcome) => registration.sendWelcomeWhatsApp(welcome),
+  notification: (welcome, { by }) =>
+    registration.recordWelcomeNotification(welcome, { resetLink: registration.currentResetLink(welcome.admin), by })
+};
+
+const setStep = (onboardingId, name, fields) =>
+  SchoolOnboarding.updateOne(
+    { _id: onboardingId, 'steps.name': name },
+    { $set: Object.fromEntries(Object.entries(fields).map(([k, v]) => [`steps.$.${k}`, v])) }
+  );
+
+// Claim a step so two callers never run it at once
+const claimStep = async (onboardingId, name) => {
+  const stale = new Date(Date.now() - STALE_MS);
+  const claim = await SchoolOnboarding.updateOne(
+    {
+      _id: onboardingId,
+      steps: {
+        $elemMatch: {
+          name,
+          $or: [{ status: { $in: ['pending', 'failed'] } }, { status: 'running', lastAttemptAt: { $lt: stale } }]
+        }
+      }
+    },
+    { $set: { 'steps.$.status': 'running', 'steps.$.lastAttemptAt': new Date() }, $inc: { 'steps.$.attempts': 1 } }
+  );
+  return claim.modifiedCount > 0;
+};
+
+const runStep = async (onboarding, name, welcome, by) => {
+  if (!(await claimStep(onboarding._id, name))) return;
+  try {
+    await runners[name](welcome, { by });
+    await setStep(onboarding._id, name, { status: 'done', lastError: null, completedAt: new Date() });
+  } catch (err) {
+    console.error(`Onboarding ${name} for school ${onboarding.schoolId} failed:`, err.message || err);
+    await setStep(onboarding._id, name, { status: 'failed', lastError: err.message || String(err) });
+  }
+};
+
+exports.STEPS = STEPS;
+
+// Inside the registration transaction, next to the school
+exports.createOnboarding = ({ school, admin }, { by, session = null }) =>
+  new SchoolOnboarding({
+    schoolId: school._id,
+    adminUserId: admin._id,
+    createdBy: by,
+    steps: STEPS.map(name => ({ name }))
+  }).save({ session });
+
+exports.getOnboarding = (schoolId) => SchoolOnboarding.findOne({ schoolId }).lean();
+
+/**
+ * Run the steps that have not succeeded yet, in order. Failures are
+ * recorded on the step and never thrown. Documents are loaded fresh, not
+ * reused from the registration transaction, whose session has ended.
+ */
+exports.runOnboarding = async (schoolId, { by } = {}) => {
+  const onboarding = await SchoolOnboarding.findOne({ schoolId });
+  if (!onboarding) return null;
+  const due = onboarding.steps.filter(s => s.status !== 'done').map(s => s.name);
+  if (due.length) {
+    const welcome = await registration.loadWelcome(schoolId, onboarding.adminUserId);
+    for (const name of STEPS.filter(n => due.includes(n))) {
+      await runStep(onboarding, name, welcome, by);
+    }
+  }
+  return SchoolOnboarding.findById(onboarding._id).lean();
+};
+
+// One step again, from the school detail page
+exports.retryStep = async (schoolId, name, { by }) => {
+  const onboarding = await SchoolOnboarding.findOne({ schoolId });
+  if (!onboarding) throw { status: 404, message: 'No onboarding record for this school' };
+  const step = onboarding.steps.find(s => s.name === name);
+  if (!step) throw { status: 404, message: 'Unknown onboarding step' };
+  if (step.status === 'done') throw { status: 409, message: 'This step already succeeded' };
+  if (step.status === 'running' && step.lastAttemptAt > new Date(Date.now() - STALE_MS)) {
+    throw { status: 409, message: 'This step is running right now' };
+  }
+
+  const welcome = await registration.loadWelcome(schoolId, onboarding.adminUserId);
+  await runStep(onboarding, name, welcome, by);
+
+  const updated = await SchoolOnboarding.findById(onboarding._id).lean();
+  const outcome = updated.steps.find(s => s.name === name);
+  await new AuditLog({
+    userId: by,
+    action: 'retry_onboarding_step',
+    details: { schoolId, step: name, status: outcome.status, error: outcome.lastError }
+  }).save();
+  return updated;
+};
@@ -0,0 +1,484 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const User = require('../models/User');
+const School = require('../models/School');
+const AcademicYear = require('../models/academicyear');
+const Subscription = require('../models/subscription');
+const PendingSchool = require('../models/pendingSchool');
+const Notification = require('../models/notification');
+const AuditLog = require('../models/auditLogs');
+const planCatalog = require('./planCatalog');
+const couponService = require('./couponService');
+const invoiceService = require('./invoiceService');
+const trialService = require('./trialService');
+const WhatsAppService = require('./whatsapp.service');
+const { normalizeAddress, validateCoordinates } = require('../utils/schoolValidation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const REQUIRED = [
+  'schoolName', 'adminName', 'username', 'email', 'mobileNo',
+  'address', 'latitude', 'longitude', 'preferredChannel',
+  'academicYearName'
+];
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "2026-2027" → the standard Indian session, April 1 to March 31
+const academicYearDates = (name) => {
+  if (!name || !/^\d{4}-\d{4}$/.test(name)) {
+    throw { status: 400, message: 'Academic year name is required and must be YYYY-YYYY' };
+  }
+  const [startYear, endYear] = name.split('-').map(Number);
+  if (endYear !== startYear + 1) {
+    throw { status: 400, message: 'Invalid format. Use consecutive years like 2026-2027' };
+  }
+  return { name, startDate: new Date(startYear, 3, 1), endDate: new Date(endYear, 2, 31) };
+};
+
+const normalizeMobile = (mobileNo) => {
+  if (!/^\+?[1-9]\d{9,14}$/.test(mobileNo)) {
+    throw { status: 400, message: 'Invalid mobile number (e.g., +919876543210)' };
+  }
+  return mobileNo.startsWith('+') ? mobileNo : `+91${mobileNo.replace(/^\+/, '')}`;
+};
+
+// Format rules the School model enforces on save, checked up front.
+// Only paths that were given; missing ones are reported separately.
+const schemaErrors = (fields) => {
+  const school = new School(fields);
+  const paths = ['email', 'gstin', 'communication.smsSenderName'].filter(p => school.get(p) != null);
+  const error = paths.length ? school.validateSync(paths) : null;
+  return error ? Object.values(error.errors).map(e => ({ status: 400, message: e.message })) : [];
+};
+
+// $or over the given values only; an undefined condition would match everything
+const anyOf = (conditions) => {
+  const given = Object.entries(conditions).filter(([, v]) => v).map(([k, v]) => ({ [k]: v }));
+  return given.length ? { $or: given } : null;
+};
+
+/**
+ * Check a registration with the rules registerSchool enforces, collecting
+ * every problem instead of stopping at the first. Returns { data, errors }:
+ * `data` is the normalized registration, `errors` are { status, message } in
+ * the order the checks run. Bulk import shows them all; registerSchool
+ * throws the first.
+ */
+exports.checkRegistration = async (input, { session = null } = {}) => {
+  const errors = [];
+  const check = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      if (!err?.status) throw err;
+      errors.push(err);
+      return undefined;
+    }
+  };
+  const {
+    schoolName,
+    adminName,
+    username,
+    email,
+    mobileNo,
+    address,
+    latitude,
+    longitude,
+    pendingSchoolId,
+    isMobileVerified,
+    smsSenderName,
+    emailFrom,
+    emailName,
+    emailPass,
+    openingTime,
+    closingTime,
+    lunchBreak,
+    gstin,
+    academicYearName,
+    fastTrack = false,
+    assignSubscriptionNow = false,
+    subscriptionType = 'trial',        // Plan.code from the catalog
+    subscriptionDurationDays = null,   // null → plan's own duration
+    couponCode = null,                 // sells the assigned plan at list price minus the coupon
+    paymentMethod = null,
+    transactionId = null
+  } = input;
+
+  // Fast-track registrations skip OTP
+  const mobileVerified = fastTrack ? true : Boolean(isMobileVerified);
+  if (!mobileVerified) errors.push({ status: 400, message: 'Mobile number must be verified before registration' });
+
+  if (pendingSchoolId) {
+    const pending = await PendingSchool.findById(pendingSchoolId).session(session);
+    if (!pending || pending.status !== 'approved') {
+      errors.push({ status: 400, message: 'Invalid or unapproved pending school request' });
+    }
+  }
+
+  const missing = REQUIRED.filter(f => !input[f]);
+  if (missing.length) errors.push({ status: 400, message: `Missing fields: ${missing.join(', ')}` });
+
+  // Subscription, only when one is assigned
+  let plan = null;
+  let durationDays = null;
+  if (assignSubscriptionNow) {
+    plan = await planCatalog.getPlan(subscriptionType, { session, sellable: true });
+    if (!plan || planCatalog.isBoost(plan)) {
+      errors.push({ status: 400, message: `Invalid subscription type: ${subscriptionType}` });
+      plan = null;
+    } else {
+      durationDays = subscriptionDurationDays == null || subscriptionDurationDays === ''
+        ? plan.durationDays
+        : Number(subscriptionDurationDays);
+      if (!durationDays || durationDays < 1) {
+        errors.push({ status: 400, message: 'Invalid subscription duration' });
+      } else if (plan.tier === 'trial' && durationDays > trialService.trialCap(plan)) {
+        errors.push({ status: 400, message: `Trials are capped at ${trialService.trialCap(plan)} days` });
+      }
+    }
+  }
+  if (couponCode && !assignSubscriptionNow) {
+    errors.push({ status: 400, message: 'A coupon needs a subscription assigned at registration' });
+  }
+
+  if (latitude != null && longitude != null) check(() => validateCoordinates(latitude, longitude));
+  const normalizedMobileNo = mobileNo ? check(() => normalizeMobile(String(mobileNo))) : undefined;
+  const addressObj = address ? check(() => normalizeAddress(address)) : undefined;
+  const academicYear = academicYearName ? check(() => academicYearDates(academicYearName)) : undefined;
+  errors.push(...schemaErrors({ email, gstin: gstin || undefined, communication: { smsSenderName } }));
+
+  // Already taken (the unique indexes would refuse them anyway)
+  const userFilter = anyOf({ email, username });
+  const contactFilter = anyOf({ email, mobileNo: normalizedMobileNo });
+  if (userFilter && await User.exists(userFilter).session(session)) {
+    errors.push({ status: 409, message: 'Email or username already exists' });
+  }
+  if (schoolName && await School.exists({ name: new RegExp(`^${escapeRegex(schoolName)}$`, 'i') }).session(session)) {
+    errors.push({ status: 409, message: 'School name already exists' });
+  }
+  if (contactFilter && await School.exists(contactFilter).session(session)) {
+    errors.push({ status: 409, message: 'A school with this email or mobile number already exists' });
+  }
+
+  return {
+    errors,
+    data: {
+      schoolName,
+      adminName,
+      username,
+      email,
+      mobileNo: normalizedMobileNo,
+      address: addressObj,
+      latitude,
+      longitude,
+      gstin: gstin || undefined,
+      academicYear,
+      // Channel is always 'both'
+      preferredChannel: 'both',
+      smsSenderName,
+      emailFrom,
+      emailName,
+      emailPass,
+      openingTime,
+      closingTime,
+      lunchBreak,
+      fastTrack,
+      mobileVerified,
+      pendingSchoolId: pendingSchoolId || null,
+      plan,
+      durationDays,
+      couponCode,
+      paymentMethod,
+      transactionId
+    }
+  };
+};
+
+exports.normalizeMobile = normalizeMobile;
+
+// School codes in use, upper-cased
+exports.usedSchoolCodes = async ({ session = null } = {}) =>
+  new Set((await School.find({}, 'code').session(session).lean()).map(s => s.code?.toUpperCase()).filter(Boolean));
+
+// Up to four letters from the name and a two-digit suffix, not in `used`
+exports.generateSchoolCode = (schoolName, used) => {
+  const words = schoolName.toUpperCase().split(' ').filter(w => w);
+  let base = words.slice(0, 2).map(w => w.substring(0, 3)).join('');
+  if (base.length < 3) base = schoolName.toUpperCase().substring(0, 4);
+  base = base.substring(0, 4);
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const code = (base + crypto.randomInt(10, 99).toString()).substring(0, 6).toUpperCase();
+    if (!used.has(code)) return code;
+  }
+  throw { status: 500, message: 'Failed to generate unique school code' };
+};
+
+/**
+ * Create the school, its academic year and admin, and the subscription when
+ * one is assigned, from checkRegistration data. The admin gets a password
+ * reset token instead of a password. Nothing is sent from here.
+ */
+exports.createSchool = async (data, { by, code, source = 'registration', session = null }) => {
+  const { academicYear, plan } = data;
+  const school = new School({
+    name: data.schoolName,
+    address: data.address,
+    mobileNo: data.mobileNo,
+    email: data.email,
+    code,
+    gstin: data.gstin,
+    latitude: data.latitude,
+    longitude: data.longitude,
+    radius: 100,
+    preferredChannel: data.preferredChannel,
+    weeklyHolidayDay: 'Sunday',
+    smsPackActive: false,
+    status: true,
+    'communication.smsSenderName': data.smsSenderName || 'EDGLOBE',
+    'communication.emailFrom': data.emailFrom,
+    'communication.emailName': data.emailName || data.schoolName,
+    'communication.emailPass': data.emailPass,
+    'schoolTiming.openingTime': data.openingTime || '08:00',
+    'schoolTiming.closingTime': data.closingTime || '14:00',
+    'schoolTiming.lunchBreak': data.lunchBreak || '12:00 - 12:30'
+  });
+
+  const year = new AcademicYear({
+    schoolId: school._id,
+    name: academicYear.name,
+    startDate: academicYear.startDate,
+    endDate: academicYear.endDate,
+    isActive: true
+  });
+
+  const resetToken = crypto.randomBytes(20).toString('hex');
+  const admin = new User({
+    name: data.adminName,
+    username: data.username,
+    email: data.email,
+    // Never used to log in; the admin sets a password from the reset link
+    password: bcrypt.hashSync(crypto.randomBytes(12).toString('hex'), 10),
+    role: 'admin',
+    schoolId: school._id,
+    phoneNumber: data.mobileNo,
+    whatsappNumber: data.mobileNo,
+    whatsappOptIn: true,
+    resetToken,
+    resetTokenExpires: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+    status: true,
+    isMobileVerified: data.mobileVerified
+  });
+
+  school.activeAcademicYear = year._id;
+  school.createdBy = admin._id;
+
+  // One at a time: a transaction runs one operation at once
+  await school.save({ session });
+  await admin.save({ session });
+  await year.save({ session });
+
+  let subscription = null;
+  if (plan) {
+    // Without a coupon the assignment stays complimentary (₹0)
+    const quote = data.couponCode
+      ? await couponService.quoteCoupon(data.couponCode, {
+          schoolId: school._id,
+          planType: plan.code,
+          amount: plan.amount,
+          session
+        })
+      : null;
+    const originalAmount = quote ? plan.amount : 0;
+    const discountAmount = quote ? quote.discountAmount : 0;
+
+    subscription = new Subscription({
+      schoolId: school._id,
+      ...planCatalog.subscriptionFieldsFor(plan),
+      status: 'active',
+      startsAt: new Date(),
+      expiresAt: new Date(Date.now() + data.durationDays * DAY_MS),
+      durationDays: data.durationDays,
+      originalAmount,
+      discountAmount,
+      finalAmount: originalAmount - discountAmount,
+      couponCode: quote?.coupon.code || null,
+      paymentMethod: quote ? data.paymentMethod : null,
+      transactionId: quote ? data.transactionId : null,
+      usageStats: {
+        smsUsedThisMonth: 0,
+        whatsappUsedThisMonth: 0,
+        lastResetDate: new Date()
+      }
+    });
+    await subscription.save({ session });
+    if (quote) {
+      await couponService.redeemCoupon(quote.coupon, {
+        schoolId: school._id,
+        subscription,
+        discountAmount,
+        by,
+        session
+      });
+      await invoiceService.createInvoiceForSubscription(subscription, { session });
+    }
+    if (plan.tier === 'trial') {
+      // Counts as the school's one trial
+      await trialService.recordTrialGrant(subscription, { by, source: 'registration', session });
+    }
+
+    school.smsPackActive = true;
+    school.remainingSms = subscription.messageLimits.smsMonthly;
+    school.smsExpiry = subscription.expiresAt;
+    school.smsPlan = subscription.planType;
+    await school.save({ session });
+  }
+
+  if (data.pendingSchoolId) {
+    const pending = await PendingSchool.findById(data.pendingSchoolId).session(session);
+    if (pending) {
+      pending.status = 'completed';
+      pending.schoolId = school._id;
+      pending.updatedAt = new Date();
+      await pending.save({ session });
+    }
+  }
+
+  await new AuditLog({
+    userId: by,
+    action: 'create_school',
+    details: {
+      schoolId: school._id,
+      schoolName: data.schoolName,
+      code,
+      adminUserId: admin._id,
+      fastTrack: data.fastTrack,
+      source,
+      subscriptionAssigned: Boolean(plan),
+      subscriptionType: plan?.code || null,
+      subscriptionDuration: data.durationDays,
+      academicYear: academicYear.name
+    }
+  }).save({ session });
+
+  return { school, admin, academicYear: year, subscription, plan, resetToken };
+};
+
+// New reset token for an admin whose welcome goes out later than creation
+exports.issueResetToken = async (admin, { session = null } = {}) => {
+  admin.resetToken = crypto.randomBytes(20).toString('hex');
+  admin.resetTokenExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+  await admin.save({ session });
+  return admin.resetToken;
+};
+
+const resetLinkFor = (resetToken) => `${process.env.FRONTEND_URL}/auth/reset-password?token=${resetToken}`;
+
+// The set-password link while the admin's token is still valid
+exports.currentResetLink = (admin) =>
+  admin.resetToken && admin.resetTokenExpires > new Date() ? resetLinkFor(admin.resetToken) : null;
+
+// Email the admin their set-password link; throws when the email fails
+exports.sendWelcomeEmail = async ({ school, admin, academicYear, subscription, resetToken }) => {
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    throw { status: 500, message: 'Email credentials missing in environment' };
+  }
+
+  const resetLink = resetLinkFor(resetToken);
+
+  const transporter = nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    },
+    tls: { rejectUnauthorized: false }
+  });
+
+  const html = `
+    <h2>Welcome to EDGlobe Family!</h2>
+    <p>Hi <strong>${admin.name}</strong>,</p>
+    <p>Your school <strong>${school.name}</strong> (Code: <strong>${school.code}</strong>) is ready!</p>
+    <p><strong>Username:</strong> ${admin.username}</p>
+    <p><strong>Academic Year:</strong> ${academicYear.name}</p>
+    ${subscription
+      ? `<p><strong>Initial Subscription:</strong> ${subscription.planType} for ${subscription.durationDays} days</p>`
+      : '<p><strong>Subscription:</strong> Not assigned yet — please upgrade from admin panel</p>'}
+    <p>
+      <a href="${resetLink}"
+         style="background:#007bff;color:white;padding:12px 24px;text-decoration:none;border-radius:6px;font-weight:bold;">
+        Set Password Now
+      </a>
+    </p>
+    <p><small>Link expires in 1 hour.</small></p>
+    <p>Best regards,<br>EDGlobe Team</p>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: `"EDGlobe" <${process.env.EMAIL_USER}>`,
+      to: admin.email,
+      subject: `Welcome to ${school.name} – Set Your Password`,
+      html
+    });
+    console.log('Password reset email sent successfully');
+  } catch (emailErr) {
+    console.error('Email failed:', emailErr.message);
+    throw { status: 500, message: `Failed to send email: ${emailErr.message}` };
+  }
+
+  return { resetLink };
+};
+
+// WhatsApp onboarding message; throws when MSG91 does not accept it
+exports.sendWelcomeWhatsApp = async ({ school, admin, academicYear, subscription, plan }) => {
+  const subMsg = subscription
+    ? `You have ${subscription.durationDays} days of ${plan?.name || subscription.planType} plan`
+    : 'No subscription assigned yet – please upgrade from admin panel';
+
+  const result = await WhatsAppService.sendSchoolOnboarding(
+    { name: school.name, code: school.code, academicYear: academicYear.name, subscription: subMsg },
+    { name: admin.name, username: admin.username, phone: admin.phoneNumber }
+  );
+  if (!result?.success) {
+    const reason = typeof result?.error === 'string' ? result.error : JSON.stringify(result?.error || 'unknown error');
+    throw { status: 502, message: `WhatsApp send failed: ${reason}` };
+  }
+};
+
+// What the welcome senders need, loaded again for a school created earlier
+exports.loadWelcome = async (schoolId, adminUserId) => {
+  const school = await School.findById(schoolId);
+  if (!school) throw { status: 404, message: 'School no longer exists' };
+  const admin = await User.findById(adminUserId);
+  if (!admin) throw { status: 404, message: 'Admin account no longer exists' };
+  const academicYear = await AcademicYear.findById(school.activeAcademicYear);
+  const subscription = await Subscription.findOne({ schoolId: school._id, isTemporaryBoost: { $ne: true } }).sort({ createdAt: 1 });
+  const plan = subscription ? await planCatalog.getPlan(subscription.planType) : null;
+  return { school, admin, academicYear, subscription, plan };
+};
+
+// In-app welcome for the new admin
+exports.recordWelcomeNotification = ({ school, admin, academicYear, subscription, plan }, { resetLink, by, session = null }) =>
+  new Notification({
+    schoolId: school._id,
+    type: 'welcome',
+    title: `Welcome to ${school.name}!`,
+    message: `Your school is ready! Academic Year: ${academicYear.name}. ${subscription ? `You have ${subscription.durationDays} days of ${plan.name} plan.` : 'No active subscription yet – please upgrade.'}`,
+    recipientId: admin._id,
+    senderId: by,
+    data: {
+      resetLink,
+      username: admin.username,
+      schoolName: school.name,
+      code: school.code,
+      academicYear: academicYear.name,
+      subscriptionType: subscription?.planType,
+      subscriptionDuration: subscription?.durationDays,
+      recipientPhone: admin.phoneNumber
+    }
+  }).save({ session });
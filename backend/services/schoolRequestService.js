@@ -0,0 +1,146 @@
+const PendingSchool = require('../models/pendingSchool');
+const School = require('../models/School');
+const Verification = require('../models/verification');
+const AuditLog = require('../models/auditLogs');
+const { normalizeMobile } = require('./schoolRegistrationService');
+const { sendEmail } = require('../utils/email');
+
+// Public demo/onboarding requests. A request is pending until a superadmin
+// approves or rejects it; an approved one becomes a school through
+// registerSchool with its pendingSchoolId, which marks it completed.
+
+const loadRequest = async (requestId, session) => {
+  const request = await PendingSchool.findById(requestId).session(session);
+  if (!request) throw { status: 404, message: 'Request not found' };
+  return request;
+};
+
+// The form is public, so its text is escaped before going into email HTML
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const audit = (by, action, details, session) =>
+  new AuditLog({ userId: by, action, details }).save({ session });
+
+/**
+ * Record a request from the public form. The mobile number must have been
+ * verified through /api/auth/verify-otp in the last few minutes; the
+ * verification is used up here. A rejected school may ask again.
+ */
+exports.submitRequest = async (input) => {
+  const mobileNo = normalizeMobile(String(input.mobileNo).trim());
+  const email = String(input.email).trim().toLowerCase();
+
+  const verification = await Verification.findOne({ phoneNumber: mobileNo, status: 'verified' });
+  if (!verification) throw { status: 400, message: 'Verify your mobile number before sending the request' };
+
+  if (await School.exists({ email, deletedAt: null })) {
+    throw { status: 409, message: 'A school with this email is already registered' };
+  }
+
+  let request = await PendingSchool.findOne({ email });
+  if (request && request.status !== 'rejected') {
+    throw {
+      status: 409,
+      message: request.status === 'completed'
+        ? 'A school with this email is already registered'
+        : 'A request with this email is already being reviewed'
+    };
+  }
+
+  const fields = {
+    name: input.name.trim(),
+    email,
+    mobileNo,
+    contactName: input.contactName.trim(),
+    designation: input.designation?.trim() || undefined,
+    requestType: input.requestType || 'onboarding',
+    studentCount: input.studentCount ? Number(input.studentCount) : undefined,
+    message: input.message?.trim() || undefined,
+    address: {
+      street: input.address?.street?.trim(),
+      city: input.address?.city?.trim(),
+      state: input.address?.state?.trim(),
+      country: input.address?.country?.trim() || 'India',
+      postalCode: input.address?.postalCode?.trim()
+    },
+    mobileVerifiedAt: new Date(),
+    status: 'pending',
+    reviewedBy: null,
+    reviewedAt: null,
+    rejectionReason: null,
+    updatedAt: new Date()
+  };
+
+  if (request) request.set(fields);
+  else request = new PendingSchool(fields);
+  await request.save();
+
+  await Verification.deleteMany({ phoneNumber: mobileNo });
+  return request;
+};
+
+exports.listRequests = ({ status } = {}) =>
+  PendingSchool.find(status ? { status } : {})
+    .populate('reviewedBy', 'name email')
+    .populate('schoolId', 'name code')
+    .sort({ createdAt: -1 })
+    .lean();
+
+exports.getRequest = async (requestId) => {
+  const request = await PendingSchool.findById(requestId)
+    .populate('reviewedBy', 'name email')
+    .populate('schoolId', 'name code')
+    .lean();
+  if (!request) throw { status: 404, message: 'Request not found' };
+  return request;
+};
+
+// Approved requests can be registered with their pendingSchoolId
+exports.approveRequest = async (requestId, { by, session = null }) => {
+  const request = await loadRequest(requestId, session);
+  if (request.status !== 'pending') throw { status: 409, message: `Request already ${request.status}` };
+
+  request.status = 'approved';
+  request.reviewedBy = by;
+  request.reviewedAt = new Date();
+  request.updatedAt = new Date();
+  await request.save({ session });
+  await audit(by, 'approve_school_request', { pendingSchoolId: request._id, email: request.email }, session);
+  return request;
+};
+
+exports.rejectRequest = async (requestId, { reason, by, session = null }) => {
+  const request = await loadRequest(requestId, session);
+  if (!['pending', 'approved'].includes(request.status)) {
+    throw { status: 409, message: `Request already ${request.status}` };
+  }
+
+  request.status = 'rejected';
+  request.rejectionReason = reason;
+  request.reviewedBy = by;
+  request.reviewedAt = new Date();
+  request.updatedAt = new Date();
+  await request.save({ session });
+  await audit(by, 'reject_school_request', { pendingSchoolId: request._id, email: request.email, reason }, session);
+  return request;
+};
+
+// Best-effort; the rejection stands either way
+exports.notifyRejection = async (request) => {
+  try {
+    const html = `
+      <p>Dear ${escapeHtml(request.contactName || request.name)},</p>
+      <p>Thank you for your interest in EDGlobe. We are unable to take your request for
+         <strong>${escapeHtml(request.name)}</strong> forward at this time.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(request.rejectionReason)}</p>
+      <p>You are welcome to send a new request once this is addressed, or reply to this email with any questions.</p>
+      <p>Best regards,<br>EDGlobe Team</p>
+    `;
+    await sendEmail(request.email, 'Your EDGlobe request', `Reason: ${request.rejectionReason}`, html);
+    return true;
+  } catch (err) {
+    console.error('Request rejection email failed:', err.message);
+    return false;
+  }
+};
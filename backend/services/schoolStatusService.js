@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const User = require('../models/User');
+const AcademicYear = require('../models/academicyear');
+const Subscription = require('../models/subscription');
+const Notification = require('../models/notification');
+const UsagePeriod = require('../models/usagePeriod');
+const PaymentEvent = require('../models/paymentEvent');
+const PaymentMandate = require('../models/paymentMandate');
+const RenewalAttempt = require('../models/renewalAttempt');
+const TrialEvent = require('../models/trialEvent');
+const LoginLog = require('../models/LoginLog');
+const SchoolOnboarding = require('../models/schoolOnboarding');
+const FeatureOverride = require('../models/featureOverride');
+const CouponRedemption = require('../models/couponRedemption');
+const SchoolImport = require('../models/schoolImport');
+const PendingSchool = require('../models/pendingSchool');
+const AuditLog = require('../models/auditLogs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a deleted school can still be restored
+const RETENTION_DAYS = Number(process.env.SCHOOL_RETENTION_DAYS) || 30;
+
+// A school is active, suspended (status false) or deleted (deletedAt set).
+// Every change needs a reason and is written to the audit log.
+
+const loadSchool = async (schoolId, session) => {
+  const school = await School.findById(schoolId).session(session);
+  if (!school) throw { status: 404, message: 'School not found' };
+  return school;
+};
+
+const audit = (by, action, details, session) =>
+  new AuditLog({ userId: by, action, details }).save({ session });
+
+const stateOf = (school) => (school.deletedAt ? 'deleted' : school.status ? 'active' : 'suspended');
+
+exports.stateOf = stateOf;
+exports.RETENTION_DAYS = RETENTION_DAYS;
+
+// Lock the school out of its apps; nothing else changes
+exports.suspendSchool = async (schoolId, { reason, by = null, session = null }) => {
+  const school = await loadSchool(schoolId, session);
+  if (school.deletedAt) throw { status: 409, message: 'School is deleted; restore it first' };
+  if (!school.status) throw { status: 409, message: 'School is already suspended' };
+
+  school.status = false;
+  school.suspendedAt = new Date();
+  school.suspendedBy = by;
+  school.suspensionReason = reason;
+  await school.save({ session });
+  await audit(by, 'suspend_school', { schoolId: school._id, reason }, session);
+  return school;
+};
+
+exports.reactivateSchool = async (schoolId, { reason, by = null, session = null }) => {
+  const school = await loadSchool(schoolId, session);
+  if (school.deletedAt) throw { status: 409, message: 'School is deleted; restore it first' };
+  if (school.status) throw { status: 409, message: 'School is not suspended' };
+
+  const suspension = { suspendedAt: school.suspendedAt, suspensionReason: school.suspensionReason };
+  school.status = true;
+  school.suspendedAt = null;
+  school.suspendedBy = null;
+  school.suspensionReason = null;
+  await school.save({ session });
+  await audit(by, 'reactivate_school', { schoolId: school._id, reason, ...suspension }, session);
+  return school;
+};
+
+/**
+ * Move a school to the trash. It is locked like a suspended school, stops
+ * auto-renewing, and can be restored until purgeAfter.
+ */
+exports.softDeleteSchool = async (schoolId, { reason, by = null, session = null }) => {
+  const school = await loadSchool(schoolId, session);
+  if (school.deletedAt) throw { status: 409, message: 'School is already deleted' };
+
+  const now = new Date();
+  school.suspendedBeforeDelete = !school.status;
+  school.status = false;
+  school.deletedAt = now;
+  school.deletedBy = by;
+  school.deletionReason = reason;
+  school.purgeAfter = new Date(now.getTime() + RETENTION_DAYS * DAY_MS);
+  await school.save({ session });
+
+  // Nobody should be charged for a school in the trash
+  const { modifiedCount } = await Subscription.updateMany(
+    { schoolId: school._id, autoRenew: true },
+    { $set: { autoRenew: false } },
+    { session }
+  );
+
+  await audit(by, 'delete_school', {
+    schoolId: school._id,
+    reason,
+    purgeAfter: school.purgeAfter,
+    autoRenewTurnedOff: modifiedCount
+  }, session);
+  return school;
+};
+
+// Take a school out of the trash in the state it was deleted from.
+// Auto-renew stays off until someone turns it back on.
+exports.restoreSchool = async (schoolId, { reason, by = null, session = null }) => {
+  const school = await loadSchool(schoolId, session);
+  if (!school.deletedAt) throw { status: 409, message: 'School is not deleted' };
+
+  const deletion = { deletedAt: school.deletedAt, deletionReason: school.deletionReason };
+  school.status = !school.suspendedBeforeDelete;
+  school.deletedAt = null;
+  school.deletedBy = null;
+  school.deletionReason = null;
+  school.purgeAfter = null;
+  school.suspendedBeforeDelete = false;
+  await school.save({ session });
+  await audit(by, 'restore_school', { schoolId: school._id, reason, ...deletion, state: stateOf(school) }, session);
+  return school;
+};
+
+/**
+ * Permanently remove a deleted school whose retention window has passed,
+ * together with its users, academic years, subscriptions and the rest.
+ * Bulk-import rows and signups that created it lose their link to it.
+ * Invoices and credit notes are tax records and are kept; they carry their
+ * own copy of the buyer's details.
+ */
+exports.purgeSchool = async (schoolId, { reason, by = null, now = new Date(), session = null }) => {
+  const school = await loadSchool(schoolId, session);
+  if (!school.deletedAt) throw { status: 409, message: 'Only deleted schools can be purged' };
+  if (school.purgeAfter > now) {
+    throw { status: 409, message: `School can be purged after ${school.purgeAfter.toISOString().slice(0, 10)}` };
+  }
+
+  const subscriptionIds = await Subscription.find({ schoolId: school._id }).distinct('_id').session(session);
+  const byId = { schoolId: school._id };
+  const cascade = {
+    paymentEvents: [PaymentEvent, { subscriptionId: { $in: subscriptionIds } }],
+    users: [User, byId],
+    academicYears: [AcademicYear, byId],
+    subscriptions: [Subscription, byId],
+    notifications: [Notification, byId],
+    usagePeriods: [UsagePeriod, byId],
+    mandates: [PaymentMandate, byId],
+    renewalAttempts: [RenewalAttempt, byId],
+    trialEvents: [TrialEvent, byId],
+    loginLogs: [LoginLog, byId],
+    onboarding: [SchoolOnboarding, byId],
+    featureOverrides: [FeatureOverride, byId],
+    couponRedemptions: [CouponRedemption, byId]
+  };
+  // One at a time: a transaction runs one operation at once
+  const removed = {};
+  for (const [name, [Model, filter]] of Object.entries(cascade)) {
+    removed[name] = (await Model.deleteMany(filter, { session })).deletedCount;
+  }
+  // Import and signup records are kept for their own history, without the link
+  const detached = {
+    importRows: (await SchoolImport.updateMany(
+      { 'rows.schoolId': school._id },
+      {
+        $set: {
+          'rows.$[row].schoolId': null,
+          'rows.$[row].adminUserId': null,
+          // Nobody is left to welcome
+          'rows.$[unsent].emailStatus': 'failed',
+          'rows.$[unsent].emailError': 'School was purged'
+        }
+      },
+      {
+        arrayFilters: [
+          { 'row.schoolId': school._id },
+          { 'unsent.schoolId': school._id, 'unsent.emailStatus': { $in: ['pending', 'sending'] } }
+        ],
+        session
+      }
+    )).modifiedCount,
+    pendingSchools: (await PendingSchool.updateMany(byId, { $set: { schoolId: null } }, { session })).modifiedCount
+  };
+  await School.deleteOne({ _id: school._id }, { session });
+
+  await audit(by, 'purge_school', {
+    schoolId: school._id,
+    name: school.name,
+    code: school.code,
+    reason,
+    deletedAt: school.deletedAt,
+    deletionReason: school.deletionReason,
+    removed,
+    detached
+  }, session);
+  return { schoolId: school._id, name: school.name };
+};
+
+// Schools in the trash, next to be purged first
+exports.listTrash = () =>
+  School.find({ deletedAt: { $ne: null } })
+    .select('name code email mobileNo deletedAt deletedBy deletionReason purgeAfter suspendedBeforeDelete')
+    .sort({ purgeAfter: 1 })
+    .lean();
+
+// Daily job: purge every school whose retention window has passed
+exports.purgeExpired = async ({ now = new Date() } = {}) => {
+  const due = await School.find({ deletedAt: { $ne: null }, purgeAfter: { $lte: now } }).select('_id').lean();
+  const summary = { purged: 0, errors: [] };
+  for (const { _id } of due) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(() =>
+        exports.purgeSchool(_id, { reason: 'Retention window ended', now, session })
+      );
+      summary.purged++;
+    } catch (err) {
+      console.error(`School purge: ${_id} failed:`, err.message || err);
+      summary.errors.push({ schoolId: _id, error: err.message || String(err) });
+    } finally {
+      await session.endSession();
+    }
+  }
+  return summary;
+};
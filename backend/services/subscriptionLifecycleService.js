@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscription');
+const RenewalAttempt = require('../models/renewalAttempt');
+const subscriptionService = require('./subscriptionService');
+const couponService = require('./couponService');
+const { getGateway } = require('./payments');
+const { syncSchoolSmsPack } = require('../utils/subscriptionUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 7;
+// Checkouts left unpaid this long are canceled and their coupon freed
+const PENDING_CHECKOUT_HOURS = parseInt(process.env.PENDING_CHECKOUT_HOURS, 10) || 24;
+
+// Cancel one abandoned checkout unless the gateway says it was paid. Returns
+// true when it was canceled.
+const expireCheckout = async (sub, now) => {
+  // Open auto-renew charges are settled by the auto-renew job
+  if (await RenewalAttempt.exists({ renewalSubscriptionId: sub._id, status: 'pending' })) return false;
+
+  const orderId = sub.gatewayOrderId || sub.razorpayOrderId;
+  if (orderId) {
+    const status = await getGateway(sub.paymentProvider || 'razorpay').fetchStatus({ orderId });
+    if (status.status === 'captured') {
+      console.error(`Lifecycle: checkout ${sub._id} was paid but never activated; refresh its payment status`);
+      return false;
+    }
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let canceled = false;
+    await session.withTransaction(async () => {
+      const fresh = await Subscription.findOne({ _id: sub._id, status: 'pending' }).session(session);
+      if (!fresh) return; // paid or canceled meanwhile
+      fresh.transitionTo('canceled', { reason: `Checkout not paid within ${PENDING_CHECKOUT_HOURS} hours`, at: now });
+      await fresh.save({ session });
+      await couponService.releaseRedemption(fresh, { session });
+      canceled = true;
+    });
+    return canceled;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Starts scheduled plans, moves subscriptions along active → grace_period → expired
+// and cancels checkouts that were never paid.
+// Safe to run repeatedly: every step is guarded by the current status, and
+// concurrent runs lose on the document version instead of double-writing.
+exports.runLifecycle = async ({ now = new Date() } = {}) => {
+  const summary = { started: 0, movedToGrace: 0, expired: 0, checkoutsCanceled: 0, schoolsSynced: 0, errors: [] };
+  const touchedSchools = new Set();
+
+  const apply = async (sub, to, reason) => {
+    try {
+      sub.transitionTo(to, { reason, at: now });
+      await sub.save();
+      touchedSchools.add(sub.schoolId.toString());
+      return true;
+    } catch (err) {
+      if (err.name === 'VersionError') return false; // another run got there first
+      console.error(`Lifecycle: ${sub._id} → ${to} failed:`, err.message);
+      summary.errors.push({ subscriptionId: sub._id, to, error: err.message });
+      return false;
+    }
+  };
+
+  // ────────────────────── 0. SCHEDULED → ACTIVE ──────────────────────
+  // First, so a plan queued for the end of a term replaces it before the
+  // old one is sent into its grace period
+  const starting = await Subscription.find({ status: 'scheduled', startsAt: { $lte: now } }).sort({ startsAt: 1 });
+  for (const sub of starting) {
+    const session = await mongoose.startSession();
+    try {
+      let started = false;
+      await session.withTransaction(async () => {
+        const fresh = await Subscription.findOne({ _id: sub._id, status: 'scheduled' }).session(session);
+        if (!fresh) return; // another run got there first
+        await subscriptionService.startScheduledSubscription(fresh, { now, session });
+        started = true;
+      });
+      if (started) summary.started++;
+    } catch (err) {
+      console.error(`Lifecycle: ${sub._id} → active failed:`, err.message || err);
+      summary.errors.push({ subscriptionId: sub._id, to: 'active', error: err.message || String(err) });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // ────────────────────── 1. ACTIVE → GRACE PERIOD ──────────────────────
+  const ending = await Subscription.find({ status: 'active', expiresAt: { $lte: now } });
+  for (const sub of ending) {
+    // Trials have nothing to pay for, so they expire without a grace period
+    if (sub.planType === 'trial') {
+      if (await apply(sub, 'expired', 'Trial period ended')) summary.expired++;
+      continue;
+    }
+    // Boost credits simply run out
+    if (sub.isTemporaryBoost) {
+      if (await apply(sub, 'expired', 'Boost window ended')) summary.expired++;
+      continue;
+    }
+    sub.gracePeriodEnds = new Date(sub.expiresAt.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+    if (await apply(sub, 'grace_period', 'Subscription period ended')) summary.movedToGrace++;
+  }
+
+  // ────────────────────── 2. GRACE PERIOD → EXPIRED ──────────────────────
+  const lapsed = await Subscription.find({
+    status: 'grace_period',
+    $or: [{ gracePeriodEnds: { $lte: now } }, { gracePeriodEnds: null }]
+  });
+  for (const sub of lapsed) {
+    if (await apply(sub, 'expired', 'Grace period ended')) summary.expired++;
+  }
+
+  // ────────────────────── 3. ABANDONED CHECKOUTS ──────────────────────
+  // Bank transfers are closed by a superadmin or a matched statement line,
+  // however long the money takes. A gateway payment that lands after its
+  // checkout is canceled is refunded (paymentService, late capture).
+  const abandoned = await Subscription.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(now.getTime() - PENDING_CHECKOUT_HOURS * 60 * 60 * 1000) },
+    paymentMethod: { $ne: 'bank_transfer' }
+  });
+  for (const sub of abandoned) {
+    try {
+      if (await expireCheckout(sub, now)) summary.checkoutsCanceled++;
+    } catch (err) {
+      console.error(`Lifecycle: ${sub._id} → canceled failed:`, err.message || err);
+      summary.errors.push({ subscriptionId: sub._id, to: 'canceled', error: err.message || String(err) });
+    }
+  }
+
+  // ────────────────────── 4. SCHOOL FLAGS ──────────────────────
+  for (const schoolId of touchedSchools) {
+    try {
+      await syncSchoolSmsPack(schoolId, { now });
+      summary.schoolsSynced++;
+    } catch (err) {
+      console.error(`Lifecycle: school ${schoolId} sync failed:`, err.message);
+      summary.errors.push({ schoolId, error: err.message });
+    }
+  }
+
+  console.log('Subscription lifecycle run:', JSON.stringify(summary));
+  return summary;
+};
+
+exports.GRACE_PERIOD_DAYS = GRACE_PERIOD_DAYS;
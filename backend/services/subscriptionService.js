@@ -0,0 +1,538 @@
+const Subscription = require('../models/subscription');
+const AcademicYear = require('../models/academicyear');
+const AuditLog = require('../models/auditLogs');
+const Invoice = require('../models/invoice');
+const planCatalog = require('./planCatalog');
+const invoiceService = require('./invoiceService');
+const couponService = require('./couponService');
+const { syncSchoolSmsPack } = require('../utils/subscriptionUtils');
+const { round2 } = require('../utils/gst');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Boosts sit beside the main plan and are left out of plan lookups
+const MAIN_PLAN = { isTemporaryBoost: { $ne: true } };
+
+// The plan a school is on right now (grace period included)
+const getCurrentSubscription = (schoolId, session = null) =>
+  Subscription.findOne({ schoolId, ...MAIN_PLAN, status: { $in: ['active', 'grace_period'] } })
+    .sort({ priority: -1, expiresAt: -1 })
+    .session(session);
+
+// Boost packs running right now, soonest to end first
+const getActiveBoosts = (schoolId, { session = null, now = new Date() } = {}) =>
+  Subscription.find({ schoolId, isTemporaryBoost: true, status: 'active', expiresAt: { $gt: now } })
+    .sort({ expiresAt: 1 })
+    .session(session)
+    .lean();
+
+// Unused value of a paid subscription, pro rata by time left
+const calculateProrationCredit = (sub, now = new Date()) => {
+  if (!sub || sub.status !== 'active' || !sub.finalAmount) return 0;
+  const totalMs = sub.durationDays * DAY_MS;
+  const remainingMs = Math.min(totalMs, Math.max(0, sub.expiresAt - now));
+  if (!totalMs) return 0;
+  return Math.round(sub.finalAmount * remainingMs / totalMs);
+};
+
+const buildSubscription = (schoolId, plan, { startsAt, expiresAt, originalAmount, discountAmount, couponCode, previous, paymentMethod, transactionId }) => {
+  const durationDays = Math.max(1, Math.ceil((expiresAt - startsAt) / DAY_MS));
+  return new Subscription({
+    schoolId,
+    ...planCatalog.subscriptionFieldsFor(plan),
+    status: 'active',
+    startsAt,
+    expiresAt,
+    durationDays,
+    originalAmount,
+    discountAmount,
+    finalAmount: Math.max(0, originalAmount - discountAmount),
+    couponCode: couponCode || null,
+    autoRenew: previous?.autoRenew || false,
+    paymentMethod: paymentMethod || null,
+    transactionId: transactionId || null,
+    // Same calendar month → keep counting against the new limits
+    usageStats: previous ? {
+      smsUsedThisMonth: previous.usageStats.smsUsedThisMonth,
+      whatsappUsedThisMonth: previous.usageStats.whatsappUsedThisMonth,
+      lastResetDate: previous.usageStats.lastResetDate
+    } : { lastResetDate: startsAt },
+    statusHistory: [{ from: null, to: 'active', at: startsAt, reason: previous ? `Replaces ${previous.planType}` : 'Created' }],
+    testMode: process.env.TEST_MODE === 'true'
+  });
+};
+
+// Coupon discount on what is still due; null when no code was given
+const quoteCoupon = async (couponCode, { schoolId, plan, amountDue, session }) => {
+  if (!couponCode) return null;
+  return couponService.quoteCoupon(couponCode, { schoolId, planType: plan.code, amount: amountDue, session });
+};
+
+const redeemQuote = (quote, sub, { by, session }) => quote
+  ? couponService.redeemCoupon(quote.coupon, { schoolId: sub.schoolId, subscription: sub, discountAmount: quote.discountAmount, by, session })
+  : null;
+
+// End a live subscription now because another one takes its place
+const closeOut = async (current, { reason, by, at, session }) => {
+  current.transitionTo('canceled', { reason, by, at });
+  current.expiresAt = at;
+  current.gracePeriodEnds = undefined;
+  await current.save({ session });
+};
+
+// Closes the old subscription and stores the new one, in a single transaction
+const replaceSubscription = async (current, next, { by, reason, action, details, session }) => {
+  const now = next.startsAt;
+  if (current) await closeOut(current, { reason, by, at: now, session });
+  next.statusHistory[0].by = by;
+  await next.save({ session });
+
+  await new AuditLog({
+    userId: by,
+    action,
+    details: {
+      schoolId: next.schoolId,
+      previousSubscriptionId: current?._id || null,
+      subscriptionId: next._id,
+      ...details
+    }
+  }).save({ session });
+
+  await invoiceService.createInvoiceForSubscription(next, { session });
+  await syncSchoolSmsPack(next.schoolId, { session, now });
+  return next;
+};
+
+// A queued plan was priced against the current term, so that term cannot
+// change under it
+const assertNothingScheduled = async (schoolId, session) => {
+  if (await Subscription.exists({ schoolId, ...MAIN_PLAN, status: 'scheduled' }).session(session)) {
+    throw { status: 409, message: 'School has a scheduled plan; cancel the scheduled plan first' };
+  }
+};
+
+// Upgrades and downgrades are judged on plan priority, then price
+const checkDirection = async (plan, current, direction, session) => {
+  const currentPlan = await planCatalog.getPlan(current.planType, { session });
+  const rank = (p) => p.priority * 1e7 + p.amount;
+  const isUpgrade = !currentPlan || rank(plan) > rank(currentPlan);
+  if (direction === 'upgrade' && !isUpgrade) {
+    throw { status: 400, message: `${plan.code} is not an upgrade from ${current.planType}` };
+  }
+  if (direction === 'downgrade' && isUpgrade) {
+    throw { status: 400, message: `${plan.code} is not a downgrade from ${current.planType}` };
+  }
+};
+
+// Carry the outgoing plan's auto-renew choice and this month's usage over
+const inheritFrom = (sub, current) => {
+  sub.autoRenew = current.autoRenew;
+  sub.usageStats = {
+    smsUsedThisMonth: current.usageStats.smsUsedThisMonth,
+    whatsappUsedThisMonth: current.usageStats.whatsappUsedThisMonth,
+    lastResetDate: current.usageStats.lastResetDate
+  };
+};
+
+/**
+ * Renew the school's current plan (or another billing interval of the same
+ * tier and channel). Days left on the current term carry over; the old
+ * subscription is closed. Any plan can be renewed into once the current one
+ * has run out, since then nothing carries over.
+ */
+exports.renewSubscription = async (schoolId, { planType, couponCode, by, paymentMethod, transactionId, session = null } = {}) => {
+  const now = new Date();
+  const current = await getCurrentSubscription(schoolId, session) ||
+    await Subscription.findOne({ schoolId, ...MAIN_PLAN, status: { $in: ['expired', 'canceled'] } })
+      .sort({ expiresAt: -1 })
+      .session(session);
+  if (!current) throw { status: 400, message: 'School has no subscription to renew' };
+  await assertNothingScheduled(schoolId, session);
+
+  const targetType = planType || current.planType;
+  const plan = await planCatalog.getPlan(targetType, { session, sellable: !!planType });
+  if (!plan) throw { status: 400, message: `Unknown plan type: ${targetType}` };
+  if (plan.tier === 'trial') throw { status: 400, message: 'Trials cannot be renewed' };
+  if (planCatalog.isBoost(plan)) throw { status: 400, message: 'Boost packs are added on top of a plan, not renewed' };
+
+  const isLive = ['active', 'grace_period'].includes(current.status);
+  const base = isLive && current.expiresAt > now ? current.expiresAt : now;
+  if (base > now && targetType !== current.planType) {
+    // Days carried over are only worth the same on a plan of the same kind
+    const currentPlan = await planCatalog.getPlan(current.planType, { session });
+    if (!currentPlan || currentPlan.tier !== plan.tier || currentPlan.channel !== plan.channel) {
+      throw { status: 400, message: `Renewal keeps the ${current.planType} tier and channel; change plan to move to ${targetType}` };
+    }
+  }
+  const quote = await quoteCoupon(couponCode, { schoolId, plan, amountDue: plan.amount, session });
+  const next = buildSubscription(schoolId, plan, {
+    startsAt: now,
+    expiresAt: new Date(base.getTime() + plan.durationDays * DAY_MS),
+    originalAmount: plan.amount,
+    discountAmount: quote?.discountAmount || 0,
+    couponCode: quote?.coupon.code,
+    previous: isLive ? current : null,
+    paymentMethod,
+    transactionId
+  });
+
+  await redeemQuote(quote, next, { by, session });
+  return replaceSubscription(isLive ? current : null, next, {
+    by,
+    session,
+    reason: `Renewed as ${targetType}`,
+    action: 'renew_subscription',
+    details: {
+      planType: targetType,
+      carriedOverDays: Math.ceil((base - now) / DAY_MS),
+      couponCode: next.couponCode,
+      finalAmount: next.finalAmount
+    }
+  });
+};
+
+/**
+ * Move the school to another plan straight away. The unused value of the
+ * current plan is credited against the new price (never below zero).
+ * direction: 'upgrade' | 'downgrade' — checked against plan priority, then price.
+ */
+exports.changePlan = async (schoolId, { planType, direction, couponCode, by, paymentMethod, transactionId, session = null } = {}) => {
+  const now = new Date();
+  const current = await getCurrentSubscription(schoolId, session);
+  if (!current) throw { status: 400, message: 'School has no active subscription to change' };
+  await assertNothingScheduled(schoolId, session);
+
+  const plan = await planCatalog.getPlan(planType, { session, sellable: true });
+  if (!plan) throw { status: 400, message: `Unknown plan type: ${planType}` };
+  if (plan.tier === 'trial') throw { status: 400, message: 'Cannot switch to a trial plan' };
+  if (planCatalog.isBoost(plan)) throw { status: 400, message: 'Boost packs are added on top of a plan, not switched to' };
+  if (plan.code === current.planType) throw { status: 400, message: 'School is already on this plan' };
+
+  await checkDirection(plan, current, direction, session);
+
+  const credit = calculateProrationCredit(current, now);
+  const creditApplied = Math.min(credit, plan.amount);
+  const quote = await quoteCoupon(couponCode, { schoolId, plan, amountDue: plan.amount - creditApplied, session });
+  const next = buildSubscription(schoolId, plan, {
+    startsAt: now,
+    expiresAt: new Date(now.getTime() + plan.durationDays * DAY_MS),
+    originalAmount: plan.amount,
+    discountAmount: creditApplied + (quote?.discountAmount || 0),
+    couponCode: quote?.coupon.code,
+    previous: current,
+    paymentMethod,
+    transactionId
+  });
+
+  await redeemQuote(quote, next, { by, session });
+  return replaceSubscription(current, next, {
+    by,
+    session,
+    reason: `${direction === 'downgrade' ? 'Downgraded' : 'Upgraded'} to ${plan.code}`,
+    action: `${direction}_subscription`,
+    details: {
+      fromPlanType: current.planType,
+      planType: plan.code,
+      prorationCredit: credit,
+      creditApplied,
+      couponCode: next.couponCode,
+      couponDiscount: quote?.discountAmount || 0,
+      finalAmount: next.finalAmount
+    }
+  });
+};
+
+/**
+ * A subscription waiting for payment. Priced the same way as changePlan:
+ * switching plans credits the unused value of the current one, buying the
+ * same plan again extends it on activation instead. A coupon is reserved
+ * now and released if the payment never arrives. Boost packs go through
+ * here too, at full price, and need a plan to stack on.
+ */
+exports.createPendingSubscription = async (schoolId, { planType, paymentMethod, couponCode, by = null, session = null } = {}) => {
+  const now = new Date();
+  const plan = await planCatalog.getPlan(planType, { session, sellable: true });
+  if (!plan) throw { status: 400, message: `Unknown plan type: ${planType}` };
+  if (plan.tier === 'trial') throw { status: 400, message: 'Trials are not sold' };
+
+  const boost = planCatalog.isBoost(plan);
+  const current = await getCurrentSubscription(schoolId, session);
+  if (boost && !current) throw { status: 400, message: 'Boost packs need an active plan to stack on' };
+  if (!boost) await assertNothingScheduled(schoolId, session);
+  const credit = !boost && current && current.planType !== plan.code ? calculateProrationCredit(current, now) : 0;
+  const creditApplied = Math.min(credit, plan.amount);
+  const quote = await quoteCoupon(couponCode, { schoolId, plan, amountDue: plan.amount - creditApplied, session });
+  const discountAmount = creditApplied + (quote?.discountAmount || 0);
+
+  const sub = new Subscription({
+    schoolId,
+    ...(boost ? planCatalog.boostFieldsFor(plan) : planCatalog.subscriptionFieldsFor(plan)),
+    status: 'pending',
+    startsAt: now,
+    expiresAt: new Date(now.getTime() + plan.durationDays * DAY_MS), // provisional, reset on activation
+    originalAmount: plan.amount,
+    discountAmount,
+    finalAmount: plan.amount - discountAmount,
+    couponCode: quote?.coupon.code || null,
+    paymentMethod,
+    usageStats: { lastResetDate: now },
+    statusHistory: [{ from: null, to: 'pending', at: now, reason: 'Awaiting payment', by }],
+    testMode: process.env.TEST_MODE === 'true'
+  });
+  await sub.save({ session });
+  await redeemQuote(quote, sub, { by, session });
+  return sub;
+};
+
+// A paid boost runs from now for its own window; the main plan is untouched
+const activateBoost = async (sub, { by, reason, transactionId, session }) => {
+  const now = new Date();
+  sub.startsAt = now;
+  sub.expiresAt = new Date(now.getTime() + sub.durationDays * DAY_MS);
+  if (transactionId) sub.transactionId = transactionId;
+  sub.transitionTo('active', { reason, by, at: now });
+  await sub.save({ session });
+
+  await new AuditLog({
+    userId: by,
+    action: 'activate_boost',
+    details: {
+      schoolId: sub.schoolId,
+      subscriptionId: sub._id,
+      planType: sub.planType,
+      paymentMethod: sub.paymentMethod,
+      transactionId: sub.transactionId,
+      finalAmount: sub.finalAmount
+    }
+  }).save({ session });
+
+  await invoiceService.createInvoiceForSubscription(sub, { session });
+  return sub;
+};
+
+/**
+ * Add a boost pack straight away (payment taken outside the gateway).
+ * Its limits stack on the main plan until it expires; the main plan's
+ * type, term and usage are left as they are.
+ */
+exports.addBoost = async (schoolId, { planType, couponCode, by, paymentMethod, transactionId, session = null } = {}) => {
+  const now = new Date();
+  const plan = await planCatalog.getPlan(planType, { session, sellable: true });
+  if (!plan || !planCatalog.isBoost(plan)) throw { status: 400, message: `Unknown boost pack: ${planType}` };
+  if (!await getCurrentSubscription(schoolId, session)) {
+    throw { status: 400, message: 'Boost packs need an active plan to stack on' };
+  }
+
+  const quote = await quoteCoupon(couponCode, { schoolId, plan, amountDue: plan.amount, session });
+  const discountAmount = quote?.discountAmount || 0;
+  const boost = new Subscription({
+    schoolId,
+    ...planCatalog.boostFieldsFor(plan),
+    status: 'active',
+    startsAt: now,
+    expiresAt: new Date(now.getTime() + plan.durationDays * DAY_MS),
+    originalAmount: plan.amount,
+    discountAmount,
+    finalAmount: Math.max(0, plan.amount - discountAmount),
+    couponCode: quote?.coupon.code || null,
+    paymentMethod: paymentMethod || null,
+    transactionId: transactionId || null,
+    usageStats: { lastResetDate: now },
+    statusHistory: [{ from: null, to: 'active', at: now, reason: 'Boost added', by }],
+    testMode: process.env.TEST_MODE === 'true'
+  });
+  await boost.save({ session });
+  await redeemQuote(quote, boost, { by, session });
+
+  await new AuditLog({
+    userId: by,
+    action: 'add_boost',
+    details: {
+      schoolId,
+      subscriptionId: boost._id,
+      planType: plan.code,
+      couponCode: boost.couponCode,
+      finalAmount: boost.finalAmount
+    }
+  }).save({ session });
+
+  await invoiceService.createInvoiceForSubscription(boost, { session });
+  return boost;
+};
+
+/**
+ * Turn a paid pending subscription into the school's live plan. Shared by
+ * gateway webhooks and manual payment approval. The term starts now (or at
+ * the end of the current term when the same plan is bought again) and the
+ * plan it replaces is closed out.
+ */
+exports.activateSubscription = async (sub, { by = null, reason = 'Payment received', transactionId, session = null } = {}) => {
+  if (sub.status !== 'pending') {
+    throw { status: 409, message: `Subscription is ${sub.status}, not pending` };
+  }
+  if (sub.isTemporaryBoost) return activateBoost(sub, { by, reason, transactionId, session });
+  await assertNothingScheduled(sub.schoolId, session);
+
+  const now = new Date();
+  const current = await getCurrentSubscription(sub.schoolId, session);
+  const extendsCurrent = current && current.planType === sub.planType && current.expiresAt > now;
+  const base = extendsCurrent ? current.expiresAt : now;
+
+  sub.startsAt = now;
+  sub.expiresAt = new Date(base.getTime() + sub.durationDays * DAY_MS);
+  sub.durationDays = Math.ceil((sub.expiresAt - now) / DAY_MS);
+  if (transactionId) sub.transactionId = transactionId;
+  if (current) {
+    inheritFrom(sub, current);
+    await closeOut(current, { reason: `Replaced by ${sub.planType}`, by, at: now, session });
+  }
+  sub.transitionTo('active', { reason, by, at: now });
+  await sub.save({ session });
+
+  await new AuditLog({
+    userId: by,
+    action: 'activate_subscription',
+    details: {
+      schoolId: sub.schoolId,
+      subscriptionId: sub._id,
+      previousSubscriptionId: current?._id || null,
+      planType: sub.planType,
+      paymentMethod: sub.paymentMethod,
+      transactionId: sub.transactionId,
+      finalAmount: sub.finalAmount
+    }
+  }).save({ session });
+
+  await invoiceService.createInvoiceForSubscription(sub, { session });
+  await syncSchoolSmsPack(sub.schoolId, { session, now });
+  return sub;
+};
+
+// When a scheduled plan starts: an explicit date, the start of the school's
+// next academic year, or the end of the current term
+const resolveStart = async (schoolId, { startsAt, startOn, current, now, session }) => {
+  if (startOn === 'term_end') {
+    if (!current) throw { status: 400, message: 'School has no current term to follow' };
+    return current.expiresAt;
+  }
+  if (startOn === 'academic_year') {
+    const year = await AcademicYear.findOne({ schoolId, startDate: { $gt: now } }).sort({ startDate: 1 }).session(session);
+    if (!year) throw { status: 400, message: 'School has no upcoming academic year; add it or give a start date' };
+    return year.startDate;
+  }
+  if (!startsAt) throw { status: 400, message: 'A start date is required' };
+  return new Date(startsAt);
+};
+
+/**
+ * Queue a paid plan to start on a future date (payment taken outside the
+ * gateway, like renew and changePlan). It stays 'scheduled' and is left out
+ * of every "current plan" lookup until the lifecycle job starts it. If it
+ * starts before the current term ends, the unused part of that term is
+ * credited. One scheduled plan per school.
+ * startOn: 'academic_year' | 'term_end', or pass startsAt.
+ */
+exports.scheduleSubscription = async (schoolId, { planType, startsAt, startOn, direction, couponCode, by, paymentMethod, transactionId, session = null } = {}) => {
+  const now = new Date();
+  const plan = await planCatalog.getPlan(planType, { session, sellable: true });
+  if (!plan) throw { status: 400, message: `Unknown plan type: ${planType}` };
+  if (plan.tier === 'trial') throw { status: 400, message: 'Trials cannot be scheduled' };
+  if (planCatalog.isBoost(plan)) throw { status: 400, message: 'Boost packs start when they are added' };
+
+  const current = await getCurrentSubscription(schoolId, session);
+  if (direction) {
+    if (!current) throw { status: 400, message: `School has no active subscription to ${direction}` };
+    await checkDirection(plan, current, direction, session);
+  }
+  const start = await resolveStart(schoolId, { startsAt, startOn, current, now, session });
+  if (!(start > now)) throw { status: 400, message: 'Start date must be in the future; change the plan now instead' };
+  if (await Subscription.exists({ schoolId, ...MAIN_PLAN, status: 'scheduled' }).session(session)) {
+    throw { status: 409, message: 'School already has a scheduled plan; cancel it first' };
+  }
+
+  // Starting before the current term ends cuts that term short
+  const credit = current && start < current.expiresAt ? calculateProrationCredit(current, start) : 0;
+  const creditApplied = Math.min(credit, plan.amount);
+  const quote = await quoteCoupon(couponCode, { schoolId, plan, amountDue: plan.amount - creditApplied, session });
+  const sub = buildSubscription(schoolId, plan, {
+    startsAt: start,
+    expiresAt: new Date(start.getTime() + plan.durationDays * DAY_MS),
+    originalAmount: plan.amount,
+    discountAmount: creditApplied + (quote?.discountAmount || 0),
+    couponCode: quote?.coupon.code,
+    paymentMethod,
+    transactionId
+  });
+  sub.status = 'scheduled';
+  sub.statusHistory = [{ from: null, to: 'scheduled', at: now, reason: `Starts ${start.toISOString().slice(0, 10)}`, by }];
+  await sub.save({ session });
+  await redeemQuote(quote, sub, { by, session });
+
+  await new AuditLog({
+    userId: by,
+    action: 'schedule_subscription',
+    details: {
+      schoolId,
+      subscriptionId: sub._id,
+      currentSubscriptionId: current?._id || null,
+      planType: plan.code,
+      startsAt: start,
+      startOn: startOn || null,
+      prorationCredit: credit,
+      creditApplied,
+      couponCode: sub.couponCode,
+      finalAmount: sub.finalAmount
+    }
+  }).save({ session });
+
+  // Paid up front, so invoiced now for the future period
+  await invoiceService.createInvoiceForSubscription(sub, { session });
+  return sub;
+};
+
+/**
+ * Start a scheduled plan whose date has come: the plan it follows is closed
+ * out and the scheduled one goes live. Called by the lifecycle job.
+ */
+exports.startScheduledSubscription = async (sub, { now = new Date(), session = null } = {}) => {
+  if (sub.status !== 'scheduled') throw { status: 409, message: `Subscription is ${sub.status}, not scheduled` };
+
+  const current = await getCurrentSubscription(sub.schoolId, session);
+  if (current) {
+    inheritFrom(sub, current);
+    await closeOut(current, { reason: `Replaced by scheduled ${sub.planType}`, by: null, at: now, session });
+  }
+  sub.transitionTo('active', { reason: 'Scheduled start date reached', at: now });
+  await sub.save({ session });
+  await syncSchoolSmsPack(sub.schoolId, { session, now });
+  return sub;
+};
+
+/**
+ * Drop a scheduled plan before it starts. No money moves here: refundDue is
+ * what is left on its invoice, to be returned through the refund endpoint.
+ */
+exports.cancelScheduledSubscription = async (schoolId, subscriptionId, { by, reason, session = null } = {}) => {
+  const sub = await Subscription.findOne({ _id: subscriptionId, schoolId }).session(session);
+  if (!sub) throw { status: 404, message: 'Subscription not found' };
+  if (sub.status !== 'scheduled') throw { status: 409, message: `Subscription is ${sub.status}, not scheduled` };
+
+  sub.transitionTo('canceled', { reason: reason || 'Scheduled plan canceled', by });
+  sub.expiresAt = sub.startsAt;
+  await sub.save({ session });
+  await couponService.releaseRedemption(sub, { session });
+
+  const invoice = await Invoice.findOne({ subscriptionId: sub._id }).session(session);
+  const refundDue = invoice ? Math.max(0, round2(invoice.totalAmount - (invoice.refundedAmount || 0) - (invoice.refundPendingAmount || 0))) : 0;
+
+  await new AuditLog({
+    userId: by,
+    action: 'cancel_scheduled_subscription',
+    details: { schoolId, subscriptionId: sub._id, planType: sub.planType, startsAt: sub.startsAt, finalAmount: sub.finalAmount, refundDue, reason: reason || null }
+  }).save({ session });
+  return { subscription: sub, refundRequired: refundDue > 0, refundDue };
+};
+
+exports.getCurrentSubscription = getCurrentSubscription;
+exports.getActiveBoosts = getActiveBoosts;
+exports.calculateProrationCredit = calculateProrationCredit;
@@ -0,0 +1,176 @@
+const Subscription = require('../models/subscription');
+const TrialEvent = require('../models/trialEvent');
+const AuditLog = require('../models/auditLogs');
+const planCatalog = require('./planCatalog');
+const { syncSchoolSmsPack } = require('../utils/subscriptionUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRIAL_PLAN = 'trial';
+
+// Used when the trial plan in the catalog predates maxTrialDays
+const DEFAULT_MAX_TRIAL_DAYS = Number(process.env.TRIAL_MAX_DAYS) || 30;
+
+// Anything that means the school is on (or about to be on) a real plan
+const LIVE_STATUSES = ['active', 'grace_period', 'scheduled', 'pending'];
+
+// Most trial days a school can have in total, extensions included.
+// Never less than the plan's own duration.
+const trialCap = (plan) => Math.max(plan.maxTrialDays || DEFAULT_MAX_TRIAL_DAYS, plan.durationDays);
+
+const getTrialPlan = async (session) => {
+  const plan = await planCatalog.getPlan(TRIAL_PLAN, { session });
+  if (!plan) throw { status: 500, message: 'Trial plan missing from catalog' };
+  return plan;
+};
+
+// Trial days granted so far. Trials from before the history existed only
+// have their own duration to go on.
+const daysUsed = async (trial, session) => {
+  const last = await TrialEvent.findOne({ subscriptionId: trial._id }).sort({ createdAt: -1 }).session(session);
+  return last ? last.totalDays : trial.durationDays;
+};
+
+const saveEvent = (event, session) =>
+  new TrialEvent(event).save({ session }).catch((err) => {
+    // Unique index: a parallel request granted this school its trial first
+    if (err.code === 11000) throw { status: 409, message: 'School has already had a trial' };
+    throw err;
+  });
+
+/**
+ * Record a trial grant in the school's history. Registration calls this for
+ * trials it assigns itself; activateTrial covers everything else.
+ */
+exports.recordTrialGrant = (sub, { by = null, reason = null, source = 'superadmin', session = null } = {}) =>
+  saveEvent({
+    schoolId: sub.schoolId,
+    subscriptionId: sub._id,
+    type: 'granted',
+    days: sub.durationDays,
+    totalDays: sub.durationDays,
+    expiresAt: sub.expiresAt,
+    reason,
+    source,
+    createdBy: by
+  }, session);
+
+/**
+ * Give a school its trial. Duration, limits and features come from the trial
+ * plan in the catalog. A school gets one trial, ever: once it has expired the
+ * only way to more trial days is extendTrial, within the plan's cap.
+ */
+exports.activateTrial = async (schoolId, { by = null, reason = null, session = null } = {}) => {
+  const plan = await getTrialPlan(session);
+  if (!plan.active) throw { status: 400, message: 'Trials are not being offered right now' };
+
+  const hadTrial = await TrialEvent.exists({ schoolId, type: 'granted' }).session(session)
+    || await Subscription.exists({ schoolId, planType: TRIAL_PLAN }).session(session);
+  if (hadTrial) throw { status: 409, message: 'School has already had a trial; extend it instead' };
+  const live = await Subscription.exists({ schoolId, isTemporaryBoost: { $ne: true }, status: { $in: LIVE_STATUSES } }).session(session);
+  if (live) throw { status: 409, message: 'School already has a subscription' };
+
+  const now = new Date();
+  const sub = new Subscription({
+    schoolId,
+    ...planCatalog.subscriptionFieldsFor(plan),
+    status: 'active',
+    startsAt: now,
+    expiresAt: new Date(now.getTime() + plan.durationDays * DAY_MS),
+    originalAmount: 0,
+    finalAmount: 0,
+    usageStats: { lastResetDate: now },
+    statusHistory: [{ from: null, to: 'active', at: now, reason: reason || 'Trial activated', by }],
+    testMode: process.env.TEST_MODE === 'true'
+  });
+  await sub.save({ session });
+  await exports.recordTrialGrant(sub, { by, reason, session });
+  await syncSchoolSmsPack(schoolId, { session, now });
+
+  await new AuditLog({
+    userId: by,
+    action: 'activate_trial',
+    details: { schoolId, subscriptionId: sub._id, durationDays: sub.durationDays, expiresAt: sub.expiresAt, reason }
+  }).save({ session });
+  return sub;
+};
+
+/**
+ * Add days to a school's trial, up to the trial plan's cap on total trial
+ * days. An expired trial is reopened from today, provided the school has not
+ * moved on to a paid plan.
+ */
+exports.extendTrial = async (schoolId, { days, reason, by = null, session = null } = {}) => {
+  const extraDays = Number(days);
+  if (!Number.isInteger(extraDays) || extraDays < 1) throw { status: 400, message: 'days must be a whole number of at least 1' };
+  if (!reason) throw { status: 400, message: 'A reason is required to extend a trial' };
+
+  const trial = await Subscription.findOne({ schoolId, planType: TRIAL_PLAN, status: { $in: ['active', 'expired'] } })
+    .sort({ startsAt: -1 })
+    .session(session);
+  if (!trial) throw { status: 404, message: 'School has no trial to extend' };
+  // Any paid plan, even one that has since lapsed, ends the trial for good
+  const other = await Subscription.exists({
+    schoolId,
+    _id: { $ne: trial._id },
+    isTemporaryBoost: { $ne: true },
+    $or: [{ planType: { $ne: TRIAL_PLAN } }, { status: { $in: LIVE_STATUSES } }]
+  }).session(session);
+  if (other) throw { status: 409, message: 'School has moved on from its trial' };
+
+  const plan = await getTrialPlan(session);
+  const cap = trialCap(plan);
+  const used = await daysUsed(trial, session);
+  if (used + extraDays > cap) {
+    throw { status: 400, message: `Trials are capped at ${cap} days; ${Math.max(0, cap - used)} left for this school` };
+  }
+
+  // Days already lost to an expired trial are not handed back
+  const now = new Date();
+  const from = trial.status === 'active' && trial.expiresAt > now ? trial.expiresAt : now;
+  const previousExpiresAt = trial.expiresAt;
+  trial.expiresAt = new Date(from.getTime() + extraDays * DAY_MS);
+  trial.durationDays = used + extraDays;
+  if (trial.status === 'expired') {
+    trial.transitionTo('active', { reason: `Trial extended: ${reason}`, by, at: now });
+  }
+  await trial.save({ session });
+
+  await saveEvent({
+    schoolId,
+    subscriptionId: trial._id,
+    type: 'extended',
+    days: extraDays,
+    totalDays: used + extraDays,
+    expiresAt: trial.expiresAt,
+    reason,
+    createdBy: by
+  }, session);
+  await syncSchoolSmsPack(schoolId, { session, now });
+
+  await new AuditLog({
+    userId: by,
+    action: 'extend_trial',
+    details: { schoolId, subscriptionId: trial._id, days: extraDays, totalDays: used + extraDays, previousExpiresAt, expiresAt: trial.expiresAt, reason }
+  }).save({ session });
+  return trial;
+};
+
+// The school's trial (if any), its history and how many days are left to give
+exports.getTrial = async (schoolId) => {
+  const [plan, trial, history] = await Promise.all([
+    getTrialPlan(null),
+    Subscription.findOne({ schoolId, planType: TRIAL_PLAN }).sort({ startsAt: -1 }).lean(),
+    TrialEvent.find({ schoolId }).sort({ createdAt: 1 }).lean()
+  ]);
+  const cap = trialCap(plan);
+  const used = history.length ? history[history.length - 1].totalDays : (trial?.durationDays || 0);
+  return {
+    trial,
+    history,
+    maxTrialDays: cap,
+    daysUsed: used,
+    daysLeft: Math.max(0, cap - used)
+  };
+};
+
+exports.trialCap = trialCap;
@@ -0,0 +1,214 @@
+const Subscription = require('../models/subscription');
+const UsagePeriod = require('../models/usagePeriod');
+const { getActiveBoosts } = require('./subscriptionService');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Where each channel keeps its counter and limit on the subscription
+const CHANNELS = {
+  sms: { used: 'smsUsedThisMonth', limit: 'smsMonthly', label: 'SMS' },
+  whatsapp: { used: 'whatsappUsedThisMonth', limit: 'whatsappMonthly', label: 'WhatsApp' }
+};
+
+// Quotas follow the Indian calendar month: '2025-10'
+const usagePeriod = (date = new Date()) => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 7);
+
+const periodStart = (date = new Date()) => new Date(Date.parse(`${usagePeriod(date)}-01T00:00:00Z`) - IST_OFFSET_MS);
+
+const nextPeriodStart = (date = new Date()) => {
+  const ist = new Date(periodStart(date).getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth() + 1, 1) - IST_OFFSET_MS);
+};
+
+// The subscription messages are counted against; grace period still sends
+const findUsableSubscription = (schoolId, now) =>
+  Subscription.findOne({
+    schoolId,
+    isTemporaryBoost: { $ne: true },
+    $or: [
+      { status: 'active', expiresAt: { $gt: now } },
+      { status: 'grace_period', gracePeriodEnds: { $gt: now } }
+    ]
+  }).sort({ priority: -1, expiresAt: -1 }).lean();
+
+// Zero the counters once per month. Guarded on lastResetDate so concurrent
+// callers reset at most once.
+const rollOver = async (sub, now) => {
+  const start = periodStart(now);
+  if (sub.usageStats?.lastResetDate >= start) return sub;
+
+  return await Subscription.findOneAndUpdate(
+    { _id: sub._id, 'usageStats.lastResetDate': { $not: { $gte: start } } },
+    { $set: { 'usageStats.smsUsedThisMonth': 0, 'usageStats.whatsappUsedThisMonth': 0, 'usageStats.lastResetDate': now } },
+    { new: true, lean: true }
+  ) || Subscription.findById(sub._id).lean();
+};
+
+// What is left of one boost on a channel. A boost is a one-off pack for its
+// whole window, so its counters are never reset at the start of a month.
+const boostRemaining = (boost, channel) => {
+  const { used, limit } = CHANNELS[channel];
+  return Math.max(0, (boost.messageLimits?.[limit] || 0) - (boost.usageStats?.[used] || 0));
+};
+
+// Messages per channel still left on the school's running boosts
+const boostAllowance = async (schoolId, now) => {
+  const boosts = await getActiveBoosts(schoolId, { now });
+  const extra = Object.fromEntries(Object.keys(CHANNELS).map(channel =>
+    [channel, boosts.reduce((sum, b) => sum + boostRemaining(b, channel), 0)]
+  ));
+  return { boosts, extra };
+};
+
+// Add `count` to one subscription's counter, only while it stays within that
+// subscription's own limit. Null when it would not fit.
+const take = (subscriptionId, { used, limit }, count) =>
+  Subscription.findOneAndUpdate(
+    {
+      _id: subscriptionId,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: [`$usageStats.${used}`, 0] }, count] },
+          { $ifNull: [`$messageLimits.${limit}`, 0] }
+        ]
+      }
+    },
+    { $inc: { [`usageStats.${used}`]: count } },
+    { new: true, lean: true }
+  );
+
+// The plan's own messages first, the rest from boosts, soonest to end first.
+// Parts already taken are given back when the whole count does not fit.
+const takeWithBoosts = async (sub, boosts, channel, count) => {
+  const spec = CHANNELS[channel];
+  const latest = await Subscription.findById(sub._id).lean();
+  const fromPlan = Math.min(count, Math.max(0, (latest.messageLimits?.[spec.limit] || 0) - (latest.usageStats?.[spec.used] || 0)));
+  const parts = [[sub._id, fromPlan], ...boosts.map(b => [b._id, boostRemaining(b, channel)])];
+
+  const taken = [];
+  let need = count;
+  for (const [subscriptionId, available] of parts) {
+    const n = Math.min(need, available);
+    if (n && await take(subscriptionId, spec, n)) {
+      taken.push([subscriptionId, n]);
+      need -= n;
+    }
+    if (!need) return true;
+  }
+  for (const [subscriptionId, n] of taken) {
+    await Subscription.updateOne({ _id: subscriptionId }, { $inc: { [`usageStats.${spec.used}`]: -n } });
+  }
+  return false;
+};
+
+const snapshot = (sub, channel, now, extra = {}) => {
+  const { used, limit } = CHANNELS[channel];
+  const usedCount = sub.usageStats?.[used] || 0;
+  const baseLimit = sub.messageLimits?.[limit] || 0;
+  const boostLimit = extra[channel] || 0; // still left on running boosts
+  const limitCount = baseLimit + boostLimit;
+  return {
+    channel,
+    used: usedCount,
+    limit: limitCount,
+    baseLimit,
+    boostLimit,
+    remaining: Math.max(0, limitCount - usedCount),
+    period: usagePeriod(now),
+    resetsAt: nextPeriodStart(now)
+  };
+};
+
+const recordHistory = (sub, channel, { used = 0, rejected = 0, extra = {}, now }) =>
+  UsagePeriod.updateOne(
+    { schoolId: sub.schoolId, period: usagePeriod(now) },
+    {
+      $inc: { [`${channel}.used`]: used, [`${channel}.rejected`]: rejected },
+      $set: {
+        subscriptionId: sub._id,
+        planType: sub.planType,
+        [`${channel}.limit`]: (sub.messageLimits?.[CHANNELS[channel].limit] || 0) + (extra[channel] || 0)
+      }
+    },
+    { upsert: true }
+  );
+
+/**
+ * Reserve `count` messages on one channel for the school's current plan.
+ * Each increment only applies while it stays within its own limit (the
+ * plan's monthly messages, then what is left on running boosts), so
+ * parallel callers can never overshoot. Throws 402 with no usable plan and
+ * 429 once the limit is reached.
+ */
+exports.reserveQuota = async (schoolId, { channel, count, now = new Date() }) => {
+  const spec = CHANNELS[channel];
+  if (!spec) throw { status: 400, message: `Unknown channel: ${channel}` };
+
+  let sub = await findUsableSubscription(schoolId, now);
+  if (!sub) throw { status: 402, message: 'School has no active subscription' };
+  sub = await rollOver(sub, now);
+  const { boosts } = await boostAllowance(schoolId, now);
+
+  const fits = await take(sub._id, spec, count) || await takeWithBoosts(sub, boosts, channel, count);
+  const latest = await Subscription.findById(sub._id).lean();
+  const { extra } = await boostAllowance(schoolId, now);
+  if (!fits) {
+    await recordHistory(latest, channel, { rejected: count, extra, now });
+    throw {
+      status: 429,
+      message: `Monthly ${spec.label} limit reached`,
+      ...snapshot(latest, channel, now, extra)
+    };
+  }
+
+  await recordHistory(latest, channel, { used: count, extra, now });
+  return { granted: count, ...snapshot(latest, channel, now, extra) };
+};
+
+// Current quota for every channel, without reserving anything
+exports.getQuota = async (schoolId, { now = new Date() } = {}) => {
+  let sub = await findUsableSubscription(schoolId, now);
+  if (!sub) throw { status: 402, message: 'School has no active subscription' };
+  sub = await rollOver(sub, now);
+  const { boosts, extra } = await boostAllowance(schoolId, now);
+
+  return {
+    planType: sub.planType,
+    subscriptionId: sub._id,
+    channels: Object.keys(CHANNELS).map(channel => snapshot(sub, channel, now, extra)),
+    boosts: boosts.map(b => ({
+      subscriptionId: b._id,
+      planType: b.planType,
+      messageLimits: b.messageLimits,
+      remaining: Object.fromEntries(Object.keys(CHANNELS).map(channel => [channel, boostRemaining(b, channel)])),
+      expiresAt: b.expiresAt
+    }))
+  };
+};
+
+// Month-by-month usage of one school, newest first
+exports.getHistory = (schoolId, { months = 12 } = {}) =>
+  UsagePeriod.find({ schoolId }).sort({ period: -1 }).limit(months).lean();
+
+const percentUsed = ({ used, limit }) => limit ? Math.round(used * 100 / limit) : (used ? 100 : 0);
+
+/**
+ * Usage of every school in one month, fullest first. A school's level is
+ * its busiest channel; `minPercent` keeps only schools at or above it.
+ */
+exports.listPeriodUsage = async ({ period = usagePeriod(), minPercent = 0 } = {}) => {
+  const rows = await UsagePeriod.find({ period }).populate('schoolId', 'name code email').lean();
+  return rows
+    .map(row => ({
+      ...row,
+      sms: { ...row.sms, percent: percentUsed(row.sms || {}) },
+      whatsapp: { ...row.whatsapp, percent: percentUsed(row.whatsapp || {}) }
+    }))
+    .map(row => ({ ...row, percent: Math.max(row.sms.percent, row.whatsapp.percent) }))
+    .filter(row => row.percent >= minPercent)
+    .sort((a, b) => b.percent - a.percent);
+};
+
+exports.CHANNELS = Object.keys(CHANNELS);
+exports.usagePeriod = usagePeriod;
+exports.findUsableSubscription = findUsableSubscription;
@@ -0,0 +1,129 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// The fixture was signed with this secret; the razorpay service reads it on load
+const WEBHOOK_SECRET = 'fixture_webhook_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+delete process.env.PAYMENT_GATEWAY;
+
+const mongoose = require('mongoose');
+const { verifySignature } = require('../services/razorpayService');
+const razorpayGateway = require('../services/payments/razorpayGateway');
+
+// A payment.captured delivery as Razorpay sends it: the exact body bytes
+// (no trailing newline) and the headers that came with them
+const FIXTURES = path.join(__dirname, 'fixtures', 'razorpay');
+const rawBody = fs.readFileSync(path.join(FIXTURES, 'payment.captured.json'));
+const headers = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'payment.captured.headers.json'), 'utf8'));
+const body = JSON.parse(rawBody);
+const payment = body.payload.payment.entity;
+
+const delivery = (overrides = {}) => ({ headers, rawBody, body, ...overrides });
+
+describe('razorpay webhook signature', () => {
+  test('accepts the recorded delivery', async () => {
+    assert.equal(verifySignature(rawBody, headers['x-razorpay-signature'], WEBHOOK_SECRET), true);
+
+    const callback = await razorpayGateway.verifyCallback(delivery());
+    assert.deepEqual(callback, {
+      eventId: headers['x-razorpay-event-id'],
+      event: 'payment.captured',
+      status: 'captured',
+      orderId: payment.order_id,
+      paymentId: payment.id,
+      refundId: null,
+      amount: payment.amount / 100
+    });
+  });
+
+  test('rejects a tampered body', async () => {
+    const tampered = Buffer.from(rawBody.toString().replace('"amount":118000', '"amount":100'));
+    assert.equal(verifySignature(tampered, headers['x-razorpay-signature'], WEBHOOK_SECRET), false);
+    await assert.rejects(
+      razorpayGateway.verifyCallback(delivery({ rawBody: tampered, body: JSON.parse(tampered) })),
+      { status: 400, message: 'Invalid signature' }
+    );
+  });
+
+  test('rejects a missing or malformed signature', async () => {
+    assert.equal(verifySignature(rawBody, undefined, WEBHOOK_SECRET), false);
+    assert.equal(verifySignature(rawBody, 'abc', WEBHOOK_SECRET), false);
+    assert.equal(verifySignature(rawBody, headers['x-razorpay-signature'], 'another_secret'), false);
+  });
+});
+
+// Settling the capture needs MongoDB with transactions (a replica set).
+// Point MONGODB_TEST_URI at a throwaway database; it is dropped afterwards.
+const TEST_DB = process.env.MONGODB_TEST_URI;
+
+describe('razorpay webhook settlement', { skip: !TEST_DB && 'set MONGODB_TEST_URI to a replica-set database to run' }, () => {
+  let paymentService;
+  let Subscription;
+  let PaymentEvent;
+  let subscription;
+
+  before(async () => {
+    await mongoose.connect(TEST_DB);
+    await mongoose.connection.dropDatabase();
+    paymentService = require('../services/paymentService');
+    Subscription = require('../models/subscription');
+    PaymentEvent = require('../models/paymentEvent');
+    const School = require('../models/School');
+    const planCatalog = require('../services/planCatalog');
+    await planCatalog.ensureDefaultPlans();
+
+    const school = await School.create({
+      name: 'Example School',
+      code: 'EXS',
+      email: 'accounts@example-school.in',
+      mobileNo: '+919876543210',
+      address: { city: 'Pune', state: 'Maharashtra', country: 'India' },
+      activeAcademicYear: new mongoose.Types.ObjectId(),
+      latitude: 18.52,
+      longitude: 73.85
+    });
+    const plan = await planCatalog.getPlan('both_basic_monthly');
+    const now = new Date();
+    subscription = await Subscription.create({
+      schoolId: school._id,
+      ...planCatalog.subscriptionFieldsFor(plan),
+      status: 'pending',
+      startsAt: now,
+      expiresAt: new Date(now.getTime() + plan.durationDays * 24 * 60 * 60 * 1000),
+      originalAmount: payment.amount / 100,
+      finalAmount: payment.amount / 100,
+      paymentMethod: 'razorpay',
+      paymentProvider: 'razorpay',
+      gatewayOrderId: payment.order_id,
+      statusHistory: [{ from: null, to: 'pending', at: now, reason: 'Awaiting payment' }]
+    });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  test('a capture activates the pending subscription', async () => {
+    const { outcome } = await paymentService.handleCallback('razorpay', delivery());
+    assert.equal(outcome, 'activated');
+
+    const activated = await Subscription.findById(subscription._id);
+    assert.equal(activated.status, 'active');
+    assert.equal(activated.transactionId, payment.id);
+    assert.equal(await PaymentEvent.countDocuments({ provider: 'razorpay', eventId: headers['x-razorpay-event-id'] }), 1);
+  });
+
+  test('a redelivery is acknowledged as a duplicate and changes nothing', async () => {
+    const previous = await Subscription.findById(subscription._id).lean();
+    const { outcome } = await paymentService.handleCallback('razorpay', delivery());
+    assert.equal(outcome, 'duplicate');
+
+    const current = await Subscription.findById(subscription._id).lean();
+    assert.equal(current.status, 'active');
+    assert.deepEqual(current.expiresAt, previous.expiresAt);
+    assert.equal(await PaymentEvent.countDocuments({ provider: 'razorpay', eventId: headers['x-razorpay-event-id'] }), 1);
+  });
+});
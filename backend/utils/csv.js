@@ -0,0 +1,53 @@
+// Minimal RFC 4180 CSV reader: quoted fields, escaped quotes ("") and
+// newlines inside quotes. Returns an array of rows (arrays of strings).
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(v => v.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(v => v.trim() !== '')) rows.push(row);
+  return rows;
+};
+
+// First row is the header; keys are lower-cased and trimmed
+const toRecords = ([header, ...rows]) => {
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys.map((k, i) => [k, (cells[i] || '').trim()])));
+};
+
+exports.parseCsv = (text) => toRecords(parseRows(text));
+
+// Rows of objects → CSV text, one column per key in `columns`
+exports.toCsv = (rows, columns) => {
+  const cell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\r\n');
+};
+
+exports.parseRows = parseRows;
+exports.toRecords = toRecords;
@@ -1,6 +1,6 @@
 const nodemailer = require('nodemailer');
 
-const transporter = nodemailer.createTransport({  // <-- Fixed: createTransport
+const transporter = nodemailer.createTransport({
   service: 'gmail',
   auth: {
     user: process.env.EMAIL_USER,
@@ -8,11 +8,12 @@ const transporter = nodemailer.createTransport({  // <-- Fixed: createTransport
   }
 });
 
-exports.sendEmail = (to, subject, text) => {
-  return transporter.sendMail({ 
-    from: process.env.NODEMAILER_EMAIL, 
-    to, 
-    subject, 
-    text 
+exports.sendEmail = (to, subject, text, html) => {
+  return transporter.sendMail({
+    from: process.env.NODEMAILER_EMAIL || `"EDGlobe" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    text,
+    ...(html ? { html } : {})
   });
-};
\ No newline at end of file
+};
@@ -0,0 +1,62 @@
+// GST helpers for subscription invoices. Plan prices are GST-inclusive.
+
+const GST_STATE_CODES = {
+  'jammu and kashmir': '01', 'himachal pradesh': '02', 'punjab': '03', 'chandigarh': '04',
+  'uttarakhand': '05', 'haryana': '06', 'delhi': '07', 'rajasthan': '08', 'uttar pradesh': '09',
+  'bihar': '10', 'sikkim': '11', 'arunachal pradesh': '12', 'nagaland': '13', 'manipur': '14',
+  'mizoram': '15', 'tripura': '16', 'meghalaya': '17', 'assam': '18', 'west bengal': '19',
+  'jharkhand': '20', 'odisha': '21', 'chhattisgarh': '22', 'madhya pradesh': '23', 'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26', 'maharashtra': '27', 'karnataka': '29',
+  'goa': '30', 'lakshadweep': '31', 'kerala': '32', 'tamil nadu': '33', 'puducherry': '34',
+  'andaman and nicobar islands': '35', 'telangana': '36', 'andhra pradesh': '37', 'ladakh': '38'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// GSTIN prefix wins over the free-text state name
+const stateCodeFor = ({ gstin, state } = {}) => {
+  if (gstin && GSTIN_PATTERN.test(gstin)) return gstin.slice(0, 2);
+  const key = String(state || '').trim().toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+  return GST_STATE_CODES[key] || null;
+};
+
+const seller = () => ({
+  name: process.env.SELLER_NAME || 'EDGlobe',
+  gstin: process.env.SELLER_GSTIN || null,
+  address: {
+    street: process.env.SELLER_ADDRESS || '',
+    city: process.env.SELLER_CITY || '',
+    state: process.env.SELLER_STATE || '',
+    country: 'India',
+    postalCode: process.env.SELLER_POSTAL_CODE || ''
+  },
+  state: process.env.SELLER_STATE || '',
+  stateCode: stateCodeFor({ gstin: process.env.SELLER_GSTIN, state: process.env.SELLER_STATE })
+});
+
+/**
+ * Split a GST-inclusive amount. Same state → CGST + SGST (half each),
+ * different state → IGST. An unknown buyer state is treated as intra-state.
+ */
+const splitTax = (grossAmount, { sellerStateCode, buyerStateCode, rate = Number(process.env.GST_RATE || 18) }) => {
+  const taxableAmount = round2(grossAmount * 100 / (100 + rate));
+  const totalTax = round2(grossAmount - taxableAmount);
+  const interState = !!(sellerStateCode && buyerStateCode && sellerStateCode !== buyerStateCode);
+
+  if (interState) {
+    return { supplyType: 'inter_state', gstRate: rate, taxableAmount, totalTax, cgst: 0, sgst: 0, igst: totalTax };
+  }
+  const cgst = round2(totalTax / 2);
+  return { supplyType: 'intra_state', gstRate: rate, taxableAmount, totalTax, cgst, sgst: round2(totalTax - cgst), igst: 0 };
+};
+
+// Indian financial year (April–March) a date falls in: '2025-26'
+const financialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = { GSTIN_PATTERN, round2, stateCodeFor, seller, splitTax, financialYear };
@@ -0,0 +1,128 @@
+const PDFDocument = require('pdfkit');
+
+// Built-in PDF fonts have no ₹ glyph
+const money = (n) => `INR ${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '';
+const addressLines = (a = {}) => [a.street, [a.city, a.state, a.postalCode].filter(Boolean).join(', '), a.country].filter(Boolean);
+
+// Seller and buyer side by side
+const parties = (doc, document, buyerTitle) => {
+  const top = 140;
+  const party = (title, p = {}, x) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(title, x, top);
+    doc.font('Helvetica').fontSize(10).text(p.name || '', x, top + 15, { width: 230 });
+    addressLines(p.address).forEach(line => doc.text(line, { width: 230 }));
+    if (p.gstin) doc.text(`GSTIN: ${p.gstin}`, { width: 230 });
+    if (p.stateCode) doc.text(`State: ${p.state || ''} (${p.stateCode})`, { width: 230 });
+  };
+  party('From', document.seller, 50);
+  party(buyerTitle, document.buyer, 310);
+};
+
+// Taxable value, GST split and total, right-aligned from `y`; returns the next y
+const taxSummary = (doc, document, y) => {
+  const row = (label, value, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, 330, y).text(value, 440, y, { width: 105, align: 'right' });
+    y += 16;
+  };
+  row('Taxable value', money(document.taxableAmount));
+  if (document.supplyType === 'inter_state') {
+    row(`IGST @ ${document.gstRate}%`, money(document.igst));
+  } else {
+    row(`CGST @ ${document.gstRate / 2}%`, money(document.cgst));
+    row(`SGST @ ${document.gstRate / 2}%`, money(document.sgst));
+  }
+  row('Total', money(document.totalAmount), true);
+  return y;
+};
+
+/**
+ * Render a tax invoice into a writable stream (e.g. the HTTP response).
+ */
+exports.renderInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(18).font('Helvetica-Bold').text('TAX INVOICE', { align: 'right' });
+  doc.fontSize(10).font('Helvetica')
+    .text(`Invoice No: ${invoice.invoiceNumber}`, { align: 'right' })
+    .text(`Date: ${date(invoice.issuedAt)}`, { align: 'right' })
+    .text(`Status: ${invoice.status.replace('_', ' ').toUpperCase()}`, { align: 'right' });
+
+  parties(doc, invoice, 'Bill To');
+
+  doc.font('Helvetica').fontSize(10).text(`Place of supply: ${invoice.placeOfSupply || ''}`, 50, 250);
+
+  // Line items
+  const cols = [50, 250, 310, 390, 460];
+  let y = 280;
+  doc.font('Helvetica-Bold');
+  ['Description', 'SAC', 'Rate', 'Discount', 'Amount'].forEach((h, i) => doc.text(h, cols[i], y));
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+  doc.font('Helvetica');
+  y += 22;
+  invoice.lineItems.forEach(item => {
+    doc.text(item.description, cols[0], y, { width: 190 });
+    if (item.periodStart) {
+      doc.fontSize(8).text(`${date(item.periodStart)} – ${date(item.periodEnd)}`, cols[0], y + 12, { width: 190 }).fontSize(10);
+    }
+    doc.text(item.sacCode || '', cols[1], y);
+    doc.text(money(item.rate), cols[2], y, { width: 75 });
+    doc.text(money(item.discount), cols[3], y, { width: 70 });
+    doc.text(money(item.amount), cols[4], y, { width: 85, align: 'right' });
+    y += 32;
+  });
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+
+  y = taxSummary(doc, invoice, y + 12);
+  if (invoice.couponCode) {
+    doc.font('Helvetica').fontSize(9).text(`Discount includes coupon ${invoice.couponCode}`, 50, y + 4);
+    doc.fontSize(10);
+  }
+
+  if (invoice.transactionId) {
+    doc.font('Helvetica').fontSize(9)
+      .text(`Paid via ${invoice.paymentMethod || 'payment'} · Ref ${invoice.transactionId}`, 50, y + 20);
+  }
+  doc.fontSize(8).fillColor('#666')
+    .text('This is a computer-generated invoice and does not require a signature.', 50, 770, { align: 'center', width: 495 });
+
+  doc.end();
+};
+
+/**
+ * Render a credit note (refund against an invoice) into a writable stream.
+ */
+exports.renderCreditNotePdf = (creditNote, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(18).font('Helvetica-Bold').text('CREDIT NOTE', { align: 'right' });
+  doc.fontSize(10).font('Helvetica')
+    .text(`Credit Note No: ${creditNote.creditNoteNumber}`, { align: 'right' })
+    .text(`Date: ${date(creditNote.issuedAt)}`, { align: 'right' })
+    .text(`Against Invoice: ${creditNote.invoiceNumber}`, { align: 'right' });
+
+  parties(doc, creditNote, 'Issued To');
+  doc.font('Helvetica').fontSize(10).text(`Place of supply: ${creditNote.placeOfSupply || ''}`, 50, 250);
+
+  let y = 280;
+  doc.font('Helvetica-Bold').text('Description', 50, y).text('Amount', 460, y);
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+  y += 22;
+  doc.font('Helvetica').text(`Refund: ${creditNote.reason}`, 50, y, { width: 380 });
+  doc.text(money(creditNote.totalAmount), 460, y, { width: 85, align: 'right' });
+  y += 32;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+
+  y = taxSummary(doc, creditNote, y + 12);
+
+  const refund = creditNote.refund || {};
+  const via = refund.method === 'gateway' ? `${refund.provider} refund ${refund.gatewayRefundId || ''}` : 'manual refund';
+  doc.font('Helvetica').fontSize(9)
+    .text(`Refunded via ${via}${refund.reference ? ` · Ref ${refund.reference}` : ''}`, 50, y + 20);
+  doc.fontSize(8).fillColor('#666')
+    .text('This is a computer-generated credit note and does not require a signature.', 50, 770, { align: 'center', width: 495 });
+
+  doc.end();
+};
@@ -0,0 +1,22 @@
+// Checks shared by school registration and profile edits. Both throw
+// { status: 400, message } like the services do.
+
+const ADDRESS_KEYS = ['street', 'city', 'state', 'country', 'postalCode'];
+
+// Every address part is required; returns a trimmed copy
+const normalizeAddress = (address) => {
+  const missing = ADDRESS_KEYS.filter(k => !address?.[k] || !String(address[k]).trim());
+  if (missing.length) {
+    throw { status: 400, message: `Address missing: ${missing.join(', ')}` };
+  }
+  return Object.fromEntries(ADDRESS_KEYS.map(k => [k, String(address[k]).trim()]));
+};
+
+const validateCoordinates = (latitude, longitude) => {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+      latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw { status: 400, message: 'Invalid latitude or longitude' };
+  }
+};
+
+module.exports = { ADDRESS_KEYS, normalizeAddress, validateCoordinates };
@@ -1,93 +1,153 @@
-const subscriptionPlans = {
-  trial: {
+// Seed data for the Plan catalog (models/Plan.js).
+// Only inserted when a code is missing — edits made through /api/plans win.
+// Do not read prices or limits from here; use services/planCatalog.js.
+
+const BASE_FEATURES = ['login', 'attendance', 'fees', 'notifications'];
+const PREMIUM_FEATURES = [...BASE_FEATURES, 'exam', 'udise', 'results', 'reports', 'analytics'];
+
+const basicMonthly = {
+  tier: 'basic',
+  interval: 'monthly',
+  amount: 700,
+  originalAmount: 700,
+  durationDays: 30,
+  smsMonthlyLimit: 10,  // Low for testing; change to 1000 in prod
+  whatsappMonthlyLimit: 10,
+  maxAdmins: 2,
+  features: BASE_FEATURES,
+  highlights: [
+    "Unlimited students",
+    "Basic reporting tools",
+    "Email support",
+    "Mobile app access"
+  ],
+  priority: 2
+};
+
+const basicYearly = {
+  tier: 'basic',
+  interval: 'yearly',
+  amount: 6000,
+  originalAmount: 8400,
+  durationDays: 365,
+  smsMonthlyLimit: 10,  // Same monthly limit; change to 1000 in prod
+  whatsappMonthlyLimit: 10,
+  maxAdmins: 2,
+  features: BASE_FEATURES,
+  highlights: [
+    "Unlimited students",
+    "Advanced reporting tools",
+    "Priority email support",
+    "Mobile app access",
+    "2 admin accounts"
+  ],
+  priority: 2,
+  recommended: true
+};
+
+const defaultPlans = [
+  {
+    code: 'trial',
     name: "Free Trial",
-    duration: 14,
-    price: 0,
+    tier: 'trial',
+    interval: 'trial',
+    amount: 0,
+    originalAmount: 0,
+    durationDays: 14,
+    maxTrialDays: 30, // extensions stop here
     smsMonthlyLimit: 5,  // Low for testing; change to 500 in prod
     whatsappMonthlyLimit: 5,
-    features: [
+    maxAdmins: 2,
+    features: BASE_FEATURES,
+    highlights: [
       "Full access to all features",
       "Up to 50 students",
       "Basic support",
       "No payment required"
     ],
-    recommended: false
+    priority: 1
   },
-  basic: {
-    monthly: {
-      name: "Basic Monthly",
-      price: 700,
-      originalPrice: 700,
-      duration: 30,
-      smsMonthlyLimit: 10,  // Low for testing; change to 1000 in prod
-      whatsappMonthlyLimit: 10,
-      features: [
-        "Unlimited students",
-        "Basic reporting tools",
-        "Email support",
-        "Mobile app access"
-      ],
-      savings: 0,
-      recommended: false
-    },
-    yearly: {
-      name: "Basic Yearly",
-      price: 6000,
-      originalPrice: 8400,
-      duration: 365,
-      smsMonthlyLimit: 10,  // Same monthly limit; change to 1000 in prod
-      whatsappMonthlyLimit: 10,
-      features: [
-        "Unlimited students",
-        "Advanced reporting tools",
-        "Priority email support",
-        "Mobile app access",
-        "2 admin accounts"
-      ],
-      savings: 2400,
-      recommended: true
-    }
+  { code: 'both_basic_monthly', name: "Basic Monthly", channel: 'both', ...basicMonthly },
+  { code: 'both_basic_yearly', name: "Basic Yearly", channel: 'both', ...basicYearly },
+  {
+    code: 'both_premium_monthly',
+    name: "Premium Monthly",
+    tier: 'premium',
+    interval: 'monthly',
+    amount: 1200,
+    originalAmount: 1200,
+    durationDays: 30,
+    smsMonthlyLimit: 30,  // Low for testing; change to 3000 in prod
+    whatsappMonthlyLimit: 30,
+    maxAdmins: 5,
+    features: PREMIUM_FEATURES,
+    highlights: [
+      "Unlimited students & staff",
+      "Advanced analytics",
+      "Phone & email support",
+      "Custom reports",
+      "5 admin accounts",
+      "Data export"
+    ],
+    priority: 3
   },
-  premium: {
-    monthly: {
-      name: "Premium Monthly",
-      price: 1200,
-      originalPrice: 1200,
-      duration: 30,
-      smsMonthlyLimit: 30,  // Low for testing; change to 3000 in prod
-      whatsappMonthlyLimit: 30,
-      features: [
-        "Unlimited students & staff",
-        "Advanced analytics", 
-        "Phone & email support",
-        "Custom reports",
-        "5 admin accounts",
-        "Data export"
-      ],
-      savings: 0,
-      recommended: false
-    },
-    yearly: {
-      name: "Premium Yearly",
-      price: 12000,
-      originalPrice: 14400,
-      duration: 365,
-      smsMonthlyLimit: 30,  // Same monthly limit; change to 3000 in prod
-      whatsappMonthlyLimit: 30,
-      features: [
-        "Unlimited students & staff",
-        "Advanced analytics dashboard",
-        "24/7 priority support",
-        "Custom report builder",
-        "Unlimited admin accounts",
-        "Automated data backups",
-        "White-label option",
-        "API access"
-      ],
-      savings: 2400,
-      recommended: true
-    }
-  }
-};
+  {
+    code: 'both_premium_yearly',
+    name: "Premium Yearly",
+    tier: 'premium',
+    interval: 'yearly',
+    amount: 12000,
+    originalAmount: 14400,
+    durationDays: 365,
+    smsMonthlyLimit: 30,  // Same monthly limit; change to 3000 in prod
+    whatsappMonthlyLimit: 30,
+    maxAdmins: null, // unlimited
+    features: PREMIUM_FEATURES,
+    highlights: [
+      "Unlimited students & staff",
+      "Advanced analytics dashboard",
+      "24/7 priority support",
+      "Custom report builder",
+      "Unlimited admin accounts",
+      "Automated data backups",
+      "White-label option",
+      "API access"
+    ],
+    priority: 3,
+    recommended: true
+  },
+  // Boost packs: extra messages on top of the main plan for a limited window
+  {
+    code: 'boost_sms_500',
+    name: "SMS Boost 500",
+    tier: 'boost',
+    channel: 'sms',
+    interval: 'one_time',
+    amount: 250,
+    originalAmount: 250,
+    durationDays: 30,
+    smsMonthlyLimit: 500,
+    whatsappMonthlyLimit: 0,
+    highlights: ["500 extra SMS", "Valid for 30 days"]
+  },
+  {
+    code: 'boost_whatsapp_500',
+    name: "WhatsApp Boost 500",
+    tier: 'boost',
+    channel: 'whatsapp',
+    interval: 'one_time',
+    amount: 300,
+    originalAmount: 300,
+    durationDays: 30,
+    smsMonthlyLimit: 0,
+    whatsappMonthlyLimit: 500,
+    highlights: ["500 extra WhatsApp messages", "Valid for 30 days"]
+  },
+  // Single-channel plans exist on older subscriptions; kept resolvable but not sold
+  { code: 'sms_basic_monthly', name: "Basic Monthly (SMS)", channel: 'sms', ...basicMonthly, whatsappMonthlyLimit: 0, active: false },
+  { code: 'sms_basic_yearly', name: "Basic Yearly (SMS)", channel: 'sms', ...basicYearly, whatsappMonthlyLimit: 0, recommended: false, active: false },
+  { code: 'whatsapp_basic_monthly', name: "Basic Monthly (WhatsApp)", channel: 'whatsapp', ...basicMonthly, smsMonthlyLimit: 0, active: false },
+  { code: 'whatsapp_basic_yearly', name: "Basic Yearly (WhatsApp)", channel: 'whatsapp', ...basicYearly, smsMonthlyLimit: 0, recommended: false, active: false }
+];
 
-module.exports = subscriptionPlans;
\ No newline at end of file
+module.exports = defaultPlans;
@@ -1,14 +1,21 @@
+const Subscription = require('../models/subscription');
+const School = require('../models/School');
 
-async function checkAndResetUsage(subscription) {
-  const now = new Date();
-  const lastReset = new Date(subscription.usageStats.lastResetDate);
-  
-  if (now.getFullYear() !== lastReset.getFullYear() || now.getMonth() !== lastReset.getMonth()) {
-    subscription.usageStats.smsUsedThisMonth = 0;
-    subscription.usageStats.whatsappUsedThisMonth = 0;
-    subscription.usageStats.lastResetDate = now;
-    await subscription.save();
-  }
+// Keep School.smsPackActive in line with the school's subscriptions.
+// Grace period still counts as usable; school apps only read this flag.
+// A boost on its own does not make the pack usable.
+async function syncSchoolSmsPack(schoolId, { session = null, now = new Date() } = {}) {
+  const usable = await Subscription.exists({
+    schoolId,
+    isTemporaryBoost: { $ne: true },
+    $or: [
+      { status: 'active', expiresAt: { $gt: now } },
+      { status: 'grace_period', gracePeriodEnds: { $gt: now } }
+    ]
+  }).session(session);
+
+  await School.updateOne({ _id: schoolId }, { smsPackActive: !!usable }, { session });
+  return !!usable;
 }
 
-module.exports = { checkAndResetUsage };
\ No newline at end of file
+module.exports = { syncSchoolSmsPack };
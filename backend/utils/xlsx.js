@@ -0,0 +1,104 @@
+const zlib = require('zlib');
+
+// Minimal .xlsx reader: the first worksheet as rows of strings, in the same
+// shape as csv.parseRows. Formulas come back as their cached values; dates
+// come back as Excel serial numbers.
+
+// Unpacked size limits, so a small zip cannot expand into gigabytes
+const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+const inflate = (data) => {
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE' || err instanceof RangeError) {
+      throw { status: 400, message: 'The workbook is too large once unpacked' };
+    }
+    throw { status: 400, message: 'Not a valid .xlsx file' };
+  }
+};
+
+// Files inside the zip, by name → Buffer
+const unzip = (buffer) => {
+  // End of central directory: last occurrence of its signature
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw { status: 400, message: 'Not a valid .xlsx file' };
+
+  const files = {};
+  let total = 0;
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw { status: 400, message: 'Not a valid .xlsx file' };
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    files[name] = method === 8 ? inflate(data) : data;
+    total += files[name].length;
+    if (total > MAX_TOTAL_BYTES) throw { status: 400, message: 'The workbook is too large once unpacked' };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+const decode = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// All <t> runs of an element joined (rich text is split into runs)
+const textOf = (xml) => [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => decode(m[1])).join('');
+
+const columnIndex = (letters) => [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+// Path of the first sheet in workbook order
+const firstSheetPath = (files) => {
+  const workbook = files['xl/workbook.xml']?.toString('utf8') || '';
+  const rels = files['xl/_rels/workbook.xml.rels']?.toString('utf8') || '';
+  const relId = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const rel = relId && [...rels.matchAll(/<Relationship\b[^>]*>/g)].map(m => m[0]).find(r => r.includes(`Id="${relId}"`));
+  const target = rel?.match(/Target="([^"]+)"/)?.[1];
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+exports.readFirstSheet = (buffer) => {
+  const files = unzip(buffer);
+  const sheet = files[firstSheetPath(files)];
+  if (!sheet) throw { status: 400, message: 'The workbook has no worksheet' };
+
+  const shared = [...(files['xl/sharedStrings.xml']?.toString('utf8') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(m => textOf(m[1]));
+
+  const rows = [];
+  for (const [, attrs, body = ''] of sheet.toString('utf8').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+    const ref = attrs.match(/\br="([A-Z]+)(\d+)"/);
+    if (!ref) continue;
+    const type = attrs.match(/\bt="(\w+)"/)?.[1];
+    const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+    let value = '';
+    if (type === 's') value = shared[Number(raw)] ?? '';
+    else if (type === 'inlineStr') value = textOf(body);
+    else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+    else if (raw != null && (!type || type === 'n')) value = String(Number(raw)); // 9.87E9 → 9870000000
+    else if (raw != null && type !== 'e') value = decode(raw);
+
+    const row = Number(ref[2]) - 1;
+    (rows[row] ||= [])[columnIndex(ref[1])] = value;
+  }
+  return rows
+    .filter(row => row && row.some(v => v && v.trim() !== ''))
+    .map(row => Array.from(row, v => v || ''));
+};
@@ -6,6 +6,20 @@ import { RegisterSchoolComponent } from './shared/components/ui/register-school/
 import { ResetPasswordComponent } from './shared/components/reset-password/reset-password.component';
 import { SuperAdminOwnerGuard } from './shared/guard/superadmin-owner.guard';
 import { EcommerceComponent } from './pages/dashboard/ecommerce/ecommerce.component';
+import { PendingPaymentsComponent } from './pages/payments/pending-payments/pending-payments.component';
+import { ReconciliationComponent } from './pages/payments/reconciliation/reconciliation.component';
+import { InvoicesComponent } from './pages/invoices/invoices.component';
+import { CouponsComponent } from './pages/coupons/coupons.component';
+import { UsageComponent } from './pages/usage/usage.component';
+import { AutoRenewComponent } from './pages/payments/auto-renew/auto-renew.component';
+import { SchoolDetailComponent } from './pages/schools/school-detail/school-detail.component';
+import { SchoolEditComponent } from './pages/schools/school-edit/school-edit.component';
+import { SchoolTrashComponent } from './pages/schools/school-trash/school-trash.component';
+import { SchoolImportComponent } from './pages/schools/school-import/school-import.component';
+import { SchoolRequestsComponent } from './pages/schools/school-requests/school-requests.component';
+import { SchoolAdminsComponent } from './pages/schools/school-admins/school-admins.component';
+import { SchoolFeaturesComponent } from './pages/schools/school-features/school-features.component';
+import { RequestOnboardingComponent } from './pages/auth-pages/request-onboarding/request-onboarding.component';
 
 export const routes: Routes = [
   // IF USER HITS localhost:4200 → check if logged in
@@ -30,6 +44,84 @@ export const routes: Routes = [
         component: RegisterSchoolComponent,
         canActivate: [SuperAdminOwnerGuard],
         title: 'Create New School'
+      },
+      {
+        path: 'pending-payments',
+        component: PendingPaymentsComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Pending Payments'
+      },
+      {
+        path: 'reconciliation',
+        component: ReconciliationComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Bank Reconciliation'
+      },
+      {
+        path: 'invoices',
+        component: InvoicesComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Invoices'
+      },
+      {
+        path: 'coupons',
+        component: CouponsComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Coupons'
+      },
+      {
+        path: 'usage',
+        component: UsageComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Message Usage'
+      },
+      {
+        path: 'auto-renew',
+        component: AutoRenewComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Auto-Renew'
+      },
+      {
+        path: 'schools/requests',
+        component: SchoolRequestsComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'School Requests'
+      },
+      {
+        path: 'schools/import',
+        component: SchoolImportComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Bulk Onboarding'
+      },
+      {
+        path: 'schools/trash',
+        component: SchoolTrashComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Deleted Schools'
+      },
+      {
+        path: 'schools/:id',
+        component: SchoolDetailComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'School Details'
+      },
+      {
+        path: 'schools/:id/edit',
+        component: SchoolEditComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'Edit School'
+      },
+      {
+        path: 'schools/:id/admins',
+        component: SchoolAdminsComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'School Admin Accounts'
+      },
+      {
+        path: 'schools/:id/features',
+        component: SchoolFeaturesComponent,
+        canActivate: [SuperAdminOwnerGuard],
+        title: 'School Features'
       }
     ]
   },
@@ -40,6 +132,11 @@ export const routes: Routes = [
     component: SignInComponent,
     title: 'Sign In'
   },
+  {
+    path: 'request-onboarding',
+    component: RequestOnboardingComponent,
+    title: 'Request Onboarding'
+  },
   {
     path: 'auth/reset-password',
     component: ResetPasswordComponent
@@ -0,0 +1,106 @@
+import { CommonModule } from '@angular/common';
+import { HttpClient } from '@angular/common/http';
+import { Component, inject } from '@angular/core';
+import { FormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { environment } from '../../../../environment/environments';
+import { AuthPageLayoutComponent } from '../../../shared/layout/auth-page-layout/auth-page-layout.component';
+import { SchoolService } from '../../../shared/services/school.service';
+
+// Public form for schools asking for a demo or onboarding. The mobile number
+// is OTP-verified right before the request is sent.
+@Component({
+  selector: 'app-request-onboarding',
+  imports: [CommonModule, ReactiveFormsModule, RouterModule, AuthPageLayoutComponent],
+  templateUrl: './request-onboarding.component.html',
+  styles: ``
+})
+export class RequestOnboardingComponent {
+  private fb = inject(FormBuilder);
+  private http = inject(HttpClient);
+  private schoolService = inject(SchoolService);
+  private toastr = inject(ToastrService);
+
+  step: 'details' | 'otp' | 'done' = 'details';
+  busy = false;
+
+  form = this.fb.group({
+    requestType: ['onboarding' as 'demo' | 'onboarding', Validators.required],
+    name: ['', Validators.required],
+    contactName: ['', Validators.required],
+    designation: [''],
+    email: ['', [Validators.required, Validators.email]],
+    mobileNo: ['', [Validators.required, Validators.pattern(/^\+?[1-9]\d{9,14}$/)]],
+    city: ['', Validators.required],
+    state: ['', Validators.required],
+    studentCount: [null as number | null, Validators.min(1)],
+    message: ['', Validators.maxLength(2000)]
+  });
+
+  otp = this.fb.control('', [Validators.required, Validators.pattern(/^\d{6}$/)]);
+
+  invalid(field: string): boolean {
+    const control = this.form.get(field);
+    return !!control && control.invalid && control.touched;
+  }
+
+  sendOtp() {
+    this.form.markAllAsTouched();
+    if (this.form.invalid) {
+      this.toastr.warning('Please fill all required fields', 'Validation');
+      return;
+    }
+
+    this.busy = true;
+    this.http.post(`${environment.apiUrl}/api/auth/send-otp`, { phoneNumber: this.form.value.mobileNo }).subscribe({
+      next: () => {
+        this.busy = false;
+        this.step = 'otp';
+        this.toastr.success(`OTP sent to ${this.form.value.mobileNo}`);
+      },
+      error: (err) => {
+        this.busy = false;
+        this.toastr.error(err.error?.error || err.error?.message || 'Failed to send OTP');
+      }
+    });
+  }
+
+  verifyAndSubmit() {
+    if (this.otp.invalid) {
+      this.toastr.warning('Please enter the 6-digit OTP', 'Validation');
+      return;
+    }
+
+    const v = this.form.getRawValue();
+    this.busy = true;
+    this.http.post(`${environment.apiUrl}/api/auth/verify-otp`, { phoneNumber: v.mobileNo, code: this.otp.value }).subscribe({
+      next: () => {
+        this.schoolService.submitSchoolRequest({
+          requestType: v.requestType!,
+          name: v.name!.trim(),
+          contactName: v.contactName!.trim(),
+          designation: v.designation?.trim() || undefined,
+          email: v.email!.trim(),
+          mobileNo: v.mobileNo!.trim(),
+          studentCount: v.studentCount || null,
+          message: v.message?.trim() || undefined,
+          address: { city: v.city!.trim(), state: v.state!.trim() }
+        }).subscribe({
+          next: () => {
+            this.busy = false;
+            this.step = 'done';
+          },
+          error: (err) => {
+            this.busy = false;
+            this.toastr.error(err.error?.errors?.[0]?.msg || err.error?.message || 'Failed to send request');
+          }
+        });
+      },
+      error: (err) => {
+        this.busy = false;
+        this.toastr.error(err.error?.error || 'Invalid OTP');
+      }
+    });
+  }
+}
@@ -0,0 +1,137 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormBuilder, FormGroup, ReactiveFormsModule, Validators } from '@angular/forms';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../shared/components/ui/modal/modal.component';
+import { Coupon, CouponRedemption, CouponService } from '../../shared/services/coupon.service';
+import { Plan, PlanService } from '../../shared/services/plan.service';
+
+@Component({
+  selector: 'app-coupons',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './coupons.component.html',
+  styleUrl: './coupons.component.css'
+})
+export class CouponsComponent implements OnInit {
+  private couponService = inject(CouponService);
+  private planService = inject(PlanService);
+  private toastr = inject(ToastrService);
+  private fb = inject(FormBuilder);
+
+  coupons: Coupon[] = [];
+  plans: Plan[] = [];
+  loading = true;
+
+  showCreate = false;
+  saving = false;
+  form: FormGroup = this.fb.group({
+    code: ['', [Validators.required, Validators.pattern(/^[A-Za-z0-9_-]{3,20}$/)]],
+    description: [''],
+    discountType: ['percent', Validators.required],
+    discountValue: [10, [Validators.required, Validators.min(0)]],
+    maxDiscount: [null],
+    expiresAt: [''],
+    maxRedemptions: [null],
+    perSchoolLimit: [1, [Validators.required, Validators.min(1)]],
+    applicablePlanTypes: [[] as string[]]
+  });
+
+  redemptionsFor: Coupon | null = null;
+  redemptions: CouponRedemption[] = [];
+
+  ngOnInit() {
+    this.loadCoupons();
+    this.planService.getPlans().subscribe({
+      next: (plans) => this.plans = plans.filter(p => p.tier !== 'trial'),
+      error: () => this.plans = []
+    });
+  }
+
+  loadCoupons() {
+    this.loading = true;
+    this.couponService.getCoupons().subscribe({
+      next: (res) => {
+        this.coupons = res.data;
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load coupons');
+        this.loading = false;
+      }
+    });
+  }
+
+  isExpired(coupon: Coupon) {
+    return !!coupon.expiresAt && new Date(coupon.expiresAt) <= new Date();
+  }
+
+  discountLabel(coupon: Coupon) {
+    return coupon.discountType === 'percent'
+      ? `${coupon.discountValue}%${coupon.maxDiscount ? ` (max ₹${coupon.maxDiscount})` : ''}`
+      : `₹${coupon.discountValue}`;
+  }
+
+  togglePlan(code: string) {
+    const current: string[] = this.form.value.applicablePlanTypes;
+    this.form.patchValue({
+      applicablePlanTypes: current.includes(code) ? current.filter(c => c !== code) : [...current, code]
+    });
+  }
+
+  openCreate() {
+    this.form.reset({ discountType: 'percent', discountValue: 10, perSchoolLimit: 1, applicablePlanTypes: [] });
+    this.showCreate = true;
+  }
+
+  create() {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const v = this.form.value;
+    this.saving = true;
+    this.couponService.createCoupon({
+      ...v,
+      code: v.code.trim().toUpperCase(),
+      maxDiscount: v.discountType === 'percent' && v.maxDiscount ? Number(v.maxDiscount) : null,
+      maxRedemptions: v.maxRedemptions ? Number(v.maxRedemptions) : null,
+      expiresAt: v.expiresAt ? new Date(`${v.expiresAt}T23:59:59`).toISOString() : null
+    }).subscribe({
+      next: () => {
+        this.toastr.success('Coupon created');
+        this.saving = false;
+        this.showCreate = false;
+        this.loadCoupons();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to create coupon');
+        this.saving = false;
+      }
+    });
+  }
+
+  toggleActive(coupon: Coupon) {
+    this.couponService.updateCoupon(coupon._id, { active: !coupon.active }).subscribe({
+      next: (res) => {
+        coupon.active = res.data.active;
+        this.toastr.success(`Coupon ${coupon.active ? 'enabled' : 'disabled'}`);
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Failed to update coupon')
+    });
+  }
+
+  showRedemptions(coupon: Coupon) {
+    this.redemptionsFor = coupon;
+    this.redemptions = [];
+    this.couponService.getRedemptions(coupon._id).subscribe({
+      next: (res) => this.redemptions = res.data,
+      error: () => this.toastr.error('Failed to load redemptions')
+    });
+  }
+
+  formatDate(date: string) {
+    return new Date(date).toLocaleDateString('en-IN');
+  }
+}
@@ -1,4 +1,4 @@
-import { Component, inject } from '@angular/core';
+import { Component, inject, ViewChild } from '@angular/core';
 import { EcommerceMetricsComponent } from '../../../shared/components/ecommerce/ecommerce-metrics/ecommerce-metrics.component';
 import { MonthlySalesChartComponent } from '../../../shared/components/ecommerce/monthly-sales-chart/monthly-sales-chart.component';
 import { MonthlyTargetComponent } from '../../../shared/components/ecommerce/monthly-target/monthly-target.component';
@@ -30,7 +30,8 @@ export class EcommerceComponent {
   private authService = inject(AuthService);
   private toastr = inject(ToastrService);
 
-  schools: any[] = [];
+  @ViewChild(RecentSchoolsComponent) schoolList?: RecentSchoolsComponent;
+
   totalSchools = 0;
   activeTrials = 0;
   activePaid = 0;
@@ -47,7 +48,6 @@ export class EcommerceComponent {
     this.loading = true;
     this.dashboardService.getSuperadminDashboard().subscribe({
       next: (data: any) => {
-        this.schools = data.schools;
         this.metricsData = {
           totalSchools: data.totalSchools,
           activeTrials: data.activeTrials,
@@ -59,7 +59,16 @@ export class EcommerceComponent {
       error: () => this.loading = false
     });
   }
-  activateTrial(data:any){
-    
+  activateTrial(schoolId: string) {
+    if (confirm('Activate the trial plan for this school? Each school gets one trial.')) {
+      this.dashboardService.activateTrial(schoolId).subscribe({
+        next: () => {
+          this.toastr.success('Trial activated');
+          this.loadSuperadminData();
+          this.schoolList?.reload();
+        },
+        error: (err) => this.toastr.error(err.error?.message || 'Failed')
+      });
+    }
   }
 }
@@ -1,9 +1,11 @@
 import { CommonModule } from '@angular/common';
 import { Component, inject } from '@angular/core';
+import { FormsModule } from '@angular/forms';
 import { RouterModule } from '@angular/router';
 import { AuthService } from '../../../shared/services/auth.service';
 import { ToastrService } from 'ngx-toastr';
 import { DashboardService } from '../../../shared/services/dashboard.service';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
 
 interface SchoolSubscription {
   _id: string;
@@ -15,12 +17,22 @@ interface SchoolSubscription {
   daysRemaining: number;
   isTrial: boolean;
   revenue: number;
+  boosts: { planType: string; expiresAt: string; messageLimits: { smsMonthly: number; whatsappMonthly: number } }[];
+  scheduled?: { planType: string; startsAt: string; expiresAt: string };
+  suspended?: boolean;
   createdAt: string;
 }
+
+interface TrialSummary {
+  maxTrialDays: number;
+  daysUsed: number;
+  daysLeft: number;
+  history: { type: 'granted' | 'extended'; days: number; totalDays: number; reason: string | null; createdAt: string }[];
+}
 @Component({
   selector: 'app-superadmin-dashboard',
   standalone: true,
-  imports: [CommonModule, RouterModule],
+  imports: [CommonModule, FormsModule, RouterModule, ModalComponent],
   templateUrl: './superadmin-dashboard.component.html',
   styleUrl: './superadmin-dashboard.component.css'
 })
@@ -36,6 +48,12 @@ export class SuperadminDashboardComponent {
   totalRevenue = 0;
   loading = true;
 
+  extending: SchoolSubscription | null = null;
+  trial: TrialSummary | null = null;
+  extendDays = 7;
+  extendReason = '';
+  savingTrial = false;
+
   ngOnInit() {
     if (this.authService.getUserRole() !== 'superadmin') {
       this.toastr.error('Access denied');
@@ -63,17 +81,54 @@ export class SuperadminDashboardComponent {
   }
 
   activateTrial(schoolId: string) {
-    if (confirm('Activate 14-day trial for this school?')) {
+    if (confirm('Activate the trial plan for this school? Each school gets one trial.')) {
       this.dashboardService.activateTrial(schoolId).subscribe({
         next: () => {
           this.toastr.success('Trial activated');
           this.loadSuperadminData();
         },
-        error: () => this.toastr.error('Failed')
+        error: (err) => this.toastr.error(err.error?.message || 'Failed')
       });
     }
   }
 
+  openExtendTrial(school: SchoolSubscription) {
+    this.extending = school;
+    this.trial = null;
+    this.extendDays = 7;
+    this.extendReason = '';
+    this.dashboardService.getTrial(school._id).subscribe({
+      next: (res: any) => {
+        this.trial = res.data;
+        this.extendDays = Math.min(this.extendDays, res.data.daysLeft);
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Failed to load trial')
+    });
+  }
+
+  closeExtendTrial() {
+    this.extending = null;
+    this.trial = null;
+  }
+
+  extendTrial() {
+    const school = this.extending;
+    if (!school || !this.extendReason.trim() || this.extendDays < 1) return;
+    this.savingTrial = true;
+    this.dashboardService.extendTrial(school._id, this.extendDays, this.extendReason.trim()).subscribe({
+      next: () => {
+        this.toastr.success(`Trial extended by ${this.extendDays} days`);
+        this.savingTrial = false;
+        this.closeExtendTrial();
+        this.loadSuperadminData();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to extend trial');
+        this.savingTrial = false;
+      }
+    });
+  }
+
   formatDate(date: string) {
     return new Date(date).toLocaleDateString('en-IN');
   }
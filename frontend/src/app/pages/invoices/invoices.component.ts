@@ -1,18 +1,40 @@
-import { Component } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject } from '@angular/core';
+import { ToastrService } from 'ngx-toastr';
 import { PageBreadcrumbComponent } from '../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
-import { InvoiceSidebarComponent } from '../../shared/components/invoice/invoice-sidebar/invoice-sidebar.component';
-import { InvoiceMainComponent } from '../../shared/components/invoice/invoice-main/invoice-main.component';
+import { InvoiceListComponent } from '../../shared/components/invoice/invoice-list/invoice-list.component';
+import { CreditNote, InvoiceService } from '../../shared/services/invoice.service';
 
 @Component({
   selector: 'app-invoices',
   imports: [
+    CommonModule,
     PageBreadcrumbComponent,
-    InvoiceSidebarComponent,
-    InvoiceMainComponent
+    InvoiceListComponent
   ],
   templateUrl: './invoices.component.html',
   styles: ``
 })
-export class InvoicesComponent {
+export class InvoicesComponent implements OnInit {
+  private invoiceService = inject(InvoiceService);
+  private toastr = inject(ToastrService);
 
+  creditNotes: CreditNote[] = [];
+
+  ngOnInit(): void {
+    this.loadCreditNotes();
+  }
+
+  loadCreditNotes(): void {
+    this.invoiceService.getCreditNotes({ limit: 20 }).subscribe({
+      next: (res) => this.creditNotes = res.data,
+      error: () => this.toastr.error('Failed to load credit notes')
+    });
+  }
+
+  download(creditNote: CreditNote): void {
+    this.invoiceService.downloadCreditNotePdf(creditNote).subscribe({
+      error: () => this.toastr.error(`Failed to download ${creditNote.creditNoteNumber}`)
+    });
+  }
 }
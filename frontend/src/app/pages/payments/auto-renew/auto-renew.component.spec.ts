@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { AutoRenewComponent } from './auto-renew.component';
+
+describe('AutoRenewComponent', () => {
+  let component: AutoRenewComponent;
+  let fixture: ComponentFixture<AutoRenewComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [AutoRenewComponent]
+    })
+    .compileComponents();
+    
+    fixture = TestBed.createComponent(AutoRenewComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
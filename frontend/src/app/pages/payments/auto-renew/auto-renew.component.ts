@@ -0,0 +1,122 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
+import { AutoRenewDetails, PaymentService, RenewalAttempt } from '../../../shared/services/payment.service';
+
+@Component({
+  selector: 'app-auto-renew',
+  standalone: true,
+  imports: [CommonModule, FormsModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './auto-renew.component.html',
+  styleUrl: './auto-renew.component.css'
+})
+export class AutoRenewComponent implements OnInit {
+  private paymentService = inject(PaymentService);
+  private route = inject(ActivatedRoute);
+  private toastr = inject(ToastrService);
+
+  attempts: RenewalAttempt[] = [];
+  status = '';
+  page = 1;
+  pages = 1;
+  loading = true;
+
+  // One school's settings
+  schoolId: string | null = null;
+  schoolName = '';
+  details: AutoRenewDetails | null = null;
+  mandateForm = { provider: 'razorpay', paymentMethod: 'card', customerId: '', token: '', maxAmount: null as number | null };
+
+  ngOnInit() {
+    this.loadAttempts();
+    const schoolId = this.route.snapshot.queryParamMap.get('school');
+    if (schoolId) this.openSchool(schoolId, this.route.snapshot.queryParamMap.get('name') || '');
+  }
+
+  loadAttempts(page = 1) {
+    this.loading = true;
+    this.paymentService.getRenewalAttempts(this.status, page).subscribe({
+      next: (res) => {
+        this.attempts = res.data;
+        this.page = res.pagination.page;
+        this.pages = res.pagination.pages || 1;
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load renewal attempts');
+        this.loading = false;
+      }
+    });
+  }
+
+  schoolOf(attempt: RenewalAttempt) {
+    return typeof attempt.schoolId === 'string' ? null : attempt.schoolId;
+  }
+
+  statusClass(status: string) {
+    return {
+      'bg-green-100 text-green-800': status === 'succeeded',
+      'bg-amber-100 text-amber-800': status === 'pending',
+      'bg-red-100 text-red-800': status === 'failed'
+    };
+  }
+
+  openSchool(schoolId: string, name: string) {
+    this.schoolId = schoolId;
+    this.schoolName = name;
+    this.details = null;
+    this.paymentService.getAutoRenew(schoolId).subscribe({
+      next: (res) => this.details = res.data,
+      error: () => this.toastr.error('Failed to load auto-renew details')
+    });
+  }
+
+  toggleAutoRenew() {
+    if (!this.schoolId || !this.details?.subscription) return;
+    const enable = !this.details.subscription.autoRenew;
+    this.paymentService.setAutoRenew(this.schoolId, enable).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.openSchool(this.schoolId!, this.schoolName);
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Failed to update auto-renew')
+    });
+  }
+
+  saveMandate() {
+    if (!this.schoolId || !this.mandateForm.token.trim()) return;
+    this.paymentService.saveMandate(this.schoolId, {
+      ...this.mandateForm,
+      token: this.mandateForm.token.trim(),
+      customerId: this.mandateForm.customerId.trim() || undefined,
+      maxAmount: this.mandateForm.maxAmount || null
+    }).subscribe({
+      next: () => {
+        this.toastr.success('Mandate saved');
+        this.mandateForm = { provider: 'razorpay', paymentMethod: 'card', customerId: '', token: '', maxAmount: null };
+        this.openSchool(this.schoolId!, this.schoolName);
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Failed to save mandate')
+    });
+  }
+
+  revokeMandate() {
+    if (!this.schoolId || !confirm('Revoke the saved mandate? Auto-renew will be turned off.')) return;
+    this.paymentService.revokeMandate(this.schoolId).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.openSchool(this.schoolId!, this.schoolName);
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Failed to revoke mandate')
+    });
+  }
+
+  closeSchool() {
+    this.schoolId = null;
+    this.details = null;
+  }
+}
@@ -0,0 +1,135 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
+import { environment } from '../../../../environment/environments';
+import { BankConfig, PaymentService, PendingPayment } from '../../../shared/services/payment.service';
+
+// Proofs are only shown from the upload host, over https
+const proofOrigin = new URL(environment.imageUrl).origin;
+
+const safeProofUrl = (value: string | null | undefined): string | null => {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && url.origin === proofOrigin ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+@Component({
+  selector: 'app-pending-payments',
+  standalone: true,
+  imports: [CommonModule, FormsModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './pending-payments.component.html',
+  styleUrl: './pending-payments.component.css'
+})
+export class PendingPaymentsComponent implements OnInit {
+  private paymentService = inject(PaymentService);
+  private toastr = inject(ToastrService);
+
+  payments: PendingPayment[] = [];
+  bankConfig: BankConfig | null = null;
+  loading = true;
+  busyId: string | null = null;
+
+  // Proof viewer
+  selected: PendingPayment | null = null;
+  proofUrl: string | null = null;
+  // A proof was uploaded but is not on the upload host
+  proofBlocked = false;
+  proofIsImage = false;
+  transactionId = '';
+
+  // Reject dialog
+  rejecting: PendingPayment | null = null;
+  rejectReason = '';
+
+  ngOnInit() {
+    this.loadPayments();
+    this.paymentService.getBankConfig().subscribe({
+      next: (config) => this.bankConfig = config?.accountNumber ? config : null,
+      error: () => this.bankConfig = null
+    });
+  }
+
+  loadPayments() {
+    this.loading = true;
+    this.paymentService.getPendingPayments().subscribe({
+      next: (res) => {
+        this.payments = res.data;
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load pending payments');
+        this.loading = false;
+      }
+    });
+  }
+
+  openProof(payment: PendingPayment) {
+    this.selected = payment;
+    this.transactionId = payment.transactionId || '';
+    this.proofUrl = safeProofUrl(payment.paymentProof);
+    this.proofBlocked = !!payment.paymentProof && !this.proofUrl;
+    this.proofIsImage = !!this.proofUrl && /\.(png|jpe?g|gif|webp)(\?|$)/i.test(this.proofUrl);
+  }
+
+  closeProof() {
+    this.selected = null;
+    this.proofUrl = null;
+    this.proofBlocked = false;
+  }
+
+  approve(payment: PendingPayment) {
+    this.busyId = payment.id;
+    this.paymentService.approvePayment(payment.id, { transactionId: this.transactionId.trim() || undefined }).subscribe({
+      next: () => {
+        this.toastr.success(`Subscription activated for ${payment.school?.name}`);
+        this.busyId = null;
+        this.closeProof();
+        this.loadPayments();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to approve payment');
+        this.busyId = null;
+      }
+    });
+  }
+
+  openReject(payment: PendingPayment) {
+    this.rejecting = payment;
+    this.rejectReason = '';
+  }
+
+  closeReject() {
+    this.rejecting = null;
+  }
+
+  confirmReject() {
+    const payment = this.rejecting;
+    if (!payment || !this.rejectReason.trim()) return;
+
+    this.busyId = payment.id;
+    this.paymentService.rejectPayment(payment.id, this.rejectReason.trim()).subscribe({
+      next: (res) => {
+        this.toastr.success(res.emailSent ? 'Payment rejected, school notified' : 'Payment rejected (email not sent)');
+        this.busyId = null;
+        this.closeReject();
+        this.closeProof();
+        this.loadPayments();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to reject payment');
+        this.busyId = null;
+      }
+    });
+  }
+
+  formatDate(date: string) {
+    return new Date(date).toLocaleDateString('en-IN');
+  }
+}
@@ -0,0 +1,130 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { PaymentService, StatementImport, StatementLine } from '../../../shared/services/payment.service';
+
+type LineFilter = StatementLine['status'] | 'all';
+
+@Component({
+  selector: 'app-reconciliation',
+  standalone: true,
+  imports: [CommonModule, FormsModule, PageBreadcrumbComponent],
+  templateUrl: './reconciliation.component.html',
+  styleUrl: './reconciliation.component.css'
+})
+export class ReconciliationComponent implements OnInit {
+  private paymentService = inject(PaymentService);
+  private toastr = inject(ToastrService);
+
+  imports: StatementImport[] = [];
+  current: StatementImport | null = null;
+  filter: LineFilter = 'all';
+  uploading = false;
+  busy = false;
+
+  // lineId → subscriptionId picked for ambiguous lines
+  picks: Record<string, string> = {};
+
+  readonly filters: { value: LineFilter; label: string }[] = [
+    { value: 'all', label: 'All' },
+    { value: 'confident', label: 'Confident' },
+    { value: 'ambiguous', label: 'Ambiguous' },
+    { value: 'unmatched', label: 'Unmatched' },
+    { value: 'confirmed', label: 'Confirmed' }
+  ];
+
+  ngOnInit() {
+    this.loadImports();
+  }
+
+  get visibleLines(): StatementLine[] {
+    if (!this.current) return [];
+    return this.filter === 'all' ? this.current.lines : this.current.lines.filter(l => l.status === this.filter);
+  }
+
+  loadImports() {
+    this.paymentService.getStatementImports().subscribe({
+      next: (res) => this.imports = res.data,
+      error: () => this.toastr.error('Failed to load statement imports')
+    });
+  }
+
+  openImport(id: string) {
+    this.paymentService.getStatementImport(id).subscribe({
+      next: (res) => {
+        this.current = res.data;
+        this.picks = {};
+        res.data.lines.forEach(l => {
+          const first = l.candidates[0]?.subscriptionId;
+          if (first) this.picks[l._id] = first._id;
+        });
+      },
+      error: () => this.toastr.error('Failed to load statement')
+    });
+  }
+
+  onFileSelected(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      this.uploading = true;
+      this.paymentService.importStatement(String(reader.result), file.name).subscribe({
+        next: (res) => {
+          this.uploading = false;
+          input.value = '';
+          this.toastr.success(`${res.data.summary.confident} confident, ${res.data.summary.ambiguous} ambiguous, ${res.data.summary.unmatched} unmatched`);
+          this.loadImports();
+          this.openImport(res.data._id);
+        },
+        error: (err) => {
+          this.uploading = false;
+          input.value = '';
+          this.toastr.error(err.error?.message || 'Failed to import statement');
+        }
+      });
+    };
+    reader.readAsText(file);
+  }
+
+  confirm(line: StatementLine) {
+    if (!this.current) return;
+    this.busy = true;
+    this.paymentService.confirmMatch(this.current._id, line._id, this.picks[line._id]).subscribe({
+      next: () => {
+        this.toastr.success(`Row ${line.row} matched, subscription activated`);
+        this.busy = false;
+        this.openImport(this.current!._id);
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to confirm match');
+        this.busy = false;
+      }
+    });
+  }
+
+  confirmAllConfident() {
+    if (!this.current || !confirm(`Activate ${this.current.summary.confident} confidently matched subscriptions?`)) return;
+    this.busy = true;
+    this.paymentService.confirmConfidentMatches(this.current._id).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.openImport(this.current!._id);
+        this.loadImports();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to confirm matches');
+        this.busy = false;
+      }
+    });
+  }
+
+  formatDate(date: string) {
+    return new Date(date).toLocaleDateString('en-IN');
+  }
+}
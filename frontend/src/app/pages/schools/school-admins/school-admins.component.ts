@@ -0,0 +1,186 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormBuilder, FormsModule, ReactiveFormsModule, Validators } from '@angular/forms';
+import { ActivatedRoute, RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
+import { SchoolAdmin, SchoolAdmins, SchoolService } from '../../../shared/services/school.service';
+
+const PHONE = /^\+?[1-9]\d{9,14}$/;
+
+@Component({
+  selector: 'app-school-admins',
+  standalone: true,
+  imports: [CommonModule, FormsModule, ReactiveFormsModule, RouterModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './school-admins.component.html',
+  styleUrl: './school-admins.component.css'
+})
+export class SchoolAdminsComponent implements OnInit {
+  private fb = inject(FormBuilder);
+  private schoolService = inject(SchoolService);
+  private route = inject(ActivatedRoute);
+  private toastr = inject(ToastrService);
+
+  schoolId = '';
+  data: SchoolAdmins | null = null;
+  loading = true;
+  busy = false;
+
+  adding = false;
+  editing: SchoolAdmin | null = null;
+  // Admin being deactivated or reactivated, with the reason for the audit log
+  toggling: SchoolAdmin | null = null;
+  reason = '';
+
+  addForm = this.fb.group({
+    name: ['', Validators.required],
+    username: ['', [Validators.required, Validators.pattern(/^[a-z0-9._-]{3,}$/i)]],
+    email: ['', [Validators.required, Validators.email]],
+    phoneNumber: ['', [Validators.required, Validators.pattern(PHONE)]]
+  });
+
+  editForm = this.fb.group({
+    email: ['', [Validators.required, Validators.email]],
+    phoneNumber: ['', [Validators.required, Validators.pattern(PHONE)]]
+  });
+
+  ngOnInit() {
+    this.schoolId = this.route.snapshot.paramMap.get('id') || '';
+    this.load();
+  }
+
+  load() {
+    this.schoolService.getAdmins(this.schoolId).subscribe({
+      next: (res) => {
+        this.data = res.data;
+        this.loading = false;
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to load admins');
+        this.loading = false;
+      }
+    });
+  }
+
+  get atLimit(): boolean {
+    return this.data?.allowance.remaining === 0;
+  }
+
+  // A set-password link that has not expired yet
+  linkPending(admin: SchoolAdmin): boolean {
+    return !!admin.resetTokenExpires && new Date(admin.resetTokenExpires) > new Date();
+  }
+
+  invalid(form: 'add' | 'edit', field: string): boolean {
+    const control = form === 'add' ? this.addForm.get(field) : this.editForm.get(field);
+    return !!control && control.invalid && control.touched;
+  }
+
+  openAdd() {
+    this.addForm.reset();
+    this.adding = true;
+  }
+
+  confirmAdd() {
+    this.addForm.markAllAsTouched();
+    if (this.addForm.invalid) return;
+
+    const v = this.addForm.getRawValue();
+    this.busy = true;
+    this.schoolService.addAdmin(this.schoolId, {
+      name: v.name!.trim(),
+      username: v.username!.trim(),
+      email: v.email!.trim(),
+      phoneNumber: v.phoneNumber!.trim()
+    }).subscribe({
+      next: (res) => {
+        if (res.emailSent) this.toastr.success(res.message);
+        else this.toastr.warning(res.message);
+        this.busy = false;
+        this.adding = false;
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.errors?.[0]?.msg || err.error?.message || 'Failed to add admin');
+        this.busy = false;
+      }
+    });
+  }
+
+  openEdit(admin: SchoolAdmin) {
+    this.editForm.reset({ email: admin.email, phoneNumber: admin.phoneNumber || '' });
+    this.editing = admin;
+  }
+
+  confirmEdit() {
+    const admin = this.editing;
+    this.editForm.markAllAsTouched();
+    if (!admin || this.editForm.invalid) return;
+
+    // Only what changed; the server refuses an edit with nothing in it
+    const v = this.editForm.getRawValue();
+    const changes: { email?: string; phoneNumber?: string } = {};
+    if (v.email!.trim() !== admin.email) changes.email = v.email!.trim();
+    if (v.phoneNumber!.trim() !== (admin.phoneNumber || '')) changes.phoneNumber = v.phoneNumber!.trim();
+    if (!Object.keys(changes).length) {
+      this.editing = null;
+      return;
+    }
+
+    this.busy = true;
+    this.schoolService.updateAdmin(this.schoolId, admin._id, changes).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.editing = null;
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.errors?.[0]?.msg || err.error?.message || 'Failed to update admin');
+        this.busy = false;
+      }
+    });
+  }
+
+  resendLink(admin: SchoolAdmin) {
+    if (!confirm(`Send ${admin.name} a new set-password link? Any earlier link stops working.`)) return;
+    this.busy = true;
+    this.schoolService.resendAdminLink(this.schoolId, admin._id).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to send link');
+        this.busy = false;
+        // A failed email still issued a new token
+        this.load();
+      }
+    });
+  }
+
+  openToggle(admin: SchoolAdmin) {
+    this.toggling = admin;
+    this.reason = '';
+  }
+
+  confirmToggle() {
+    const admin = this.toggling;
+    if (!admin || !this.reason.trim()) return;
+    this.busy = true;
+    this.schoolService.setAdminActive(this.schoolId, admin._id, !admin.status, this.reason.trim()).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.toggling = null;
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to change admin status');
+        this.busy = false;
+      }
+    });
+  }
+}
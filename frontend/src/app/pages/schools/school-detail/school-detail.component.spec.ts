@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { SchoolDetailComponent } from './school-detail.component';
+
+describe('SchoolDetailComponent', () => {
+  let component: SchoolDetailComponent;
+  let fixture: ComponentFixture<SchoolDetailComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [SchoolDetailComponent]
+    })
+    .compileComponents();
+    
+    fixture = TestBed.createComponent(SchoolDetailComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
@@ -0,0 +1,152 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute, Router, RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
+import { OnboardingStepName, SchoolDetail, SchoolService, SchoolStatusAction, TimelineEntry } from '../../../shared/services/school.service';
+
+@Component({
+  selector: 'app-school-detail',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './school-detail.component.html',
+  styleUrl: './school-detail.component.css'
+})
+export class SchoolDetailComponent implements OnInit {
+  private schoolService = inject(SchoolService);
+  private route = inject(ActivatedRoute);
+  private router = inject(Router);
+  private toastr = inject(ToastrService);
+
+  detail: SchoolDetail | null = null;
+  loading = true;
+  kind: TimelineEntry['kind'] | '' = '';
+
+  // Suspend / reactivate / delete / restore dialog
+  statusAction: SchoolStatusAction | null = null;
+  statusReason = '';
+  statusBusy = false;
+
+  readonly statusLabels: Record<SchoolStatusAction, string> = {
+    suspend: 'Suspend',
+    reactivate: 'Reactivate',
+    delete: 'Delete',
+    restore: 'Restore',
+    purge: 'Purge'
+  };
+
+  // Onboarding step being retried
+  retrying: OnboardingStepName | null = null;
+
+  readonly onboardingLabels: Record<OnboardingStepName, string> = {
+    welcome_email: 'Welcome email',
+    whatsapp: 'WhatsApp message',
+    notification: 'In-app notification'
+  };
+
+  readonly kinds: { value: TimelineEntry['kind']; label: string }[] = [
+    { value: 'subscription', label: 'Subscriptions' },
+    { value: 'trial', label: 'Trial' },
+    { value: 'invoice', label: 'Invoices' },
+    { value: 'credit_note', label: 'Credit notes' },
+    { value: 'payment', label: 'Payments' },
+    { value: 'notification', label: 'Notifications' }
+  ];
+
+  ngOnInit() {
+    const id = this.route.snapshot.paramMap.get('id');
+    if (id) this.load(id);
+  }
+
+  load(id: string) {
+    this.loading = true;
+    this.schoolService.getSchool(id).subscribe({
+      next: (res) => {
+        this.detail = res.data;
+        this.loading = false;
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to load school');
+        this.loading = false;
+      }
+    });
+  }
+
+  get state(): 'active' | 'suspended' | 'deleted' {
+    const school = this.detail!.school;
+    return school.deletedAt ? 'deleted' : school.status ? 'active' : 'suspended';
+  }
+
+  openStatus(action: SchoolStatusAction) {
+    this.statusAction = action;
+    this.statusReason = '';
+  }
+
+  closeStatus() {
+    this.statusAction = null;
+  }
+
+  confirmStatus() {
+    const action = this.statusAction;
+    const id = this.detail?.school._id;
+    if (!action || !id || !this.statusReason.trim()) return;
+    this.statusBusy = true;
+    this.schoolService.changeStatus(id, action, this.statusReason.trim()).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.statusBusy = false;
+        this.closeStatus();
+        if (action === 'delete') this.router.navigate(['/schools/trash']);
+        else this.load(id);
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || `Failed to ${action} school`);
+        this.statusBusy = false;
+      }
+    });
+  }
+
+  retryStep(step: OnboardingStepName) {
+    const id = this.detail?.school._id;
+    if (!id) return;
+    this.retrying = step;
+    this.schoolService.retryOnboardingStep(id, step).subscribe({
+      next: (res) => {
+        this.toastr.success(`${this.onboardingLabels[step]} sent`);
+        this.detail!.onboarding = res.data;
+        this.retrying = null;
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || `Failed to retry ${this.onboardingLabels[step].toLowerCase()}`);
+        if (err.error?.data) this.detail!.onboarding = err.error.data;
+        this.retrying = null;
+      }
+    });
+  }
+
+  get timeline(): TimelineEntry[] {
+    const entries = this.detail?.timeline || [];
+    return this.kind ? entries.filter(e => e.kind === this.kind) : entries;
+  }
+
+  kindClass(kind: TimelineEntry['kind']) {
+    return {
+      'bg-blue-500': kind === 'subscription',
+      'bg-yellow-500': kind === 'trial',
+      'bg-green-500': kind === 'invoice' || kind === 'payment',
+      'bg-red-500': kind === 'credit_note',
+      'bg-gray-400': kind === 'notification' || kind === 'school'
+    };
+  }
+
+  statusClass(status: string) {
+    return {
+      'bg-green-100 text-green-800': status === 'active' || status === 'done',
+      'bg-orange-100 text-orange-800': status === 'grace_period' || status === 'pending',
+      'bg-blue-100 text-blue-800': status === 'scheduled' || status === 'running',
+      'bg-red-100 text-red-800': status === 'expired' || status === 'canceled' || status === 'failed'
+    };
+  }
+}
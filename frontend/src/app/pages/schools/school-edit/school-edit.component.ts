@@ -0,0 +1,120 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormBuilder, ReactiveFormsModule, Validators } from '@angular/forms';
+import { ActivatedRoute, Router, RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { LocationPickerComponent, PickedLocation } from '../../../shared/components/ui/location-picker/location-picker.component';
+import { SchoolService, SchoolSettings } from '../../../shared/services/school.service';
+
+const TIME = /^\d{1,2}:\d{2}$/;
+
+@Component({
+  selector: 'app-school-edit',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule, RouterModule, PageBreadcrumbComponent, LocationPickerComponent],
+  templateUrl: './school-edit.component.html',
+  styleUrl: './school-edit.component.css'
+})
+export class SchoolEditComponent implements OnInit {
+  private fb = inject(FormBuilder);
+  private schoolService = inject(SchoolService);
+  private route = inject(ActivatedRoute);
+  private router = inject(Router);
+  private toastr = inject(ToastrService);
+
+  readonly weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  schoolId = '';
+  schoolName = '';
+  loading = true;
+  saving = false;
+  location: google.maps.LatLngLiteral | null = null;
+
+  form = this.fb.group({
+    address: this.fb.group({
+      street: ['', Validators.required],
+      city: ['', Validators.required],
+      state: ['', Validators.required],
+      country: ['', Validators.required],
+      postalCode: ['', Validators.required]
+    }),
+    latitude: [null as number | null, Validators.required],
+    longitude: [null as number | null, Validators.required],
+    radius: [100, [Validators.required, Validators.min(10), Validators.max(5000)]],
+    preferredChannel: ['both', Validators.required],
+    weeklyHolidayDay: ['Sunday', Validators.required],
+    website: [''],
+    contactPerson: this.fb.group({
+      name: [''],
+      designation: ['']
+    }),
+    communication: this.fb.group({
+      smsSenderName: ['', [Validators.required, Validators.maxLength(11)]],
+      emailFrom: ['', [Validators.required, Validators.email]],
+      emailName: [''],
+      emailPass: [''] // blank keeps the current password
+    }),
+    schoolTiming: this.fb.group({
+      openingTime: ['', Validators.pattern(TIME)],
+      closingTime: ['', Validators.pattern(TIME)],
+      lunchBreak: ['']
+    })
+  });
+
+  ngOnInit() {
+    this.schoolId = this.route.snapshot.paramMap.get('id') || '';
+    this.schoolService.getSchool(this.schoolId).subscribe({
+      next: ({ data }) => {
+        const s = data.school;
+        this.schoolName = s.name;
+        this.form.patchValue({
+          address: s.address || {},
+          latitude: s.latitude,
+          longitude: s.longitude,
+          radius: s.radius,
+          preferredChannel: s.preferredChannel,
+          weeklyHolidayDay: s.weeklyHolidayDay,
+          website: s.website || '',
+          contactPerson: s.contactPerson || {},
+          communication: { ...s.communication, emailPass: '' },
+          schoolTiming: s.schoolTiming || {}
+        });
+        if (s.latitude != null && s.longitude != null) this.location = { lat: s.latitude, lng: s.longitude };
+        this.loading = false;
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to load school');
+        this.loading = false;
+      }
+    });
+  }
+
+  onLocationPicked({ lat, lng, address }: PickedLocation) {
+    this.form.patchValue({ latitude: lat, longitude: lng, ...(address ? { address } : {}) });
+    this.location = { lat, lng };
+  }
+
+  save() {
+    if (this.form.invalid) {
+      this.form.markAllAsTouched();
+      return;
+    }
+    const value = this.form.getRawValue();
+    const changes = { ...value, radius: Number(value.radius) } as Partial<SchoolSettings>;
+    if (!value.communication.emailPass) delete changes.communication!.emailPass;
+
+    this.saving = true;
+    this.schoolService.updateSchool(this.schoolId, changes).subscribe({
+      next: (res) => {
+        this.toastr.success(res.data.changed.length ? `${res.data.changed.length} setting(s) updated` : 'No changes');
+        this.saving = false;
+        this.router.navigate(['/schools', this.schoolId]);
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || err.error?.errors?.[0]?.msg || 'Failed to update school');
+        this.saving = false;
+      }
+    });
+  }
+}
@@ -0,0 +1,134 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute, RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
+import { FeatureOverride, SchoolEntitlements, SchoolService } from '../../../shared/services/school.service';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+interface FeatureRow {
+  feature: string;
+  enabled: boolean;
+  source: string;
+  override: FeatureOverride | null;
+}
+
+// Superadmin view of what the school app is told it may use, with
+// per-feature grants and revocations on top of the plan
+@Component({
+  selector: 'app-school-features',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './school-features.component.html',
+  styleUrl: './school-features.component.css'
+})
+export class SchoolFeaturesComponent implements OnInit {
+  private schoolService = inject(SchoolService);
+  private route = inject(ActivatedRoute);
+  private toastr = inject(ToastrService);
+
+  schoolId = '';
+  entitlements: SchoolEntitlements | null = null;
+  rows: FeatureRow[] = [];
+  loading = true;
+  busy = false;
+
+  // Grant / revoke dialog
+  editing: FeatureRow | null = null;
+  effect: 'grant' | 'revoke' = 'grant';
+  expiresOn = '';
+  reason = '';
+
+  // Remove-override dialog
+  removing: FeatureRow | null = null;
+  removeReason = '';
+
+  ngOnInit() {
+    this.schoolId = this.route.snapshot.paramMap.get('id') || '';
+    this.load();
+  }
+
+  load() {
+    this.schoolService.getEntitlements(this.schoolId).subscribe({
+      next: ({ data }) => {
+        this.entitlements = data.entitlements;
+        const features = new Set([...data.knownFeatures, ...data.entitlements.features]);
+        this.rows = [...features].sort().map(feature => {
+          const override = data.overrides.find(o => o.feature === feature) || null;
+          const source = data.entitlements.sources[feature];
+          return {
+            feature,
+            enabled: !!source,
+            source: source || (data.entitlements.revoked.includes(feature) ? 'revoked' : 'not in plan'),
+            override
+          };
+        });
+        this.loading = false;
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to load entitlements');
+        this.loading = false;
+      }
+    });
+  }
+
+  get minDate(): string {
+    return new Date(Date.now() + DAY_MS).toISOString().slice(0, 10);
+  }
+
+  openOverride(row: FeatureRow) {
+    this.editing = row;
+    this.effect = row.override?.effect || (row.enabled ? 'revoke' : 'grant');
+    this.expiresOn = (row.override?.expiresAt || new Date(Date.now() + 30 * DAY_MS).toISOString()).slice(0, 10);
+    this.reason = '';
+  }
+
+  confirmOverride() {
+    const row = this.editing;
+    if (!row || !this.expiresOn || !this.reason.trim()) return;
+    this.busy = true;
+    this.schoolService.setFeatureOverride(this.schoolId, row.feature, {
+      effect: this.effect,
+      // End of the chosen day
+      expiresAt: new Date(`${this.expiresOn}T23:59:59`).toISOString(),
+      reason: this.reason.trim()
+    }).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.editing = null;
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.errors?.[0]?.msg || err.error?.message || 'Failed to save override');
+        this.busy = false;
+      }
+    });
+  }
+
+  openRemove(row: FeatureRow) {
+    this.removing = row;
+    this.removeReason = '';
+  }
+
+  confirmRemove() {
+    const row = this.removing;
+    if (!row || !this.removeReason.trim()) return;
+    this.busy = true;
+    this.schoolService.removeFeatureOverride(this.schoolId, row.feature, this.removeReason.trim()).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.removing = null;
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to remove override');
+        this.busy = false;
+      }
+    });
+  }
+}
@@ -0,0 +1,188 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnDestroy, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { SchoolImport, SchoolImportRow, SchoolService } from '../../../shared/services/school.service';
+
+type RowFilter = SchoolImportRow['status'] | 'all';
+
+@Component({
+  selector: 'app-school-import',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterModule, PageBreadcrumbComponent],
+  templateUrl: './school-import.component.html',
+  styleUrl: './school-import.component.css'
+})
+export class SchoolImportComponent implements OnInit, OnDestroy {
+  private schoolService = inject(SchoolService);
+  private toastr = inject(ToastrService);
+
+  imports: SchoolImport[] = [];
+  current: SchoolImport | null = null;
+  filter: RowFilter = 'all';
+  uploading = false;
+  busy = false;
+
+  // rowId → ticked in the preview; valid rows start ticked
+  selected: Record<string, boolean> = {};
+
+  // Polls while the batch is being created or emails are going out
+  private pollTimer?: ReturnType<typeof setTimeout>;
+
+  readonly filters: { value: RowFilter; label: string }[] = [
+    { value: 'all', label: 'All' },
+    { value: 'valid', label: 'Valid' },
+    { value: 'invalid', label: 'Invalid' },
+    { value: 'queued', label: 'Queued' },
+    { value: 'created', label: 'Created' },
+    { value: 'failed', label: 'Failed' },
+    { value: 'skipped', label: 'Skipped' }
+  ];
+
+  ngOnInit() {
+    this.loadImports();
+  }
+
+  ngOnDestroy() {
+    clearTimeout(this.pollTimer);
+  }
+
+  get visibleRows(): SchoolImportRow[] {
+    if (!this.current) return [];
+    return this.filter === 'all' ? this.current.rows : this.current.rows.filter(r => r.status === this.filter);
+  }
+
+  get selectedCount(): number {
+    return this.current?.rows.filter(r => r.status === 'valid' && this.selected[r._id]).length ?? 0;
+  }
+
+  get isPreview(): boolean {
+    return this.current?.status === 'preview';
+  }
+
+  get isRunning(): boolean {
+    return !!this.current && (
+      ['queued', 'processing'].includes(this.current.status) || this.current.summary.emailsPending > 0
+    );
+  }
+
+  loadImports() {
+    this.schoolService.getImports().subscribe({
+      next: (res) => this.imports = res.data,
+      error: () => this.toastr.error('Failed to load imports')
+    });
+  }
+
+  openImport(id: string) {
+    clearTimeout(this.pollTimer);
+    this.schoolService.getImport(id).subscribe({
+      next: (res) => this.show(res.data),
+      error: () => this.toastr.error('Failed to load import')
+    });
+  }
+
+  onFileSelected(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    const isXlsx = /\.xlsx$/i.test(file.name);
+    const reader = new FileReader();
+    reader.onload = () => {
+      // Data URLs carry a "data:...;base64," prefix the server does not want
+      const content = isXlsx ? String(reader.result).split(',')[1] : String(reader.result);
+      this.uploading = true;
+      this.schoolService.previewImport(content, file.name).subscribe({
+        next: (res) => {
+          this.uploading = false;
+          input.value = '';
+          this.toastr.success(`${res.data.summary.valid} valid, ${res.data.summary.invalid} with errors`);
+          this.loadImports();
+          this.show(res.data);
+        },
+        error: (err) => {
+          this.uploading = false;
+          input.value = '';
+          this.toastr.error(err.error?.message || 'Failed to read the file');
+        }
+      });
+    };
+    if (isXlsx) reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  }
+
+  toggleAll(checked: boolean) {
+    this.current?.rows.filter(r => r.status === 'valid').forEach(r => this.selected[r._id] = checked);
+  }
+
+  confirmImport() {
+    if (!this.current || !this.selectedCount) return;
+    if (!confirm(`Create ${this.selectedCount} schools? Admins will get their welcome emails over the next few minutes.`)) return;
+
+    const rowIds = this.current.rows.filter(r => r.status === 'valid' && this.selected[r._id]).map(r => r._id);
+    this.busy = true;
+    this.schoolService.confirmImport(this.current._id, rowIds).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.loadImports();
+        this.show(res.data);
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to confirm import');
+        this.busy = false;
+      }
+    });
+  }
+
+  retryEmails() {
+    if (!this.current) return;
+    this.busy = true;
+    this.schoolService.retryImportEmails(this.current._id).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.openImport(this.current!._id);
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to queue emails');
+        this.busy = false;
+      }
+    });
+  }
+
+  downloadTemplate() {
+    this.schoolService.downloadImportTemplate().subscribe({
+      error: () => this.toastr.error('Failed to download template')
+    });
+  }
+
+  downloadReport() {
+    if (!this.current) return;
+    this.schoolService.downloadImportReport(this.current._id).subscribe({
+      error: () => this.toastr.error('Failed to download report')
+    });
+  }
+
+  formatDate(date: string) {
+    return new Date(date).toLocaleString('en-IN');
+  }
+
+  private show(schoolImport: SchoolImport) {
+    const wasRunning = this.current?._id === schoolImport._id && this.isRunning;
+    this.current = schoolImport;
+    this.selected = {};
+    schoolImport.rows.forEach(r => {
+      if (r.status === 'valid') this.selected[r._id] = true;
+    });
+
+    clearTimeout(this.pollTimer);
+    if (this.isRunning) {
+      this.pollTimer = setTimeout(() => this.openImport(schoolImport._id), 5000);
+    } else if (wasRunning) {
+      this.loadImports();
+    }
+  }
+}
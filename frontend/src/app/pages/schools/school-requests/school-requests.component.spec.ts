@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { SchoolRequestsComponent } from './school-requests.component';
+
+describe('SchoolRequestsComponent', () => {
+  let component: SchoolRequestsComponent;
+  let fixture: ComponentFixture<SchoolRequestsComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [SchoolRequestsComponent]
+    })
+    .compileComponents();
+    
+    fixture = TestBed.createComponent(SchoolRequestsComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
@@ -0,0 +1,126 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { Router, RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
+import { SchoolRequest, SchoolRequestStatus, SchoolService } from '../../../shared/services/school.service';
+
+@Component({
+  selector: 'app-school-requests',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './school-requests.component.html',
+  styleUrl: './school-requests.component.css'
+})
+export class SchoolRequestsComponent implements OnInit {
+  private schoolService = inject(SchoolService);
+  private toastr = inject(ToastrService);
+  private router = inject(Router);
+
+  requests: SchoolRequest[] = [];
+  status: SchoolRequestStatus | '' = 'pending';
+  loading = true;
+  busy = false;
+
+  // Reject dialog
+  rejecting: SchoolRequest | null = null;
+  reason = '';
+
+  readonly tabs: { value: SchoolRequestStatus | ''; label: string }[] = [
+    { value: 'pending', label: 'Pending' },
+    { value: 'approved', label: 'Approved' },
+    { value: 'rejected', label: 'Rejected' },
+    { value: 'completed', label: 'Registered' },
+    { value: '', label: 'All' }
+  ];
+
+  ngOnInit() {
+    this.load();
+  }
+
+  load() {
+    this.loading = true;
+    this.schoolService.getSchoolRequests(this.status || undefined).subscribe({
+      next: (res) => {
+        this.requests = res.data;
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load requests');
+        this.loading = false;
+      }
+    });
+  }
+
+  showTab(status: SchoolRequestStatus | '') {
+    this.status = status;
+    this.load();
+  }
+
+  approve(request: SchoolRequest) {
+    this.busy = true;
+    this.schoolService.approveSchoolRequest(request._id).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to approve request');
+        this.busy = false;
+      }
+    });
+  }
+
+  // Registration only accepts approved requests, so a pending one is approved first
+  convert(request: SchoolRequest) {
+    const open = () => {
+      this.router.navigate(['/register-school'], { queryParams: { pendingSchoolId: request._id } });
+    };
+    if (request.status === 'approved') {
+      open();
+      return;
+    }
+
+    this.busy = true;
+    this.schoolService.approveSchoolRequest(request._id).subscribe({
+      next: () => {
+        this.busy = false;
+        open();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to approve request');
+        this.busy = false;
+      }
+    });
+  }
+
+  openReject(request: SchoolRequest) {
+    this.rejecting = request;
+    this.reason = '';
+  }
+
+  closeReject() {
+    this.rejecting = null;
+  }
+
+  confirmReject() {
+    const request = this.rejecting;
+    if (!request || !this.reason.trim()) return;
+    this.busy = true;
+    this.schoolService.rejectSchoolRequest(request._id, this.reason.trim()).subscribe({
+      next: (res) => {
+        this.toastr.success(res.emailSent ? 'Request rejected, school notified by email' : 'Request rejected (email could not be sent)');
+        this.busy = false;
+        this.closeReject();
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to reject request');
+        this.busy = false;
+      }
+    });
+  }
+}
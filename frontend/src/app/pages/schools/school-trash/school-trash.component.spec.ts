@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { SchoolTrashComponent } from './school-trash.component';
+
+describe('SchoolTrashComponent', () => {
+  let component: SchoolTrashComponent;
+  let fixture: ComponentFixture<SchoolTrashComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [SchoolTrashComponent]
+    })
+    .compileComponents();
+    
+    fixture = TestBed.createComponent(SchoolTrashComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
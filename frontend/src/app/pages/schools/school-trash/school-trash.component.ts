@@ -0,0 +1,81 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { RouterModule } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../../shared/components/ui/modal/modal.component';
+import { DeletedSchool, SchoolService } from '../../../shared/services/school.service';
+
+@Component({
+  selector: 'app-school-trash',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './school-trash.component.html',
+  styleUrl: './school-trash.component.css'
+})
+export class SchoolTrashComponent implements OnInit {
+  private schoolService = inject(SchoolService);
+  private toastr = inject(ToastrService);
+
+  schools: DeletedSchool[] = [];
+  retentionDays = 0;
+  loading = true;
+
+  // Restore / purge dialog
+  selected: DeletedSchool | null = null;
+  action: 'restore' | 'purge' = 'restore';
+  reason = '';
+  busy = false;
+
+  ngOnInit() {
+    this.load();
+  }
+
+  load() {
+    this.loading = true;
+    this.schoolService.getTrash().subscribe({
+      next: (res) => {
+        this.schools = res.data;
+        this.retentionDays = res.retentionDays;
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load deleted schools');
+        this.loading = false;
+      }
+    });
+  }
+
+  canPurge(school: DeletedSchool) {
+    return new Date(school.purgeAfter) <= new Date();
+  }
+
+  open(school: DeletedSchool, action: 'restore' | 'purge') {
+    this.selected = school;
+    this.action = action;
+    this.reason = '';
+  }
+
+  close() {
+    this.selected = null;
+  }
+
+  confirm() {
+    const school = this.selected;
+    if (!school || !this.reason.trim()) return;
+    this.busy = true;
+    this.schoolService.changeStatus(school._id, this.action, this.reason.trim()).subscribe({
+      next: (res) => {
+        this.toastr.success(res.message);
+        this.busy = false;
+        this.close();
+        this.load();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || `Failed to ${this.action} school`);
+        this.busy = false;
+      }
+    });
+  }
+}
@@ -0,0 +1,148 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute } from '@angular/router';
+import { ToastrService } from 'ngx-toastr';
+import { PageBreadcrumbComponent } from '../../shared/components/common/page-breadcrumb/page-breadcrumb.component';
+import { ModalComponent } from '../../shared/components/ui/modal/modal.component';
+import { ChannelUsage, IssuedApiKey, SchoolUsage, UsagePeriod, UsageService } from '../../shared/services/usage.service';
+import { Plan, PlanService } from '../../shared/services/plan.service';
+
+@Component({
+  selector: 'app-usage',
+  standalone: true,
+  imports: [CommonModule, FormsModule, PageBreadcrumbComponent, ModalComponent],
+  templateUrl: './usage.component.html',
+  styleUrl: './usage.component.css'
+})
+export class UsageComponent implements OnInit {
+  private usageService = inject(UsageService);
+  private planService = inject(PlanService);
+  private route = inject(ActivatedRoute);
+  private toastr = inject(ToastrService);
+
+  rows: UsagePeriod[] = [];
+  period = new Date().toISOString().slice(0, 7);
+  minPercent = 0;
+  loading = true;
+
+  // History dialog
+  schoolId: string | null = null;
+  schoolName = '';
+  schoolUsage: SchoolUsage | null = null;
+  issuedKey: IssuedApiKey | null = null;
+
+  // Boost packs
+  boostPlans: Plan[] = [];
+  boostPlanType = '';
+  boostTransactionId = '';
+  addingBoost = false;
+
+  ngOnInit() {
+    this.loadUsage();
+    this.planService.getPlans().subscribe({
+      next: (plans) => this.boostPlans = plans.filter(p => p.tier === 'boost'),
+      error: () => this.boostPlans = []
+    });
+    const schoolId = this.route.snapshot.queryParamMap.get('school');
+    if (schoolId) this.openSchool(schoolId, this.route.snapshot.queryParamMap.get('name') || '');
+  }
+
+  loadUsage() {
+    this.loading = true;
+    this.usageService.getUsage(this.period, this.minPercent).subscribe({
+      next: (res) => {
+        this.rows = res.data;
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load usage');
+        this.loading = false;
+      }
+    });
+  }
+
+  schoolOf(row: UsagePeriod) {
+    return typeof row.schoolId === 'string' ? null : row.schoolId;
+  }
+
+  percentOf(usage: ChannelUsage | undefined) {
+    if (!usage?.limit) return usage?.used ? 100 : 0;
+    return Math.min(100, Math.round(usage.used * 100 / usage.limit));
+  }
+
+  barClass(percent: number) {
+    if (percent >= 100) return 'bg-red-500';
+    if (percent >= 80) return 'bg-amber-500';
+    return 'bg-green-500';
+  }
+
+  openSchool(schoolId: string, name: string) {
+    this.schoolId = schoolId;
+    this.schoolName = name;
+    this.schoolUsage = null;
+    this.issuedKey = null;
+    this.usageService.getSchoolUsage(schoolId).subscribe({
+      next: (res) => this.schoolUsage = res.data,
+      error: () => this.toastr.error('Failed to load school usage')
+    });
+  }
+
+  boostLabel(planType: string) {
+    return this.boostPlans.find(p => p.code === planType)?.name || planType;
+  }
+
+  addBoost() {
+    if (!this.schoolId || !this.boostPlanType) return;
+    this.addingBoost = true;
+    this.usageService.addBoost(this.schoolId, {
+      planType: this.boostPlanType,
+      transactionId: this.boostTransactionId.trim() || undefined
+    }).subscribe({
+      next: () => {
+        this.toastr.success('Boost added');
+        this.addingBoost = false;
+        this.boostPlanType = '';
+        this.boostTransactionId = '';
+        this.openSchool(this.schoolId!, this.schoolName);
+        this.loadUsage();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Failed to add boost');
+        this.addingBoost = false;
+      }
+    });
+  }
+
+  closeSchool() {
+    this.schoolId = null;
+    this.issuedKey = null;
+  }
+
+  issueKey() {
+    if (!this.schoolId) return;
+    if (!confirm('Issue a new API key? The school app stops working with its current key.')) return;
+    this.usageService.issueApiKey(this.schoolId).subscribe({
+      next: (res) => {
+        this.issuedKey = res.data;
+        this.toastr.success(res.message);
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Failed to issue API key')
+    });
+  }
+
+  revokeKey() {
+    if (!this.schoolId || !confirm('Revoke this school\'s API key?')) return;
+    this.usageService.revokeApiKey(this.schoolId).subscribe({
+      next: () => {
+        this.issuedKey = null;
+        this.toastr.success('API key revoked');
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Failed to revoke API key')
+    });
+  }
+
+  copyKey() {
+    if (this.issuedKey) navigator.clipboard.writeText(this.issuedKey.apiKey).then(() => this.toastr.success('Copied'));
+  }
+}
@@ -1,24 +1,44 @@
-import { Component } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { Component, EventEmitter, Input, Output, inject } from '@angular/core';
+import { ToastrService } from 'ngx-toastr';
 import { ButtonComponent } from '../../../ui/button/button.component';
 import { ModalComponent } from '../../../ui/modal/modal.component';
+import { InvoiceTableComponent } from '../../../invoice/invoice-table/invoice-table.component';
+import { Invoice, InvoiceService } from '../../../../services/invoice.service';
 
 @Component({
   selector: 'app-invoice-preview-modal',
   imports: [
+    CommonModule,
     ButtonComponent,
     ModalComponent,
+    InvoiceTableComponent,
   ],
   templateUrl: './invoice-preview-modal.component.html',
   styles: ``
 })
 export class InvoicePreviewModalComponent {
-  isOpen = false;
+  private invoiceService = inject(InvoiceService);
+  private toastr = inject(ToastrService);
 
-  openModal() {
-    this.isOpen = true;
-  }
+  @Input() invoice: Invoice | null = null;
+  @Output() close = new EventEmitter<void>();
+
+  downloading = false;
 
   closeModal() {
-    this.isOpen = false;
+    this.close.emit();
+  }
+
+  download() {
+    if (!this.invoice) return;
+    this.downloading = true;
+    this.invoiceService.downloadPdf(this.invoice).subscribe({
+      next: () => this.downloading = false,
+      error: () => {
+        this.toastr.error('Failed to download invoice');
+        this.downloading = false;
+      }
+    });
   }
 }
@@ -1,82 +1,256 @@
 import { CommonModule } from "@angular/common";
-import { Component, EventEmitter, Input, Output } from "@angular/core";
+import { Component, EventEmitter, inject, OnDestroy, OnInit, Output } from "@angular/core";
+import { FormsModule } from "@angular/forms";
+import { RouterModule } from "@angular/router";
+import { ToastrService } from "ngx-toastr";
+import { Subject, Subscription, debounceTime } from "rxjs";
+import { Plan, PlanService } from "../../services/plan.service";
+import { SchoolListFilters, SchoolListItem, SchoolService, SchoolSortField } from "../../services/school.service";
 
 @Component({
   selector: 'app-recent-schools',
   standalone: true,
-  imports: [CommonModule],
+  imports: [CommonModule, FormsModule, RouterModule],
   template: `
     <div class="rounded-2xl border border-gray-200 bg-white dark:border-gray-800 dark:bg-white/[0.03] p-5 md:p-6">
       <div class="flex items-center justify-between mb-4">
         <h3 class="text-lg font-semibold text-gray-800 dark:text-white/90">All Schools</h3>
-        <button class="text-sm text-blue-600 hover:text-blue-700" (click)="refresh.emit()">
+        <button class="text-sm text-blue-600 hover:text-blue-700" (click)="reload(); refresh.emit()">
           Refresh
         </button>
       </div>
+
+      <!-- Filters -->
+      <div class="grid grid-cols-2 gap-2 mb-4 md:grid-cols-4 xl:grid-cols-8 text-sm">
+        <input type="text" [(ngModel)]="filters.search" (ngModelChange)="searchChanged.next()" placeholder="Name, code or email"
+               class="col-span-2 rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90" />
+        <select [(ngModel)]="filters.planType" (ngModelChange)="applyFilters()"
+                class="rounded-lg border border-gray-300 px-2 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90">
+          <option value="">All plans</option>
+          <option *ngFor="let p of plans" [value]="p.code">{{ p.name }}</option>
+          <option value="none">No plan</option>
+        </select>
+        <select [(ngModel)]="filters.status" (ngModelChange)="applyFilters()"
+                class="rounded-lg border border-gray-300 px-2 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90">
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="grace_period">Grace period</option>
+          <option value="expired">Expired</option>
+          <option value="canceled">Canceled</option>
+          <option value="pending">Pending</option>
+          <option value="inactive">No plan</option>
+        </select>
+        <select [(ngModel)]="filters.type" (ngModelChange)="applyFilters()"
+                class="rounded-lg border border-gray-300 px-2 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90">
+          <option value="">Trial &amp; paid</option>
+          <option value="trial">Trial</option>
+          <option value="paid">Paid</option>
+        </select>
+        <select [(ngModel)]="filters.expiringWithin" (ngModelChange)="applyFilters()"
+                class="rounded-lg border border-gray-300 px-2 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90">
+          <option [ngValue]="null">Any expiry</option>
+          <option [ngValue]="7">Expiring in 7 days</option>
+          <option [ngValue]="15">Expiring in 15 days</option>
+          <option [ngValue]="30">Expiring in 30 days</option>
+        </select>
+        <input type="text" [(ngModel)]="filters.city" (ngModelChange)="searchChanged.next()" placeholder="City"
+               class="rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90" />
+        <input type="text" [(ngModel)]="filters.state" (ngModelChange)="searchChanged.next()" placeholder="State"
+               class="rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90" />
+        <div class="col-span-2 flex items-center gap-2">
+          <span class="text-gray-500 whitespace-nowrap">Joined</span>
+          <input type="date" [(ngModel)]="filters.createdFrom" (ngModelChange)="applyFilters()"
+                 class="w-full rounded-lg border border-gray-300 px-2 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90" />
+          <span class="text-gray-500">–</span>
+          <input type="date" [(ngModel)]="filters.createdTo" (ngModelChange)="applyFilters()"
+                 class="w-full rounded-lg border border-gray-300 px-2 py-2 dark:border-gray-700 dark:bg-gray-900 dark:text-white/90" />
+        </div>
+        <button class="text-sm text-gray-500 hover:text-gray-700 text-left" (click)="clearFilters()">Clear filters</button>
+      </div>
+
       <div class="overflow-x-auto">
         <table class="w-full text-sm">
           <thead>
             <tr class="text-left text-gray-500 border-b dark:border-gray-700">
-              <th class="pb-2">School</th>
-              <th class="pb-2">Plan</th>
-              <th class="pb-2">Status</th>
-              <th class="pb-2">Expires</th>
+              <th *ngFor="let c of columns" class="pb-2 cursor-pointer select-none" (click)="sortBy(c.field)">
+                {{ c.label }}
+                <span *ngIf="sort.sortBy === c.field">{{ sort.sortDir === 'asc' ? '▲' : '▼' }}</span>
+              </th>
               <th class="pb-2">Action</th>
             </tr>
           </thead>
           <tbody>
-            <tr *ngFor="let s of schools" class="border-b dark:border-gray-700">
-              <td class="py-3">
-                <div>
-                  <div class="font-medium text-gray-800 dark:text-white/90">{{ s.schoolName }}</div>
-                  <div class="text-xs text-gray-500">Joined {{ formatDate(s.createdAt) }}</div>
-                </div>
-              </td>
-              <td class="py-3">
-                <span class="inline-flex items-center gap-1 text-xs font-medium px-2 py-1 rounded-full"
-                      [ngClass]="{
-                        'bg-yellow-100 text-yellow-800': s.isTrial,
-                        'bg-green-100 text-green-800': s.planType.includes('premium'),
-                        'bg-blue-100 text-blue-800': s.planType.includes('basic')
-                      }">
-                  {{ s.planType | titlecase }} <span *ngIf="s.isTrial">(Trial)</span>
-                </span>
-              </td>
-              <td class="py-3">
-                <span class="inline-flex text-xs font-medium px-2 py-1 rounded-full"
-                      [ngClass]="{
-                        'bg-green-100 text-green-800': s.status === 'active',
-                        'bg-red-100 text-red-800': s.status === 'expired'
-                      }">
-                  {{ s.status | titlecase }}
-                </span>
-              </td>
-              <td class="py-3 text-sm">
-                <span [class.text-red-600]="s.daysRemaining <= 0">
-                  {{ s.daysRemaining > 0 ? s.daysRemaining + ' days' : 'Expired' }}
-                </span>
-              </td>
-              <td class="py-3">
-                <button *ngIf="s.status === 'none'"
-                        class="text-xs px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700"
-                        (click)="activateTrial.emit(s._id)">
-                  Activate Trial
-                </button>
-                <span *ngIf="s.status !== 'none'" class="text-gray-400">—</span>
-              </td>
-            </tr>
+            <tr *ngIf="loading"><td colspan="5" class="py-6 text-center text-gray-500">Loading...</td></tr>
+            <tr *ngIf="!loading && !schools.length"><td colspan="5" class="py-6 text-center text-gray-500">No schools match these filters.</td></tr>
+            <ng-container *ngIf="!loading">
+              <tr *ngFor="let s of schools" class="border-b dark:border-gray-700">
+                <td class="py-3">
+                  <div>
+                    <a class="font-medium text-gray-800 hover:text-blue-600 dark:text-white/90" [routerLink]="['/schools', s._id]">{{ s.schoolName }}</a>
+                    <span *ngIf="s.suspended" class="ml-1 text-xs font-medium px-2 py-0.5 rounded-full bg-orange-100 text-orange-800">Suspended</span>
+                    <div class="text-xs text-gray-500">
+                      {{ s.code }}<span *ngIf="s.city"> · {{ s.city }}</span> · Joined {{ formatDate(s.createdAt) }}
+                    </div>
+                  </div>
+                </td>
+                <td class="py-3">
+                  <span class="inline-flex items-center gap-1 text-xs font-medium px-2 py-1 rounded-full"
+                        [ngClass]="{
+                          'bg-yellow-100 text-yellow-800': s.isTrial,
+                          'bg-green-100 text-green-800': s.planType.includes('premium'),
+                          'bg-blue-100 text-blue-800': s.planType.includes('basic')
+                        }">
+                    {{ s.planName }}
+                  </span>
+                </td>
+                <td class="py-3">
+                  <span class="inline-flex text-xs font-medium px-2 py-1 rounded-full"
+                        [ngClass]="{
+                          'bg-green-100 text-green-800': s.status === 'active',
+                          'bg-orange-100 text-orange-800': s.status === 'grace_period',
+                          'bg-red-100 text-red-800': s.status === 'expired'
+                        }">
+                    {{ s.status === 'grace_period' ? 'Grace Period' : (s.status | titlecase) }}
+                  </span>
+                </td>
+                <td class="py-3 text-sm">
+                  <span [class.text-red-600]="s.daysRemaining <= 0">
+                    {{ s.daysRemaining > 0 ? s.daysRemaining + ' days' : 'Expired' }}
+                  </span>
+                </td>
+                <td class="py-3">
+                  <button *ngIf="s.status === 'inactive'"
+                          class="text-xs px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700"
+                          (click)="activateTrial.emit(s._id)">
+                    Activate Trial
+                  </button>
+                  <span *ngIf="s.status !== 'inactive'" class="text-gray-400">—</span>
+                </td>
+              </tr>
+            </ng-container>
           </tbody>
         </table>
       </div>
+
+      <!-- Paging -->
+      <div class="flex items-center justify-between pt-4 text-sm text-gray-500">
+        <span>Showing {{ startEntry }} to {{ endEntry }} of {{ total }}</span>
+        <div class="flex items-center gap-2">
+          <button class="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-700 disabled:opacity-50"
+                  [disabled]="page === 1" (click)="goToPage(page - 1)">Previous</button>
+          <span>Page {{ page }} of {{ totalPages }}</span>
+          <button class="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-700 disabled:opacity-50"
+                  [disabled]="page >= totalPages" (click)="goToPage(page + 1)">Next</button>
+        </div>
+      </div>
     </div>
   `
 })
-export class RecentSchoolsComponent {
-  @Input() schools: any[] = [];
+export class RecentSchoolsComponent implements OnInit, OnDestroy {
+  private schoolService = inject(SchoolService);
+  private planService = inject(PlanService);
+  private toastr = inject(ToastrService);
+
   @Output() refresh = new EventEmitter();
   @Output() activateTrial = new EventEmitter<string>();
 
+  readonly columns: { field: SchoolSortField; label: string }[] = [
+    { field: 'name', label: 'School' },
+    { field: 'plan', label: 'Plan' },
+    { field: 'status', label: 'Status' },
+    { field: 'expiresAt', label: 'Expires' }
+  ];
+
+  schools: SchoolListItem[] = [];
+  plans: Plan[] = [];
+  total = 0;
+  totalPages = 1;
+  page = 1;
+  readonly limit = 20;
+  loading = false;
+
+  filters: SchoolListFilters = this.emptyFilters();
+  sort: { sortBy: SchoolSortField; sortDir: 'asc' | 'desc' } = { sortBy: 'createdAt', sortDir: 'desc' };
+
+  // Typed filters wait for a pause before hitting the server
+  searchChanged = new Subject<void>();
+  private searchSub?: Subscription;
+
+  get startEntry(): number {
+    return this.total === 0 ? 0 : (this.page - 1) * this.limit + 1;
+  }
+
+  get endEntry(): number {
+    return Math.min(this.page * this.limit, this.total);
+  }
+
+  ngOnInit() {
+    this.searchSub = this.searchChanged.pipe(debounceTime(300)).subscribe(() => this.applyFilters());
+    this.planService.getPlans(true).subscribe({
+      next: (plans) => this.plans = plans.filter(p => p.tier !== 'boost')
+    });
+    this.reload();
+  }
+
+  ngOnDestroy() {
+    this.searchSub?.unsubscribe();
+  }
+
+  reload() {
+    this.loading = true;
+    this.schoolService.listSchools({
+      ...this.filters,
+      search: this.filters.search?.trim(),
+      city: this.filters.city?.trim(),
+      state: this.filters.state?.trim(),
+      page: this.page,
+      limit: this.limit,
+      sortBy: this.sort.sortBy,
+      sortDir: this.sort.sortDir
+    }).subscribe({
+      next: (res) => {
+        this.schools = res.data;
+        this.total = res.pagination.total;
+        this.totalPages = res.pagination.pages || 1;
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load schools');
+        this.loading = false;
+      }
+    });
+  }
+
+  applyFilters() {
+    this.page = 1;
+    this.reload();
+  }
+
+  clearFilters() {
+    this.filters = this.emptyFilters();
+    this.applyFilters();
+  }
+
+  sortBy(field: SchoolSortField) {
+    this.sort = {
+      sortBy: field,
+      sortDir: this.sort.sortBy === field && this.sort.sortDir === 'asc' ? 'desc' : 'asc'
+    };
+    this.applyFilters();
+  }
+
+  goToPage(page: number) {
+    if (page >= 1 && page <= this.totalPages) {
+      this.page = page;
+      this.reload();
+    }
+  }
+
   formatDate(date: string) {
     return new Date(date).toLocaleDateString('en-IN');
   }
-}
\ No newline at end of file
+
+  private emptyFilters(): SchoolListFilters {
+    return { search: '', planType: '', status: '', type: '', expiringWithin: null, city: '', state: '', createdFrom: '', createdTo: '' };
+  }
+}
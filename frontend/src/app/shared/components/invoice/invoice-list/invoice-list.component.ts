@@ -1,19 +1,16 @@
 import { CommonModule } from '@angular/common';
-import { Component, ElementRef, HostListener } from '@angular/core';
+import { Component, ElementRef, HostListener, Input, OnDestroy, OnInit, inject } from '@angular/core';
 import { FormsModule } from '@angular/forms';
+import { Subject, Subscription, debounceTime } from 'rxjs';
+import { ToastrService } from 'ngx-toastr';
 import { TableDropdownComponent } from '../../common/table-dropdown/table-dropdown.component';
+import { InvoicePreviewModalComponent } from '../../ecommerce/create-invoice/invoice-preview-modal/invoice-preview-modal.component';
+import { ModalComponent } from '../../ui/modal/modal.component';
+import { Invoice, InvoiceFilters, InvoiceService } from '../../../services/invoice.service';
 
-interface Invoice {
-  id: number;
-  number: string;
-  customer: string;
-  creationDate: string;
-  dueDate: string;
-  total: number;
-  status: "Paid" | "Unpaid" | "Draft";
-}
+type StatusFilter = 'All' | 'Paid' | 'Refunded' | 'Cancelled';
 interface SortState {
-  sortBy: "number" | "customer" | "creationDate" | "dueDate" | "total";
+  sortBy: "number" | "customer" | "issuedAt" | "total";
   sortDirection: "asc" | "desc";
 }
 
@@ -23,249 +20,48 @@ interface SortState {
     CommonModule,
     FormsModule,
     TableDropdownComponent,
+    InvoicePreviewModalComponent,
+    ModalComponent,
   ],
   templateUrl: './invoice-list.component.html',
   styles: ``
 })
-export class InvoiceListComponent {
-
-  invoices: Invoice[] = [
-    {
-      id: 1,
-      number: "#323534",
-      customer: "Lindsey Curtis",
-      creationDate: "August 7, 2028",
-      dueDate: "February 28, 2028",
-      total: 999,
-      status: "Paid",
-    },
-    {
-      id: 2,
-      number: "#323535",
-      customer: "John Doe",
-      creationDate: "July 1, 2028",
-      dueDate: "January 1, 2029",
-      total: 1200,
-      status: "Unpaid",
-    },
-    {
-      id: 3,
-      number: "#323536",
-      customer: "Jane Smith",
-      creationDate: "June 15, 2028",
-      dueDate: "December 15, 2028",
-      total: 850,
-      status: "Draft",
-    },
-    {
-      id: 4,
-      number: "#323537",
-      customer: "Michael Brown",
-      creationDate: "May 10, 2028",
-      dueDate: "November 10, 2028",
-      total: 1500,
-      status: "Paid",
-    },
-    {
-      id: 5,
-      number: "#323538",
-      customer: "Emily Davis",
-      creationDate: "April 5, 2028",
-      dueDate: "October 5, 2028",
-      total: 700,
-      status: "Unpaid",
-    },
-    {
-      id: 6,
-      number: "#323539",
-      customer: "Chris Wilson",
-      creationDate: "March 1, 2028",
-      dueDate: "September 1, 2028",
-      total: 1100,
-      status: "Paid",
-    },
-    {
-      id: 7,
-      number: "#323540",
-      customer: "Jessica Lee",
-      creationDate: "February 20, 2028",
-      dueDate: "August 20, 2028",
-      total: 950,
-      status: "Draft",
-    },
-    {
-      id: 8,
-      number: "#323541",
-      customer: "David Kim",
-      creationDate: "January 15, 2028",
-      dueDate: "July 15, 2028",
-      total: 1300,
-      status: "Paid",
-    },
-    {
-      id: 9,
-      number: "#323542",
-      customer: "Sarah Clark",
-      creationDate: "December 10, 2027",
-      dueDate: "June 10, 2028",
-      total: 800,
-      status: "Unpaid",
-    },
-    {
-      id: 10,
-      number: "#323543",
-      customer: "Matthew Lewis",
-      creationDate: "November 5, 2027",
-      dueDate: "May 5, 2028",
-      total: 1400,
-      status: "Paid",
-    },
-    {
-      id: 11,
-      number: "#323544",
-      customer: "Olivia Walker",
-      creationDate: "October 1, 2027",
-      dueDate: "April 1, 2028",
-      total: 1200,
-      status: "Draft",
-    },
-    {
-      id: 12,
-      number: "#323545",
-      customer: "Daniel Hall",
-      creationDate: "September 20, 2027",
-      dueDate: "March 20, 2028",
-      total: 1000,
-      status: "Paid",
-    },
-    {
-      id: 13,
-      number: "#323546",
-      customer: "Sophia Allen",
-      creationDate: "August 15, 2027",
-      dueDate: "February 15, 2028",
-      total: 900,
-      status: "Unpaid",
-    },
-    {
-      id: 14,
-      number: "#323547",
-      customer: "James Young",
-      creationDate: "July 10, 2027",
-      dueDate: "January 10, 2028",
-      total: 1600,
-      status: "Paid",
-    },
-    {
-      id: 15,
-      number: "#323548",
-      customer: "Ava Hernandez",
-      creationDate: "June 5, 2027",
-      dueDate: "December 5, 2027",
-      total: 1050,
-      status: "Draft",
-    },
-    {
-      id: 16,
-      number: "#323549",
-      customer: "William King",
-      creationDate: "May 1, 2027",
-      dueDate: "November 1, 2027",
-      total: 1150,
-      status: "Paid",
-    },
-    {
-      id: 17,
-      number: "#323550",
-      customer: "Mia Wright",
-      creationDate: "April 20, 2027",
-      dueDate: "October 20, 2027",
-      total: 980,
-      status: "Unpaid",
-    },
-    {
-      id: 18,
-      number: "#323551",
-      customer: "Benjamin Lopez",
-      creationDate: "March 15, 2027",
-      dueDate: "September 15, 2027",
-      total: 1250,
-      status: "Paid",
-    },
-    {
-      id: 19,
-      number: "#323552",
-      customer: "Charlotte Hill",
-      creationDate: "February 10, 2027",
-      dueDate: "August 10, 2027",
-      total: 890,
-      status: "Draft",
-    },
-    {
-      id: 20,
-      number: "#323553",
-      customer: "Elijah Scott",
-      creationDate: "January 5, 2027",
-      dueDate: "July 5, 2027",
-      total: 1350,
-      status: "Paid",
-    },
-    {
-      id: 21,
-      number: "#323554",
-      customer: "Amelia Green",
-      creationDate: "December 1, 2026",
-      dueDate: "June 1, 2027",
-      total: 1020,
-      status: "Unpaid",
-    },
-    {
-      id: 22,
-      number: "#323555",
-      customer: "Lucas Adams",
-      creationDate: "November 20, 2026",
-      dueDate: "May 20, 2027",
-      total: 1120,
-      status: "Paid",
-    },
-    {
-      id: 23,
-      number: "#323556",
-      customer: "Harper Nelson",
-      creationDate: "October 15, 2026",
-      dueDate: "April 15, 2027",
-      total: 970,
-      status: "Draft",
-    },
-    {
-      id: 24,
-      number: "#323557",
-      customer: "Henry Carter",
-      creationDate: "September 10, 2026",
-      dueDate: "March 10, 2027",
-      total: 1280,
-      status: "Paid",
-    },
-    {
-      id: 25,
-      number: "#323558",
-      customer: "Evelyn Mitchell",
-      creationDate: "August 5, 2026",
-      dueDate: "February 5, 2027",
-      total: 1080,
-      status: "Unpaid",
-    },
-  ];
-
-
-  selected: number[] = [];
-  sort: SortState = { sortBy: 'number', sortDirection: 'asc' };
+export class InvoiceListComponent implements OnInit, OnDestroy {
+  private invoiceService = inject(InvoiceService);
+  private toastr = inject(ToastrService);
+
+  // Limit the list to one school (e.g. on a school detail page)
+  @Input() schoolId?: string;
+
+  invoices: Invoice[] = [];
+  total = 0;
+  totalPages = 1;
+  financialYears: string[] = [];
+  loading = false;
+
+  selected: string[] = [];
+  sort: SortState = { sortBy: 'issuedAt', sortDirection: 'desc' };
   currentPage: number = 1;
-  filterStatus: 'All' | 'Unpaid' | 'Draft' | 'Paid' = 'All';
+  filterStatus: StatusFilter = 'All';
   search: string = '';
   showFilter: boolean = false;
   itemsPerPage: number = 10;
 
+  // Filter dropdown (applied on "Apply")
+  financialYear = '';
+  fromDate = '';
+  toDate = '';
+
+  previewInvoice: Invoice | null = null;
+
+  // Refund modal
+  refundInvoice: Invoice | null = null;
+  refundForm = { amount: 0, reason: '', reference: '', manual: false, cancel: true };
+  refunding = false;
+
+  private searchChanged = new Subject<void>();
+  private searchSub?: Subscription;
+
   constructor(private elementRef: ElementRef) {}
 
   @HostListener('document:click', ['$event'])
@@ -276,52 +72,12 @@ export class InvoiceListComponent {
     }
   }
 
-  get filteredInvoices(): Invoice[] {
-    return this.filterStatus === 'All'
-      ? this.invoices
-      : this.invoices.filter(invoice => invoice.status === this.filterStatus);
-  }
-
-  get searchedInvoices(): Invoice[] {
-    return this.filteredInvoices.filter(
-      invoice =>
-        invoice.number.toLowerCase().includes(this.search.toLowerCase()) ||
-        invoice.customer.toLowerCase().includes(this.search.toLowerCase())
-    );
-  }
-
-  get sortedInvoices(): Invoice[] {
-    return [...this.searchedInvoices].sort((a, b) => {
-      let valA: string | number = a[this.sort.sortBy];
-      let valB: string | number = b[this.sort.sortBy];
-      if (this.sort.sortBy === 'total') {
-        valA = Number(valA);
-        valB = Number(valB);
-      } else {
-        valA = typeof valA === 'string' ? valA.toLowerCase() : valA;
-        valB = typeof valB === 'string' ? valB.toLowerCase() : valB;
-      }
-      if (valA < valB) return this.sort.sortDirection === 'asc' ? -1 : 1;
-      if (valA > valB) return this.sort.sortDirection === 'asc' ? 1 : -1;
-      return 0;
-    });
-  }
-
-  get paginatedInvoices(): Invoice[] {
-    const start = (this.currentPage - 1) * this.itemsPerPage;
-    return this.sortedInvoices.slice(start, start + this.itemsPerPage);
-  }
-
-  get totalPages(): number {
-    return Math.ceil(this.sortedInvoices.length / this.itemsPerPage) || 1;
-  }
-
   get startEntry(): number {
-    return this.sortedInvoices.length === 0 ? 0 : (this.currentPage - 1) * this.itemsPerPage + 1;
+    return this.total === 0 ? 0 : (this.currentPage - 1) * this.itemsPerPage + 1;
   }
 
   get endEntry(): number {
-    return Math.min(this.currentPage * this.itemsPerPage, this.sortedInvoices.length);
+    return Math.min(this.currentPage * this.itemsPerPage, this.total);
   }
 
   get visiblePages(): number[] {
@@ -335,57 +91,177 @@ export class InvoiceListComponent {
   }
 
   get allPaginatedSelected(): boolean {
-    return this.paginatedInvoices.length > 0 && this.paginatedInvoices.every(invoice => this.selected.includes(invoice.id));
+    return this.invoices.length > 0 && this.invoices.every(invoice => this.selected.includes(invoice._id));
+  }
+
+  ngOnInit(): void {
+    this.searchSub = this.searchChanged.pipe(debounceTime(300)).subscribe(() => {
+      this.currentPage = 1;
+      this.loadInvoices();
+    });
+    this.loadInvoices();
+  }
+
+  ngOnDestroy(): void {
+    this.searchSub?.unsubscribe();
+  }
+
+  loadInvoices(): void {
+    const filters: InvoiceFilters = {
+      status: this.filterStatus === 'All' ? undefined : this.filterStatus.toLowerCase(),
+      schoolId: this.schoolId,
+      financialYear: this.financialYear,
+      from: this.fromDate,
+      to: this.toDate,
+      search: this.search.trim(),
+      page: this.currentPage,
+      limit: this.itemsPerPage,
+      sortBy: this.sort.sortBy,
+      sortDir: this.sort.sortDirection
+    };
+
+    this.loading = true;
+    this.invoiceService.getInvoices(filters).subscribe({
+      next: (res) => {
+        this.invoices = res.data;
+        this.total = res.pagination.total;
+        this.totalPages = res.pagination.pages || 1;
+        this.financialYears = res.financialYears;
+        this.selected = [];
+        this.loading = false;
+      },
+      error: () => {
+        this.toastr.error('Failed to load invoices');
+        this.loading = false;
+      }
+    });
   }
 
-  ngOnInit(): void {}
+  onSearchChange(): void {
+    this.searchChanged.next();
+  }
 
   toggleSelectAll(): void {
     if (this.allPaginatedSelected) {
       this.selected = [];
     } else {
-      this.selected = this.paginatedInvoices.map(i => i.id);
+      this.selected = this.invoices.map(i => i._id);
     }
   }
 
-  toggleRow(id: number): void {
+  toggleRow(id: string): void {
     this.selected = this.selected.includes(id)
       ? this.selected.filter(i => i !== id)
       : [...this.selected, id];
   }
 
-  sortBy(field: 'number' | 'customer' | 'creationDate' | 'dueDate' | 'total'): void {
+  sortBy(field: SortState['sortBy']): void {
     this.sort = {
       sortBy: field,
       sortDirection: this.sort.sortBy === field && this.sort.sortDirection === 'asc' ? 'desc' : 'asc'
     };
     this.currentPage = 1;
+    this.loadInvoices();
   }
 
   goToPage(page: number): void {
     if (page >= 1 && page <= this.totalPages) {
       this.currentPage = page;
+      this.loadInvoices();
     }
   }
 
   nextPage(): void {
-    if (this.currentPage < this.totalPages) {
-      this.currentPage++;
-    }
+    this.goToPage(this.currentPage + 1);
   }
 
   previousPage(): void {
-    if (this.currentPage > 1) {
-      this.currentPage--;
-    }
+    this.goToPage(this.currentPage - 1);
   }
 
-  setFilterStatus(status: 'All' | 'Unpaid' | 'Draft' | 'Paid'): void {
+  setFilterStatus(status: StatusFilter): void {
     this.filterStatus = status;
     this.currentPage = 1;
+    this.loadInvoices();
   }
 
   toggleFilter(): void {
     this.showFilter = !this.showFilter;
   }
+
+  applyFilters(): void {
+    this.showFilter = false;
+    this.currentPage = 1;
+    this.loadInvoices();
+  }
+
+  clearFilters(): void {
+    this.financialYear = '';
+    this.fromDate = '';
+    this.toDate = '';
+    this.applyFilters();
+  }
+
+  view(invoice: Invoice): void {
+    this.invoiceService.getInvoice(invoice._id).subscribe({
+      next: (res) => this.previewInvoice = res.data,
+      error: () => this.toastr.error('Failed to load invoice')
+    });
+  }
+
+  download(invoice: Invoice): void {
+    this.invoiceService.downloadPdf(invoice).subscribe({
+      error: () => this.toastr.error(`Failed to download ${invoice.invoiceNumber}`)
+    });
+  }
+
+  refundable(invoice: Invoice): number {
+    return Math.round((invoice.totalAmount - (invoice.refundedAmount || 0)) * 100) / 100;
+  }
+
+  openRefund(invoice: Invoice): void {
+    this.refundInvoice = invoice;
+    this.refundForm = { amount: this.refundable(invoice), reason: '', reference: '', manual: invoice.paymentMethod === 'bank_transfer', cancel: true };
+  }
+
+  closeRefund(): void {
+    this.refundInvoice = null;
+  }
+
+  submitRefund(): void {
+    const invoice = this.refundInvoice;
+    if (!invoice) return;
+    if (!this.refundForm.reason.trim()) {
+      this.toastr.error('Enter a reason for the refund');
+      return;
+    }
+    if (!(this.refundForm.amount > 0) || this.refundForm.amount > this.refundable(invoice)) {
+      this.toastr.error(`Refund must be between ₹0.01 and ₹${this.refundable(invoice)}`);
+      return;
+    }
+
+    this.refunding = true;
+    this.invoiceService.refund(invoice, {
+      amount: this.refundForm.amount,
+      reason: this.refundForm.reason.trim(),
+      reference: this.refundForm.reference.trim() || undefined,
+      manual: this.refundForm.manual,
+      cancel: this.refundForm.cancel
+    }).subscribe({
+      next: (res) => {
+        this.toastr.success(`${res.message} (${res.data.creditNote.creditNoteNumber})`);
+        this.refunding = false;
+        this.refundInvoice = null;
+        this.loadInvoices();
+      },
+      error: (err) => {
+        this.toastr.error(err.error?.message || 'Refund failed');
+        this.refunding = false;
+      }
+    });
+  }
+
+  downloadSelected(): void {
+    this.invoices.filter(i => this.selected.includes(i._id)).forEach(i => this.download(i));
+  }
 }
@@ -1,5 +1,6 @@
 import { CommonModule } from '@angular/common';
-import { Component } from '@angular/core';
+import { Component, Input } from '@angular/core';
+import { InvoiceLineItem } from '../../../services/invoice.service';
 
 @Component({
   selector: 'app-invoice-table',
@@ -11,18 +12,6 @@ import { Component } from '@angular/core';
 })
 export class InvoiceTableComponent {
 
-  items = [
-    { product: 'TailGrids', quantity: 1, unitCost: '$48' },
-    { product: 'TailGrids', quantity: 1, unitCost: '$48' },
-    { product: 'TailGrids', quantity: 1, unitCost: '$48' },
-    { product: 'TailGrids', quantity: 1, unitCost: '$48' },
-  ];
-
-  rows = [
-    { sno: 1, product: 'Macbook pro 13”', qty: 1, unitCost: '$48', discount: '0%', total: '$1,200' },
-    { sno: 2, product: 'Apple Watch Ultra', qty: 1, unitCost: '$300', discount: '50%', total: '$150' },
-    { sno: 3, product: 'iPhone 15 Pro Max', qty: 3, unitCost: '$800', discount: '0%', total: '$1,600' },
-    { sno: 4, product: 'iPad Pro 3rd Gen', qty: 1, unitCost: '$900', discount: '0%', total: '$900' },
-  ];
+  @Input() items: InvoiceLineItem[] = [];
 
 }
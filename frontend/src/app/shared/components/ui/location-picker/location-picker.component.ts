@@ -0,0 +1,86 @@
+import { CommonModule } from '@angular/common';
+import { Component, EventEmitter, Input, OnChanges, Output } from '@angular/core';
+import { GoogleMap, MapMarker } from '@angular/google-maps';
+
+export interface PickedAddress {
+  street: string;
+  city: string;
+  state: string;
+  country: string;
+  postalCode: string;
+}
+
+export interface PickedLocation {
+  lat: number;
+  lng: number;
+  address: PickedAddress | null; // reverse-geocoded; null when the lookup fails
+}
+
+// Map with a single pin. Clicking moves the pin and emits the coordinates
+// together with the address Google resolves for them.
+@Component({
+  selector: 'app-location-picker',
+  standalone: true,
+  imports: [CommonModule, GoogleMap, MapMarker],
+  template: `
+    <div class="relative mt-2 rounded-xl overflow-hidden border border-gray-300 dark:border-gray-600 shadow">
+      <div class="absolute top-3 right-3 z-10 bg-white dark:bg-gray-800 px-3 py-1 rounded text-xs shadow-md">
+        Click to place pin
+      </div>
+      <google-map [height]="height" width="100%" [center]="center" [zoom]="zoom" (mapClick)="onMapClick($event)">
+        @if (location) {
+          <map-marker [position]="location" [title]="title"></map-marker>
+        }
+      </google-map>
+    </div>
+    <p class="text-xs text-gray-500 dark:text-gray-400 mt-2 text-center">Click anywhere on the map to set coordinates</p>
+  `
+})
+export class LocationPickerComponent implements OnChanges {
+  @Input() location: google.maps.LatLngLiteral | null = null;
+  @Input() height = '320px';
+  @Input() title = 'School Location';
+  @Output() locationChange = new EventEmitter<PickedLocation>();
+
+  center: google.maps.LatLngLiteral = { lat: 28.6139, lng: 77.2090 };
+  zoom = 12;
+
+  ngOnChanges() {
+    if (this.location) this.center = { ...this.location };
+  }
+
+  onMapClick(event: google.maps.MapMouseEvent) {
+    if (!event.latLng) return;
+    const lat = event.latLng.lat();
+    const lng = event.latLng.lng();
+    this.location = { lat, lng };
+    this.reverseGeocode(lat, lng);
+  }
+
+  private reverseGeocode(lat: number, lng: number) {
+    if (!window.google?.maps) {
+      this.locationChange.emit({ lat, lng, address: null });
+      return;
+    }
+    const geocoder = new window.google.maps.Geocoder();
+    geocoder.geocode({ location: { lat, lng } }, (results, status) => {
+      if (status !== 'OK' || !results?.[0]) {
+        this.locationChange.emit({ lat, lng, address: null });
+        return;
+      }
+      const addr = results[0];
+      const comp = addr.address_components || [];
+      this.locationChange.emit({
+        lat,
+        lng,
+        address: {
+          street: addr.formatted_address || '',
+          city: comp.find(c => c.types.includes('locality'))?.long_name || '',
+          state: comp.find(c => c.types.includes('administrative_area_level_1'))?.long_name || '',
+          country: comp.find(c => c.types.includes('country'))?.long_name || 'India',
+          postalCode: comp.find(c => c.types.includes('postal_code'))?.long_name || ''
+        }
+      });
+    });
+  }
+}
@@ -1,15 +1,20 @@
 import { CommonModule } from '@angular/common';
 import { HttpClient } from '@angular/common/http';
-import { Component, signal } from '@angular/core';
+import { Component, OnDestroy, signal } from '@angular/core';
 import { FormBuilder, FormGroup, ReactiveFormsModule, Validators } from '@angular/forms';
-import { Router, RouterModule } from '@angular/router';
+import { ActivatedRoute, Router, RouterModule } from '@angular/router';
 import { AuthService } from '../../../services/auth.service';
 import { ToastrService } from 'ngx-toastr';
+import { Subscription, debounceTime, merge } from 'rxjs';
 import { environment } from '../../../../../environment/environments';
-import { GoogleMap, MapMarker } from '@angular/google-maps';
 import { LabelComponent } from '../../form/label/label.component';
-import { SelectComponent } from '../../form/select/select.component';
+import { Option, SelectComponent } from '../../form/select/select.component';
 import { InputFieldFixedComponent } from '../../form/input/input-field-fixed.component';
+import { Plan, PlanService } from '../../../services/plan.service';
+import { CouponQuote, CouponService } from '../../../services/coupon.service';
+import { LocationPickerComponent, PickedLocation } from '../location-picker/location-picker.component';
+import { SchoolRequest, SchoolService } from '../../../services/school.service';
+import { RegistrationDraft, RegistrationDraftService } from '../../../services/registration-draft.service';
 
 @Component({
   selector: 'app-register-school',
@@ -18,8 +23,7 @@ import { InputFieldFixedComponent } from '../../form/input/input-field-fixed.com
     CommonModule,
     ReactiveFormsModule,
     RouterModule,
-    GoogleMap,
-    MapMarker,
+    LocationPickerComponent,
     LabelComponent,
     SelectComponent,
     InputFieldFixedComponent
@@ -27,7 +31,7 @@ import { InputFieldFixedComponent } from '../../form/input/input-field-fixed.com
   templateUrl: './register-school.component.html',
   styleUrl: './register-school.component.css'
 })
-export class RegisterSchoolComponent {
+export class RegisterSchoolComponent implements OnDestroy {
   step = signal(1);
   formData = signal<any>({});
   isSubmitting = signal(false);
@@ -36,20 +40,40 @@ export class RegisterSchoolComponent {
   isSendingOtp = signal(false);
   isVerifyingOtp = signal(false);
   isSuperadmin = signal(false);
+  plans = signal<Plan[]>([]);
+  planOptions = signal<Option[]>([]);
+  couponQuote = signal<CouponQuote | null>(null);
+  // Set when converting a public signup request
+  pendingRequest = signal<SchoolRequest | null>(null);
+
+  // Server-side drafts (superadmin only); saved as the form changes and on every step
+  drafts = signal<RegistrationDraft[]>([]);
+  draftTtlDays = signal(0);
+  draftId = signal<string | null>(null);
+  draftSavedAt = signal<Date | null>(null);
+  // Drafts never hold the email password, so a resumed one asks for it again
+  needsEmailPass = signal(false);
+  private draftDirty = false;
+  // One per registration attempt, kept in the draft, so a retried submit never creates a second school
+  private idempotencyKey = crypto.randomUUID();
+  private autosave?: Subscription;
 
   schoolForm: FormGroup;
   addressForm: FormGroup;
   otpForm: FormGroup;
 
-  center: google.maps.LatLngLiteral = { lat: 28.6139, lng: 77.2090 };
-  zoom = 12;
   markerPosition: google.maps.LatLngLiteral | null = null;
 
   constructor(
     private fb: FormBuilder,
     private router: Router,
+    private route: ActivatedRoute,
     private http: HttpClient,
     private authService: AuthService,
+    private planService: PlanService,
+    private couponService: CouponService,
+    private schoolService: SchoolService,
+    private draftService: RegistrationDraftService,
     private toastr: ToastrService
   ) {
     this.schoolForm = this.fb.group({
@@ -79,6 +103,7 @@ export class RegisterSchoolComponent {
       assignSubscriptionNow: [false],
       subscriptionType: ['trial'],
       subscriptionDurationDays: [14, Validators.min(1)],
+      couponCode: [''],
       
 
       // Fast-track – superadmin only
@@ -107,6 +132,182 @@ export class RegisterSchoolComponent {
     this.schoolForm.valueChanges.subscribe(values => {
       this.formData.update(v => ({ ...v, ...values }));
     });
+
+    this.loadPlans();
+
+    const pendingSchoolId = this.route.snapshot.queryParamMap.get('pendingSchoolId');
+    if (pendingSchoolId) this.loadPendingRequest(pendingSchoolId);
+
+    if (this.isSuperadmin()) {
+      this.loadDrafts();
+      const draftId = this.route.snapshot.queryParamMap.get('draftId');
+      if (draftId) this.resumeDraft(draftId);
+
+      this.autosave = merge(this.schoolForm.valueChanges, this.addressForm.valueChanges).pipe(
+        debounceTime(3000)
+      ).subscribe(() => this.saveDraft(true));
+      merge(this.schoolForm.valueChanges, this.addressForm.valueChanges).subscribe(() => this.draftDirty = true);
+    }
+
+    // Default the duration to the chosen plan's own length
+    this.schoolForm.get('subscriptionType')?.valueChanges.subscribe(code => {
+      const plan = this.plans().find(p => p.code === code);
+      if (plan) this.schoolForm.patchValue({ subscriptionDurationDays: String(plan.durationDays) });
+      this.couponQuote.set(null);
+    });
+    this.schoolForm.get('couponCode')?.valueChanges.subscribe(() => this.couponQuote.set(null));
+  }
+
+  // Preview the coupon against the selected plan; the server re-checks on submit
+  checkCoupon() {
+    const code = this.schoolForm.value.couponCode?.trim();
+    const plan = this.plans().find(p => p.code === this.schoolForm.value.subscriptionType);
+    this.couponQuote.set(null);
+    if (!code || !plan) return;
+
+    this.couponService.validateCoupon({ code, planType: plan.code, amount: plan.amount }).subscribe({
+      next: (res) => this.couponQuote.set(res.data),
+      error: (err) => this.toastr.error(err.error?.message || 'Invalid coupon', 'Coupon')
+    });
+  }
+
+  ngOnDestroy() {
+    this.autosave?.unsubscribe();
+    // Leaving the page keeps what was typed since the last save
+    if (this.draftDirty) this.saveDraft(true);
+  }
+
+  // Prefill from the request; the rest of the form is filled in as usual
+  loadPendingRequest(id: string, prefill = true) {
+    this.schoolService.getSchoolRequest(id).subscribe({
+      next: (res) => {
+        const r = res.data;
+        this.pendingRequest.set(r);
+        if (!prefill) return;
+        this.schoolForm.patchValue({
+          schoolName: r.name,
+          adminName: r.contactName || '',
+          email: r.email,
+          emailName: r.name,
+          mobileNo: r.mobileNo
+        });
+        this.addressForm.patchValue({
+          street: r.address?.street || '',
+          city: r.address?.city || '',
+          state: r.address?.state || '',
+          country: r.address?.country || 'India',
+          postalCode: r.address?.postalCode || ''
+        });
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Could not load the signup request', 'Error')
+    });
+  }
+
+  loadDrafts() {
+    this.draftService.getDrafts().subscribe({
+      next: (res) => {
+        this.drafts.set(res.data);
+        this.draftTtlDays.set(res.ttlDays);
+      },
+      error: () => this.toastr.error('Could not load drafts', 'Error')
+    });
+  }
+
+  /**
+   * Save the wizard as a draft. Silent saves (autosave, step changes, failed
+   * submits) wait until a school name is typed and do not toast on success.
+   */
+  saveDraft(silent = false) {
+    if (!this.isSuperadmin() || this.isSubmitting()) return;
+    if (silent && !this.schoolForm.value.schoolName?.trim()) return;
+
+    const { emailPass, ...school } = this.schoolForm.getRawValue();
+    this.draftDirty = false;
+    this.draftService.saveDraft(this.draftId(), {
+      step: this.step(),
+      data: {
+        ...school,
+        address: this.addressForm.getRawValue(),
+        isMobileVerified: this.isMobileVerified(),
+        idempotencyKey: this.idempotencyKey
+      },
+      pendingSchoolId: this.pendingRequest()?._id || null
+    }).subscribe({
+      next: (res) => {
+        this.draftId.set(res.data._id);
+        this.draftSavedAt.set(new Date(res.data.updatedAt));
+        if (!silent) {
+          this.toastr.success('Draft saved', 'Draft');
+          this.loadDrafts();
+        }
+      },
+      error: (err) => {
+        // A draft that expired meanwhile is started again on the next save
+        if (err.status === 404) this.draftId.set(null);
+        if (!silent) this.toastr.error(err.error?.message || 'Could not save draft', 'Error');
+      }
+    });
+  }
+
+  resumeDraft(id: string) {
+    this.draftService.getDraft(id).subscribe({
+      next: (res) => this.applyDraft(res.data),
+      error: (err) => this.toastr.error(err.error?.message || 'Could not load draft', 'Error')
+    });
+  }
+
+  deleteDraft(draft: RegistrationDraft) {
+    if (!confirm(`Delete the draft for "${draft.data['schoolName'] || 'unnamed school'}"?`)) return;
+    this.draftService.deleteDraft(draft._id).subscribe({
+      next: () => {
+        if (this.draftId() === draft._id) this.draftId.set(null);
+        this.loadDrafts();
+      },
+      error: (err) => this.toastr.error(err.error?.message || 'Could not delete draft', 'Error')
+    });
+  }
+
+  // Refill both forms and go back to the step the draft stopped at
+  private applyDraft(draft: RegistrationDraft) {
+    const { address, isMobileVerified, idempotencyKey, ...school } = draft.data;
+    if (idempotencyKey) this.idempotencyKey = idempotencyKey;
+    this.draftId.set(draft._id);
+    this.draftSavedAt.set(new Date(draft.updatedAt));
+    this.schoolForm.patchValue({ ...school, emailPass: '' });
+    this.addressForm.patchValue(address || {});
+    if (address?.latitude != null && address?.longitude != null) {
+      this.markerPosition = { lat: Number(address.latitude), lng: Number(address.longitude) };
+    }
+    if (draft.pendingSchoolId) this.loadPendingRequest(draft.pendingSchoolId, false);
+
+    this.isMobileVerified.set(!!isMobileVerified);
+    this.formData.set({ ...this.schoolForm.value, isMobileVerified: !!isMobileVerified });
+    this.needsEmailPass.set(true);
+    this.draftDirty = false;
+
+    if (draft.step === 3 && (isMobileVerified || this.schoolForm.value.fastTrack)) {
+      this.step.set(3);
+    } else if (draft.step >= 2) {
+      // The earlier OTP has expired; send a fresh one
+      this.sendOtp();
+    } else {
+      this.step.set(1);
+    }
+    this.toastr.info('Draft restored. Enter the email app password again; drafts do not keep it.', 'Draft');
+  }
+
+  loadPlans() {
+    this.planService.getPlans().subscribe({
+      next: (plans) => {
+        plans = plans.filter(p => p.tier !== 'boost');
+        this.plans.set(plans);
+        this.planOptions.set(plans.map(p => ({
+          value: p.code,
+          label: p.amount ? `${p.name} – ₹${p.amount}` : p.name
+        })));
+      },
+      error: () => this.toastr.error('Could not load plans', 'Error')
+    });
   }
 
   nextStep() {
@@ -133,12 +334,22 @@ export class RegisterSchoolComponent {
           isMobileVerified: true
         });
         this.step.set(3);
+        this.saveDraft(true);
         this.toastr.success('Fast-track enabled – OTP skipped', 'Superadmin', {
           positionClass: 'toast-top-center'
         });
         return;
       }
 
+      // The request's mobile number was OTP-verified when it was sent
+      if (this.pendingRequest()?.mobileNo === this.schoolForm.value.mobileNo) {
+        this.formData.set({ ...this.formData(), ...this.schoolForm.value, isMobileVerified: true });
+        this.isMobileVerified.set(true);
+        this.step.set(3);
+        this.saveDraft(true);
+        return;
+      }
+
       this.formData.set({ ...this.formData(), ...this.schoolForm.value });
       this.sendOtp();
     }
@@ -154,6 +365,11 @@ export class RegisterSchoolComponent {
         this.toastr.warning('Please complete school address and location', 'Validation');
         return;
       }
+      if (this.schoolForm.get('emailPass')?.invalid) {
+        this.schoolForm.get('emailPass')?.markAsTouched();
+        this.toastr.warning('Please enter the email app password', 'Validation');
+        return;
+      }
 
       this.formData.update(v => ({
         ...v,
@@ -184,6 +400,7 @@ export class RegisterSchoolComponent {
           this.toastr.success(`OTP sent to ${mobile}`, 'Success', { positionClass: 'toast-top-center' });
           this.step.set(2);
           this.isSendingOtp.set(false);
+          this.saveDraft(true);
         },
         error: (err) => {
           this.toastr.error(err.error?.message || 'Failed to send OTP', 'Error');
@@ -206,6 +423,7 @@ export class RegisterSchoolComponent {
           this.toastr.success('Mobile number verified', 'Success', { positionClass: 'toast-top-center' });
           this.step.set(3);
           this.isVerifyingOtp.set(false);
+          this.saveDraft(true);
         },
         error: (err) => {
           this.toastr.error(err.error?.message || 'Invalid OTP', 'Error');
@@ -247,7 +465,8 @@ export class RegisterSchoolComponent {
       fastTrack: fastTrack,
       assignSubscriptionNow: d.assignSubscriptionNow || false,
       subscriptionType: d.subscriptionType || 'trial',
-      subscriptionDurationDays: Number(d.subscriptionDurationDays) || 14,
+      subscriptionDurationDays: Number(d.subscriptionDurationDays) || null,
+      couponCode: d.assignSubscriptionNow && d.couponCode?.trim() ? d.couponCode.trim() : null,
 
       address: {
         street: d.address?.street?.trim(),
@@ -258,18 +477,29 @@ export class RegisterSchoolComponent {
       },
       latitude: Number(d.latitude),
       longitude: Number(d.longitude),
-      isMobileVerified: finalVerified
+      isMobileVerified: finalVerified,
+      pendingSchoolId: this.pendingRequest()?._id,
+      // Removed by the server once the school is created
+      draftId: this.draftId()
     };
 
     console.log('[SCHOOL REGISTRATION PAYLOAD]', payload);
 
-    this.authService.registerSchool(payload).subscribe({
+    this.authService.registerSchool(payload, this.idempotencyKey).subscribe({
       next: (res: any) => {
-        this.toastr.success(
-          `School "${res.data.schoolName}" created successfully! Password reset link sent to email.`,
-          'Success',
-          { positionClass: 'toast-top-center', timeOut: 7000 }
-        );
+        if (res.data.resetLinkSent) {
+          this.toastr.success(
+            `School "${res.data.schoolName}" created successfully! Password reset link sent to email.`,
+            'Success',
+            { positionClass: 'toast-top-center', timeOut: 7000 }
+          );
+        } else {
+          // The school exists; the email can be retried from its detail page
+          this.toastr.warning(res.message, `School "${res.data.schoolName}" created`, {
+            positionClass: 'toast-top-center',
+            timeOut: 10000
+          });
+        }
 
         setTimeout(() => {
           this.router.navigate(['/confirmation'], {
@@ -281,6 +511,9 @@ export class RegisterSchoolComponent {
           });
         }, 2000);
 
+        this.autosave?.unsubscribe();
+        this.draftId.set(null);
+        this.draftDirty = false;
         this.isSubmitting.set(false);
       },
       error: (err: any) => {
@@ -290,36 +523,14 @@ export class RegisterSchoolComponent {
           { positionClass: 'toast-top-right', timeOut: 8000 }
         );
         this.isSubmitting.set(false);
+        this.saveDraft(true);
       }
     });
   }
 
-  onMapClick(event: google.maps.MapMouseEvent) {
-    if (!event.latLng) return;
-    const lat = event.latLng.lat();
-    const lng = event.latLng.lng();
-
-    this.addressForm.patchValue({ latitude: lat, longitude: lng });
+  onLocationPicked({ lat, lng, address }: PickedLocation) {
+    this.addressForm.patchValue({ latitude: lat, longitude: lng, ...(address || {}) });
     this.markerPosition = { lat, lng };
-    this.reverseGeocode(lat, lng);
-  }
-
-  private reverseGeocode(lat: number, lng: number) {
-    if (!window.google?.maps) return;
-    const geocoder = new window.google.maps.Geocoder();
-    geocoder.geocode({ location: { lat, lng } }, (results, status) => {
-      if (status === 'OK' && results?.[0]) {
-        const addr = results[0];
-        const comp = addr.address_components || [];
-        this.addressForm.patchValue({
-          street: addr.formatted_address || '',
-          city: comp.find(c => c.types.includes('locality'))?.long_name || '',
-          state: comp.find(c => c.types.includes('administrative_area_level_1'))?.long_name || '',
-          country: comp.find(c => c.types.includes('country'))?.long_name || 'India',
-          postalCode: comp.find(c => c.types.includes('postal_code'))?.long_name || ''
-        });
-      }
-    });
   }
 
   get f() { return this.schoolForm.controls; }
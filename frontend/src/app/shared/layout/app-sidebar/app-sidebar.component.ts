@@ -45,6 +45,51 @@ export class AppSidebarComponent {
       name: "Create School",
       path: "/register-school",
     },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M2.75 6.5C2.75 5.25736 3.75736 4.25 5 4.25H19C20.2426 4.25 21.25 5.25736 21.25 6.5V17.5C21.25 18.7426 20.2426 19.75 19 19.75H5C3.75736 19.75 2.75 18.7426 2.75 17.5V6.5ZM5 5.75C4.58579 5.75 4.25 6.08579 4.25 6.5V8.25H19.75V6.5C19.75 6.08579 19.4142 5.75 19 5.75H5ZM19.75 9.75H4.25V17.5C4.25 17.9142 4.58579 18.25 5 18.25H19C19.4142 18.25 19.75 17.9142 19.75 17.5V9.75ZM6.25 14.5C6.25 14.0858 6.58579 13.75 7 13.75H10C10.4142 13.75 10.75 14.0858 10.75 14.5C10.75 14.9142 10.4142 15.25 10 15.25H7C6.58579 15.25 6.25 14.9142 6.25 14.5Z" fill="currentColor"></path></svg>`,
+      name: "Pending Payments",
+      path: "/pending-payments",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M4.75 4.5C4.75 4.08579 5.08579 3.75 5.5 3.75H18.5C18.9142 3.75 19.25 4.08579 19.25 4.5V19.5C19.25 19.9142 18.9142 20.25 18.5 20.25H5.5C5.08579 20.25 4.75 19.9142 4.75 19.5V4.5ZM5.5 2.25C4.25736 2.25 3.25 3.25736 3.25 4.5V19.5C3.25 20.7426 4.25736 21.75 5.5 21.75H18.5C19.7426 21.75 20.75 20.7426 20.75 19.5V4.5C20.75 3.25736 19.7426 2.25 18.5 2.25H5.5ZM8 7.25C7.58579 7.25 7.25 7.58579 7.25 8C7.25 8.41421 7.58579 8.75 8 8.75H16C16.4142 8.75 16.75 8.41421 16.75 8C16.75 7.58579 16.4142 7.25 16 7.25H8ZM7.25 12C7.25 11.5858 7.58579 11.25 8 11.25H16C16.4142 11.25 16.75 11.5858 16.75 12C16.75 12.4142 16.4142 12.75 16 12.75H8C7.58579 12.75 7.25 12.4142 7.25 12ZM8 15.25C7.58579 15.25 7.25 15.5858 7.25 16C7.25 16.4142 7.58579 16.75 8 16.75H12C12.4142 16.75 12.75 16.4142 12.75 16C12.75 15.5858 12.4142 15.25 12 15.25H8Z" fill="currentColor"></path></svg>`,
+      name: "Reconciliation",
+      path: "/reconciliation",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M5.5 3.25C4.25736 3.25 3.25 4.25736 3.25 5.5V20C3.25 20.2599 3.38459 20.5013 3.60571 20.6379C3.82684 20.7746 4.10286 20.7871 4.33541 20.6708L6.5 19.5885L8.66459 20.6708C8.87574 20.7764 9.12426 20.7764 9.33541 20.6708L11.5 19.5885L13.6646 20.6708C13.8757 20.7764 14.1243 20.7764 14.3354 20.6708L16.5 19.5885L18.6646 20.6708C18.8971 20.7871 19.1732 20.7746 19.3943 20.6379C19.6154 20.5013 19.75 20.2599 19.75 20V5.5C19.75 4.25736 18.7426 3.25 17.5 3.25H5.5ZM4.75 5.5C4.75 5.08579 5.08579 4.75 5.5 4.75H17.5C17.9142 4.75 18.25 5.08579 18.25 5.5V18.7865L16.8354 18.0792C16.6243 17.9736 16.3757 17.9736 16.1646 18.0792L14 19.1615L11.8354 18.0792C11.6243 17.9736 11.3757 17.9736 11.1646 18.0792L9 19.1615L6.83541 18.0792C6.62426 17.9736 6.37574 17.9736 6.16459 18.0792L4.75 18.7865V5.5ZM7.5 8.25C7.08579 8.25 6.75 8.58579 6.75 9C6.75 9.41421 7.08579 9.75 7.5 9.75H15.5C15.9142 9.75 16.25 9.41421 16.25 9C16.25 8.58579 15.9142 8.25 15.5 8.25H7.5ZM6.75 13C6.75 12.5858 7.08579 12.25 7.5 12.25H12.5C12.9142 12.25 13.25 12.5858 13.25 13C13.25 13.4142 12.9142 13.75 12.5 13.75H7.5C7.08579 13.75 6.75 13.4142 6.75 13Z" fill="currentColor"></path></svg>`,
+      name: "Invoices",
+      path: "/invoices",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M3.25 6C3.25 4.75736 4.25736 3.75 5.5 3.75H18.5C19.7426 3.75 20.75 4.75736 20.75 6V9C20.75 9.41421 20.4142 9.75 20 9.75C18.7574 9.75 17.75 10.7574 17.75 12C17.75 13.2426 18.7574 14.25 20 14.25C20.4142 14.25 20.75 14.5858 20.75 15V18C20.75 19.2426 19.7426 20.25 18.5 20.25H5.5C4.25736 20.25 3.25 19.2426 3.25 18V15C3.25 14.5858 3.58579 14.25 4 14.25C5.24264 14.25 6.25 13.2426 6.25 12C6.25 10.7574 5.24264 9.75 4 9.75C3.58579 9.75 3.25 9.41421 3.25 9V6ZM5.5 5.25C5.08579 5.25 4.75 5.58579 4.75 6V8.32501C6.54 8.66 7.75 10.19 7.75 12C7.75 13.81 6.54 15.34 4.75 15.675V18C4.75 18.4142 5.08579 18.75 5.5 18.75H18.5C18.9142 18.75 19.25 18.4142 19.25 18V15.675C17.46 15.34 16.25 13.81 16.25 12C16.25 10.19 17.46 8.66 19.25 8.32501V6C19.25 5.58579 18.9142 5.25 18.5 5.25H5.5Z" fill="currentColor"></path></svg>`,
+      name: "Coupons",
+      path: "/coupons",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M4 3.25C4.41421 3.25 4.75 3.58579 4.75 4V19.25H20C20.4142 19.25 20.75 19.5858 20.75 20C20.75 20.4142 20.4142 20.75 20 20.75H4C3.58579 20.75 3.25 20.4142 3.25 20V4C3.25 3.58579 3.58579 3.25 4 3.25ZM8 10.25C8.41421 10.25 8.75 10.5858 8.75 11V16C8.75 16.4142 8.41421 16.75 8 16.75C7.58579 16.75 7.25 16.4142 7.25 16V11C7.25 10.5858 7.58579 10.25 8 10.25ZM12.75 7C12.75 6.58579 12.4142 6.25 12 6.25C11.5858 6.25 11.25 6.58579 11.25 7V16C11.25 16.4142 11.5858 16.75 12 16.75C12.4142 16.75 12.75 16.4142 12.75 16V7ZM16 12.25C16.4142 12.25 16.75 12.5858 16.75 13V16C16.75 16.4142 16.4142 16.75 16 16.75C15.5858 16.75 15.25 16.4142 15.25 16V13C15.25 12.5858 15.5858 12.25 16 12.25Z" fill="currentColor"></path></svg>`,
+      name: "Message Usage",
+      path: "/usage",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M12 4.75C8.54822 4.75 5.75 7.54822 5.75 11V11.25H7C7.30334 11.25 7.57682 11.4327 7.69291 11.713C7.80899 11.9932 7.74482 12.3158 7.53033 12.5303L5.03033 15.0303C4.73744 15.3232 4.26256 15.3232 3.96967 15.0303L1.46967 12.5303C1.25518 12.3158 1.19101 11.9932 1.30709 11.713C1.42318 11.4327 1.69665 11.25 2 11.25H4.25V11C4.25 6.71979 7.71979 3.25 12 3.25C14.5478 3.25 16.8086 4.48053 18.2207 6.37727C18.4681 6.70951 18.3993 7.17941 18.0671 7.42677C17.7348 7.67413 17.2649 7.60535 17.0176 7.27311C15.8765 5.74037 14.0539 4.75 12 4.75ZM18.9697 8.96967C19.2626 8.67678 19.7374 8.67678 20.0303 8.96967L22.5303 11.4697C22.7448 11.6842 22.809 12.0068 22.6929 12.287C22.5768 12.5673 22.3033 12.75 22 12.75H19.75V13C19.75 17.2802 16.2802 20.75 12 20.75C9.45222 20.75 7.19144 19.5195 5.77928 17.6227C5.53192 17.2905 5.6007 16.8206 5.93294 16.5732C6.26518 16.3259 6.73508 16.3947 6.98244 16.7269C8.12352 18.2596 9.94609 19.25 12 19.25C15.4518 19.25 18.25 16.4518 18.25 13V12.75H17C16.6967 12.75 16.4232 12.5673 16.3071 12.287C16.191 12.0068 16.2552 11.6842 16.4697 11.4697L18.9697 8.96967Z" fill="currentColor"></path></svg>`,
+      name: "Auto-Renew",
+      path: "/auto-renew",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M9.25 2.75C9.25 2.33579 9.58579 2 10 2H14C14.4142 2 14.75 2.33579 14.75 2.75V4.25H20C20.4142 4.25 20.75 4.58579 20.75 5C20.75 5.41421 20.4142 5.75 20 5.75H19.25V19C19.25 20.2426 18.2426 21.25 17 21.25H7C5.75736 21.25 4.75 20.2426 4.75 19V5.75H4C3.58579 5.75 3.25 5.41421 3.25 5C3.25 4.58579 3.58579 4.25 4 4.25H9.25V2.75ZM10.75 4.25H13.25V3.5H10.75V4.25ZM6.25 5.75V19C6.25 19.4142 6.58579 19.75 7 19.75H17C17.4142 19.75 17.75 19.4142 17.75 19V5.75H6.25ZM10 8.25C10.4142 8.25 10.75 8.58579 10.75 9V16C10.75 16.4142 10.4142 16.75 10 16.75C9.58579 16.75 9.25 16.4142 9.25 16V9C9.25 8.58579 9.58579 8.25 10 8.25ZM14.75 9C14.75 8.58579 14.4142 8.25 14 8.25C13.5858 8.25 13.25 8.58579 13.25 9V16C13.25 16.4142 13.5858 16.75 14 16.75C14.4142 16.75 14.75 16.4142 14.75 16V9Z" fill="currentColor"></path></svg>`,
+      name: "Deleted Schools",
+      path: "/schools/trash",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path d="M4.75 6.75C4.75 5.64543 5.64543 4.75 6.75 4.75H17.25C18.3546 4.75 19.25 5.64543 19.25 6.75V14.25C19.25 15.3546 18.3546 16.25 17.25 16.25H10L6.25 19.25V16.25H6.75C5.64543 16.25 4.75 15.3546 4.75 14.25V6.75Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"></path><path d="M8.75 9.25H15.25M8.75 12.25H13" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"></path></svg>`,
+      name: "School Requests",
+      path: "/schools/requests",
+    },
+    {
+      icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path d="M12 3.75V15M12 3.75L7.75 8M12 3.75L16.25 8M4.75 14.75V18.25C4.75 19.3546 5.64543 20.25 6.75 20.25H17.25C18.3546 20.25 19.25 19.3546 19.25 18.25V14.75" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"></path></svg>`,
+      name: "Bulk Onboarding",
+      path: "/schools/import",
+    },
         
     // {
     //   icon: `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24" fill="none"><path fill-rule="evenodd" clip-rule="evenodd" d="M8 2C8.41421 2 8.75 2.33579 8.75 2.75V3.75H15.25V2.75C15.25 2.33579 15.5858 2 16 2C16.4142 2 16.75 2.33579 16.75 2.75V3.75H18.5C19.7426 3.75 20.75 4.75736 20.75 6V9V19C20.75 20.2426 19.7426 21.25 18.5 21.25H5.5C4.25736 21.25 3.25 20.2426 3.25 19V9V6C3.25 4.75736 4.25736 3.75 5.5 3.75H7.25V2.75C7.25 2.33579 7.58579 2 8 2ZM8 5.25H5.5C5.08579 5.25 4.75 5.58579 4.75 6V8.25H19.25V6C19.25 5.58579 18.9142 5.25 18.5 5.25H16H8ZM19.25 9.75H4.75V19C4.75 19.4142 5.08579 19.75 5.5 19.75H18.5C18.9142 19.75 19.25 19.4142 19.25 19V9.75Z" fill="currentColor"></path></svg>`,
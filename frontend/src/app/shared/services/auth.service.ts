@@ -128,8 +128,10 @@ export class AuthService implements OnDestroy {
     return throwError(() => new Error(msg));
   }
 
-  registerSchool(formData: any): Observable<any> {
-    return this.http.post(`${this.baseUrl}/api/auth/register-school`, formData).pipe(
+  // The same idempotency key on a retry returns the first result instead of a second school
+  registerSchool(formData: any, idempotencyKey?: string): Observable<any> {
+    const headers: Record<string, string> = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+    return this.http.post(`${this.baseUrl}/api/auth/register-school`, formData, { headers }).pipe(
       takeUntil(this.destroy$),
       catchError(this.handleError.bind(this))
     );
@@ -0,0 +1,66 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../../environment/environments';
+
+export interface Coupon {
+  _id: string;
+  code: string;
+  description?: string;
+  discountType: 'percent' | 'flat';
+  discountValue: number;
+  maxDiscount?: number | null;
+  expiresAt?: string | null;
+  maxRedemptions?: number | null;
+  perSchoolLimit: number;
+  redemptionCount: number;
+  applicablePlanTypes: string[];
+  active: boolean;
+  createdAt: string;
+}
+
+export interface CouponRedemption {
+  _id: string;
+  code: string;
+  schoolId: { _id: string; name: string; code: string } | null;
+  planType: string;
+  discountAmount: number;
+  redeemedAt: string;
+}
+
+export interface CouponQuote {
+  code: string;
+  discountType: 'percent' | 'flat';
+  discountValue: number;
+  discountAmount: number;
+  finalAmount: number;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class CouponService {
+  private baseUrl = `${environment.apiUrl}/api/superadmin/coupons`;
+
+  constructor(private http: HttpClient) { }
+
+  getCoupons(): Observable<{ message: string; data: Coupon[] }> {
+    return this.http.get<{ message: string; data: Coupon[] }>(this.baseUrl);
+  }
+
+  createCoupon(coupon: Partial<Coupon>): Observable<{ message: string; data: Coupon }> {
+    return this.http.post<{ message: string; data: Coupon }>(this.baseUrl, coupon);
+  }
+
+  updateCoupon(id: string, changes: Partial<Coupon>): Observable<{ message: string; data: Coupon }> {
+    return this.http.patch<{ message: string; data: Coupon }>(`${this.baseUrl}/${id}`, changes);
+  }
+
+  getRedemptions(id: string): Observable<{ message: string; data: CouponRedemption[] }> {
+    return this.http.get<{ message: string; data: CouponRedemption[] }>(`${this.baseUrl}/${id}/redemptions`);
+  }
+
+  validateCoupon(body: { code: string; planType: string; amount: number; schoolId?: string }): Observable<{ message: string; data: CouponQuote }> {
+    return this.http.post<{ message: string; data: CouponQuote }>(`${this.baseUrl}/validate`, body);
+  }
+}
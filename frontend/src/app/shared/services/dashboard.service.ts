@@ -13,7 +13,15 @@ export class DashboardService {
     return this.http.get(`${environment.apiUrl}/api/superadmin/dashboard`);
   }
 
-  activateTrial(schoolId: string): Observable<any> {
-    return this.http.post(`${environment.apiUrl}/api/superadmin/activate-trial`, { schoolId });
+  activateTrial(schoolId: string, reason?: string): Observable<any> {
+    return this.http.post(`${environment.apiUrl}/api/superadmin/activate-trial`, { schoolId, reason });
+  }
+
+  getTrial(schoolId: string): Observable<any> {
+    return this.http.get(`${environment.apiUrl}/api/superadmin/schools/${schoolId}/trial`);
+  }
+
+  extendTrial(schoolId: string, days: number, reason: string): Observable<any> {
+    return this.http.post(`${environment.apiUrl}/api/superadmin/schools/${schoolId}/trial/extend`, { days, reason });
   }
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable, map } from 'rxjs';
+import { environment } from '../../../environment/environments';
+
+export interface InvoiceParty {
+  name: string;
+  gstin?: string | null;
+  address?: { street?: string; city?: string; state?: string; country?: string; postalCode?: string };
+  state?: string;
+  stateCode?: string | null;
+  email?: string;
+  code?: string;
+}
+
+export interface InvoiceLineItem {
+  description: string;
+  sacCode: string;
+  periodStart?: string;
+  periodEnd?: string;
+  quantity: number;
+  rate: number;
+  discount: number;
+  amount: number;
+}
+
+export interface Invoice {
+  _id: string;
+  invoiceNumber: string;
+  financialYear: string;
+  schoolId: string;
+  subscriptionId: string;
+  issuedAt: string;
+  seller?: InvoiceParty;
+  buyer: InvoiceParty;
+  placeOfSupply: string;
+  supplyType: 'intra_state' | 'inter_state';
+  lineItems?: InvoiceLineItem[];
+  taxableAmount: number;
+  gstRate: number;
+  cgst: number;
+  sgst: number;
+  igst: number;
+  totalTax: number;
+  totalAmount: number;
+  paymentMethod?: string;
+  transactionId?: string;
+  refundedAmount?: number;
+  status: 'paid' | 'partially_refunded' | 'refunded' | 'cancelled';
+  creditNotes?: CreditNote[]; // only on getInvoice
+}
+
+export interface CreditNote {
+  _id: string;
+  creditNoteNumber: string;
+  financialYear: string;
+  invoiceId: string;
+  invoiceNumber: string;
+  schoolId: string;
+  subscriptionId: string;
+  issuedAt: string;
+  buyer?: InvoiceParty;
+  supplyType: 'intra_state' | 'inter_state';
+  reason: string;
+  taxableAmount: number;
+  gstRate: number;
+  cgst: number;
+  sgst: number;
+  igst: number;
+  totalTax: number;
+  totalAmount: number;
+  refund: {
+    method: 'gateway' | 'manual';
+    provider: string | null;
+    gatewayRefundId?: string | null;
+    status: 'pending' | 'processed' | 'failed';
+    reference?: string | null;
+    processedAt?: string | null;
+  };
+}
+
+export interface RefundRequest {
+  amount?: number;   // defaults to everything not yet refunded
+  reason: string;
+  reference?: string;
+  manual?: boolean;  // record a refund made outside the gateway
+  cancel?: boolean;  // end the subscription today (default true)
+}
+
+export interface InvoiceFilters {
+  status?: string;
+  schoolId?: string;
+  financialYear?: string;
+  from?: string;
+  to?: string;
+  search?: string;
+  page?: number;
+  limit?: number;
+  sortBy?: 'number' | 'customer' | 'issuedAt' | 'total';
+  sortDir?: 'asc' | 'desc';
+}
+
+export interface InvoiceListResponse {
+  message: string;
+  data: Invoice[];
+  pagination: { page: number; limit: number; total: number; pages: number };
+  financialYears: string[];
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class InvoiceService {
+  private baseUrl = `${environment.apiUrl}/api/invoices`;
+
+  constructor(private http: HttpClient) { }
+
+  getInvoices(filters: InvoiceFilters = {}): Observable<InvoiceListResponse> {
+    const params: Record<string, string> = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params[key] = String(value);
+    });
+    return this.http.get<InvoiceListResponse>(this.baseUrl, { params });
+  }
+
+  getInvoice(id: string): Observable<{ message: string; data: Invoice }> {
+    return this.http.get<{ message: string; data: Invoice }>(`${this.baseUrl}/${id}`);
+  }
+
+  // Fetches through HttpClient so the auth header is sent, then saves the file
+  downloadPdf(invoice: Invoice): Observable<void> {
+    return this.saveBlob(`${this.baseUrl}/${invoice._id}/pdf`, invoice.invoiceNumber);
+  }
+
+  getCreditNotes(filters: { schoolId?: string; page?: number; limit?: number } = {}): Observable<{
+    message: string;
+    data: CreditNote[];
+    pagination: { page: number; limit: number; total: number; pages: number };
+  }> {
+    const params: Record<string, string> = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params[key] = String(value);
+    });
+    return this.http.get<any>(`${this.baseUrl}/credit-notes`, { params });
+  }
+
+  downloadCreditNotePdf(creditNote: CreditNote): Observable<void> {
+    return this.saveBlob(`${this.baseUrl}/credit-notes/${creditNote._id}/pdf`, creditNote.creditNoteNumber);
+  }
+
+  // Refunds the invoice's subscription and issues a credit note
+  refund(invoice: Invoice, body: RefundRequest): Observable<{ message: string; data: { creditNote: CreditNote } }> {
+    return this.http.post<{ message: string; data: { creditNote: CreditNote } }>(
+      `${environment.apiUrl}/api/superadmin/subscriptions/${invoice.subscriptionId}/refund`,
+      body
+    );
+  }
+
+  private saveBlob(url: string, documentNumber: string): Observable<void> {
+    return this.http.get(url, { responseType: 'blob' }).pipe(
+      map(blob => {
+        const objectUrl = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = `${documentNumber.replace(/\//g, '-')}.pdf`;
+        link.click();
+        URL.revokeObjectURL(objectUrl);
+      })
+    );
+  }
+}
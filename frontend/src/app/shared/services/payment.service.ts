@@ -0,0 +1,169 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../../environment/environments';
+
+export interface PendingPayment {
+  id: string;
+  school: { id: string; name: string; code: string; email: string; mobileNo: string } | null;
+  planType: string;
+  amount: number;
+  originalAmount: number;
+  discountAmount: number;
+  method: string;
+  transactionId: string | null;
+  paymentProof: string | null;
+  provider: string | null;
+  orderId: string | null;
+  createdAt: string;
+}
+
+export interface BankConfig {
+  accountName: string;
+  accountNumber: string;
+  ifscCode: string;
+}
+
+export interface MatchCandidate {
+  subscriptionId: {
+    _id: string;
+    schoolId: { _id: string; name: string; code: string } | null;
+    planType: string;
+    finalAmount: number;
+    transactionId: string | null;
+    status: string;
+  } | null;
+  score: number;
+  reasons: string[];
+}
+
+export interface StatementLine {
+  _id: string;
+  row: number;
+  date: string;
+  amount: number;
+  narration: string;
+  utr: string | null;
+  status: 'confident' | 'ambiguous' | 'unmatched' | 'confirmed';
+  candidates: MatchCandidate[];
+  note?: string;
+  matchedSubscriptionId?: string | null;
+}
+
+export interface StatementImport {
+  _id: string;
+  fileName?: string;
+  lines: StatementLine[];
+  skippedRows: { row: number; reason: string }[];
+  summary: { total: number; confident: number; ambiguous: number; unmatched: number; confirmed: number; skipped: number };
+  createdAt: string;
+}
+
+export interface PaymentMandate {
+  _id: string;
+  provider: string;
+  paymentMethod: 'razorpay' | 'phonepe' | 'card' | 'upi';
+  customerId?: string | null;
+  maxAmount?: number | null;
+  createdAt: string;
+}
+
+export interface RenewalAttempt {
+  _id: string;
+  schoolId: { _id: string; name: string; code: string } | string;
+  attempt: number;
+  planType: string;
+  amount: number;
+  provider?: string | null;
+  status: 'pending' | 'succeeded' | 'failed';
+  failureReason?: string | null;
+  paymentId?: string | null;
+  nextAttemptAt?: string | null;
+  emailSent: boolean;
+  attemptedAt: string;
+}
+
+export interface AutoRenewDetails {
+  subscription: {
+    _id: string;
+    planType: string;
+    status: string;
+    expiresAt: string;
+    gracePeriodEnds?: string;
+    autoRenew: boolean;
+    dunning?: { attempts: number; nextAttemptAt?: string | null; lastError?: string | null; exhaustedAt?: string | null };
+  } | null;
+  mandate: PaymentMandate | null;
+  attempts: RenewalAttempt[];
+  retryDays: number[];
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class PaymentService {
+  private baseUrl = `${environment.apiUrl}/api/superadmin/pending-payments`;
+  private reconciliationUrl = `${environment.apiUrl}/api/superadmin/reconciliation`;
+
+  constructor(private http: HttpClient) { }
+
+  getPendingPayments(method = 'bank_transfer'): Observable<{ message: string; data: PendingPayment[] }> {
+    return this.http.get<{ message: string; data: PendingPayment[] }>(this.baseUrl, { params: { method } });
+  }
+
+  approvePayment(id: string, body: { transactionId?: string; note?: string } = {}): Observable<any> {
+    return this.http.post(`${this.baseUrl}/${id}/approve`, body);
+  }
+
+  rejectPayment(id: string, reason: string): Observable<any> {
+    return this.http.post(`${this.baseUrl}/${id}/reject`, { reason });
+  }
+
+  importStatement(csv: string, fileName: string): Observable<{ message: string; data: StatementImport }> {
+    return this.http.post<{ message: string; data: StatementImport }>(`${this.reconciliationUrl}`, { csv, fileName });
+  }
+
+  getStatementImports(): Observable<{ message: string; data: StatementImport[] }> {
+    return this.http.get<{ message: string; data: StatementImport[] }>(this.reconciliationUrl);
+  }
+
+  getStatementImport(id: string): Observable<{ message: string; data: StatementImport }> {
+    return this.http.get<{ message: string; data: StatementImport }>(`${this.reconciliationUrl}/${id}`);
+  }
+
+  confirmMatch(importId: string, lineId: string, subscriptionId?: string): Observable<any> {
+    return this.http.post(`${this.reconciliationUrl}/${importId}/lines/${lineId}/confirm`, { subscriptionId });
+  }
+
+  confirmConfidentMatches(importId: string): Observable<any> {
+    return this.http.post(`${this.reconciliationUrl}/${importId}/confirm-confident`, {});
+  }
+
+  getRenewalAttempts(status = '', page = 1): Observable<{ message: string; data: RenewalAttempt[]; pagination: { page: number; pages: number; total: number } }> {
+    const params: Record<string, string> = { page: String(page) };
+    if (status) params['status'] = status;
+    return this.http.get<{ message: string; data: RenewalAttempt[]; pagination: { page: number; pages: number; total: number } }>(
+      `${environment.apiUrl}/api/superadmin/renewal-attempts`, { params }
+    );
+  }
+
+  getAutoRenew(schoolId: string): Observable<{ message: string; data: AutoRenewDetails }> {
+    return this.http.get<{ message: string; data: AutoRenewDetails }>(`${environment.apiUrl}/api/superadmin/schools/${schoolId}/auto-renew`);
+  }
+
+  setAutoRenew(schoolId: string, autoRenew: boolean): Observable<{ message: string }> {
+    return this.http.patch<{ message: string }>(`${environment.apiUrl}/api/superadmin/schools/${schoolId}/auto-renew`, { autoRenew });
+  }
+
+  saveMandate(schoolId: string, mandate: { provider: string; paymentMethod: string; token: string; customerId?: string; maxAmount?: number | null }): Observable<{ message: string; data: PaymentMandate }> {
+    return this.http.put<{ message: string; data: PaymentMandate }>(`${environment.apiUrl}/api/superadmin/schools/${schoolId}/mandate`, mandate);
+  }
+
+  revokeMandate(schoolId: string): Observable<{ message: string }> {
+    return this.http.delete<{ message: string }>(`${environment.apiUrl}/api/superadmin/schools/${schoolId}/mandate`);
+  }
+
+  getBankConfig(): Observable<BankConfig> {
+    return this.http.get<BankConfig>(`${environment.apiUrl}/api/bank`);
+  }
+}
@@ -0,0 +1,37 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../../environment/environments';
+
+export interface Plan {
+  _id: string;
+  code: string;
+  name: string;
+  tier: 'trial' | 'basic' | 'premium' | 'boost';
+  channel: 'sms' | 'whatsapp' | 'both';
+  interval: 'trial' | 'monthly' | 'yearly' | 'one_time';
+  durationDays: number;
+  amount: number;
+  originalAmount?: number;
+  smsMonthlyLimit: number;
+  whatsappMonthlyLimit: number;
+  maxAdmins?: number | null; // admin accounts per school; null = unlimited
+  features: string[];
+  highlights: string[];
+  priority: number;
+  recommended: boolean;
+  active: boolean;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class PlanService {
+  constructor(private http: HttpClient) { }
+
+  getPlans(includeInactive = false): Observable<Plan[]> {
+    return this.http.get<Plan[]>(`${environment.apiUrl}/api/plans`, {
+      params: includeInactive ? { includeInactive: 'true' } : {}
+    });
+  }
+}
@@ -1,7 +1,25 @@
 import { Injectable } from '@angular/core';
-import { BehaviorSubject } from 'rxjs';
+import { HttpClient } from '@angular/common/http';
+import { BehaviorSubject, Observable } from 'rxjs';
 import { environment } from '../../../environment/environments';
 
+export interface RazorpayCheckout {
+  keyId: string;
+  orderId: string;
+  amount: number;   // paise
+  currency: string;
+}
+
+export interface RazorpayOrder {
+  subscriptionId: string;
+  provider: string;
+  orderId: string;
+  amount: number;   // ₹
+  currency: string;
+  checkout: RazorpayCheckout;
+  school: { name: string; email: string; mobileNo: string };
+}
+
 @Injectable({
   providedIn: 'root'
 })
@@ -9,7 +27,16 @@ export class RazorpayService {
   private razorpayLoaded = new BehaviorSubject<boolean>(false);
   razorpayLoaded$ = this.razorpayLoaded.asObservable();
   
-  constructor() { }
+  constructor(private http: HttpClient) { }
+
+  // Creates a pending subscription + Razorpay order; the webhook activates it once paid
+  createOrder(schoolId: string, planType: string): Observable<{ message: string; data: RazorpayOrder }> {
+    return this.http.post<{ message: string; data: RazorpayOrder }>(
+      `${environment.apiUrl}/api/payments/razorpay/order`,
+      { schoolId, planType }
+    );
+  }
+
   loadRazorpayScript(): Promise<void> {
     return new Promise((resolve, reject) => {
       if ((window as any).Razorpay) {
@@ -0,0 +1,49 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../../environment/environments';
+
+export interface RegistrationDraft {
+  _id: string;
+  step: number;
+  // Wizard form values; the server drops emailPass before saving
+  data: Record<string, any>;
+  pendingSchoolId: string | null;
+  expiresAt: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface RegistrationDraftInput {
+  step: number;
+  data: Record<string, any>;
+  pendingSchoolId?: string | null;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class RegistrationDraftService {
+  private baseUrl = `${environment.apiUrl}/api/superadmin/registration-drafts`;
+
+  constructor(private http: HttpClient) { }
+
+  getDrafts(): Observable<{ message: string; data: RegistrationDraft[]; ttlDays: number }> {
+    return this.http.get<{ message: string; data: RegistrationDraft[]; ttlDays: number }>(this.baseUrl);
+  }
+
+  getDraft(id: string): Observable<{ message: string; data: RegistrationDraft }> {
+    return this.http.get<{ message: string; data: RegistrationDraft }>(`${this.baseUrl}/${id}`);
+  }
+
+  // Creates the draft the first time, updates it after that
+  saveDraft(id: string | null, draft: RegistrationDraftInput): Observable<{ message: string; data: RegistrationDraft }> {
+    return id
+      ? this.http.put<{ message: string; data: RegistrationDraft }>(`${this.baseUrl}/${id}`, draft)
+      : this.http.post<{ message: string; data: RegistrationDraft }>(this.baseUrl, draft);
+  }
+
+  deleteDraft(id: string): Observable<{ message: string }> {
+    return this.http.delete<{ message: string }>(`${this.baseUrl}/${id}`);
+  }
+}
@@ -0,0 +1,466 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable, map } from 'rxjs';
+import { environment } from '../../../environment/environments';
+import { UsagePeriod } from './usage.service';
+
+export interface StatusChange {
+  from: string | null;
+  to: string;
+  at: string;
+  reason?: string;
+}
+
+export interface SchoolSubscriptionRecord {
+  _id: string;
+  planType: string;
+  status: string;
+  isTemporaryBoost: boolean;
+  startsAt: string;
+  expiresAt: string;
+  finalAmount: number;
+  refundedAmount?: number;
+  paymentMethod: string | null;
+  messageLimits: { smsMonthly: number; whatsappMonthly: number };
+  usageStats: { smsUsedThisMonth: number; whatsappUsedThisMonth: number };
+  statusHistory: StatusChange[];
+}
+
+export interface TimelineEntry {
+  at: string;
+  kind: 'school' | 'subscription' | 'invoice' | 'credit_note' | 'payment' | 'trial' | 'notification';
+  title: string;
+  detail?: string | null;
+  subscriptionId?: string;
+}
+
+// Settings captured at registration that a superadmin can edit
+export interface SchoolSettings {
+  address?: { street?: string; city?: string; state?: string; country?: string; postalCode?: string };
+  latitude: number;
+  longitude: number;
+  radius: number;
+  preferredChannel: 'sms' | 'whatsapp' | 'both';
+  weeklyHolidayDay: string;
+  website?: string;
+  contactPerson?: { name?: string; designation?: string };
+  communication?: { smsSenderName?: string; emailFrom?: string; emailName?: string; emailPass?: string };
+  schoolTiming?: { openingTime?: string; closingTime?: string; lunchBreak?: string };
+}
+
+export interface SchoolDetail {
+  school: {
+    _id: string;
+    name: string;
+    code: string;
+    email: string;
+    mobileNo: string;
+    gstin?: string;
+    status: boolean;
+    smsPackActive: boolean;
+    createdAt: string;
+    suspendedAt?: string | null;
+    suspensionReason?: string | null;
+    deletedAt?: string | null;
+    deletionReason?: string | null;
+    purgeAfter?: string | null;
+  } & SchoolSettings;
+  admin: { _id: string; name: string; email: string; username: string; phoneNumber?: string; status: boolean } | null;
+  activeAcademicYear: { _id: string; name: string; startDate: string; endDate: string } | null;
+  subscriptions: SchoolSubscriptionRecord[];
+  usage: UsagePeriod[];
+  payments: {
+    invoices: { _id: string; invoiceNumber: string; issuedAt: string; totalAmount: number; refundedAmount: number; status: string }[];
+    creditNotes: { _id: string; creditNoteNumber: string; invoiceNumber: string; issuedAt: string; totalAmount: number; reason: string }[];
+    paymentEvents: { _id: string; provider: string; event: string; outcome: string; createdAt: string }[];
+    renewalAttempts: { _id: string; attempt: number; status: string; amount: number; failureReason: string | null; attemptedAt: string }[];
+  };
+  notifications: { _id: string; type: string; title: string; status: string; createdAt: string }[];
+  onboarding: SchoolOnboarding | null;
+  timeline: TimelineEntry[];
+}
+
+export type OnboardingStepName = 'welcome_email' | 'whatsapp' | 'notification';
+
+// Follow-up steps after registration, each retryable on its own
+export interface SchoolOnboarding {
+  steps: {
+    name: OnboardingStepName;
+    status: 'pending' | 'running' | 'done' | 'failed';
+    attempts: number;
+    lastError: string | null;
+    lastAttemptAt?: string;
+    completedAt?: string;
+  }[];
+  createdAt: string;
+}
+
+export interface SchoolAdmin {
+  _id: string;
+  name: string;
+  username: string;
+  email: string;
+  phoneNumber?: string;
+  whatsappNumber?: string;
+  status: boolean;
+  resetTokenExpires?: string | null;
+  createdAt: string;
+}
+
+// Active admins against the current plan's maxAdmins; limit null = unlimited
+export interface AdminAllowance {
+  planType: string | null;
+  planName: string | null;
+  limit: number | null;
+  active: number;
+  remaining: number | null;
+}
+
+export interface SchoolAdmins {
+  school: { _id: string; name: string; code: string };
+  admins: SchoolAdmin[];
+  allowance: AdminAllowance;
+}
+
+export interface NewSchoolAdmin {
+  name: string;
+  username: string;
+  email: string;
+  phoneNumber: string;
+}
+
+export type FeatureSource = 'plan' | 'boost' | 'override';
+
+export interface FeatureOverride {
+  _id: string;
+  feature: string;
+  effect: 'grant' | 'revoke';
+  expiresAt: string;
+  reason: string;
+  createdBy?: { _id: string; name: string; email: string } | null;
+  updatedAt: string;
+}
+
+// What GET /api/entitlements returns to the school app
+export interface SchoolEntitlements {
+  school: { id: string; name: string; code: string };
+  plan: {
+    planType: string;
+    name: string;
+    tier: string | null;
+    status: 'active' | 'grace_period';
+    startsAt: string;
+    expiresAt: string;
+    gracePeriodEnds: string | null;
+    daysRemaining: number;
+  } | null;
+  features: string[];
+  sources: Record<string, FeatureSource>;
+  revoked: string[];
+  overrides: { feature: string; effect: 'grant' | 'revoke'; expiresAt: string }[];
+  limits: {
+    messages: { channel: string; used: number; limit: number; baseLimit: number; boostLimit: number; remaining: number }[];
+    boosts: { planType: string; expiresAt: string }[];
+    adminAccounts: { limit: number | null; active: number; remaining: number | null };
+  };
+  generatedAt: string;
+}
+
+export interface DeletedSchool {
+  _id: string;
+  name: string;
+  code: string;
+  email: string;
+  deletedAt: string;
+  deletionReason: string;
+  purgeAfter: string;
+  suspendedBeforeDelete: boolean;
+}
+
+// One row of the paged school list
+export interface SchoolListItem {
+  _id: string;
+  schoolName: string;
+  code: string;
+  email: string;
+  city?: string;
+  state?: string;
+  adminName: string;
+  planType: string;
+  planName: string;
+  status: string;
+  expiresAt?: string;
+  daysRemaining: number;
+  isTrial: boolean;
+  revenue: number;
+  suspended: boolean;
+  createdAt: string;
+}
+
+export type SchoolSortField = 'name' | 'code' | 'email' | 'city' | 'state' | 'createdAt'
+  | 'plan' | 'status' | 'expiresAt' | 'daysRemaining' | 'revenue';
+
+export interface SchoolListFilters {
+  search?: string;
+  planType?: string;
+  status?: string;
+  type?: 'trial' | 'paid' | '';
+  expiringWithin?: number | null;
+  city?: string;
+  state?: string;
+  createdFrom?: string;
+  createdTo?: string;
+  page?: number;
+  limit?: number;
+  sortBy?: SchoolSortField;
+  sortDir?: 'asc' | 'desc';
+}
+
+export interface SchoolListResponse {
+  message: string;
+  data: SchoolListItem[];
+  pagination: { page: number; limit: number; total: number; pages: number };
+}
+
+export type ImportRowStatus = 'valid' | 'invalid' | 'queued' | 'skipped' | 'created' | 'failed';
+
+export interface SchoolImportRow {
+  _id: string;
+  row: number;
+  input?: {
+    schoolName?: string;
+    adminName?: string;
+    username?: string;
+    email?: string;
+    mobileNo?: string;
+    address?: { city?: string; state?: string };
+    academicYearName?: string;
+    subscriptionType?: string;
+  };
+  code: string | null;
+  issues: string[];
+  status: ImportRowStatus;
+  message?: string;
+  schoolId: string | null;
+  emailStatus: 'pending' | 'sending' | 'sent' | 'failed' | null;
+  emailError?: string;
+}
+
+export interface SchoolImport {
+  _id: string;
+  fileName: string;
+  status: 'preview' | 'queued' | 'processing' | 'completed' | 'discarded';
+  rows: SchoolImportRow[];
+  summary: {
+    total: number;
+    valid: number;
+    invalid: number;
+    queued: number;
+    skipped: number;
+    created: number;
+    failed: number;
+    emailsPending: number;
+    emailsSent: number;
+    emailsFailed: number;
+  };
+  confirmedAt?: string;
+  completedAt?: string;
+  createdAt: string;
+}
+
+export type SchoolRequestStatus = 'pending' | 'approved' | 'rejected' | 'completed';
+
+export interface SchoolRequest {
+  _id: string;
+  name: string;
+  email: string;
+  mobileNo: string;
+  contactName?: string;
+  designation?: string;
+  requestType: 'demo' | 'onboarding';
+  studentCount?: number;
+  message?: string;
+  address?: { street?: string; city?: string; state?: string; country?: string; postalCode?: string };
+  status: SchoolRequestStatus;
+  reviewedBy?: { _id: string; name: string; email: string } | null;
+  reviewedAt?: string;
+  rejectionReason?: string;
+  schoolId?: { _id: string; name: string; code: string } | null;
+  createdAt: string;
+}
+
+export interface SchoolRequestInput {
+  name: string;
+  contactName: string;
+  designation?: string;
+  email: string;
+  mobileNo: string;
+  requestType: 'demo' | 'onboarding';
+  studentCount?: number | null;
+  message?: string;
+  address: { city: string; state: string };
+}
+
+export type SchoolStatusAction = 'suspend' | 'reactivate' | 'delete' | 'restore' | 'purge';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class SchoolService {
+  private importsUrl = `${environment.apiUrl}/api/superadmin/school-imports`;
+  private requestsUrl = `${environment.apiUrl}/api/superadmin/school-requests`;
+
+  constructor(private http: HttpClient) { }
+
+  listSchools(filters: SchoolListFilters = {}): Observable<SchoolListResponse> {
+    const params: Record<string, string> = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params[key] = String(value);
+    });
+    return this.http.get<SchoolListResponse>(`${environment.apiUrl}/api/schools`, { params });
+  }
+
+  getSchool(id: string): Observable<{ message: string; data: SchoolDetail }> {
+    return this.http.get<{ message: string; data: SchoolDetail }>(`${environment.apiUrl}/api/schools/${id}`);
+  }
+
+  updateSchool(id: string, changes: Partial<SchoolSettings>): Observable<{ message: string; data: { changed: string[] } }> {
+    return this.http.patch<{ message: string; data: { changed: string[] } }>(`${environment.apiUrl}/api/schools/${id}`, changes);
+  }
+
+  retryOnboardingStep(id: string, step: OnboardingStepName): Observable<{ message: string; data: SchoolOnboarding }> {
+    return this.http.post<{ message: string; data: SchoolOnboarding }>(
+      `${environment.apiUrl}/api/schools/${id}/onboarding/${step}/retry`, {}
+    );
+  }
+
+  getAdmins(id: string): Observable<{ message: string; data: SchoolAdmins }> {
+    return this.http.get<{ message: string; data: SchoolAdmins }>(`${environment.apiUrl}/api/schools/${id}/admins`);
+  }
+
+  // The new admin is emailed a set-password link
+  addAdmin(id: string, admin: NewSchoolAdmin): Observable<{ message: string; data: { _id: string }; emailSent: boolean }> {
+    return this.http.post<{ message: string; data: { _id: string }; emailSent: boolean }>(
+      `${environment.apiUrl}/api/schools/${id}/admins`, admin
+    );
+  }
+
+  updateAdmin(id: string, adminId: string, changes: { email?: string; phoneNumber?: string }): Observable<{ message: string }> {
+    return this.http.patch<{ message: string }>(`${environment.apiUrl}/api/schools/${id}/admins/${adminId}`, changes);
+  }
+
+  resendAdminLink(id: string, adminId: string): Observable<{ message: string; emailSent: boolean }> {
+    return this.http.post<{ message: string; emailSent: boolean }>(
+      `${environment.apiUrl}/api/schools/${id}/admins/${adminId}/resend-link`, {}
+    );
+  }
+
+  setAdminActive(id: string, adminId: string, active: boolean, reason: string): Observable<{ message: string }> {
+    return this.http.post<{ message: string }>(
+      `${environment.apiUrl}/api/schools/${id}/admins/${adminId}/${active ? 'reactivate' : 'deactivate'}`, { reason }
+    );
+  }
+
+  getEntitlements(id: string): Observable<{ message: string; data: { entitlements: SchoolEntitlements; overrides: FeatureOverride[]; knownFeatures: string[] } }> {
+    return this.http.get<{ message: string; data: { entitlements: SchoolEntitlements; overrides: FeatureOverride[]; knownFeatures: string[] } }>(
+      `${environment.apiUrl}/api/superadmin/schools/${id}/entitlements`
+    );
+  }
+
+  // Replaces any override the school already has for the feature
+  setFeatureOverride(id: string, feature: string, override: { effect: 'grant' | 'revoke'; expiresAt: string; reason: string }): Observable<{ message: string; data: FeatureOverride }> {
+    return this.http.put<{ message: string; data: FeatureOverride }>(
+      `${environment.apiUrl}/api/superadmin/schools/${id}/features/${feature}`, override
+    );
+  }
+
+  removeFeatureOverride(id: string, feature: string, reason: string): Observable<{ message: string }> {
+    return this.http.delete<{ message: string }>(
+      `${environment.apiUrl}/api/superadmin/schools/${id}/features/${feature}`, { body: { reason } }
+    );
+  }
+
+  getTrash(): Observable<{ message: string; data: DeletedSchool[]; retentionDays: number }> {
+    return this.http.get<{ message: string; data: DeletedSchool[]; retentionDays: number }>(`${environment.apiUrl}/api/schools/trash`);
+  }
+
+  // Every status change needs a reason; it goes to the audit log
+  changeStatus(id: string, action: SchoolStatusAction, reason: string): Observable<any> {
+    const base = `${environment.apiUrl}/api/schools/${id}`;
+    switch (action) {
+      case 'delete':
+        return this.http.delete(base, { body: { reason } });
+      case 'purge':
+        return this.http.delete(`${base}/purge`, { body: { reason } });
+      default:
+        return this.http.post(`${base}/${action}`, { reason });
+    }
+  }
+
+  // Public; the mobile number must be OTP-verified just before
+  submitSchoolRequest(input: SchoolRequestInput): Observable<{ message: string; data: { id: string; status: SchoolRequestStatus } }> {
+    return this.http.post<{ message: string; data: { id: string; status: SchoolRequestStatus } }>(
+      `${environment.apiUrl}/api/auth/school-requests`, input
+    );
+  }
+
+  getSchoolRequests(status?: SchoolRequestStatus): Observable<{ message: string; data: SchoolRequest[] }> {
+    const params: Record<string, string> = status ? { status } : {};
+    return this.http.get<{ message: string; data: SchoolRequest[] }>(this.requestsUrl, { params });
+  }
+
+  getSchoolRequest(id: string): Observable<{ message: string; data: SchoolRequest }> {
+    return this.http.get<{ message: string; data: SchoolRequest }>(`${this.requestsUrl}/${id}`);
+  }
+
+  approveSchoolRequest(id: string): Observable<{ message: string; data: SchoolRequest }> {
+    return this.http.post<{ message: string; data: SchoolRequest }>(`${this.requestsUrl}/${id}/approve`, {});
+  }
+
+  rejectSchoolRequest(id: string, reason: string): Observable<{ message: string; data: SchoolRequest; emailSent: boolean }> {
+    return this.http.post<{ message: string; data: SchoolRequest; emailSent: boolean }>(`${this.requestsUrl}/${id}/reject`, { reason });
+  }
+
+  // CSV goes up as text, .xlsx as base64
+  previewImport(content: string, fileName: string): Observable<{ message: string; data: SchoolImport }> {
+    return this.http.post<{ message: string; data: SchoolImport }>(this.importsUrl, { content, fileName });
+  }
+
+  getImports(): Observable<{ message: string; data: SchoolImport[] }> {
+    return this.http.get<{ message: string; data: SchoolImport[] }>(this.importsUrl);
+  }
+
+  getImport(id: string): Observable<{ message: string; data: SchoolImport }> {
+    return this.http.get<{ message: string; data: SchoolImport }>(`${this.importsUrl}/${id}`);
+  }
+
+  confirmImport(id: string, rowIds: string[]): Observable<{ message: string; data: SchoolImport }> {
+    return this.http.post<{ message: string; data: SchoolImport }>(`${this.importsUrl}/${id}/confirm`, { rowIds });
+  }
+
+  retryImportEmails(id: string): Observable<{ message: string; data: { requeued: number } }> {
+    return this.http.post<{ message: string; data: { requeued: number } }>(`${this.importsUrl}/${id}/retry-emails`, {});
+  }
+
+  downloadImportTemplate(): Observable<void> {
+    return this.saveCsv(`${this.importsUrl}/template`, 'school-import-template.csv');
+  }
+
+  downloadImportReport(id: string): Observable<void> {
+    return this.saveCsv(`${this.importsUrl}/${id}/report`, `school-import-${id}.csv`);
+  }
+
+  // Fetches through HttpClient so the auth header is sent, then saves the file
+  private saveCsv(url: string, fileName: string): Observable<void> {
+    return this.http.get(url, { responseType: 'blob' }).pipe(
+      map(blob => {
+        const objectUrl = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(objectUrl);
+      })
+    );
+  }
+}
@@ -0,0 +1,83 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../../environment/environments';
+
+export interface ChannelUsage {
+  used: number;
+  limit: number;
+  rejected?: number;
+  percent?: number;
+}
+
+export interface UsagePeriod {
+  _id: string;
+  schoolId: { _id: string; name: string; code: string; email: string } | string;
+  period: string;
+  planType: string | null;
+  sms: ChannelUsage;
+  whatsapp: ChannelUsage;
+  percent?: number;
+}
+
+export interface ChannelQuota {
+  channel: 'sms' | 'whatsapp';
+  used: number;
+  limit: number;
+  baseLimit: number;
+  boostLimit: number;
+  remaining: number;
+  period: string;
+  resetsAt: string;
+}
+
+export interface ActiveBoost {
+  subscriptionId: string;
+  planType: string;
+  messageLimits: { smsMonthly: number; whatsappMonthly: number };
+  // Messages left for the rest of the boost's window
+  remaining: { sms: number; whatsapp: number };
+  expiresAt: string;
+}
+
+export interface SchoolUsage {
+  current: { planType: string; subscriptionId: string; channels: ChannelQuota[]; boosts: ActiveBoost[] } | null;
+  history: UsagePeriod[];
+}
+
+export interface IssuedApiKey {
+  apiKey: string;
+  prefix: string;
+  issuedAt: string;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class UsageService {
+  private baseUrl = `${environment.apiUrl}/api/superadmin`;
+
+  constructor(private http: HttpClient) { }
+
+  getUsage(period?: string, minPercent = 0): Observable<{ message: string; data: UsagePeriod[]; period: string }> {
+    const params: Record<string, string> = { minPercent: String(minPercent) };
+    if (period) params['period'] = period;
+    return this.http.get<{ message: string; data: UsagePeriod[]; period: string }>(`${this.baseUrl}/usage`, { params });
+  }
+
+  getSchoolUsage(schoolId: string, months = 12): Observable<{ message: string; data: SchoolUsage }> {
+    return this.http.get<{ message: string; data: SchoolUsage }>(`${this.baseUrl}/schools/${schoolId}/usage`, { params: { months } });
+  }
+
+  addBoost(schoolId: string, body: { planType: string; transactionId?: string; couponCode?: string }): Observable<{ message: string }> {
+    return this.http.post<{ message: string }>(`${this.baseUrl}/schools/${schoolId}/boosts`, body);
+  }
+
+  issueApiKey(schoolId: string): Observable<{ message: string; data: IssuedApiKey }> {
+    return this.http.post<{ message: string; data: IssuedApiKey }>(`${this.baseUrl}/schools/${schoolId}/api-key`, {});
+  }
+
+  revokeApiKey(schoolId: string): Observable<{ message: string }> {
+    return this.http.delete<{ message: string }>(`${this.baseUrl}/schools/${schoolId}/api-key`);
+  }
+}